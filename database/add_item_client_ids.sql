@@ -0,0 +1,30 @@
+-- ========================================================================
+-- Item Client IDs Migration
+-- ========================================================================
+-- Description: Items added while offline are queued under a temporary ID
+--              and replayed when the connection returns. If the response of
+--              a replayed add is lost, the add is replayed again; the
+--              temporary ID is now stored as client_id so the second replay
+--              returns the item already added instead of adding a copy.
+--              Removed items that have a client_id are kept as tombstones
+--              (deleted_at) for as long as their list, however long the
+--              offline queue waits, so a late replay is not taken for a new
+--              add.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+ALTER TABLE shopping_list_items
+    ADD COLUMN IF NOT EXISTS client_id TEXT;
+
+COMMENT ON COLUMN shopping_list_items.client_id IS
+    'ID the client gave the item when adding it (offline temporary ID), used to ignore repeated adds';
+
+-- One item per client ID and list; concurrent replays of the same add fail here
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shopping_list_items_client_id
+    ON shopping_list_items(list_id, client_id)
+    WHERE client_id IS NOT NULL;
@@ -0,0 +1,130 @@
+-- ========================================================================
+-- Item Undo Migration
+-- ========================================================================
+-- Description: Removing an item, or checking/unchecking every item of a
+--              list at once, can be undone for a short while (60 seconds).
+--
+--              Removed items become tombstones (deleted_at is set) instead
+--              of being deleted, so undoing the removal brings back the same
+--              row. Every undoable operation is kept in item_undo_operations
+--              with the items it changed; its ID is the undo token returned
+--              to the client. Tombstones and operations are purged once the
+--              undo window is over.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+-- Removed items stay as tombstones until the undo window is over
+ALTER TABLE shopping_list_items
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
+COMMENT ON COLUMN shopping_list_items.deleted_at IS 'When the item was removed (tombstone kept while the removal can be undone)';
+
+CREATE INDEX IF NOT EXISTS idx_shopping_list_items_tombstones
+    ON shopping_list_items(list_id, deleted_at)
+    WHERE deleted_at IS NOT NULL;
+
+-- Tombstones do not count towards the list total
+CREATE OR REPLACE FUNCTION update_shopping_list_total()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE shopping_lists
+    SET total_amount = (
+        SELECT COALESCE(SUM(total_price), 0)
+        FROM shopping_list_items
+        WHERE list_id = COALESCE(NEW.list_id, OLD.list_id)
+          AND deleted_at IS NULL
+    )
+    WHERE id = COALESCE(NEW.list_id, OLD.list_id);
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Nor towards budget spending
+CREATE OR REPLACE FUNCTION get_budget_spending(p_user_id UUID, p_from DATE, p_to DATE)
+RETURNS TABLE (
+    list_id UUID,
+    household_id UUID,
+    shopping_date DATE,
+    created_at TIMESTAMP WITH TIME ZONE,
+    category TEXT,
+    total NUMERIC
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        l.id,
+        l.household_id,
+        l.shopping_date,
+        l.created_at,
+        i.category,
+        COALESCE(SUM(i.total_price), 0)
+    FROM shopping_lists l
+    JOIN shopping_list_items i ON i.list_id = l.id AND i.deleted_at IS NULL
+    WHERE l.deleted_at IS NULL
+      AND l.shopping_date BETWEEN p_from AND p_to
+      AND (
+          (l.user_id = p_user_id AND l.household_id IS NULL)
+          OR l.household_id IN (
+              SELECT hm.household_id FROM household_members hm WHERE hm.user_id = p_user_id
+          )
+      )
+    GROUP BY l.id, l.household_id, l.shopping_date, l.created_at, i.category;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Operations that can be undone
+CREATE TABLE IF NOT EXISTS item_undo_operations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    list_id UUID NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action TEXT NOT NULL,
+    items JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    reverted_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    CONSTRAINT item_undo_operations_action_check CHECK (action IN (
+        'item_removed', 'items_checked', 'items_unchecked'
+    ))
+);
+
+COMMENT ON TABLE item_undo_operations IS 'Item operations that can be undone; the ID is the undo token';
+COMMENT ON COLUMN item_undo_operations.actor_id IS 'User who made the change (NULL = someone using the share code)';
+COMMENT ON COLUMN item_undo_operations.items IS 'Items the operation changed ({ id, product_name })';
+COMMENT ON COLUMN item_undo_operations.expires_at IS 'End of the undo window';
+COMMENT ON COLUMN item_undo_operations.reverted_at IS 'When the operation was undone';
+
+-- Only the last operation of a list can be undone
+CREATE INDEX IF NOT EXISTS idx_item_undo_operations_list_id
+    ON item_undo_operations(list_id, created_at DESC);
+
+-- Permanently delete tombstones and operations whose undo window is over
+CREATE OR REPLACE FUNCTION purge_item_tombstones(p_window_seconds INTEGER DEFAULT 60)
+RETURNS INTEGER AS $$
+DECLARE
+    purged INTEGER;
+BEGIN
+    DELETE FROM shopping_list_items
+    WHERE deleted_at IS NOT NULL
+      AND deleted_at < now() - make_interval(secs => p_window_seconds);
+
+    GET DIAGNOSTICS purged = ROW_COUNT;
+
+    DELETE FROM item_undo_operations WHERE expires_at < now();
+
+    RETURN purged;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION purge_item_tombstones(INTEGER) IS
+    'Permanently deletes items removed more than p_window_seconds ago; returns how many';
+
+-- Optional: purge every hour with pg_cron (the API also purges a list's
+-- expired tombstones whenever a new operation on it can be undone)
+-- SELECT cron.schedule('purge-item-tombstones', '0 * * * *',
+--     'SELECT purge_item_tombstones(60)');
@@ -0,0 +1,28 @@
+-- ========================================================================
+-- List Pagination Indexes Migration
+-- ========================================================================
+-- Description: The lists of a user are paged by keyset: each page starts
+--              after the (order field, id) of the last list of the previous
+--              page. These indexes let the default order, newest first, and
+--              the shopping date order read a page without sorting every
+--              list of the user.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_user_created_keyset
+    ON shopping_lists(user_id, created_at DESC, id DESC)
+    WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_user_shopping_date_keyset
+    ON shopping_lists(user_id, shopping_date DESC, id DESC)
+    WHERE deleted_at IS NULL;
+
+-- Lists of a household, newest first
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_household_created_keyset
+    ON shopping_lists(household_id, created_at DESC, id DESC)
+    WHERE deleted_at IS NULL AND household_id IS NOT NULL;
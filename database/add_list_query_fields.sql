@@ -0,0 +1,49 @@
+-- ========================================================================
+-- List Query Fields Migration
+-- ========================================================================
+-- Description: Support for filtering the lists of a user by whether they
+--              still have items to buy, and by total amount.
+--
+--              unchecked_items_count is a computed field: PostgREST exposes
+--              a function taking a shopping_lists row as if it were a column,
+--              so the lists endpoint can filter on it
+--              (unchecked_items_count=gt.0) without reading the items.
+--
+--              total_amount becomes NOT NULL (0 by default), so the lists
+--              can be paged by it.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+-- Items of a list that are left to buy (removed items excluded)
+CREATE OR REPLACE FUNCTION unchecked_items_count(list shopping_lists)
+RETURNS BIGINT AS $$
+    SELECT COUNT(*)
+    FROM shopping_list_items
+    WHERE list_id = list.id
+      AND deleted_at IS NULL
+      AND is_checked IS NOT TRUE;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION unchecked_items_count(shopping_lists) IS
+    'Computed field: number of items of the list left to buy';
+
+CREATE INDEX IF NOT EXISTS idx_shopping_list_items_unchecked
+    ON shopping_list_items(list_id)
+    WHERE deleted_at IS NULL AND is_checked IS NOT TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_total_amount
+    ON shopping_lists(total_amount);
+
+-- The lists are paged by total_amount, and a NULL total would match no keyset
+-- condition (total_amount.gt.x is never true for NULL), so lists without a
+-- total would be skipped. A list without items costs 0.
+UPDATE shopping_lists SET total_amount = 0 WHERE total_amount IS NULL;
+
+ALTER TABLE shopping_lists
+    ALTER COLUMN total_amount SET DEFAULT 0,
+    ALTER COLUMN total_amount SET NOT NULL;
@@ -0,0 +1,57 @@
+-- ========================================================================
+-- Recurring Shopping Lists Migration
+-- ========================================================================
+-- Description: Lets a shopping list repeat. When an occurrence's shopping
+--              date arrives, the next occurrence is generated with the same
+--              items, unchecked, and the same recurrence.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Recurrence rules:
+--   weekly   - every 7 days
+--   biweekly - every 14 days
+--   monthly  - the same day every month (recurrence_day, clamped to the
+--              last day of shorter months)
+--   custom   - on the weekdays in recurrence_weekdays (0 = Sunday ... 6 = Saturday)
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+ALTER TABLE shopping_lists
+    ADD COLUMN IF NOT EXISTS recurrence_rule TEXT DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS recurrence_weekdays SMALLINT[] DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS recurrence_day SMALLINT DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS recurrence_source_id UUID DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS recurrence_next_id UUID DEFAULT NULL;
+
+ALTER TABLE shopping_lists
+    DROP CONSTRAINT IF EXISTS shopping_lists_recurrence_rule_valid;
+
+ALTER TABLE shopping_lists
+    ADD CONSTRAINT shopping_lists_recurrence_rule_valid
+    CHECK (recurrence_rule IS NULL OR recurrence_rule IN ('weekly', 'biweekly', 'monthly', 'custom'));
+
+ALTER TABLE shopping_lists
+    DROP CONSTRAINT IF EXISTS shopping_lists_recurrence_weekdays_valid;
+
+ALTER TABLE shopping_lists
+    ADD CONSTRAINT shopping_lists_recurrence_weekdays_valid
+    CHECK (
+        recurrence_rule IS DISTINCT FROM 'custom'
+        OR (cardinality(recurrence_weekdays) > 0 AND recurrence_weekdays <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::SMALLINT[])
+    );
+
+COMMENT ON COLUMN shopping_lists.recurrence_rule IS 'How the list repeats: weekly, biweekly, monthly or custom (NULL = it does not)';
+COMMENT ON COLUMN shopping_lists.recurrence_weekdays IS 'Weekdays of a custom recurrence (0 = Sunday ... 6 = Saturday)';
+COMMENT ON COLUMN shopping_lists.recurrence_day IS 'Day of the month of a monthly series (NULL = the day of shopping_date)';
+COMMENT ON COLUMN shopping_lists.recurrence_source_id IS 'Occurrence this list was generated from';
+-- Not a foreign key: the generator claims the ID before it creates the list, so
+-- two concurrent generators cannot both create the next occurrence
+COMMENT ON COLUMN shopping_lists.recurrence_next_id IS 'Occurrence generated from this list (NULL = not generated yet)';
+
+-- Recurring lists whose next occurrence is still to be generated
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_recurrence_pending
+    ON shopping_lists(shopping_date)
+    WHERE recurrence_rule IS NOT NULL AND recurrence_next_id IS NULL AND deleted_at IS NULL;
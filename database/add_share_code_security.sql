@@ -0,0 +1,38 @@
+-- ========================================================================
+-- Share Code Security Migration
+-- ========================================================================
+-- Description: Lets the list owner regenerate or revoke a list's share code,
+--              give it an expiry date, and use longer alphanumeric codes
+--              that cannot be guessed like the 4-digit ones
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Share code formats:
+--   0000          - legacy 4-digit code (still generated for new lists)
+--   ABCD2345EFGH  - 12-character code (letters and digits, no 0/O/1/I)
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+ALTER TABLE shopping_lists
+    ADD COLUMN IF NOT EXISTS share_code_expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
+ALTER TABLE shopping_lists
+    ADD COLUMN IF NOT EXISTS share_code_revoked_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
+-- Accept both the legacy and the long format
+ALTER TABLE shopping_lists
+    DROP CONSTRAINT IF EXISTS shopping_lists_share_code_format;
+
+ALTER TABLE shopping_lists
+    ADD CONSTRAINT shopping_lists_share_code_format
+    CHECK (share_code ~ '^(\d{4}|[A-HJ-NP-Z2-9]{12})$');
+
+COMMENT ON COLUMN shopping_lists.share_code IS
+    'Unique share code: legacy 4 digits or 12 letters/digits';
+COMMENT ON COLUMN shopping_lists.share_code_expires_at IS
+    'When the share code stops working (NULL = never)';
+COMMENT ON COLUMN shopping_lists.share_code_revoked_at IS
+    'When the owner revoked the share code (NULL = active); a new code clears it';
@@ -0,0 +1,30 @@
+-- ========================================================================
+-- Share Permissions Migration
+-- ========================================================================
+-- Description: Lets the list owner choose what people who open the list
+--              through its share code are allowed to do
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Permission levels:
+--   view  - read only (previous behaviour, default)
+--   check - can tick items off / on
+--   edit  - can add, edit and remove items
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+ALTER TABLE shopping_lists
+    ADD COLUMN IF NOT EXISTS share_permission TEXT NOT NULL DEFAULT 'view';
+
+ALTER TABLE shopping_lists
+    DROP CONSTRAINT IF EXISTS shopping_lists_share_permission_valid;
+
+ALTER TABLE shopping_lists
+    ADD CONSTRAINT shopping_lists_share_permission_valid
+    CHECK (share_permission IN ('view', 'check', 'edit'));
+
+COMMENT ON COLUMN shopping_lists.share_permission IS
+    'What share code holders may do: view, check (tick items) or edit (full item editing)';
@@ -0,0 +1,71 @@
+-- ========================================================================
+-- Trash Migration
+-- ========================================================================
+-- Description: Deleted shopping lists stay in the trash, where their owner
+--              can restore them, until they are purged for good after the
+--              retention period (30 days).
+--
+--              Share codes only need to be unique among lists that are not
+--              deleted: generate_share_code() already skipped just those, so
+--              a new list could be given the code of a deleted one and fail
+--              the UNIQUE constraint. The constraint now matches the
+--              function, and a list restored while another list uses its
+--              code gets a new code.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+-- Share codes are unique among the lists that are not deleted
+ALTER TABLE shopping_lists
+    DROP CONSTRAINT IF EXISTS shopping_lists_share_code_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shopping_lists_active_share_code
+    ON shopping_lists(share_code)
+    WHERE deleted_at IS NULL;
+
+COMMENT ON FUNCTION generate_share_code() IS
+    'Generates a 4-digit share code no list outside the trash uses';
+
+-- Deleted lists of a user, for the trash and the purge
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_trash
+    ON shopping_lists(user_id, deleted_at)
+    WHERE deleted_at IS NOT NULL;
+
+-- Permanently delete the lists that spent the retention period in the trash.
+-- Their items go with them; activity and price history keep their entries
+-- without the list.
+CREATE OR REPLACE FUNCTION purge_deleted_shopping_lists(p_retention_days INTEGER DEFAULT 30)
+RETURNS INTEGER AS $$
+DECLARE
+    purged INTEGER;
+BEGIN
+    DELETE FROM shopping_lists
+    WHERE deleted_at IS NOT NULL
+      AND deleted_at < now() - make_interval(days => p_retention_days);
+
+    GET DIAGNOSTICS purged = ROW_COUNT;
+    RETURN purged;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION purge_deleted_shopping_lists(INTEGER) IS
+    'Permanently deletes lists deleted more than p_retention_days ago; returns how many';
+
+-- Optional: purge every night with pg_cron (the API also purges a user's
+-- expired lists whenever they open the trash)
+-- SELECT cron.schedule('purge-deleted-shopping-lists', '0 3 * * *',
+--     'SELECT purge_deleted_shopping_lists(30)');
+
+-- Restoring a list is recorded in the activity log
+ALTER TABLE activity_log
+    DROP CONSTRAINT IF EXISTS activity_log_action_check;
+
+ALTER TABLE activity_log
+    ADD CONSTRAINT activity_log_action_check CHECK (action IN (
+        'list_created', 'list_completed', 'list_shared', 'list_deleted', 'list_restored',
+        'item_added', 'item_updated', 'item_checked', 'item_removed'
+    ));
@@ -0,0 +1,29 @@
+-- ========================================================================
+-- User Passwords Migration
+-- ========================================================================
+-- Description: Logging in with a phone number alone handed a session token
+--              to anyone who knew the number. Users now log in with their
+--              phone and a password; password_hash holds its scrypt hash
+--              (see src/utils/password.js), written by the create-session
+--              function in the same insert that creates the account.
+--
+--              Accounts created before this migration have no password and
+--              cannot log in with the phone alone any more: a device that
+--              still has a session sets one through the update-user
+--              function.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS password_hash TEXT;
+
+COMMENT ON COLUMN users.password_hash IS
+    'scrypt hash of the user password ("scrypt$<salt>$<hash>"); NULL for accounts created before passwords';
+
+-- The hash never leaves the server
+REVOKE ALL ON users FROM anon, authenticated;
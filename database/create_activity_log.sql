@@ -0,0 +1,41 @@
+-- ========================================================================
+-- Activity Log Migration
+-- ========================================================================
+-- Description: What happened to shopping lists and their items, and who did
+--              it. Recorded by the Netlify Functions whenever lists are
+--              created, completed, shared or deleted and whenever items are
+--              added, changed, checked or removed, so the profile page can
+--              show a feed that includes the actions of collaborators.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+CREATE TABLE IF NOT EXISTS activity_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    household_id UUID REFERENCES households(id) ON DELETE SET NULL,
+    list_id UUID REFERENCES shopping_lists(id) ON DELETE SET NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    CONSTRAINT activity_log_action_check CHECK (action IN (
+        'list_created', 'list_completed', 'list_shared', 'list_deleted',
+        'item_added', 'item_updated', 'item_checked', 'item_removed'
+    ))
+);
+
+COMMENT ON TABLE activity_log IS 'Actions taken on shopping lists and their items';
+COMMENT ON COLUMN activity_log.user_id IS 'Owner of the list the action was taken on';
+COMMENT ON COLUMN activity_log.household_id IS 'Household the list was shared with when the action was taken';
+COMMENT ON COLUMN activity_log.actor_id IS 'User who took the action (NULL = someone using the share code)';
+COMMENT ON COLUMN activity_log.details IS 'List title, item name and what changed, as shown in the feed';
+
+CREATE INDEX IF NOT EXISTS idx_activity_log_user_id ON activity_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_household_id ON activity_log(household_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_actor_id ON activity_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_list_id ON activity_log(list_id);
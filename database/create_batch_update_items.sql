@@ -0,0 +1,81 @@
+-- ========================================================================
+-- Batch Item Update Migration
+-- ========================================================================
+-- Description: Applies several item updates of a list, or checks/unchecks
+--              every item, in one call. The function runs in a single
+--              transaction: if any item is missing or any update is
+--              invalid, none of them is applied.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+-- p_updates: [{ id, is_checked?, quantity?, unit_price?, notes?, product_name?, category?, unit? }]
+-- p_command: 'check_all' or 'uncheck_all' (p_updates is then ignored)
+-- Returns { items: [updated items], total_amount: new list total }
+CREATE OR REPLACE FUNCTION batch_update_shopping_list_items(
+    p_list_id UUID,
+    p_updates JSONB DEFAULT '[]'::jsonb,
+    p_command TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_update JSONB;
+    v_item shopping_list_items;
+    v_items JSONB := '[]'::jsonb;
+    v_total NUMERIC;
+BEGIN
+    IF p_command IS NOT NULL THEN
+        IF p_command NOT IN ('check_all', 'uncheck_all') THEN
+            RAISE EXCEPTION 'Invalid batch command: %', p_command;
+        END IF;
+
+        -- Only the items whose state changes are returned
+        WITH changed AS (
+            UPDATE shopping_list_items
+            SET is_checked = (p_command = 'check_all'), updated_at = now()
+            WHERE list_id = p_list_id
+              AND deleted_at IS NULL
+              AND is_checked IS DISTINCT FROM (p_command = 'check_all')
+            RETURNING *
+        )
+        SELECT COALESCE(jsonb_agg(to_jsonb(changed)), '[]'::jsonb) INTO v_items FROM changed;
+    ELSE
+        FOR v_update IN SELECT * FROM jsonb_array_elements(p_updates) LOOP
+            UPDATE shopping_list_items
+            SET
+                is_checked = COALESCE((v_update->>'is_checked')::BOOLEAN, is_checked),
+                quantity = COALESCE((v_update->>'quantity')::NUMERIC, quantity),
+                unit_price = COALESCE((v_update->>'unit_price')::NUMERIC, unit_price),
+                total_price = COALESCE((v_update->>'quantity')::NUMERIC, quantity)
+                    * COALESCE((v_update->>'unit_price')::NUMERIC, unit_price),
+                notes = CASE WHEN v_update ? 'notes' THEN v_update->>'notes' ELSE notes END,
+                product_name = COALESCE(v_update->>'product_name', product_name),
+                category = COALESCE(v_update->>'category', category),
+                unit = COALESCE(v_update->>'unit', unit),
+                updated_at = now()
+            WHERE id = (v_update->>'id')::UUID
+              AND list_id = p_list_id
+              AND deleted_at IS NULL
+            RETURNING * INTO v_item;
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'Item % not found in the shopping list', v_update->>'id';
+            END IF;
+
+            v_items := v_items || jsonb_build_array(to_jsonb(v_item));
+        END LOOP;
+    END IF;
+
+    -- Kept up to date by the update_shopping_list_total() trigger
+    SELECT total_amount INTO v_total FROM shopping_lists WHERE id = p_list_id;
+
+    RETURN jsonb_build_object('items', v_items, 'total_amount', COALESCE(v_total, 0));
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION batch_update_shopping_list_items(UUID, JSONB, TEXT) IS
+    'Atomically applies item updates (or check_all/uncheck_all) to a list; returns the items and the new total';
@@ -0,0 +1,82 @@
+-- ========================================================================
+-- Budgets Migration
+-- ========================================================================
+-- Description: Monthly spending budgets for a user or a household, either
+--              for everything (category NULL) or for a single item category.
+--              A budget applies to every month until it is changed or deleted.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+CREATE TABLE IF NOT EXISTS budgets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE,
+    category TEXT,
+    amount NUMERIC(10,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    deleted_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    CONSTRAINT budgets_amount_positive CHECK (amount > 0),
+    CONSTRAINT budgets_category_length CHECK (category IS NULL OR length(category) <= 100)
+);
+
+COMMENT ON TABLE budgets IS 'Monthly spending budgets of users and households, optionally per category';
+COMMENT ON COLUMN budgets.user_id IS 'Owner of a personal budget, or who set a household budget';
+COMMENT ON COLUMN budgets.household_id IS 'Household whose lists the budget covers (NULL = personal lists)';
+COMMENT ON COLUMN budgets.category IS 'Item category the budget covers (NULL = the whole month)';
+COMMENT ON COLUMN budgets.amount IS 'Amount available per month';
+
+-- One active budget per scope and category
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_personal_unique
+    ON budgets(user_id, COALESCE(category, ''))
+    WHERE household_id IS NULL AND deleted_at IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_household_unique
+    ON budgets(household_id, COALESCE(category, ''))
+    WHERE household_id IS NOT NULL AND deleted_at IS NULL;
+
+CREATE TRIGGER trg_set_updated_at_budgets
+    BEFORE UPDATE ON budgets
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+-- Estimated spending per list and category between two dates, for the user's
+-- personal lists and the lists of their households
+CREATE OR REPLACE FUNCTION get_budget_spending(p_user_id UUID, p_from DATE, p_to DATE)
+RETURNS TABLE (
+    list_id UUID,
+    household_id UUID,
+    shopping_date DATE,
+    created_at TIMESTAMP WITH TIME ZONE,
+    category TEXT,
+    total NUMERIC
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        l.id,
+        l.household_id,
+        l.shopping_date,
+        l.created_at,
+        i.category,
+        COALESCE(SUM(i.total_price), 0)
+    FROM shopping_lists l
+    JOIN shopping_list_items i ON i.list_id = l.id
+    WHERE l.deleted_at IS NULL
+      AND l.shopping_date BETWEEN p_from AND p_to
+      AND (
+          (l.user_id = p_user_id AND l.household_id IS NULL)
+          OR l.household_id IN (
+              SELECT hm.household_id FROM household_members hm WHERE hm.user_id = p_user_id
+          )
+      )
+    GROUP BY l.id, l.household_id, l.shopping_date, l.created_at, i.category;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_budget_spending(UUID, DATE, DATE) IS 'Estimated spending per list and item category in a date range';
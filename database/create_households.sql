@@ -0,0 +1,132 @@
+-- ========================================================================
+-- Households Migration
+-- ========================================================================
+-- Description: Lets several users shop as one household. Lists, markets and
+--              payment methods can belong to a household instead of a single
+--              user, and every member sees them.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Member roles:
+--   owner  - manages members and invitations, full access to household data
+--   member - can create and edit household lists, markets and payment methods
+--   viewer - read only access to household data
+--
+-- The creator of a resource (user_id) keeps owning it; household_id only
+-- widens who can see it. Resources with household_id = NULL stay personal.
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+-- ========================================================================
+-- HOUSEHOLDS TABLE
+-- ========================================================================
+
+CREATE TABLE IF NOT EXISTS households (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    deleted_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    CONSTRAINT households_name_not_empty CHECK (length(trim(name)) > 0),
+    CONSTRAINT households_name_length CHECK (length(name) <= 100)
+);
+
+COMMENT ON TABLE households IS 'Groups of users that share lists, markets and payment methods';
+COMMENT ON COLUMN households.created_by IS 'UUID of the user who created the household';
+COMMENT ON COLUMN households.deleted_at IS 'Soft delete timestamp (NULL = active)';
+
+-- ========================================================================
+-- HOUSEHOLD MEMBERS TABLE
+-- ========================================================================
+
+CREATE TABLE IF NOT EXISTS household_members (
+    household_id UUID NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member', 'viewer')),
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    PRIMARY KEY (household_id, user_id)
+);
+
+COMMENT ON TABLE household_members IS 'Users that belong to a household and their role';
+COMMENT ON COLUMN household_members.role IS 'owner, member or viewer';
+
+-- ========================================================================
+-- HOUSEHOLD INVITATIONS TABLE
+-- ========================================================================
+
+CREATE TABLE IF NOT EXISTS household_invitations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    household_id UUID NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+    invited_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code TEXT NOT NULL UNIQUE,
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('member', 'viewer')),
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'revoked')),
+    accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+COMMENT ON TABLE household_invitations IS 'Single use invitation codes to join a household';
+COMMENT ON COLUMN household_invitations.role IS 'Role granted to whoever accepts the invitation';
+
+-- ========================================================================
+-- HOUSEHOLD SCOPED RESOURCES
+-- ========================================================================
+
+ALTER TABLE shopping_lists
+    ADD COLUMN IF NOT EXISTS household_id UUID REFERENCES households(id) ON DELETE SET NULL;
+
+ALTER TABLE markets
+    ADD COLUMN IF NOT EXISTS household_id UUID REFERENCES households(id) ON DELETE SET NULL;
+
+ALTER TABLE payment
+    ADD COLUMN IF NOT EXISTS household_id UUID REFERENCES households(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN shopping_lists.household_id IS 'Household that shares this list (NULL = personal)';
+COMMENT ON COLUMN markets.household_id IS 'Household that shares this market (NULL = personal)';
+COMMENT ON COLUMN payment.household_id IS 'Household that shares this payment method (NULL = personal)';
+
+-- ========================================================================
+-- INDEXES FOR PERFORMANCE
+-- ========================================================================
+
+CREATE INDEX IF NOT EXISTS idx_household_members_user_id ON household_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_household_invitations_household_id ON household_invitations(household_id);
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_household_id ON shopping_lists(household_id) WHERE household_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_markets_household_id ON markets(household_id) WHERE household_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_household_id ON payment(household_id) WHERE household_id IS NOT NULL;
+
+-- ========================================================================
+-- TRIGGERS
+-- ========================================================================
+
+CREATE TRIGGER trg_set_updated_at_households
+    BEFORE UPDATE ON households
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+CREATE TRIGGER trg_set_updated_at_household_invitations
+    BEFORE UPDATE ON household_invitations
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+-- ========================================================================
+-- ACCESS
+-- ========================================================================
+-- Membership and invitation codes are only read through the Netlify
+-- Functions (service key). RLS without policies plus revoked grants keep the
+-- anon key, which the browser has, away from them.
+
+ALTER TABLE households ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_invitations ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON households FROM anon, authenticated;
+REVOKE ALL ON household_members FROM anon, authenticated;
+REVOKE ALL ON household_invitations FROM anon, authenticated;
@@ -0,0 +1,55 @@
+-- ========================================================================
+-- List Templates Migration
+-- ========================================================================
+-- Description: Reusable shopping list templates ("Churrasco", "Café da
+--              manhã", "Limpeza"). Templates are kept apart from shopping
+--              lists: they have no shopping date, market or checks, and
+--              never show up among the user's lists. A new list is created
+--              from a template with its own date and market.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+CREATE TABLE IF NOT EXISTS list_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    deleted_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    CONSTRAINT list_templates_name_length CHECK (length(name) BETWEEN 1 AND 100),
+    CONSTRAINT list_templates_description_length CHECK (description IS NULL OR length(description) <= 500)
+);
+
+CREATE TABLE IF NOT EXISTS list_template_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_id UUID NOT NULL REFERENCES list_templates(id) ON DELETE CASCADE,
+    product_name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    quantity NUMERIC(10,3) NOT NULL DEFAULT 1,
+    unit TEXT NOT NULL DEFAULT 'un',
+    unit_price NUMERIC(10,2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+COMMENT ON TABLE list_templates IS 'Reusable shopping lists without a date, instantiated into new lists';
+COMMENT ON TABLE list_template_items IS 'Items copied into the lists created from a template';
+
+-- One active template per name and user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_list_templates_user_name
+    ON list_templates(user_id, lower(name))
+    WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_list_template_items_template
+    ON list_template_items(template_id);
+
+CREATE TRIGGER trg_set_updated_at_list_templates
+    BEFORE UPDATE ON list_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
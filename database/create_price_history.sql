@@ -0,0 +1,51 @@
+-- ========================================================================
+-- Price History Migration
+-- ========================================================================
+-- Description: Unit prices observed for each product, with the market, the
+--              shopping date and the unit. Recorded by the Netlify Functions
+--              whenever list items are created, updated or checked, so price
+--              trends can be compared across lists and markets.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+CREATE TABLE IF NOT EXISTS price_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_key TEXT NOT NULL,
+    product_name TEXT NOT NULL,
+    unit TEXT NOT NULL DEFAULT 'un',
+    unit_price NUMERIC(10,2) NOT NULL,
+    market_id UUID REFERENCES markets(id),
+    list_id UUID REFERENCES shopping_lists(id) ON DELETE SET NULL,
+    item_id UUID REFERENCES shopping_list_items(id) ON DELETE SET NULL,
+    user_id UUID NOT NULL,
+    household_id UUID REFERENCES households(id) ON DELETE SET NULL,
+    observed_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    source TEXT NOT NULL DEFAULT 'created',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    CONSTRAINT price_history_price_positive CHECK (unit_price > 0),
+    CONSTRAINT price_history_source_check CHECK (source IN ('created', 'updated', 'checked')),
+    -- One observation per item and shopping day; later changes that day replace it
+    CONSTRAINT price_history_item_day_unique UNIQUE (item_id, observed_on)
+);
+
+COMMENT ON TABLE price_history IS 'Unit prices observed for products, per market and date';
+COMMENT ON COLUMN price_history.product_key IS 'Normalized product name (lower case, no accents) used for lookups';
+COMMENT ON COLUMN price_history.observed_on IS 'Shopping date of the list the price was seen on';
+COMMENT ON COLUMN price_history.source IS 'Item change that recorded the price: created, updated or checked';
+
+CREATE INDEX IF NOT EXISTS idx_price_history_product ON price_history(product_key, observed_on DESC);
+CREATE INDEX IF NOT EXISTS idx_price_history_user_id ON price_history(user_id);
+CREATE INDEX IF NOT EXISTS idx_price_history_household_id ON price_history(household_id);
+CREATE INDEX IF NOT EXISTS idx_price_history_market_id ON price_history(market_id);
+
+-- Trigger to update price_history.updated_at
+CREATE TRIGGER trg_set_updated_at_price_history
+    BEFORE UPDATE ON price_history
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,88 @@
+-- ========================================================================
+-- Rate Limits Migration
+-- ========================================================================
+-- Description: Fixed-window counters used by the Netlify Functions to
+--              throttle repeated requests (e.g. share code guessing).
+--              Keys are hashes of the client IP (or a user ID), never the
+--              raw IP.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL DEFAULT 0,
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    CONSTRAINT rate_limits_count_positive CHECK (count >= 0)
+);
+
+COMMENT ON TABLE rate_limits IS 'Request counters per client and limiter, reset every window';
+COMMENT ON COLUMN rate_limits.key IS 'Limiter name and hashed client key';
+COMMENT ON COLUMN rate_limits.count IS 'Requests counted in the current window';
+COMMENT ON COLUMN rate_limits.reset_at IS 'When the current window ends';
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
+
+-- Only the Netlify Functions (service key) use the counters. The anon key is
+-- shipped to the browser, so without this any client could reset its own
+-- counters through PostgREST. RLS without policies denies every row to the
+-- API roles; the service role bypasses RLS.
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON rate_limits FROM anon, authenticated;
+
+-- Count one request for a key, starting a new window when the previous one ended.
+-- A single upsert, so concurrent requests cannot lose counts.
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key TEXT, p_window_seconds INTEGER)
+RETURNS TABLE (count INTEGER, reset_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+    RETURN QUERY
+    INSERT INTO rate_limits AS rl (key, count, reset_at)
+    VALUES (p_key, 1, now() + make_interval(secs => p_window_seconds))
+    ON CONFLICT (key) DO UPDATE SET
+        count = CASE WHEN rl.reset_at <= now() THEN 1 ELSE rl.count + 1 END,
+        reset_at = CASE
+            WHEN rl.reset_at <= now() THEN now() + make_interval(secs => p_window_seconds)
+            ELSE rl.reset_at
+        END
+    RETURNING rl.count, rl.reset_at;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION rate_limit_hit(TEXT, INTEGER) IS 'Counts a request for a rate limit key and returns the window state';
+
+-- Take back one counted request (e.g. a lookup that found what it looked for).
+-- Requests are counted before they are handled, so parallel requests cannot
+-- all get past the limit; the ones that turn out not to count are released.
+CREATE OR REPLACE FUNCTION rate_limit_release(p_key TEXT)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE rate_limits
+    SET count = count - 1
+    WHERE key = p_key AND count > 0 AND reset_at > now();
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION rate_limit_release(TEXT) IS 'Takes back one counted request of a rate limit key';
+
+-- Remove counters whose window ended (run periodically, e.g. with pg_cron)
+CREATE OR REPLACE FUNCTION purge_rate_limits()
+RETURNS INTEGER AS $$
+DECLARE
+    removed INTEGER;
+BEGIN
+    DELETE FROM rate_limits WHERE reset_at < now() - INTERVAL '1 hour';
+    GET DIAGNOSTICS removed = ROW_COUNT;
+    RETURN removed;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION purge_rate_limits() IS 'Deletes rate limit counters whose window ended more than an hour ago';
+
+-- Functions are executable by PUBLIC by default
+REVOKE EXECUTE ON FUNCTION rate_limit_hit(TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION rate_limit_release(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION purge_rate_limits() FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,171 @@
+-- ========================================================================
+-- Search Migration
+-- ========================================================================
+-- Description: Search across the lists of a user and their households: list
+--              titles and descriptions, and item product names, categories
+--              and notes.
+--
+--              Matching ignores case and accents ("açúcar" finds "acucar"
+--              and the other way around). The app sends the search terms
+--              already lower case and without accents; every term must be
+--              found in the list (title + description) or in any of its
+--              items, each term on its own ("churrasco carvao" finds a list
+--              titled "Churrasco" with a "Carvão" item). The lists are
+--              ranked here the way the app ranks them (search_score), so the
+--              best ones are among the candidates returned however many
+--              lists match; the app highlights them.
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor
+--
+-- ========================================================================
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- unaccent() is only STABLE (its dictionary could change), so it cannot be
+-- used in an index; this wrapper pins the dictionary
+CREATE OR REPLACE FUNCTION search_normalize(p_text TEXT)
+RETURNS TEXT AS $$
+    SELECT lower(public.unaccent('public.unaccent'::regdictionary, COALESCE(p_text, '')));
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+COMMENT ON FUNCTION search_normalize(TEXT) IS 'Lower case text without accents, for searching';
+
+-- Rank of a field, as the app computes it (services/searchService.js): each
+-- term counts once, 3 points for a whole word, 2 for the beginning of a word
+-- and 1 inside a word, times the weight of the field. Terms are only letters
+-- and digits, so they have no regex or LIKE characters to escape.
+CREATE OR REPLACE FUNCTION search_score(p_text TEXT, p_terms TEXT[], p_weight INT)
+RETURNS INT AS $$
+    SELECT COALESCE(SUM(
+        CASE
+            WHEN search_normalize(p_text) ~ ('\m' || term || '\M') THEN 3
+            WHEN search_normalize(p_text) ~ ('\m' || term) THEN 2
+            WHEN search_normalize(p_text) LIKE '%' || term || '%' THEN 1
+            ELSE 0
+        END
+    ), 0)::INT * p_weight
+    FROM unnest(p_terms) AS term;
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+COMMENT ON FUNCTION search_score(TEXT, TEXT[], INT) IS 'Search rank of a field for the given terms';
+
+-- Trigram indexes make the "contains" matches below use an index
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_search
+    ON shopping_lists
+    USING gin (search_normalize(title || ' ' || COALESCE(description, '')) gin_trgm_ops)
+    WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_shopping_list_items_search
+    ON shopping_list_items
+    USING gin (
+        search_normalize(product_name || ' ' || COALESCE(category, '') || ' ' || COALESCE(notes, ''))
+        gin_trgm_ops
+    )
+    WHERE deleted_at IS NULL;
+
+-- Lists of the user matching every term, with the items that match any term
+-- (items is empty when only the list itself matches), best ranked first and
+-- then most recent first. The lists searched are those of
+-- householdRepository.buildScopeFilter(): the user's own, in a household or
+-- not, and those of the user's households.
+CREATE OR REPLACE FUNCTION search_shopping_lists(
+    p_user_id UUID,
+    p_terms TEXT[],
+    p_limit INT DEFAULT 100
+)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    description TEXT,
+    shopping_date DATE,
+    is_completed BOOLEAN,
+    household_id UUID,
+    items JSONB
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH scope AS (
+        SELECT l.*
+        FROM shopping_lists l
+        WHERE l.deleted_at IS NULL
+          AND (
+              l.user_id = p_user_id
+              OR l.household_id IN (
+                  SELECT hm.household_id FROM household_members hm WHERE hm.user_id = p_user_id
+              )
+          )
+    ),
+    -- Terms found in the items of each list
+    item_terms AS (
+        SELECT i.list_id, array_agg(DISTINCT term) AS terms
+        FROM shopping_list_items i
+        JOIN scope s ON s.id = i.list_id
+        CROSS JOIN unnest(p_terms) AS term
+        WHERE i.deleted_at IS NULL
+          AND search_normalize(
+              i.product_name || ' ' || COALESCE(i.category, '') || ' ' || COALESCE(i.notes, '')
+          ) LIKE '%' || term || '%'
+        GROUP BY i.list_id
+    ),
+    matched_items AS (
+        SELECT
+            i.list_id,
+            jsonb_agg(
+                jsonb_build_object(
+                    'id', i.id,
+                    'product_name', i.product_name,
+                    'category', i.category,
+                    'notes', i.notes
+                )
+                ORDER BY i.created_at
+            ) AS items,
+            SUM(
+                search_score(i.product_name, p_terms, 4)
+                + search_score(i.category, p_terms, 2)
+                + search_score(i.notes, p_terms, 1)
+            ) AS score
+        FROM shopping_list_items i
+        JOIN scope s ON s.id = i.list_id
+        WHERE i.deleted_at IS NULL
+          AND EXISTS (
+              SELECT 1 FROM unnest(p_terms) AS term
+              WHERE search_normalize(
+                  i.product_name || ' ' || COALESCE(i.category, '') || ' ' || COALESCE(i.notes, '')
+              ) LIKE '%' || term || '%'
+          )
+        GROUP BY i.list_id
+    )
+    SELECT
+        s.id,
+        s.title,
+        s.description,
+        s.shopping_date,
+        s.is_completed,
+        s.household_id,
+        COALESCE(m.items, '[]'::jsonb)
+    FROM scope s
+    LEFT JOIN matched_items m ON m.list_id = s.id
+    LEFT JOIN item_terms t ON t.list_id = s.id
+    -- No term missing from both the list and its items
+    WHERE NOT EXISTS (
+        SELECT 1 FROM unnest(p_terms) AS term
+        WHERE search_normalize(s.title || ' ' || COALESCE(s.description, ''))
+              NOT LIKE '%' || term || '%'
+          AND NOT term = ANY (COALESCE(t.terms, '{}'::TEXT[]))
+    )
+    ORDER BY
+        search_score(s.title, p_terms, 5)
+            + search_score(s.description, p_terms, 2)
+            + COALESCE(m.score, 0) DESC,
+        s.shopping_date DESC,
+        s.created_at DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION search_shopping_lists(UUID, TEXT[], INT) IS
+    'Lists of a user and their households matching every search term in the list or its items, with the matching items';
@@ -0,0 +1,63 @@
+-- ========================================================================
+-- Lock Down Public Tables Migration
+-- ========================================================================
+-- Description: The anon key is shipped to the browser, so every table and
+--              function in the public schema was reachable by anyone with
+--              it, and the policies in SUPABASE_SETUP.md (USING (true))
+--              allowed any row to be read or changed. All data access now
+--              goes through the Netlify functions, which use the service
+--              key, so the anon and authenticated roles are given nothing:
+--              the permissive policies are dropped, RLS is enabled on every
+--              table without policies, and their grants are revoked (also
+--              for tables and functions created later).
+-- Date: 2026-10-19
+-- Version: 1.0.0
+--
+-- Usage (to be executed manually in Supabase):
+--   Execute this script in your Supabase SQL editor, after the other
+--   migrations. The functions must run with SUPABASE_SERVICE_KEY set.
+--
+-- ========================================================================
+
+-- Drop the permissive policies
+DO $$
+DECLARE
+    p RECORD;
+BEGIN
+    FOR p IN SELECT policyname, tablename FROM pg_policies WHERE schemaname = 'public' LOOP
+        EXECUTE format('DROP POLICY %I ON public.%I', p.policyname, p.tablename);
+    END LOOP;
+END $$;
+
+-- Enable RLS on every table; without policies it denies every row
+DO $$
+DECLARE
+    t RECORD;
+BEGIN
+    FOR t IN SELECT tablename FROM pg_tables WHERE schemaname = 'public' LOOP
+        EXECUTE format('ALTER TABLE public.%I ENABLE ROW LEVEL SECURITY', t.tablename);
+    END LOOP;
+END $$;
+
+-- Revoke the grants of the roles behind the anon key and user JWTs
+REVOKE ALL ON ALL TABLES IN SCHEMA public FROM anon, authenticated;
+REVOKE ALL ON ALL SEQUENCES IN SCHEMA public FROM anon, authenticated;
+REVOKE EXECUTE ON ALL FUNCTIONS IN SCHEMA public FROM PUBLIC, anon, authenticated;
+
+-- The same for tables and functions created by later migrations
+ALTER DEFAULT PRIVILEGES IN SCHEMA public REVOKE ALL ON TABLES FROM anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public REVOKE ALL ON SEQUENCES FROM anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public REVOKE EXECUTE ON FUNCTIONS FROM PUBLIC, anon, authenticated;
+
+-- The service role used by the functions keeps its access
+GRANT ALL ON ALL TABLES IN SCHEMA public TO service_role;
+GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO service_role;
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO service_role;
+
+-- ========================================================================
+-- Verify: no table is left without RLS, no grants remain for anon
+-- ========================================================================
+-- SELECT tablename FROM pg_tables
+--  WHERE schemaname = 'public' AND NOT rowsecurity;
+-- SELECT table_name, privilege_type FROM information_schema.role_table_grants
+--  WHERE table_schema = 'public' AND grantee IN ('anon', 'authenticated');
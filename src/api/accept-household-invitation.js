@@ -0,0 +1,110 @@
+/**
+ * Accept Household Invitation
+ * Netlify Function to join a household with an invitation code
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const controller = require('../controllers/householdController');
+const { withAuth } = require('../middleware/auth');
+const { createRateLimiter } = require('../services/rateLimitService');
+const { withRateLimit, isMiss } = require('../middleware/rateLimit');
+
+// Wrong invitation codes a user, and an IP address, may try before being throttled
+const INVITATION_MISS_LIMIT = 10;
+const INVITATION_MISS_IP_LIMIT = 30;
+const INVITATION_MISS_WINDOW_SECONDS = 15 * 60;
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} ctrl - Controller to inject
+ * @param {Object} [limiter] - Per user rate limiter to inject (defaults to one on the configured store)
+ * @param {Object} [ipLimiter] - Per IP rate limiter to inject (defaults to one on the configured store)
+ * @returns {Function} - Handler function
+ */
+function buildHandler(
+  ctrl = controller,
+  limiter = createRateLimiter({
+    name: 'household-invitation',
+    limit: INVITATION_MISS_LIMIT,
+    windowSeconds: INVITATION_MISS_WINDOW_SECONDS,
+  }),
+  ipLimiter = createRateLimiter({
+    name: 'household-invitation-ip',
+    limit: INVITATION_MISS_IP_LIMIT,
+    windowSeconds: INVITATION_MISS_WINDOW_SECONDS,
+  })
+) {
+  const handler = async function (event) {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const { code } = JSON.parse(event.body || '{}');
+
+      const membership = await ctrl.acceptInvitation({ code, user_id: event.auth.user_id });
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        },
+        body: JSON.stringify(membership),
+      };
+    } catch (error) {
+      console.error('Error accepting household invitation:', error);
+
+      let statusCode = 500;
+
+      if (
+        error.message.includes('Invalid') ||
+        error.message.includes('required') ||
+        error.message.includes('must')
+      ) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('already a member')) {
+        statusCode = 409;
+      } else if (error.message.includes('expired')) {
+        statusCode = 410;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  };
+
+  // Throttled per user, so one account cannot guess codes from many addresses,
+  // and per IP address, so one client cannot guess codes with many accounts
+  return withAuth(
+    withRateLimit(
+      withRateLimit(handler, {
+        limiter,
+        countWhen: isMiss,
+        keyFor: (event) => event.auth.user_id,
+      }),
+      { limiter: ipLimiter, countWhen: isMiss }
+    )
+  );
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
@@ -1,6 +1,11 @@
 /**
  * Add Shopping List Item
  * Netlify Function to add a new item to an existing shopping list
+ *
+ * The body is either one item, or `items_text` with several items as free
+ * text, one per line (e.g. "2kg arroz R$ 25"), which are added together.
+ * A single item may carry a `client_id`: adding it again with the same
+ * client_id returns the item already added instead of a copy.
  */
 
 // Load env vars only in development
@@ -11,14 +16,81 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const repository = require('../repositories/shoppingListRepository');
+const access = require('../services/listAccessService');
+const realtime = require('../services/realtimeService');
+const priceHistory = require('../services/priceHistoryService');
+const activityService = require('../services/activityService');
+const { MAX_LIST_ITEMS, validateShoppingListItem } = require('../services/shoppingListService');
+const { parseItemTextStrict } = require('../utils/itemParser');
+const { withShareableAuth } = require('../middleware/auth');
+
+// Longest ID a client may give an item it adds (offline IDs are about 25 characters)
+const CLIENT_ID_MAX_LENGTH = 64;
 
 /**
  * Build handler function for dependency injection
  * @param {Object} repo - Repository to inject
+ * @param {Object} [broker] - Realtime broker to inject (defaults to the configured one)
+ * @param {Object} prices - Price history service to inject
+ * @param {Object} activity - Activity service to inject
  * @returns {Function} - Handler function
  */
-function buildHandler(repo = repository) {
-  return async function (event) {
+function buildHandler(
+  repo = repository,
+  broker,
+  prices = priceHistory,
+  activity = activityService
+) {
+  /**
+   * Add the items of a pasted text
+   * @param {string} listId - Shopping list ID
+   * @param {string} itemsText - Items, one per line
+   * @param {Object} auth - Session of the request
+   * @returns {Object} - Response with the created items
+   */
+  async function addPastedItems(listId, itemsText, auth) {
+    const items = parseItemTextStrict(itemsText);
+
+    // The same checks as items added one by one or with a new list
+    items.forEach((item, index) => {
+      try {
+        validateShoppingListItem(item);
+      } catch (error) {
+        throw new Error(`Invalid items text, item ${index + 1}: ${error.message}`);
+      }
+    });
+
+    const list = await access.authorizeListAccess(listId, auth, 'edit', repo);
+
+    const itemCount = await repo.countItems(listId);
+    if (itemCount + items.length > MAX_LIST_ITEMS) {
+      throw new Error(
+        `Shopping list cannot have more than ${MAX_LIST_ITEMS} items (it has ${itemCount})`
+      );
+    }
+
+    const newItems = await repo.addItemsToList(listId, items);
+
+    await prices.recordItemPrices(newItems, list, 'created');
+
+    for (const newItem of newItems) {
+      await activity.recordItemActivity('item_added', list, newItem, auth);
+      await realtime.publishItemChange(listId, 'INSERT', newItem, auth, broker);
+    }
+
+    return {
+      statusCode: 201,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Share-Token',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      },
+      body: JSON.stringify({ items: newItems }),
+    };
+  }
+
+  return withShareableAuth(async function (event) {
     // Only allow POST requests
     if (event.httpMethod !== 'POST') {
       return {
@@ -38,8 +110,12 @@ function buildHandler(repo = repository) {
         };
       }
 
+      if (requestBody.items_text !== undefined) {
+        return await addPastedItems(listId, requestBody.items_text, event.auth);
+      }
+
       // Validate required fields for the item
-      const { product_name, category, quantity, unit, unit_price, notes } = requestBody;
+      const { product_name, category, quantity, unit, unit_price, notes, client_id } = requestBody;
 
       if (!product_name || !category || !quantity || !unit) {
         return {
@@ -58,6 +134,7 @@ function buildHandler(repo = repository) {
         unit: unit.trim(),
         unit_price: unit_price ? parseFloat(unit_price) : 0.0,
         notes: notes ? notes.trim() : null,
+        client_id: client_id || null,
       };
 
       // Validate data
@@ -75,27 +152,96 @@ function buildHandler(repo = repository) {
         };
       }
 
+      if (
+        itemData.client_id !== null &&
+        (typeof itemData.client_id !== 'string' || itemData.client_id.length > CLIENT_ID_MAX_LENGTH)
+      ) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({
+            error: `client_id must be a string of at most ${CLIENT_ID_MAX_LENGTH} characters`,
+          }),
+        };
+      }
+
+      // The list owner, or a share code holder with edit permission, may add items
+      const list = await access.authorizeListAccess(listId, event.auth, 'edit', repo);
+
+      // An add replayed from the offline queue after its response was lost returns the item it added
+      if (itemData.client_id) {
+        const existing = await repo.getItemByClientId(listId, itemData.client_id);
+        if (existing && existing.deleted_at) {
+          return {
+            statusCode: 409,
+            body: JSON.stringify({ error: 'Item was removed after it was added', item: null }),
+          };
+        }
+        if (existing) {
+          return {
+            statusCode: 200,
+            headers: {
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*',
+              'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Share-Token',
+              'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            },
+            body: JSON.stringify(existing),
+          };
+        }
+      }
+
+      const itemCount = await repo.countItems(listId);
+      if (itemCount >= MAX_LIST_ITEMS) {
+        throw new Error(
+          `Shopping list cannot have more than ${MAX_LIST_ITEMS} items (it has ${itemCount})`
+        );
+      }
+
       // Add item to the list
       const newItem = await repo.addItemToList(listId, itemData);
 
+      // Remember the price for the product's price history
+      await prices.recordItemPrices([newItem], list, 'created');
+
+      // Show the new item in the activity feed
+      await activity.recordItemActivity('item_added', list, newItem, event.auth);
+
+      // Let other open views of the list show the new item
+      await realtime.publishItemChange(listId, 'INSERT', newItem, event.auth, broker);
+
       return {
         statusCode: 201,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Share-Token',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
         },
         body: JSON.stringify(newItem),
       };
     } catch (error) {
       console.error('Error adding item to shopping list:', error);
+      let statusCode = 500;
+
+      if (
+        error.message.includes('Invalid UUID format') ||
+        error.message.includes('Invalid items text') ||
+        error.message.includes('Items text must') ||
+        error.message.includes('cannot have more than')
+      ) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      }
+
       return {
-        statusCode: 500,
+        statusCode,
         body: JSON.stringify({ error: error.message || 'Internal server error' }),
       };
     }
-  };
+  });
 }
 
 exports.handler = buildHandler();
@@ -0,0 +1,125 @@
+/**
+ * Batch Update Items
+ * Netlify Function to update several items of a shopping list at once,
+ * or to check/uncheck all of them
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const itemBatchService = require('../services/itemBatchService');
+const realtime = require('../services/realtimeService');
+const priceHistory = require('../services/priceHistoryService');
+const activityService = require('../services/activityService');
+const { withShareableAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} batches - Item batch service to inject
+ * @param {Object} [broker] - Realtime broker to inject (defaults to the configured one)
+ * @param {Object} prices - Price history service to inject
+ * @param {Object} activity - Activity service to inject
+ * @returns {Function} - Handler function
+ */
+function buildHandler(
+  batches = itemBatchService,
+  broker,
+  prices = priceHistory,
+  activity = activityService
+) {
+  return withShareableAuth(async function (event) {
+    // Only allow PUT requests
+    if (event.httpMethod !== 'PUT') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const { list_id, updates, command } = JSON.parse(event.body || '{}');
+
+      const { list, items, total_amount, undo_token } = await batches.batchUpdateItems(
+        list_id,
+        { updates, command },
+        event.auth
+      );
+
+      // What each item was sent, as if it had been updated on its own
+      const updatesById = new Map((updates || []).map((update) => [update.id, update]));
+      const updateOf = (item) =>
+        command ? { is_checked: command === 'check_all' } : updatesById.get(item.id) || {};
+
+      // New prices, and prices confirmed by checking items, go to the price history
+      for (const source of ['checked', 'updated']) {
+        const priced = items.filter(
+          (item) => priceHistory.getUpdateSource(updateOf(item)) === source
+        );
+        if (priced.length > 0) {
+          await prices.recordItemPrices(priced, list, source);
+        }
+      }
+
+      // Single updates show in the activity feed; check/uncheck-all only completes the list
+      if (!command) {
+        for (const item of items) {
+          const update = updateOf(item);
+          if (update.is_checked === true) {
+            await activity.recordItemActivity('item_checked', list, item, event.auth);
+          } else {
+            await activity.recordItemActivity('item_updated', list, item, event.auth, {
+              fields: Object.keys(update).filter((field) => field !== 'id'),
+            });
+          }
+        }
+      }
+
+      if (items.some((item) => updateOf(item).is_checked === true)) {
+        await activity.recordListCompletion(list, event.auth);
+      }
+
+      // Let other open views of the list show the changes
+      for (const item of items) {
+        await realtime.publishItemChange(list.id, 'UPDATE', item, event.auth, broker);
+      }
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Share-Token',
+          'Access-Control-Allow-Methods': 'PUT, OPTIONS',
+        },
+        body: JSON.stringify({ items, total_amount, undo_token }),
+      };
+    } catch (error) {
+      console.error('Error updating items in batch:', error);
+      let statusCode = 500;
+
+      if (
+        error.message.includes('Invalid') ||
+        error.message.includes('required') ||
+        error.message.includes('must')
+      ) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
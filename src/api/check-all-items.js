@@ -0,0 +1,54 @@
+/**
+ * Check All Items
+ * Netlify Function to check or uncheck every item of a shopping list at once.
+ * Kept for clients that send { list_id, is_checked }: it runs the check_all or
+ * uncheck_all command of batch-update-items.
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const { buildHandler: buildBatchHandler } = require('./batch-update-items');
+const { withShareableAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} [batches] - Item batch service to inject
+ * @param {Object} [broker] - Realtime broker to inject (defaults to the configured one)
+ * @param {Object} [prices] - Price history service to inject
+ * @param {Object} [activity] - Activity service to inject
+ * @returns {Function} - Handler function
+ */
+function buildHandler(batches, broker, prices, activity) {
+  const batchHandler = buildBatchHandler(batches, broker, prices, activity);
+
+  return withShareableAuth(async function (event) {
+    // The batch handler answers for other methods and bodies that are not JSON
+    let data;
+    try {
+      data = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return batchHandler(event);
+    }
+
+    const { list_id, is_checked } = data || {};
+    if (event.httpMethod === 'PUT' && typeof is_checked !== 'boolean') {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Invalid is_checked: must be true or false' }),
+      };
+    }
+
+    return batchHandler({
+      ...event,
+      body: JSON.stringify({ list_id, command: is_checked ? 'check_all' : 'uncheck_all' }),
+    });
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
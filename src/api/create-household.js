@@ -0,0 +1,72 @@
+/**
+ * Create Household
+ * Netlify Function to create a household owned by the authenticated user
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const controller = require('../controllers/householdController');
+const { withAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} ctrl - Controller to inject
+ * @returns {Function} - Handler function
+ */
+function buildHandler(ctrl = controller) {
+  return withAuth(async function (event) {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const { name } = JSON.parse(event.body || '{}');
+
+      const household = await ctrl.createHousehold({ name, user_id: event.auth.user_id });
+
+      return {
+        statusCode: 201,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        },
+        body: JSON.stringify(household),
+      };
+    } catch (error) {
+      console.error('Error creating household:', error);
+
+      let statusCode = 500;
+
+      if (
+        error.message.includes('Invalid') ||
+        error.message.includes('required') ||
+        error.message.includes('must')
+      ) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
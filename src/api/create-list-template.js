@@ -0,0 +1,74 @@
+/**
+ * Create List Template
+ * Netlify Function to save the items of an existing shopping list as a reusable
+ * template
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const controller = require('../controllers/listTemplateController');
+const { withAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} ctrl - Controller to inject
+ * @returns {Function} - Handler function
+ */
+function buildHandler(ctrl = controller) {
+  return withAuth(async function (event) {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const data = JSON.parse(event.body || '{}');
+      const result = await ctrl.createTemplate({ ...data, user_id: event.auth.user_id });
+
+      return {
+        statusCode: 201,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        },
+        body: JSON.stringify(result),
+      };
+    } catch (error) {
+      console.error('Error creating list template:', error);
+
+      let statusCode = 500;
+
+      if (
+        error.message.includes('Invalid') ||
+        error.message.includes('required') ||
+        error.message.includes('must')
+      ) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('already exists')) {
+        statusCode = 409;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
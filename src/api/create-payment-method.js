@@ -5,23 +5,24 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const controller = require('../controllers/paymentController');
+const { withAuth } = require('../middleware/auth');
 
 function buildHandler(ctrl = controller) {
-  return async function (event) {
+  return withAuth(async function (event) {
     if (event.httpMethod !== 'POST') {
       return { statusCode: 405, body: 'Method Not Allowed' };
     }
 
     try {
       const data = JSON.parse(event.body);
-      const result = await ctrl.createPaymentMethod(data);
+      const result = await ctrl.createPaymentMethod({ ...data, user_id: event.auth.user_id });
 
       return {
         statusCode: 200,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
         },
         body: JSON.stringify(result),
@@ -48,7 +49,7 @@ function buildHandler(ctrl = controller) {
         }),
       };
     }
-  };
+  });
 }
 
 exports.handler = buildHandler();
@@ -0,0 +1,116 @@
+/**
+ * Create Session
+ * Netlify Function to log a user in and issue a signed session token
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const crypto = require('crypto');
+const controller = require('../controllers/sessionController');
+const { createRateLimiter } = require('../services/rateLimitService');
+const { withRateLimit, isMiss } = require('../middleware/rateLimit');
+
+// Failed logins a phone number, and an IP address, may have before being throttled
+const LOGIN_MISS_LIMIT = 5;
+const LOGIN_MISS_IP_LIMIT = 20;
+const LOGIN_MISS_WINDOW_SECONDS = 15 * 60;
+
+/**
+ * Rate limit key of the phone number an event logs in with
+ * The phone is hashed so it is not stored in the rate_limits table
+ * @param {Object} event - Netlify Function event
+ * @returns {string} - Key
+ */
+function getPhoneKey(event) {
+  let phone = '';
+  try {
+    phone = String(JSON.parse(event.body || '{}').phone || '').replace(/\D/g, '');
+  } catch (e) {
+    // Unreadable bodies are rejected by the handler; they share one key
+  }
+
+  return `phone:${crypto.createHash('sha256').update(phone).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} ctrl - Controller to inject
+ * @param {Object} [limiter] - Per phone rate limiter to inject (defaults to one on the configured store)
+ * @param {Object} [ipLimiter] - Per IP rate limiter to inject (defaults to one on the configured store)
+ * @returns {Function} - Handler function
+ */
+function buildHandler(
+  ctrl = controller,
+  limiter = createRateLimiter({
+    name: 'login',
+    limit: LOGIN_MISS_LIMIT,
+    windowSeconds: LOGIN_MISS_WINDOW_SECONDS,
+  }),
+  ipLimiter = createRateLimiter({
+    name: 'login-ip',
+    limit: LOGIN_MISS_IP_LIMIT,
+    windowSeconds: LOGIN_MISS_WINDOW_SECONDS,
+  })
+) {
+  const handler = async function (event) {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const data = JSON.parse(event.body || '{}');
+      const session = await ctrl.createSession(data);
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        },
+        body: JSON.stringify(session),
+      };
+    } catch (error) {
+      console.error('Error creating session:', error);
+
+      let statusCode = 500;
+
+      if (
+        error.message.includes('required') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('must')
+      ) {
+        statusCode = 400;
+      } else if (error.message.includes('incorrect')) {
+        statusCode = 401;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  };
+
+  // Throttled per phone, so one account cannot be guessed from many addresses,
+  // and per IP address, so one client cannot guess many accounts
+  return withRateLimit(
+    withRateLimit(handler, { limiter, countWhen: isMiss, keyFor: getPhoneKey }),
+    { limiter: ipLimiter, countWhen: isMiss }
+  );
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
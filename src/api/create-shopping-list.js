@@ -5,20 +5,21 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const controller = require('../controllers/shoppingListController');
+const { withAuth } = require('../middleware/auth');
 
 function buildHandler(ctrl = controller) {
-  return async function (event) {
+  return withAuth(async function (event) {
     if (event.httpMethod !== 'POST') {
       return { statusCode: 405, body: 'Method Not Allowed' };
     }
     try {
       const data = JSON.parse(event.body);
-      const result = await ctrl.createShoppingList(data);
+      const result = await ctrl.createShoppingList({ ...data, user_id: event.auth.user_id });
       return { statusCode: 200, body: JSON.stringify(result) };
     } catch (e) {
       return { statusCode: 400, body: JSON.stringify({ error: e.message }) };
     }
-  };
+  });
 }
 
 exports.handler = buildHandler();
@@ -0,0 +1,68 @@
+/**
+ * Delete Market
+ * Netlify Function to soft delete a market
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const controller = require('../controllers/marketController');
+const { withAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} ctrl - Controller to inject
+ * @returns {Function} - Handler function
+ */
+function buildHandler(ctrl = controller) {
+  return withAuth(async function (event) {
+    // Only allow DELETE requests
+    if (event.httpMethod !== 'DELETE') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const { id } = JSON.parse(event.body || '{}');
+      const market = await ctrl.deleteMarket({ id, user_id: event.auth.user_id });
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
+        },
+        body: JSON.stringify({
+          message: 'Market deleted successfully',
+          market,
+        }),
+      };
+    } catch (error) {
+      console.error('Error deleting market:', error);
+
+      let statusCode = 500;
+
+      if (error.message.includes('Invalid') || error.message.includes('required')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
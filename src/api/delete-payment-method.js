@@ -0,0 +1,57 @@
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const controller = require('../controllers/paymentController');
+const { withAuth } = require('../middleware/auth');
+
+function buildHandler(ctrl = controller) {
+  return withAuth(async function (event) {
+    if (event.httpMethod !== 'DELETE') {
+      return { statusCode: 405, body: 'Method Not Allowed' };
+    }
+
+    try {
+      const { payment_id } = JSON.parse(event.body || '{}');
+      const result = await ctrl.deletePaymentMethod({ payment_id, user_id: event.auth.user_id });
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
+        },
+        body: JSON.stringify(result),
+      };
+    } catch (e) {
+      console.error('Error in delete-payment-method:', e);
+
+      // Determine appropriate status code based on error type
+      let statusCode = 500;
+
+      if (
+        e.message.includes('Invalid') ||
+        e.message.includes('required') ||
+        e.message.includes('must')
+      ) {
+        statusCode = 400;
+      } else if (e.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({
+          error: e.message,
+        }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler;
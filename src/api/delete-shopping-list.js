@@ -11,6 +11,7 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const controller = require('../controllers/shoppingListController');
+const { withAuth } = require('../middleware/auth');
 
 /**
  * Build handler function for dependency injection
@@ -18,7 +19,7 @@ const controller = require('../controllers/shoppingListController');
  * @returns {Function} - Handler function
  */
 function buildHandler(ctrl = controller) {
-  return async function (event) {
+  return withAuth(async function (event) {
     // Only allow DELETE requests
     if (event.httpMethod !== 'DELETE') {
       return {
@@ -29,7 +30,8 @@ function buildHandler(ctrl = controller) {
 
     try {
       const data = JSON.parse(event.body || '{}');
-      const { id, user_id } = data;
+      const { id } = data;
+      const { user_id } = event.auth;
 
       if (!id) {
         return {
@@ -38,13 +40,6 @@ function buildHandler(ctrl = controller) {
         };
       }
 
-      if (!user_id) {
-        return {
-          statusCode: 400,
-          body: JSON.stringify({ error: 'User ID is required' }),
-        };
-      }
-
       // Delete the shopping list
       const deletedList = await ctrl.deleteShoppingList({ id, user_id });
 
@@ -53,7 +48,7 @@ function buildHandler(ctrl = controller) {
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
           'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
         },
         body: JSON.stringify({
@@ -63,12 +58,21 @@ function buildHandler(ctrl = controller) {
       };
     } catch (error) {
       console.error('Error deleting shopping list:', error);
+
+      let statusCode = 400;
+
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      }
+
       return {
-        statusCode: 400,
+        statusCode,
         body: JSON.stringify({ error: error.message || 'Internal server error' }),
       };
     }
-  };
+  });
 }
 
 exports.handler = buildHandler();
@@ -0,0 +1,70 @@
+/**
+ * Get Market
+ * Netlify Function to get a single market by ID
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const controller = require('../controllers/marketController');
+const { withAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} ctrl - Controller to inject
+ * @returns {Function} - Handler function
+ */
+function buildHandler(ctrl = controller) {
+  return withAuth(async function (event) {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const { id } = event.queryStringParameters || {};
+      const market = await ctrl.getMarketById(id, event.auth.user_id);
+
+      if (!market) {
+        return {
+          statusCode: 404,
+          body: JSON.stringify({ error: 'Market not found' }),
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        },
+        body: JSON.stringify(market),
+      };
+    } catch (error) {
+      console.error('Error getting market:', error);
+
+      let statusCode = 500;
+
+      if (error.message.includes('Invalid') || error.message.includes('required')) {
+        statusCode = 400;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
@@ -5,22 +5,17 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const controller = require('../controllers/paymentController');
+const { withAuth } = require('../middleware/auth');
 
 function buildHandler(ctrl = controller) {
-  return async function (event) {
+  return withAuth(async function (event) {
     if (event.httpMethod !== 'GET') {
       return { statusCode: 405, body: 'Method Not Allowed' };
     }
 
     try {
-      const params = event.queryStringParameters || {};
-
-      if (!params.user_id) {
-        return {
-          statusCode: 400,
-          body: JSON.stringify({ error: 'User ID is required' }),
-        };
-      }
+      // The user always comes from the session token, never from the query string
+      const params = { ...(event.queryStringParameters || {}), user_id: event.auth.user_id };
 
       const result = await ctrl.getPaymentMethods(params);
 
@@ -29,7 +24,7 @@ function buildHandler(ctrl = controller) {
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
           'Access-Control-Allow-Methods': 'GET, OPTIONS',
         },
         body: JSON.stringify({ paymentMethods: result }),
@@ -57,7 +52,7 @@ function buildHandler(ctrl = controller) {
         }),
       };
     }
-  };
+  });
 }
 
 exports.handler = buildHandler();
@@ -5,9 +5,23 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const controller = require('../controllers/shoppingListController');
+const { createRateLimiter } = require('../services/rateLimitService');
+const { withRateLimit, isMiss } = require('../middleware/rateLimit');
 
-function buildHandler(ctrl = controller) {
-  return async function (event) {
+// Wrong or dead codes a client may try before being throttled
+const SHARE_CODE_MISS_LIMIT = 10;
+const SHARE_CODE_MISS_WINDOW_SECONDS = 15 * 60;
+
+function createShareCodeLimiter() {
+  return createRateLimiter({
+    name: 'share-code-lookup',
+    limit: SHARE_CODE_MISS_LIMIT,
+    windowSeconds: SHARE_CODE_MISS_WINDOW_SECONDS,
+  });
+}
+
+function buildHandler(ctrl = controller, limiter = createShareCodeLimiter()) {
+  const handler = async function (event) {
     if (event.httpMethod !== 'GET') {
       return { statusCode: 405, body: 'Method Not Allowed' };
     }
@@ -36,12 +50,16 @@ function buildHandler(ctrl = controller) {
         body: JSON.stringify(result),
       };
     } catch (e) {
+      // Revoked and expired codes existed, but no longer open the list
+      const gone = e.message.includes('revoked') || e.message.includes('expired');
       return {
-        statusCode: 400,
+        statusCode: gone ? 410 : 400,
         body: JSON.stringify({ error: e.message }),
       };
     }
   };
+
+  return withRateLimit(handler, { limiter, countWhen: isMiss });
 }
 
 exports.handler = buildHandler();
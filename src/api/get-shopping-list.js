@@ -11,6 +11,7 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const controller = require('../controllers/shoppingListController');
+const { withAuth } = require('../middleware/auth');
 
 /**
  * Build handler function for dependency injection
@@ -18,7 +19,7 @@ const controller = require('../controllers/shoppingListController');
  * @returns {Function} - Handler function
  */
 function buildHandler(ctrl = controller) {
-  return async function (event) {
+  return withAuth(async function (event) {
     // Only allow GET requests
     if (event.httpMethod !== 'GET') {
       return {
@@ -28,7 +29,8 @@ function buildHandler(ctrl = controller) {
     }
 
     try {
-      const { id, user_id } = event.queryStringParameters || {};
+      const { id } = event.queryStringParameters || {};
+      const { user_id } = event.auth;
 
       if (!id) {
         return {
@@ -37,13 +39,6 @@ function buildHandler(ctrl = controller) {
         };
       }
 
-      if (!user_id) {
-        return {
-          statusCode: 400,
-          body: JSON.stringify({ error: 'Missing user_id parameter' }),
-        };
-      }
-
       // Get shopping list by ID
       const list = await ctrl.getShoppingListById(id, user_id);
 
@@ -59,7 +54,7 @@ function buildHandler(ctrl = controller) {
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
           'Access-Control-Allow-Methods': 'GET, OPTIONS',
         },
         body: JSON.stringify(list),
@@ -71,7 +66,7 @@ function buildHandler(ctrl = controller) {
         body: JSON.stringify({ error: error.message || 'Internal server error' }),
       };
     }
-  };
+  });
 }
 
 exports.handler = buildHandler();
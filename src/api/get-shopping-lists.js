@@ -5,22 +5,17 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const controller = require('../controllers/shoppingListController');
+const { withAuth } = require('../middleware/auth');
 
 function buildHandler(ctrl = controller) {
-  return async function (event) {
+  return withAuth(async function (event) {
     if (event.httpMethod !== 'GET') {
       return { statusCode: 405, body: 'Method Not Allowed' };
     }
 
     try {
-      const params = event.queryStringParameters || {};
-
-      if (!params.user_id) {
-        return {
-          statusCode: 400,
-          body: JSON.stringify({ error: 'User ID is required' }),
-        };
-      }
+      // The user always comes from the session token, never from the query string
+      const params = { ...(event.queryStringParameters || {}), user_id: event.auth.user_id };
 
       console.log('Getting shopping lists for user:', params.user_id);
       console.log('Request params:', params);
@@ -34,7 +29,7 @@ function buildHandler(ctrl = controller) {
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
           'Access-Control-Allow-Methods': 'GET, OPTIONS',
         },
         body: JSON.stringify(result),
@@ -48,10 +43,9 @@ function buildHandler(ctrl = controller) {
 
       // Client errors (4xx)
       if (
-        e.message.includes('Invalid UUID format') ||
+        e.message.includes('Invalid') ||
         e.message.includes('User ID is required') ||
-        e.message.includes('Limit must be') ||
-        e.message.includes('Offset must be')
+        e.message.includes('Limit must be')
       ) {
         statusCode = 400;
       } else if (e.message.includes('not found') || e.message.includes('Not found')) {
@@ -68,7 +62,7 @@ function buildHandler(ctrl = controller) {
         }),
       };
     }
-  };
+  });
 }
 
 exports.handler = buildHandler();
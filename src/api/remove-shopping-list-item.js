@@ -11,14 +11,23 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const repository = require('../repositories/shoppingListRepository');
+const access = require('../services/listAccessService');
+const realtime = require('../services/realtimeService');
+const activityService = require('../services/activityService');
+const undoService = require('../services/undoService');
+const { isStaleChange } = require('../utils/offline');
+const { withShareableAuth } = require('../middleware/auth');
 
 /**
  * Build handler function for dependency injection
  * @param {Object} repo - Repository to inject
+ * @param {Object} [broker] - Realtime broker to inject (defaults to the configured one)
+ * @param {Object} activity - Activity service to inject
+ * @param {Object} undo - Undo service to inject
  * @returns {Function} - Handler function
  */
-function buildHandler(repo = repository) {
-  return async function (event) {
+function buildHandler(repo = repository, broker, activity = activityService, undo = undoService) {
+  return withShareableAuth(async function (event) {
     // Only allow DELETE requests
     if (event.httpMethod !== 'DELETE') {
       return {
@@ -28,7 +37,7 @@ function buildHandler(repo = repository) {
     }
 
     try {
-      const { itemId } = event.queryStringParameters || {};
+      const { itemId, base_updated_at } = event.queryStringParameters || {};
 
       if (!itemId) {
         return {
@@ -37,30 +46,70 @@ function buildHandler(repo = repository) {
         };
       }
 
-      // Remove the item
+      // The list owner, or a share code holder with edit permission, may remove items
+      const { item, list } = await access.authorizeItemAccess(itemId, event.auth, 'edit', repo);
+
+      // Replayed offline removals lose to changes saved after the version they were made to
+      if (isStaleChange(item, base_updated_at)) {
+        return {
+          statusCode: 409,
+          body: JSON.stringify({ error: 'Item was changed after this offline edit', item }),
+        };
+      }
+
+      // Remove the item (kept as a tombstone while the removal can be undone)
       const deletedItem = await repo.deleteShoppingListItem(itemId);
+      const undo_token = await undo.recordUndo(
+        'item_removed',
+        list,
+        [deletedItem || item],
+        event.auth
+      );
+
+      // Show the removal in the activity feed
+      await activity.recordItemActivity('item_removed', list, deletedItem || item, event.auth);
+
+      // Let other open views of the list drop the item
+      await realtime.publishItemChange(
+        item.list_id,
+        'DELETE',
+        deletedItem || item,
+        event.auth,
+        broker
+      );
 
       return {
         statusCode: 200,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Share-Token',
           'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
         },
         body: JSON.stringify({
           message: 'Item removed successfully',
           item: deletedItem,
+          undo_token,
         }),
       };
     } catch (error) {
       console.error('Error removing item from shopping list:', error);
+      let statusCode = 500;
+
+      if (error.message.includes('Invalid UUID format')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      }
+
       return {
-        statusCode: 500,
+        statusCode,
         body: JSON.stringify({ error: error.message || 'Internal server error' }),
       };
     }
-  };
+  });
 }
 
 exports.handler = buildHandler();
@@ -0,0 +1,79 @@
+/**
+ * Undo Item Operation
+ * Netlify Function to undo the last item removal or check/uncheck-all of a list
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const undoService = require('../services/undoService');
+const realtime = require('../services/realtimeService');
+const { withShareableAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} undo - Undo service to inject
+ * @param {Object} [broker] - Realtime broker to inject (defaults to the configured one)
+ * @returns {Function} - Handler function
+ */
+function buildHandler(undo = undoService, broker) {
+  return withShareableAuth(async function (event) {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const { undo_token } = JSON.parse(event.body || '{}');
+
+      const { action, list, items, skipped } = await undo.revertOperation(undo_token, event.auth);
+
+      // Let other open views of the list show the items again as they were
+      const type = action === 'item_removed' ? 'INSERT' : 'UPDATE';
+      for (const item of items) {
+        await realtime.publishItemChange(list.id, type, item, event.auth, broker);
+      }
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Share-Token',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        },
+        body: JSON.stringify({ action, items, skipped }),
+      };
+    } catch (error) {
+      console.error('Error undoing item operation:', error);
+      let statusCode = 500;
+
+      if (error.message.includes('Invalid') || error.message.includes('required')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('already')) {
+        statusCode = 409;
+      } else if (error.message.includes('expired')) {
+        statusCode = 410;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
@@ -0,0 +1,78 @@
+/**
+ * Update Household Member
+ * Netlify Function to change the role of a household member (PUT) or remove a member / leave the household (DELETE)
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const controller = require('../controllers/householdController');
+const { withAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} ctrl - Controller to inject
+ * @returns {Function} - Handler function
+ */
+function buildHandler(ctrl = controller) {
+  return withAuth(async function (event) {
+    // Only allow PUT/DELETE requests
+    if (event.httpMethod !== 'PUT' && event.httpMethod !== 'DELETE') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const { household_id, member_id, role } = JSON.parse(event.body || '{}');
+      const data = { household_id, member_id, user_id: event.auth.user_id };
+
+      const membership =
+        event.httpMethod === 'DELETE'
+          ? await ctrl.removeMember(data)
+          : await ctrl.updateMemberRole({ ...data, role });
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'PUT, DELETE, OPTIONS',
+        },
+        body: JSON.stringify(membership),
+      };
+    } catch (error) {
+      console.error('Error updating household member:', error);
+
+      let statusCode = 500;
+
+      if (
+        error.message.includes('Invalid') ||
+        error.message.includes('required') ||
+        error.message.includes('must')
+      ) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('at least one owner')) {
+        statusCode = 409;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
@@ -0,0 +1,85 @@
+/**
+ * Update Share Code
+ * Netlify Function for the owner to manage a list's share code:
+ * POST regenerates it, PUT sets its expiry and DELETE revokes it
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const controller = require('../controllers/shoppingListController');
+const { withAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} ctrl - Controller to inject
+ * @returns {Function} - Handler function
+ */
+function buildHandler(ctrl = controller) {
+  return withAuth(async function (event) {
+    // Only allow POST/PUT/DELETE requests
+    if (!['POST', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const { id, format, expires_at } = JSON.parse(event.body || '{}');
+      const data = { id, user_id: event.auth.user_id };
+
+      let list;
+      if (event.httpMethod === 'POST') {
+        list = await ctrl.regenerateShareCode({ ...data, format, expires_at });
+      } else if (event.httpMethod === 'PUT') {
+        list = await ctrl.updateShareCodeExpiry({ ...data, expires_at });
+      } else {
+        list = await ctrl.revokeShareCode(data);
+      }
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'POST, PUT, DELETE, OPTIONS',
+        },
+        body: JSON.stringify({
+          id: list.id,
+          share_code: list.share_code,
+          share_code_expires_at: list.share_code_expires_at || null,
+          share_code_revoked_at: list.share_code_revoked_at || null,
+          share_permission: list.share_permission,
+        }),
+      };
+    } catch (error) {
+      console.error('Error updating share code:', error);
+
+      let statusCode = 500;
+
+      if (
+        error.message.includes('Invalid') ||
+        error.message.includes('required') ||
+        error.message.includes('must')
+      ) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
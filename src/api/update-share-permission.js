@@ -0,0 +1,81 @@
+/**
+ * Update Share Permission
+ * Netlify Function to choose what people who open a list by its share code may do
+ */
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {}
+}
+
+const controller = require('../controllers/shoppingListController');
+const { withAuth } = require('../middleware/auth');
+
+/**
+ * Build handler function for dependency injection
+ * @param {Object} ctrl - Controller to inject
+ * @returns {Function} - Handler function
+ */
+function buildHandler(ctrl = controller) {
+  return withAuth(async function (event) {
+    // Only allow PUT/PATCH requests
+    if (event.httpMethod !== 'PUT' && event.httpMethod !== 'PATCH') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
+
+    try {
+      const { id, share_permission } = JSON.parse(event.body || '{}');
+
+      if (!id) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ error: 'Shopping list ID is required' }),
+        };
+      }
+
+      const list = await ctrl.updateSharePermission({
+        id,
+        user_id: event.auth.user_id,
+        share_permission,
+      });
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'PUT, PATCH, OPTIONS',
+        },
+        body: JSON.stringify({
+          id: list.id,
+          share_code: list.share_code,
+          share_permission: list.share_permission,
+        }),
+      };
+    } catch (error) {
+      console.error('Error updating share permission:', error);
+
+      let statusCode = 500;
+
+      if (error.message.includes('Invalid') || error.message.includes('required')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      return {
+        statusCode,
+        body: JSON.stringify({ error: error.message || 'Internal server error' }),
+      };
+    }
+  });
+}
+
+exports.handler = buildHandler();
+exports.buildHandler = buildHandler; // For testing
@@ -11,14 +11,28 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const repository = require('../repositories/shoppingListRepository');
+const access = require('../services/listAccessService');
+const realtime = require('../services/realtimeService');
+const priceHistory = require('../services/priceHistoryService');
+const activityService = require('../services/activityService');
+const { isStaleChange } = require('../utils/offline');
+const { withShareableAuth } = require('../middleware/auth');
 
 /**
  * Build handler function for dependency injection
  * @param {Object} repo - Repository to inject
+ * @param {Object} [broker] - Realtime broker to inject (defaults to the configured one)
+ * @param {Object} prices - Price history service to inject
+ * @param {Object} activity - Activity service to inject
  * @returns {Function} - Handler function
  */
-function buildHandler(repo = repository) {
-  return async function (event) {
+function buildHandler(
+  repo = repository,
+  broker,
+  prices = priceHistory,
+  activity = activityService
+) {
+  return withShareableAuth(async function (event) {
     // Only allow PUT/PATCH requests
     if (event.httpMethod !== 'PUT' && event.httpMethod !== 'PATCH') {
       return {
@@ -106,27 +120,70 @@ function buildHandler(repo = repository) {
         };
       }
 
+      // Ticking items off only needs the "check" share permission; anything else needs "edit"
+      const action = Object.keys(updates).every((field) => field === 'is_checked')
+        ? 'check'
+        : 'edit';
+      const { item, list } = await access.authorizeItemAccess(itemId, event.auth, action, repo);
+
+      // Replayed offline changes lose to changes saved after the version they were made to
+      if (isStaleChange(item, requestBody.base_updated_at)) {
+        return {
+          statusCode: 409,
+          body: JSON.stringify({ error: 'Item was changed after this offline edit', item }),
+        };
+      }
+
       // Update the item
       const updatedItem = await repo.updateShoppingListItem(itemId, updates);
 
+      // New prices, and prices confirmed by checking the item, go to the price history
+      const priceSource = priceHistory.getUpdateSource(updates);
+      if (priceSource) {
+        await prices.recordItemPrices([updatedItem], list, priceSource);
+      }
+
+      // Show the change in the activity feed, and the list's completion when nothing is left to buy
+      if (updates.is_checked === true) {
+        await activity.recordItemActivity('item_checked', list, updatedItem, event.auth);
+        await activity.recordListCompletion(list, event.auth, repo);
+      } else {
+        await activity.recordItemActivity('item_updated', list, updatedItem, event.auth, {
+          fields: Object.keys(updates),
+        });
+      }
+
+      // Let other open views of the list show the change
+      await realtime.publishItemChange(item.list_id, 'UPDATE', updatedItem, event.auth, broker);
+
       return {
         statusCode: 200,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Share-Token',
           'Access-Control-Allow-Methods': 'PUT, PATCH, OPTIONS',
         },
         body: JSON.stringify(updatedItem),
       };
     } catch (error) {
       console.error('Error updating shopping list item:', error);
+      let statusCode = 500;
+
+      if (error.message.includes('Invalid UUID format')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not authorized')) {
+        statusCode = 403;
+      }
+
       return {
-        statusCode: 500,
+        statusCode,
         body: JSON.stringify({ error: error.message || 'Internal server error' }),
       };
     }
-  };
+  });
 }
 
 exports.handler = buildHandler();
@@ -0,0 +1,32 @@
+/**
+ * Activity Controller
+ * Handles HTTP requests and delegates to services
+ */
+
+const service = require('../services/activityService');
+
+/**
+ * Get a page of the activity feed of a user
+ * @param {Object} params - Query parameters
+ * @param {string} params.user_id - User ID
+ * @param {string} [params.limit] - Page size
+ * @param {string} [params.offset] - Activities to skip
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - { activities, pagination }
+ */
+async function getActivityFeed(params, srv = service) {
+  const { user_id, limit, offset } = params || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.getActivityFeed(user_id, {
+    limit: limit !== undefined && limit !== '' ? Number(limit) : undefined,
+    offset: offset !== undefined && offset !== '' ? Number(offset) : undefined,
+  });
+}
+
+module.exports = {
+  getActivityFeed,
+};
@@ -0,0 +1,30 @@
+/**
+ * Analytics Controller
+ * Handles HTTP requests and delegates to services
+ */
+
+const service = require('../services/analyticsService');
+
+/**
+ * Get the spending analytics of a user
+ * @param {Object} params - Query parameters
+ * @param {string} params.user_id - User ID
+ * @param {string} [params.months] - How many months, ending with the current one
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Analytics
+ */
+async function getAnalytics(params, srv = service) {
+  const { user_id, months } = params || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.getSpendingAnalytics(user_id, {
+    months: months !== undefined && months !== '' ? Number(months) : undefined,
+  });
+}
+
+module.exports = {
+  getAnalytics,
+};
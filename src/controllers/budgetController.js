@@ -0,0 +1,102 @@
+/**
+ * Budget Controller
+ * Handles HTTP requests and delegates to services
+ */
+
+const service = require('../services/budgetService');
+
+/**
+ * Get the budgets of a user and how much of them a month used
+ * @param {Object} params - Query parameters
+ * @param {string} params.user_id - User ID
+ * @param {string} [params.month] - YYYY-MM (defaults to the current month)
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - { month, budgets, scopes }
+ */
+async function getBudgets(params, srv = service) {
+  const { user_id, month } = params || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.getBudgetReport(user_id, month || undefined);
+}
+
+/**
+ * Create a budget
+ * @param {Object} data - Budget data
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Created budget
+ */
+async function createBudget(data, srv = service) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Request data is required');
+  }
+
+  const { user_id, amount, category, household_id } = data;
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.createBudget({ user_id, amount, category, household_id });
+}
+
+/**
+ * Update a budget
+ * @param {Object} data - Update data
+ * @param {string} data.budget_id - Budget ID
+ * @param {string} data.user_id - User ID for authorization
+ * @param {Object} data.updates - Fields to update (amount, category)
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Updated budget
+ */
+async function updateBudget(data, srv = service) {
+  const { budget_id, user_id, updates } = data || {};
+
+  if (!budget_id) {
+    throw new Error('Budget ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  if (!updates || typeof updates !== 'object') {
+    throw new Error('Updates object is required');
+  }
+
+  const { amount, category } = updates;
+
+  return srv.updateBudget(budget_id, user_id, { amount, category });
+}
+
+/**
+ * Delete a budget
+ * @param {Object} params - Request parameters
+ * @param {string} params.budget_id - Budget ID
+ * @param {string} params.user_id - User ID for authorization
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Deleted budget
+ */
+async function deleteBudget(params, srv = service) {
+  const { budget_id, user_id } = params || {};
+
+  if (!budget_id) {
+    throw new Error('Budget ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.deleteBudget(budget_id, user_id);
+}
+
+module.exports = {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+};
@@ -0,0 +1,154 @@
+/**
+ * Household Controller
+ * Handles HTTP requests and delegates to services
+ */
+
+const service = require('../services/householdService');
+
+/**
+ * Create a household
+ * @param {Object} data - Household data
+ * @param {string} data.user_id - Creator user ID
+ * @param {string} data.name - Household name
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Created household
+ */
+async function createHousehold(data, srv = service) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Request data is required');
+  }
+
+  const { user_id, name } = data;
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.createHousehold(user_id, name);
+}
+
+/**
+ * Get the households of a user
+ * @param {Object} params - Query parameters
+ * @param {string} params.user_id - User ID
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Array>} - Households with members
+ */
+async function getHouseholds(params, srv = service) {
+  const { user_id } = params || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.getHouseholds(user_id);
+}
+
+/**
+ * Invite someone to a household
+ * @param {Object} data - Invitation data
+ * @param {string} data.household_id - Household ID
+ * @param {string} data.user_id - Inviting user ID
+ * @param {string} [data.role] - Role granted on acceptance
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Created invitation
+ */
+async function inviteMember(data, srv = service) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Request data is required');
+  }
+
+  const { household_id, user_id, role } = data;
+
+  if (!household_id) {
+    throw new Error('Household ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.inviteMember(household_id, user_id, role || 'member');
+}
+
+/**
+ * Accept a household invitation
+ * @param {Object} data - Request data
+ * @param {string} data.code - Invitation code
+ * @param {string} data.user_id - User accepting the invitation
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - The new membership
+ */
+async function acceptInvitation(data, srv = service) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Request data is required');
+  }
+
+  const { code, user_id } = data;
+
+  if (!code) {
+    throw new Error('Invitation code is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.acceptInvitation(code, user_id);
+}
+
+/**
+ * Change the role of a household member
+ * @param {Object} data - Request data
+ * @param {string} data.household_id - Household ID
+ * @param {string} data.user_id - User making the change
+ * @param {string} data.member_id - Member whose role changes
+ * @param {string} data.role - New role
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Updated membership
+ */
+async function updateMemberRole(data, srv = service) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Request data is required');
+  }
+
+  const { household_id, user_id, member_id, role } = data;
+
+  if (!household_id) {
+    throw new Error('Household ID is required');
+  }
+
+  return srv.updateMemberRole(household_id, user_id, member_id, role);
+}
+
+/**
+ * Remove a member from a household (or leave it)
+ * @param {Object} data - Request data
+ * @param {string} data.household_id - Household ID
+ * @param {string} data.user_id - User making the change
+ * @param {string} data.member_id - Member to remove
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Removed membership
+ */
+async function removeMember(data, srv = service) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Request data is required');
+  }
+
+  const { household_id, user_id, member_id } = data;
+
+  if (!household_id) {
+    throw new Error('Household ID is required');
+  }
+
+  return srv.removeMember(household_id, user_id, member_id);
+}
+
+module.exports = {
+  createHousehold,
+  getHouseholds,
+  inviteMember,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+};
@@ -0,0 +1,133 @@
+/**
+ * List Template Controller
+ * Handles HTTP requests and delegates to services
+ */
+
+const service = require('../services/listTemplateService');
+const activityService = require('../services/activityService');
+
+/**
+ * Get the templates of a user
+ * @param {Object} params - Query parameters
+ * @param {string} params.user_id - User ID
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Array>} - Templates with their items
+ */
+async function getTemplates(params, srv = service) {
+  const { user_id } = params || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.getTemplates(user_id);
+}
+
+/**
+ * Save an existing list as a template
+ * @param {Object} data - Template data
+ * @param {string} data.list_id - Shopping list to save
+ * @param {string} data.user_id - User ID
+ * @param {string} [data.name] - Template name (defaults to the list's title)
+ * @param {string} [data.description] - Template description
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Created template
+ */
+async function createTemplate(data, srv = service) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Request data is required');
+  }
+
+  const { list_id, user_id, name, description } = data;
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.createTemplateFromList(list_id, user_id, { name, description });
+}
+
+/**
+ * Create a new shopping list from a template
+ * @param {Object} data - List data
+ * @param {string} data.template_id - Template ID
+ * @param {string} data.user_id - User ID
+ * @param {string} data.shopping_date - Date of the new list (YYYY-MM-DD)
+ * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
+ * @returns {Promise<Object>} - Created shopping list with items
+ */
+async function instantiateTemplate(data, srv = service, activity = activityService) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Request data is required');
+  }
+
+  const {
+    template_id,
+    user_id,
+    title,
+    description,
+    shopping_date,
+    market_id,
+    payment_id,
+    household_id,
+    recurrence_rule,
+    recurrence_weekdays,
+  } = data;
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const list = await srv.instantiateTemplate(template_id, user_id, {
+    title,
+    description,
+    shopping_date,
+    market_id,
+    payment_id,
+    household_id,
+    recurrence_rule,
+    recurrence_weekdays,
+  });
+
+  await activity.recordActivity(
+    'list_created',
+    list,
+    { user_id },
+    {
+      items_count: list.items.length,
+      template_id,
+    }
+  );
+
+  return list;
+}
+
+/**
+ * Delete a template
+ * @param {Object} params - Request parameters
+ * @param {string} params.template_id - Template ID
+ * @param {string} params.user_id - User ID
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Deleted template
+ */
+async function deleteTemplate(params, srv = service) {
+  const { template_id, user_id } = params || {};
+
+  if (!template_id) {
+    throw new Error('Template ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.deleteTemplate(template_id, user_id);
+}
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  instantiateTemplate,
+  deleteTemplate,
+};
@@ -4,6 +4,26 @@
  */
 
 const service = require('../services/marketService');
+const Market = require('../models/Market');
+
+// Fields a client may set on a market
+const MARKET_FIELDS = ['name', 'address', 'cnpj', 'phone', 'email', 'website'];
+
+/**
+ * Validate market data with the Market model
+ * @param {Object} data - Market data
+ * @returns {Market} - Valid market model
+ */
+function validateMarket(data) {
+  const market = new Market(data);
+  const validation = market.validate();
+
+  if (!validation.isValid) {
+    throw new Error(`Market validation failed: ${validation.errors.join(', ')}`);
+  }
+
+  return market;
+}
 
 /**
  * Get markets for a user
@@ -43,7 +63,7 @@ async function getMarketById(id, user_id, srv = service) {
 
 /**
  * Create a new market
- * @param {Object} data - Market data
+ * @param {Object} data - Market data (household_id shares it with a household)
  * @param {Object} srv - Service dependency (for testing)
  * @returns {Promise<Object>} - Created market
  */
@@ -52,7 +72,14 @@ async function createMarket(data, srv = service) {
     throw new Error('Request data is required');
   }
 
-  return srv.createMarket(data);
+  const market = validateMarket(data);
+  const marketData = market.toDbFormat();
+
+  if (data.household_id) {
+    marketData.household_id = data.household_id;
+  }
+
+  return srv.createMarket(marketData);
 }
 
 /**
@@ -79,7 +106,25 @@ async function updateMarket(data, srv = service) {
     throw new Error('Updates object is required');
   }
 
-  return srv.updateMarket(id, user_id, updates);
+  const fields = MARKET_FIELDS.filter((field) => updates[field] !== undefined);
+  if (fields.length === 0) {
+    throw new Error(`Updates must include one of: ${MARKET_FIELDS.join(', ')}`);
+  }
+
+  const existing = await srv.getMarketById(id, user_id);
+  if (!existing) {
+    throw new Error('Market not found');
+  }
+
+  // Validate the market as it will be after the update, but only write the changed fields
+  const market = validateMarket({ ...existing, ...updates, user_id: existing.user_id });
+  const dbFormat = market.toDbFormat();
+  const changes = {};
+  fields.forEach((field) => {
+    changes[field] = dbFormat[field];
+  });
+
+  return srv.updateMarket(id, user_id, changes);
 }
 
 /**
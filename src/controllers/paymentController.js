@@ -38,7 +38,7 @@ async function createPaymentMethod(data, srv = service) {
     throw new Error('Request data is required');
   }
 
-  const { user_id, type, description, is_default, enabled } = data;
+  const { user_id, type, description, is_default, enabled, household_id } = data;
 
   if (!user_id) {
     throw new Error('User ID is required');
@@ -54,6 +54,7 @@ async function createPaymentMethod(data, srv = service) {
     description,
     is_default,
     enabled,
+    household_id,
   };
 
   return srv.createPaymentMethod(paymentData);
@@ -108,9 +109,32 @@ async function deletePaymentMethod(params, srv = service) {
   return srv.deletePaymentMethod(payment_id, user_id);
 }
 
+/**
+ * Make a payment method the user's default
+ * @param {Object} params - Request parameters
+ * @param {string} params.payment_id - Payment method ID
+ * @param {string} params.user_id - User ID for authorization
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Object} - New default payment method
+ */
+async function setDefaultPaymentMethod(params, srv = service) {
+  const { payment_id, user_id } = params || {};
+
+  if (!payment_id) {
+    throw new Error('Payment ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.setDefaultPaymentMethod(payment_id, user_id);
+}
+
 module.exports = {
   getPaymentMethods,
   createPaymentMethod,
   updatePaymentMethod,
   deletePaymentMethod,
+  setDefaultPaymentMethod,
 };
@@ -0,0 +1,60 @@
+/**
+ * Price History Controller
+ * Handles HTTP requests and delegates to services
+ */
+
+const service = require('../services/priceHistoryService');
+
+/**
+ * Get the price trend of a product across markets
+ * @param {Object} params - Query parameters
+ * @param {string} params.product - Product name
+ * @param {string} params.user_id - User ID
+ * @param {string} [params.market_id] - Only this market
+ * @param {string} [params.days] - How many days back to look
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Price trend
+ */
+async function getPriceTrend(params, srv = service) {
+  const { product, user_id, market_id, days } = params || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  if (!product) {
+    throw new Error('Product name is required');
+  }
+
+  return srv.getPriceTrend(product, user_id, {
+    market_id: market_id || undefined,
+    days: days !== undefined && days !== '' ? Number(days) : undefined,
+  });
+}
+
+/**
+ * Get the last price seen elsewhere for each item of a list
+ * @param {Object} params - Query parameters
+ * @param {string} params.list_id - Shopping list ID
+ * @param {string} params.user_id - User ID
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Last prices keyed by item ID
+ */
+async function getLastPricesForList(params, srv = service) {
+  const { list_id, user_id } = params || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  if (!list_id) {
+    throw new Error('List ID is required');
+  }
+
+  return srv.getLastPricesForList(list_id, user_id);
+}
+
+module.exports = {
+  getPriceTrend,
+  getLastPricesForList,
+};
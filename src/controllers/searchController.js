@@ -0,0 +1,31 @@
+/**
+ * Search Controller
+ * Handles HTTP requests and delegates to services
+ */
+
+const service = require('../services/searchService');
+
+/**
+ * Search the lists of a user and their items
+ * @param {Object} params - Query parameters
+ * @param {string} params.user_id - User ID
+ * @param {string} params.q - Search query
+ * @param {string} [params.limit] - Results to return
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - { query, terms, results }
+ */
+async function searchShoppingLists(params, srv = service) {
+  const { user_id, q, limit } = params || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.searchShoppingLists(user_id, q, {
+    limit: limit !== undefined && limit !== '' ? Number(limit) : undefined,
+  });
+}
+
+module.exports = {
+  searchShoppingLists,
+};
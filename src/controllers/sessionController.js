@@ -0,0 +1,42 @@
+/**
+ * Session Controller
+ * Handles HTTP requests and delegates to services
+ */
+
+const service = require('../services/sessionService');
+
+/**
+ * Create a session (log in) for a user
+ * @param {Object} data - Login data
+ * @param {string} data.name - User name
+ * @param {string} data.phone - Phone number
+ * @param {string} data.password - Password
+ * @param {boolean} [data.skipped_onboarding] - Whether onboarding was skipped
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - { token, expires_at, user }
+ */
+async function createSession(data, srv = service) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Request data is required');
+  }
+
+  const { name, phone, password, skipped_onboarding } = data;
+
+  if (!name) {
+    throw new Error('Name is required');
+  }
+
+  if (!phone) {
+    throw new Error('Phone is required');
+  }
+
+  if (!password) {
+    throw new Error('Password is required');
+  }
+
+  return srv.createSession({ name, phone, password, skipped_onboarding });
+}
+
+module.exports = {
+  createSession,
+};
@@ -5,30 +5,52 @@
  */
 
 const service = require('../services/shoppingListService');
+const activityService = require('../services/activityService');
+const { listChannelName } = require('../services/realtimeService');
 const { ShoppingList, ShoppingListItem } = require('../models/ShoppingList');
+const { parseItemTextStrict } = require('../utils/itemParser');
 
 /**
  * Create a new shopping list with items
  * @param {Object} data - Shopping list data with items
+ * @param {string} [data.items_text] - More items as free text, one per line (e.g. "2kg arroz R$ 25")
  * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
  * @returns {Object} - Created shopping list with items
  */
-async function createShoppingList(data, srv = service) {
+async function createShoppingList(data, srv = service, activity = activityService) {
   if (!data || typeof data !== 'object') {
     throw new Error('Request data is required');
   }
 
   // Extract list data and items from request
-  const { title, description, shopping_date, market_id, payment_id, user_id, items } = data;
+  const {
+    title,
+    description,
+    shopping_date,
+    market_id,
+    payment_id,
+    household_id,
+    recurrence_rule,
+    recurrence_weekdays,
+    user_id,
+    items_text,
+  } = data;
 
   if (!user_id) {
     throw new Error('User ID is required');
   }
 
-  if (!Array.isArray(items)) {
+  if (!Array.isArray(data.items) && !(data.items === undefined && items_text !== undefined)) {
     throw new Error('Items must be an array');
   }
 
+  // Pasted lines are added after the items filled in one by one
+  const items = [
+    ...(data.items || []),
+    ...(items_text !== undefined ? parseItemTextStrict(items_text) : []),
+  ];
+
   // Create and validate shopping list model
   const shoppingList = new ShoppingList({
     user_id,
@@ -37,6 +59,9 @@ async function createShoppingList(data, srv = service) {
     shopping_date,
     market_id,
     payment_id,
+    household_id,
+    recurrence_rule,
+    recurrence_weekdays,
   });
 
   const listValidation = shoppingList.validate();
@@ -58,51 +83,60 @@ async function createShoppingList(data, srv = service) {
   }
 
   // Delegate to service with validated data
-  return srv.createShoppingList(shoppingList.toDbFormat(), validatedItems);
+  const list = await srv.createShoppingList(shoppingList.toDbFormat(), validatedItems);
+
+  await activity.recordActivity(
+    'list_created',
+    list,
+    { user_id },
+    {
+      items_count: validatedItems.length,
+    }
+  );
+
+  return list;
 }
 
 /**
- * Get shopping lists for a user
+ * Get a page of the shopping lists of a user
  * @param {Object} params - Query parameters
  * @param {string} params.user_id - User ID
+ * @param {number} params.limit - Number of records to return
+ * @param {string} params.cursor - `next_cursor` of the previous page
+ * @param {string} params.sort - Sort order, e.g. "shopping_date:asc,title:asc"
+ * @param {string} params.status - Statuses to include (upcoming, today, overdue, completed)
+ * @param {string} params.today - The user's date, the statuses are computed for (YYYY-MM-DD)
+ * @param {string} params.timezone - The user's time zone (e.g. America/Sao_Paulo), when there is no today
+ * @param {string} params.date_from - Earliest shopping date (YYYY-MM-DD)
+ * @param {string} params.date_to - Latest shopping date (YYYY-MM-DD)
+ * @param {string} params.payment_id - Filter by payment method
+ * @param {number} params.min_total - Lowest total amount
+ * @param {number} params.max_total - Highest total amount
+ * @param {boolean} params.has_unchecked_items - Filter by whether items are left to buy
+ * @param {string} params.title - Text the title contains
  * @param {boolean} params.is_completed - Filter by completion status
  * @param {string} params.market_id - Filter by market
- * @param {number} params.limit - Number of records to return
- * @param {number} params.offset - Number of records to skip
- * @param {string} params.orderBy - Field to order by
- * @param {string} params.orderDirection - Order direction (asc/desc)
  * @param {Object} srv - Service dependency (for testing)
- * @returns {Array} - Array of shopping lists
+ * @returns {Object} - { lists, pagination: { limit, next_cursor, has_more, total_count } }
  */
 async function getShoppingLists(params, srv = service) {
-  const { user_id, is_completed, market_id, orderBy, orderDirection } = params || {};
+  const { user_id, ...query } = params || {};
 
   if (!user_id) {
     throw new Error('User ID is required');
   }
 
   // Convert string parameters to numbers with validation
-  let limit = parseInt(params.limit) || 50;
-  let offset = parseInt(params.offset) || 0;
+  let limit = parseInt(query.limit) || 50;
 
   if (limit < 1 || limit > 100) {
     throw new Error('Limit must be a number between 1 and 100');
   }
 
-  if (offset < 0) {
-    throw new Error('Offset must be a non-negative number');
-  }
-
-  const options = {
-    is_completed,
-    market_id,
-    limit,
-    offset,
-    orderBy,
-    orderDirection,
-  };
+  // Filters and sort order are validated by the service
+  const options = { ...query, limit };
 
-  return srv.getShoppingLists(user_id, options);
+  return srv.getShoppingListsPage(user_id, options);
 }
 
 /**
@@ -121,12 +155,21 @@ async function getShoppingListById(id, user_id, srv = service) {
     throw new Error('User ID is required');
   }
 
-  return srv.getShoppingListById(id, user_id);
+  return withRealtimeChannel(await srv.getShoppingListById(id, user_id));
+}
+
+/**
+ * Add the name of the list's realtime channel to a list the caller may see
+ * @param {Object|null} list - Shopping list
+ * @returns {Object|null} - Shopping list with realtime_channel
+ */
+function withRealtimeChannel(list) {
+  return list ? { ...list, realtime_channel: listChannelName(list.id) } : list;
 }
 
 /**
  * Get shopping list by share code (public access)
- * @param {string} shareCode - 4-digit share code
+ * @param {string} shareCode - Share code (legacy 4 digits or 12 letters/digits)
  * @param {Object} srv - Service dependency (for testing)
  * @returns {Object|null} - Shopping list with items or null if not found
  */
@@ -135,7 +178,7 @@ async function getShoppingListByShareCode(shareCode, srv = service) {
     throw new Error('Share code is required');
   }
 
-  return srv.getShoppingListByShareCode(shareCode);
+  return withRealtimeChannel(await srv.getShoppingListByShareCode(shareCode));
 }
 
 /**
@@ -165,15 +208,220 @@ async function updateShoppingList(data, srv = service) {
   return srv.updateShoppingList(id, user_id, updates);
 }
 
+/**
+ * Update the permission granted to share code holders
+ * @param {Object} data - Update data
+ * @param {string} data.id - Shopping list ID
+ * @param {string} data.user_id - Owner user ID
+ * @param {string} data.share_permission - 'view', 'check' or 'edit'
+ * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
+ * @returns {Object} - Updated shopping list
+ */
+async function updateSharePermission(data, srv = service, activity = activityService) {
+  const { id, user_id, share_permission } = data || {};
+
+  if (!id) {
+    throw new Error('Shopping list ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  if (!share_permission) {
+    throw new Error('Share permission is required');
+  }
+
+  const list = await srv.updateSharePermission(id, user_id, share_permission);
+
+  await activity.recordActivity(
+    'list_shared',
+    list,
+    { user_id },
+    {
+      change: 'permission',
+      share_permission: list.share_permission,
+    }
+  );
+
+  return list;
+}
+
+/**
+ * Give a list a new share code
+ * @param {Object} data - Request data
+ * @param {string} data.id - Shopping list ID
+ * @param {string} data.user_id - Owner user ID
+ * @param {string} [data.format] - 'token' (12 letters/digits) or 'numeric' (4 digits)
+ * @param {string|null} [data.expires_at] - When the new code stops working
+ * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
+ * @returns {Object} - Updated shopping list
+ */
+async function regenerateShareCode(data, srv = service, activity = activityService) {
+  const { id, user_id, format, expires_at } = data || {};
+
+  if (!id) {
+    throw new Error('Shopping list ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const list = await srv.regenerateShareCode(id, user_id, { format, expires_at });
+
+  await activity.recordActivity(
+    'list_shared',
+    list,
+    { user_id },
+    {
+      change: 'regenerated',
+      share_code: list.share_code,
+    }
+  );
+
+  return list;
+}
+
+/**
+ * Set when a list's share code stops working
+ * @param {Object} data - Request data
+ * @param {string} data.id - Shopping list ID
+ * @param {string} data.user_id - Owner user ID
+ * @param {string|null} data.expires_at - Expiry date, or null for never
+ * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
+ * @returns {Object} - Updated shopping list
+ */
+async function updateShareCodeExpiry(data, srv = service, activity = activityService) {
+  const { id, user_id, expires_at } = data || {};
+
+  if (!id) {
+    throw new Error('Shopping list ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  if (expires_at === undefined) {
+    throw new Error('Share code expiry is required (null for never)');
+  }
+
+  const list = await srv.updateShareCodeExpiry(id, user_id, expires_at);
+
+  await activity.recordActivity(
+    'list_shared',
+    list,
+    { user_id },
+    {
+      change: 'expiry',
+      share_code_expires_at: list.share_code_expires_at || null,
+    }
+  );
+
+  return list;
+}
+
+/**
+ * Revoke a list's share code
+ * @param {Object} data - Request data
+ * @param {string} data.id - Shopping list ID
+ * @param {string} data.user_id - Owner user ID
+ * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
+ * @returns {Object} - Updated shopping list
+ */
+async function revokeShareCode(data, srv = service, activity = activityService) {
+  const { id, user_id } = data || {};
+
+  if (!id) {
+    throw new Error('Shopping list ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const list = await srv.revokeShareCode(id, user_id);
+
+  await activity.recordActivity('list_shared', list, { user_id }, { change: 'revoked' });
+
+  return list;
+}
+
+/**
+ * Duplicate a shopping list
+ * @param {Object} data - Request data
+ * @param {string} data.id - Shopping list ID
+ * @param {string} data.user_id - User ID
+ * @param {string} [data.title] - Title of the copy
+ * @param {string} [data.shopping_date] - Date of the copy
+ * @param {string|null} [data.market_id] - Market of the copy
+ * @param {string|null} [data.payment_id] - Payment method of the copy
+ * @param {boolean} [data.keep_checked] - Keep which items were bought
+ * @param {boolean} [data.keep_prices] - Keep the item prices
+ * @param {boolean} [data.keep_notes] - Keep the item notes
+ * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
+ * @returns {Object} - Created shopping list with items
+ */
+async function duplicateShoppingList(data, srv = service, activity = activityService) {
+  const {
+    id,
+    user_id,
+    title,
+    shopping_date,
+    market_id,
+    payment_id,
+    keep_checked,
+    keep_prices,
+    keep_notes,
+  } = data || {};
+
+  if (!id) {
+    throw new Error('Shopping list ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const list = await srv.duplicateShoppingList(id, user_id, {
+    title,
+    shopping_date,
+    market_id,
+    payment_id,
+    keep_checked,
+    keep_prices,
+    keep_notes,
+  });
+
+  await activity.recordActivity(
+    'list_created',
+    list,
+    { user_id },
+    {
+      items_count: list.items.length,
+      duplicated_from: id,
+    }
+  );
+
+  return list;
+}
+
 /**
  * Delete shopping list
  * @param {Object} params - Request parameters
  * @param {string} params.id - Shopping list ID
  * @param {string} params.user_id - User ID for authorization
  * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
  * @returns {Object} - Deleted shopping list
  */
-async function deleteShoppingList(params, srv = service) {
+async function deleteShoppingList(params, srv = service, activity = activityService) {
   const { id, user_id } = params || {};
 
   if (!id) {
@@ -184,7 +432,86 @@ async function deleteShoppingList(params, srv = service) {
     throw new Error('User ID is required');
   }
 
-  return srv.deleteShoppingList(id, user_id);
+  const list = await srv.deleteShoppingList(id, user_id);
+
+  await activity.recordActivity('list_deleted', list, { user_id });
+
+  return list;
+}
+
+/**
+ * Get the deleted shopping lists of a user (the trash)
+ * @param {Object} params - Query parameters
+ * @param {string} params.user_id - User ID
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - { lists, retention_days }
+ */
+async function getTrash(params, srv = service) {
+  const { user_id } = params || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const lists = await srv.getTrash(user_id);
+
+  return { lists, retention_days: srv.TRASH_RETENTION_DAYS };
+}
+
+/**
+ * Restore a deleted shopping list
+ * @param {Object} params - Request parameters
+ * @param {string} params.id - Shopping list ID
+ * @param {string} params.user_id - User ID for authorization
+ * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
+ * @returns {Promise<Object>} - Restored shopping list
+ */
+async function restoreShoppingList(params, srv = service, activity = activityService) {
+  const { id, user_id } = params || {};
+
+  if (!id) {
+    throw new Error('Shopping list ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const list = await srv.restoreShoppingList(id, user_id);
+
+  await activity.recordActivity(
+    'list_restored',
+    list,
+    { user_id },
+    {
+      share_code_changed: list.share_code_changed,
+    }
+  );
+
+  return list;
+}
+
+/**
+ * Permanently delete a shopping list from the trash
+ * @param {Object} params - Request parameters
+ * @param {string} params.id - Shopping list ID
+ * @param {string} params.user_id - User ID for authorization
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Purged shopping list ({ id, title })
+ */
+async function purgeShoppingList(params, srv = service) {
+  const { id, user_id } = params || {};
+
+  if (!id) {
+    throw new Error('Shopping list ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.purgeShoppingList(id, user_id);
 }
 
 /**
@@ -193,9 +520,10 @@ async function deleteShoppingList(params, srv = service) {
  * @param {string} params.id - Shopping list ID
  * @param {string} params.user_id - User ID for authorization
  * @param {Object} srv - Service dependency (for testing)
+ * @param {Object} activity - Activity service dependency (for testing)
  * @returns {Object} - Updated shopping list
  */
-async function completeShoppingList(params, srv = service) {
+async function completeShoppingList(params, srv = service, activity = activityService) {
   const { id, user_id } = params || {};
 
   if (!id) {
@@ -210,7 +538,11 @@ async function completeShoppingList(params, srv = service) {
     is_completed: true,
   };
 
-  return srv.updateShoppingList(id, user_id, updates);
+  const list = await srv.updateShoppingList(id, user_id, updates);
+
+  await activity.recordActivity('list_completed', list, { user_id });
+
+  return list;
 }
 
 /**
@@ -276,7 +608,15 @@ module.exports = {
   getShoppingListById,
   getShoppingListByShareCode,
   updateShoppingList,
+  updateSharePermission,
+  regenerateShareCode,
+  updateShareCodeExpiry,
+  revokeShareCode,
+  duplicateShoppingList,
   deleteShoppingList,
+  getTrash,
+  restoreShoppingList,
+  purgeShoppingList,
   completeShoppingList,
   getShoppingListStats,
 };
@@ -0,0 +1,28 @@
+/**
+ * User Controller
+ * Handles HTTP requests and delegates to services
+ */
+
+const service = require('../services/userService');
+
+/**
+ * Update the profile of the logged-in user
+ * @param {Object} data - Request data
+ * @param {string} data.user_id - User ID (from the session)
+ * @param {Object} data.updates - Fields to update
+ * @param {Object} srv - Service dependency (for testing)
+ * @returns {Promise<Object>} - Updated user
+ */
+async function updateUser(data, srv = service) {
+  const { user_id, updates } = data || {};
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return srv.updateUser(user_id, updates);
+}
+
+module.exports = {
+  updateUser,
+};
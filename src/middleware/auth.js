@@ -0,0 +1,158 @@
+/**
+ * Authentication Middleware
+ * Verifies the session token sent in the Authorization header and exposes
+ * the authenticated user to Netlify Function handlers as `event.auth`.
+ * Handlers that serve shared lists may also accept a share token sent in
+ * the X-Share-Token header.
+ */
+
+const { verifyToken } = require('../utils/token');
+const { isValidUUID } = require('../utils/validation');
+
+/**
+ * Extract the bearer token from a Netlify event
+ * @param {Object} event - Netlify Function event
+ * @returns {string|null} - Token or null if not present
+ */
+function getBearerToken(event) {
+  const headers = (event && event.headers) || {};
+  const authorization = headers.authorization || headers.Authorization;
+
+  if (!authorization) {
+    return null;
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization.trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract the share token from a Netlify event
+ * @param {Object} event - Netlify Function event
+ * @returns {string|null} - Token or null if not present
+ */
+function getShareToken(event) {
+  const headers = (event && event.headers) || {};
+  const token = headers['x-share-token'] || headers['X-Share-Token'];
+  return token ? token.trim() : null;
+}
+
+/**
+ * Build an error response for failed authentication
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Object} - Netlify Function response
+ */
+function authError(statusCode, message) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'WWW-Authenticate': 'Bearer',
+    },
+    body: JSON.stringify({ error: message }),
+  };
+}
+
+/**
+ * Resolve the authenticated user for an event
+ * @param {Object} event - Netlify Function event
+ * @returns {Object} - { user_id }
+ * @throws {Error} - If the token is missing or invalid
+ */
+function authenticate(event) {
+  const token = getBearerToken(event);
+
+  if (!token) {
+    throw new Error('Authentication required');
+  }
+
+  const payload = verifyToken(token);
+
+  if (!isValidUUID(payload.sub)) {
+    throw new Error('Invalid token subject');
+  }
+
+  return { user_id: payload.sub };
+}
+
+/**
+ * Resolve the shared list a share token grants access to
+ * @param {Object} event - Netlify Function event
+ * @returns {Object|null} - { list_id, share_code } or null if no share token was sent
+ * @throws {Error} - If the share token is invalid
+ */
+function authenticateShare(event) {
+  const token = getShareToken(event);
+
+  if (!token) {
+    return null;
+  }
+
+  const payload = verifyToken(token);
+
+  if (payload.scope !== 'share' || !isValidUUID(payload.list_id)) {
+    throw new Error('Invalid share token');
+  }
+
+  return { list_id: payload.list_id, share_code: payload.share_code };
+}
+
+/**
+ * Wrap a Netlify Function handler so it only runs for authenticated requests.
+ * The wrapped handler receives the event with `auth.user_id` set from the token;
+ * any user_id sent by the client must be ignored in favour of it.
+ * @param {Function} handler - Handler to protect
+ * @param {Object} options - Options
+ * @param {boolean} options.allowShareToken - Also accept a share token; the handler then
+ *   receives `auth.share` ({ list_id, share_code }) and `auth.user_id` may be null
+ * @returns {Function} - Protected handler
+ */
+function withAuth(handler, options = {}) {
+  const { allowShareToken = false } = options;
+
+  return async function (event, context) {
+    let auth;
+
+    try {
+      if (allowShareToken) {
+        const share = authenticateShare(event);
+        const user = share && !getBearerToken(event) ? { user_id: null } : authenticate(event);
+        auth = { ...user, share };
+      } else {
+        auth = authenticate(event);
+      }
+    } catch (e) {
+      if (e.message.includes('AUTH_TOKEN_SECRET')) {
+        console.error('Authentication is not configured:', e.message);
+        return authError(500, 'Authentication is not configured');
+      }
+
+      if (e.message === 'Authentication required') {
+        return authError(401, 'Authentication required');
+      }
+
+      return authError(401, 'Invalid or expired session token');
+    }
+
+    return handler({ ...event, auth }, context);
+  };
+}
+
+/**
+ * withAuth() for handlers that also serve lists opened through a share code
+ * @param {Function} handler - Handler to protect
+ * @returns {Function} - Protected handler
+ */
+function withShareableAuth(handler) {
+  return withAuth(handler, { allowShareToken: true });
+}
+
+module.exports = {
+  getBearerToken,
+  getShareToken,
+  authenticate,
+  authenticateShare,
+  withAuth,
+  withShareableAuth,
+};
@@ -0,0 +1,133 @@
+/**
+ * Rate Limit Middleware
+ * Throttles Netlify Function handlers per client. Clients are keyed by their
+ * IP address alone, hashed so raw IPs are never stored: request headers are
+ * chosen by the client, so a key built from them would give an attacker a
+ * fresh window with every request.
+ *
+ * Requests over the limit get 429 with a Retry-After header. A limiter can
+ * count every request, or only the responses that matter (e.g. misses when
+ * guessing share codes).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Read a header regardless of its case
+ * @param {Object} event - Netlify Function event
+ * @param {string} name - Header name (lower case)
+ * @returns {string} - Header value or ''
+ */
+function getHeader(event, name) {
+  const headers = (event && event.headers) || {};
+  const match = Object.keys(headers).find((key) => key.toLowerCase() === name);
+  return match ? String(headers[match]) : '';
+}
+
+/**
+ * Client IP address of a Netlify event. Netlify sets x-nf-client-connection-ip
+ * itself; X-Forwarded-For is only a fallback, and only its last entry (added
+ * by the proxy in front of the function), since the client can prepend any
+ * address it likes
+ * @param {Object} event - Netlify Function event
+ * @returns {string} - IP address or 'unknown'
+ */
+function getClientIp(event) {
+  const forwarded = getHeader(event, 'x-forwarded-for').split(',').pop().trim();
+  return (
+    getHeader(event, 'x-nf-client-connection-ip') ||
+    getHeader(event, 'client-ip') ||
+    forwarded ||
+    'unknown'
+  );
+}
+
+/**
+ * Rate limit key of the client making a request (hashed IP)
+ * @param {Object} event - Netlify Function event
+ * @returns {string} - Client key
+ */
+function getClientKey(event) {
+  return crypto.createHash('sha256').update(getClientIp(event)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Build the response for a throttled request
+ * @param {number} retryAfter - Seconds until the client may try again
+ * @returns {Object} - Netlify Function response
+ */
+function tooManyRequests(retryAfter) {
+  return {
+    statusCode: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(retryAfter),
+    },
+    body: JSON.stringify({ error: 'Too many requests, try again later', retry_after: retryAfter }),
+  };
+}
+
+/**
+ * Wrap a Netlify Function handler so each client may only make a limited number
+ * of (counted) requests per window. A failing store never blocks the request.
+ * @param {Function} handler - Handler to protect
+ * @param {Object} options - Options
+ * @param {Object} options.limiter - Limiter from rateLimitService.createRateLimiter()
+ * @param {Function} [options.countWhen] - Which responses count towards the limit
+ *   (defaults to all of them)
+ * @param {Function} [options.keyFor] - Client key of an event (defaults to the hashed IP)
+ * @returns {Function} - Rate limited handler
+ */
+function withRateLimit(handler, options = {}) {
+  const { limiter, countWhen = () => true, keyFor = getClientKey } = options;
+
+  if (!limiter) {
+    throw new Error('Rate limiter is required');
+  }
+
+  return async function (event, context) {
+    const key = keyFor(event);
+
+    // Count the request before handling it, so parallel requests cannot all get
+    // past the limit; requests that turn out not to count are released afterwards
+    let counted = false;
+    try {
+      const { limited, retryAfter } = await limiter.hit(key);
+      counted = true;
+      if (limited) {
+        return tooManyRequests(retryAfter);
+      }
+    } catch (error) {
+      console.error('Error counting rate limited request:', error);
+    }
+
+    const response = await handler(event, context);
+
+    if (counted && !countWhen(response, event)) {
+      try {
+        await limiter.release(key);
+      } catch (error) {
+        console.error('Error releasing rate limited request:', error);
+      }
+    }
+
+    return response;
+  };
+}
+
+/**
+ * countWhen() for lookups: only failed guesses count, not successful ones
+ * @param {Object} response - Netlify Function response
+ * @returns {boolean}
+ */
+function isMiss(response) {
+  return Boolean(response) && response.statusCode >= 400 && response.statusCode < 500;
+}
+
+module.exports = {
+  getClientIp,
+  getClientKey,
+  tooManyRequests,
+  withRateLimit,
+  isMiss,
+};
@@ -1,3 +1,5 @@
+const { validateRecurrence } = require('../utils/recurrence');
+
 /**
  * Shopping List Model
  * Represents a shopping list with validation
@@ -11,9 +13,15 @@ class ShoppingList {
     this.shopping_date = data.shopping_date || null;
     this.market_id = data.market_id || null;
     this.payment_id = data.payment_id || null;
+    this.household_id = data.household_id || null;
     this.total_amount = data.total_amount || 0;
     this.share_code = data.share_code || null;
+    this.share_code_expires_at = data.share_code_expires_at || null;
+    this.share_code_revoked_at = data.share_code_revoked_at || null;
     this.is_completed = data.is_completed || false;
+    this.recurrence_rule = data.recurrence_rule || null;
+    this.recurrence_weekdays = data.recurrence_weekdays || null;
+    this.recurrence_source_id = data.recurrence_source_id || null;
     this.created_at = data.created_at || null;
     this.updated_at = data.updated_at || null;
     this.deleted_at = data.deleted_at || null;
@@ -72,6 +80,13 @@ class ShoppingList {
       errors.push('Total amount cannot be negative');
     }
 
+    // Recurrence validation
+    try {
+      validateRecurrence(this.recurrence_rule, this.recurrence_weekdays);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
@@ -90,8 +105,10 @@ class ShoppingList {
       shopping_date: this.shopping_date,
       market_id: this.market_id || null,
       payment_id: this.payment_id || null,
+      household_id: this.household_id || null,
       total_amount: parseFloat(this.total_amount) || 0,
       is_completed: Boolean(this.is_completed),
+      ...validateRecurrence(this.recurrence_rule, this.recurrence_weekdays),
     };
   }
 
@@ -143,7 +160,10 @@ class ShoppingList {
    * @returns {boolean}
    */
   canShare() {
-    return !this.deleted_at && this.share_code;
+    if (this.deleted_at || !this.share_code || this.share_code_revoked_at) {
+      return false;
+    }
+    return !this.share_code_expires_at || new Date(this.share_code_expires_at) > new Date();
   }
 
   /**
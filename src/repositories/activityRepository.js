@@ -0,0 +1,102 @@
+/**
+ * Activity Repository
+ * Data access layer for the activity log of shopping lists
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const householdRepository = require('./householdRepository');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY or SUPABASE_ANON_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Record an activity
+ * @param {Object} entry - Activity log row
+ * @returns {Object} - Recorded row
+ */
+async function recordActivity(entry) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase.from('activity_log').insert(entry).select().single();
+
+  if (error) {
+    throw new Error(`Failed to record activity: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get the activities a user can see, newest first: those on their own lists,
+ * on their households' lists and those they took on lists shared with them
+ * @param {string} user_id - User ID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Rows to skip
+ * @returns {Array} - Activities with `actor_name`
+ */
+async function getActivities(user_id, options = {}) {
+  const supabase = getClient();
+  const householdIds = await householdRepository.getHouseholdIdsForUser(user_id);
+  const limit = options.limit || 20;
+  const offset = options.offset || 0;
+
+  const { data, error } = await supabase
+    .from('activity_log')
+    .select('*, actor:users!actor_id ( name )')
+    .or(`${householdRepository.buildScopeFilter(user_id, householdIds)},actor_id.eq.${user_id}`)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new Error(`Failed to get activities: ${error.message}`);
+  }
+
+  return (data || []).map((row) => ({
+    ...row,
+    actor_name: row.actor?.name || null,
+    actor: undefined,
+  }));
+}
+
+module.exports = {
+  recordActivity,
+  getActivities,
+};
@@ -0,0 +1,147 @@
+/**
+ * Analytics Repository
+ * Data access layer for the shopping data behind spending analytics
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const householdRepository = require('./householdRepository');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY or SUPABASE_ANON_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+// Lists read per request. PostgREST returns at most max-rows rows (1000 on
+// Supabase) per request, so a period with more lists is read in pages.
+const PAGE_SIZE = 1000;
+
+/**
+ * Get the shopping lists of a period with what analytics needs of their items,
+ * market and payment method (the user's own lists and those of their households)
+ * @param {string} user_id - User ID
+ * @param {Object} options - Query options
+ * @param {string} options.from - First shopping date (YYYY-MM-DD)
+ * @param {string} options.to - Last shopping date (YYYY-MM-DD)
+ * @param {Object} [client] - Supabase client (for testing)
+ * @param {Object} households - Household repository dependency (for testing)
+ * @returns {Array} - Lists with `market_name`, `payment_type` and `items`
+ */
+async function getListsForAnalytics(
+  user_id,
+  options = {},
+  client,
+  households = householdRepository
+) {
+  const supabase = client || getClient();
+  const householdIds = await households.getHouseholdIdsForUser(user_id);
+
+  // Pages are read by id, each starting after the last list of the previous
+  // one, until a page comes back empty: a server limit below PAGE_SIZE cannot
+  // cut the period short
+  const lists = [];
+  let lastId = null;
+  for (;;) {
+    let query = supabase
+      .from('shopping_lists')
+      .select(
+        `
+        id,
+        shopping_date,
+        market_id,
+        payment_id,
+        is_completed,
+        markets ( name ),
+        shopping_list_items ( category, total_price, is_checked )
+      `
+      )
+      .or(households.buildScopeFilter(user_id, householdIds))
+      .is('deleted_at', null)
+      .is('shopping_list_items.deleted_at', null)
+      .gte('shopping_date', options.from)
+      .lte('shopping_date', options.to);
+
+    if (lastId) {
+      query = query.gt('id', lastId);
+    }
+
+    const { data, error } = await query.order('id', { ascending: true }).limit(PAGE_SIZE);
+
+    if (error) {
+      throw new Error(`Failed to get lists for analytics: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      break;
+    }
+
+    lists.push(...data);
+    lastId = data[data.length - 1].id;
+  }
+
+  // Look the payment types up in one query
+  const paymentIds = [...new Set(lists.map((list) => list.payment_id).filter(Boolean))];
+  const paymentTypes = {};
+
+  if (paymentIds.length > 0) {
+    const { data: payments, error: paymentError } = await supabase
+      .from('payment')
+      .select('id, type')
+      .in('id', paymentIds);
+
+    if (paymentError) {
+      throw new Error(`Failed to get payment methods for analytics: ${paymentError.message}`);
+    }
+
+    (payments || []).forEach((payment) => {
+      paymentTypes[payment.id] = payment.type;
+    });
+  }
+
+  return lists.map((list) => ({
+    id: list.id,
+    shopping_date: list.shopping_date,
+    market_id: list.market_id,
+    market_name: list.markets?.name || null,
+    payment_type: paymentTypes[list.payment_id] || null,
+    is_completed: list.is_completed,
+    items: list.shopping_list_items || [],
+  }));
+}
+
+module.exports = {
+  getListsForAnalytics,
+};
@@ -0,0 +1,220 @@
+/**
+ * Budget Repository
+ * Data access layer for monthly budgets and the spending they are compared to
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const householdRepository = require('./householdRepository');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY or SUPABASE_ANON_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Validate UUID format
+ * @param {string} uuid - UUID to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} - If UUID format is invalid
+ */
+function validateUuid(uuid, fieldName = 'id') {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(uuid)) {
+    throw new Error(`Invalid UUID format for ${fieldName}: ${uuid}`);
+  }
+}
+
+/**
+ * Get the budgets of a user (personal budgets and those of their households)
+ * @param {string} user_id - User ID
+ * @returns {Promise<Array>} - Array of budgets
+ */
+async function getBudgets(user_id) {
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+  const householdIds = await householdRepository.getHouseholdIdsForUser(user_id);
+
+  // Personal budgets are the user's own rows without a household
+  const scope = [`and(user_id.eq.${user_id},household_id.is.null)`];
+  if (householdIds.length > 0) {
+    scope.push(`household_id.in.(${householdIds.join(',')})`);
+  }
+
+  const { data, error } = await supabase
+    .from('budgets')
+    .select('*')
+    .or(scope.join(','))
+    .is('deleted_at', null)
+    .order('category', { ascending: true, nullsFirst: true });
+
+  if (error) {
+    throw new Error(`Failed to get budgets: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a budget by ID
+ * @param {string} id - Budget ID
+ * @returns {Promise<Object|null>} - Budget or null if not found
+ */
+async function getBudgetById(id) {
+  validateUuid(id, 'id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('budgets')
+    .select('*')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get budget: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Create a budget
+ * @param {Object} budgetData - Budget data
+ * @returns {Promise<Object>} - Created budget
+ */
+async function createBudget(budgetData) {
+  validateUuid(budgetData.user_id, 'user_id');
+  if (budgetData.household_id) {
+    validateUuid(budgetData.household_id, 'household_id');
+  }
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('budgets')
+    .insert({
+      user_id: budgetData.user_id,
+      household_id: budgetData.household_id || null,
+      category: budgetData.category || null,
+      amount: budgetData.amount,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error('A budget already exists for this category');
+    }
+    throw new Error(`Failed to create budget: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Update a budget
+ * @param {string} id - Budget ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - Updated budget
+ */
+async function updateBudget(id, updates) {
+  validateUuid(id, 'id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('budgets')
+    .update(updates)
+    .eq('id', id)
+    .is('deleted_at', null)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new Error('Budget not found');
+    }
+    throw new Error(`Failed to update budget: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Delete a budget (soft delete)
+ * @param {string} id - Budget ID
+ * @returns {Promise<Object>} - Deleted budget
+ */
+async function deleteBudget(id) {
+  return updateBudget(id, { deleted_at: new Date().toISOString() });
+}
+
+/**
+ * Get the estimated spending per list and item category in a date range
+ * @param {string} user_id - User ID
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Rows { list_id, household_id, shopping_date, created_at, category, total }
+ */
+async function getSpending(user_id, from, to) {
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase.rpc('get_budget_spending', {
+    p_user_id: user_id,
+    p_from: from,
+    p_to: to,
+  });
+
+  if (error) {
+    throw new Error(`Failed to get budget spending: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  getBudgets,
+  getBudgetById,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getSpending,
+};
@@ -0,0 +1,432 @@
+/**
+ * Household Repository
+ * Data access layer for households, their members and invitations
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  // Try multiple environment variable names for backward compatibility
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY or SUPABASE_ANON_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Validate UUID format
+ * @param {string} uuid - UUID to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} - If UUID format is invalid
+ */
+function validateUuid(uuid, fieldName = 'id') {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(uuid)) {
+    throw new Error(`Invalid UUID format for ${fieldName}: ${uuid}`);
+  }
+}
+
+/**
+ * Build a PostgREST filter matching rows owned by a user or shared with their households
+ * @param {string} user_id - User ID
+ * @param {Array<string>} householdIds - IDs of the households the user belongs to
+ * @returns {string} - Filter for query.or()
+ */
+function buildScopeFilter(user_id, householdIds = []) {
+  const filters = [`user_id.eq.${user_id}`];
+
+  if (householdIds.length > 0) {
+    filters.push(`household_id.in.(${householdIds.join(',')})`);
+  }
+
+  return filters.join(',');
+}
+
+/**
+ * Create a household and add its creator as owner
+ * @param {Object} householdData - Household data
+ * @param {string} householdData.name - Household name
+ * @param {string} householdData.created_by - Creator user ID
+ * @returns {Promise<Object>} - Created household with the creator's role
+ */
+async function createHousehold(householdData) {
+  validateUuid(householdData.created_by, 'user_id');
+
+  const supabase = getClient();
+
+  const { data: household, error } = await supabase
+    .from('households')
+    .insert({ name: householdData.name, created_by: householdData.created_by })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const { error: memberError } = await supabase.from('household_members').insert({
+    household_id: household.id,
+    user_id: householdData.created_by,
+    role: 'owner',
+  });
+
+  if (memberError) {
+    throw new Error(`Database error: ${memberError.message}`);
+  }
+
+  return { ...household, role: 'owner' };
+}
+
+/**
+ * Get the households a user belongs to
+ * @param {string} user_id - User ID
+ * @returns {Promise<Array>} - Households with the user's role
+ */
+async function getHouseholdsForUser(user_id) {
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_members')
+    .select('role, joined_at, households!inner (id, name, created_by, created_at)')
+    .eq('user_id', user_id)
+    .is('households.deleted_at', null);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).map((membership) => ({
+    ...membership.households,
+    role: membership.role,
+    joined_at: membership.joined_at,
+  }));
+}
+
+/**
+ * Get the households a user belongs to with their members, in one query
+ * @param {string} user_id - User ID
+ * @returns {Promise<Array>} - Households with the user's role and their members
+ */
+async function getHouseholdsWithMembers(user_id) {
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_members')
+    .select(
+      'role, joined_at, households!inner (id, name, created_by, created_at, household_members (user_id, role, joined_at, users (name)))'
+    )
+    .eq('user_id', user_id)
+    .is('households.deleted_at', null);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).map((membership) => {
+    const { household_members: members, ...household } = membership.households;
+
+    return {
+      ...household,
+      role: membership.role,
+      joined_at: membership.joined_at,
+      members: (members || [])
+        .map((member) => ({
+          user_id: member.user_id,
+          name: member.users?.name || null,
+          role: member.role,
+          joined_at: member.joined_at,
+        }))
+        .sort((a, b) => String(a.joined_at).localeCompare(String(b.joined_at))),
+    };
+  });
+}
+
+/**
+ * Get the IDs of the households a user belongs to
+ * @param {string} user_id - User ID
+ * @returns {Promise<Array<string>>} - Household IDs
+ */
+async function getHouseholdIdsForUser(user_id) {
+  const households = await getHouseholdsForUser(user_id);
+  return households.map((household) => household.id);
+}
+
+/**
+ * Get a user's membership in a household
+ * @param {string} household_id - Household ID
+ * @param {string} user_id - User ID
+ * @returns {Promise<Object|null>} - { household_id, user_id, role } or null if not a member
+ */
+async function getMembership(household_id, user_id) {
+  validateUuid(household_id, 'household_id');
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_members')
+    .select('household_id, user_id, role, households!inner (id)')
+    .eq('household_id', household_id)
+    .eq('user_id', user_id)
+    .is('households.deleted_at', null)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return { household_id: data.household_id, user_id: data.user_id, role: data.role };
+}
+
+/**
+ * Get the members of a household
+ * @param {string} household_id - Household ID
+ * @returns {Promise<Array>} - Members with their name and role
+ */
+async function getMembers(household_id) {
+  validateUuid(household_id, 'household_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_members')
+    .select('user_id, role, joined_at, users (name)')
+    .eq('household_id', household_id)
+    .order('joined_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).map((member) => ({
+    user_id: member.user_id,
+    name: member.users?.name || null,
+    role: member.role,
+    joined_at: member.joined_at,
+  }));
+}
+
+/**
+ * Add a user to a household
+ * @param {string} household_id - Household ID
+ * @param {string} user_id - User ID
+ * @param {string} role - Member role
+ * @returns {Promise<Object>} - Created membership
+ */
+async function addMember(household_id, user_id, role) {
+  validateUuid(household_id, 'household_id');
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_members')
+    .insert({ household_id, user_id, role })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Change the role of a household member
+ * @param {string} household_id - Household ID
+ * @param {string} user_id - Member user ID
+ * @param {string} role - New role
+ * @returns {Promise<Object>} - Updated membership
+ */
+async function updateMemberRole(household_id, user_id, role) {
+  validateUuid(household_id, 'household_id');
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_members')
+    .update({ role })
+    .eq('household_id', household_id)
+    .eq('user_id', user_id)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new Error('Household member not found');
+    }
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Remove a user from a household
+ * @param {string} household_id - Household ID
+ * @param {string} user_id - Member user ID
+ * @returns {Promise<Object>} - Removed membership
+ */
+async function removeMember(household_id, user_id) {
+  validateUuid(household_id, 'household_id');
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_members')
+    .delete()
+    .eq('household_id', household_id)
+    .eq('user_id', user_id)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new Error('Household member not found');
+    }
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Create a household invitation
+ * @param {Object} invitationData - Invitation data
+ * @param {string} invitationData.household_id - Household ID
+ * @param {string} invitationData.invited_by - Inviting user ID
+ * @param {string} invitationData.code - Invitation code
+ * @param {string} invitationData.role - Role granted on acceptance
+ * @param {string} invitationData.expires_at - Expiry timestamp (ISO 8601)
+ * @returns {Promise<Object>} - Created invitation
+ */
+async function createInvitation(invitationData) {
+  validateUuid(invitationData.household_id, 'household_id');
+  validateUuid(invitationData.invited_by, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_invitations')
+    .insert(invitationData)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get an invitation by its code
+ * @param {string} code - Invitation code
+ * @returns {Promise<Object|null>} - Invitation with its household name, or null if not found
+ */
+async function getInvitationByCode(code) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_invitations')
+    .select('*, households!inner (name)')
+    .eq('code', code)
+    .is('households.deleted_at', null)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return {
+    ...data,
+    household_name: data.households?.name || null,
+    households: undefined,
+  };
+}
+
+/**
+ * Update an invitation
+ * @param {string} id - Invitation ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - Updated invitation
+ */
+async function updateInvitation(id, updates) {
+  validateUuid(id, 'id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('household_invitations')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  buildScopeFilter,
+  createHousehold,
+  getHouseholdsForUser,
+  getHouseholdsWithMembers,
+  getHouseholdIdsForUser,
+  getMembership,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  getInvitationByCode,
+  updateInvitation,
+};
@@ -0,0 +1,199 @@
+/**
+ * List Template Repository
+ * Data access layer for shopping list templates
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY or SUPABASE_ANON_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Validate UUID format
+ * @param {string} uuid - UUID to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} - If UUID format is invalid
+ */
+function validateUuid(uuid, fieldName = 'id') {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(uuid)) {
+    throw new Error(`Invalid UUID format for ${fieldName}: ${uuid}`);
+  }
+}
+
+/**
+ * Get the templates of a user
+ * @param {string} user_id - User ID
+ * @returns {Promise<Array>} - Templates with their `items`, by name
+ */
+async function getTemplates(user_id) {
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('list_templates')
+    .select('*, items:list_template_items ( * )')
+    .eq('user_id', user_id)
+    .is('deleted_at', null)
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to get templates: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a template of a user by ID
+ * @param {string} id - Template ID
+ * @param {string} user_id - User ID
+ * @returns {Promise<Object|null>} - Template with its `items`, or null if not found
+ */
+async function getTemplateById(id, user_id) {
+  validateUuid(id, 'template_id');
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('list_templates')
+    .select('*, items:list_template_items ( * )')
+    .eq('id', id)
+    .eq('user_id', user_id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get template: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Create a template with its items
+ * @param {Object} templateData - { user_id, name, description }
+ * @param {Array} items - Template items
+ * @returns {Promise<Object>} - Created template with its `items`
+ */
+async function createTemplate(templateData, items) {
+  validateUuid(templateData.user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data: template, error } = await supabase
+    .from('list_templates')
+    .insert({
+      user_id: templateData.user_id,
+      name: templateData.name,
+      description: templateData.description || null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error('A template with this name already exists');
+    }
+    throw new Error(`Failed to create template: ${error.message}`);
+  }
+
+  const { data: createdItems, error: itemsError } = await supabase
+    .from('list_template_items')
+    .insert(
+      items.map((item) => ({
+        template_id: template.id,
+        product_name: item.product_name,
+        category: item.category,
+        quantity: item.quantity,
+        unit: item.unit,
+        unit_price: item.unit_price || 0,
+        notes: item.notes || null,
+      }))
+    )
+    .select();
+
+  if (itemsError) {
+    // Do not leave a template without items behind
+    await supabase.from('list_templates').delete().eq('id', template.id);
+    throw new Error(`Failed to create template items: ${itemsError.message}`);
+  }
+
+  return { ...template, items: createdItems || [] };
+}
+
+/**
+ * Delete a template of a user (soft delete)
+ * @param {string} id - Template ID
+ * @param {string} user_id - User ID
+ * @returns {Promise<Object>} - Deleted template
+ */
+async function deleteTemplate(id, user_id) {
+  validateUuid(id, 'template_id');
+  validateUuid(user_id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('list_templates')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('user_id', user_id)
+    .is('deleted_at', null)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new Error('Template not found');
+    }
+    throw new Error(`Failed to delete template: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  deleteTemplate,
+};
@@ -4,6 +4,7 @@
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const householdRepository = require('./householdRepository');
 
 // Try to load dotenv for local development
 if (process.env.NODE_ENV !== 'production') {
@@ -59,7 +60,7 @@ function validateUuid(uuid, fieldName = 'id') {
 }
 
 /**
- * Get markets for a user
+ * Get markets for a user (personal markets and markets of their households)
  * @param {string} user_id - User ID
  * @returns {Promise<Array>} - Array of markets
  */
@@ -71,10 +72,12 @@ async function getMarkets(user_id) {
   console.log('Fetching markets for user:', user_id);
 
   try {
+    const householdIds = await householdRepository.getHouseholdIdsForUser(user_id);
+
     const { data, error } = await supabase
       .from('markets')
-      .select('id, name, address, cnpj, phone, email, website, created_at')
-      .eq('user_id', user_id)
+      .select('id, name, address, cnpj, phone, email, website, household_id, created_at')
+      .or(householdRepository.buildScopeFilter(user_id, householdIds))
       .is('deleted_at', null)
       .order('name', { ascending: true });
 
@@ -135,6 +138,9 @@ async function getMarketById(id, user_id) {
  */
 async function createMarket(marketData) {
   validateUuid(marketData.user_id, 'user_id');
+  if (marketData.household_id) {
+    validateUuid(marketData.household_id, 'household_id');
+  }
 
   const supabase = getClient();
 
@@ -4,6 +4,7 @@
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const householdRepository = require('./householdRepository');
 
 // Try to load dotenv for local development
 if (process.env.NODE_ENV !== 'production') {
@@ -45,7 +46,7 @@ function getClient() {
 }
 
 /**
- * Get payment methods for a user
+ * Get payment methods for a user (personal ones and those of their households)
  * @param {string} user_id - User ID (UUID)
  * @param {Object} options - Query options
  * @param {boolean} options.enabled_only - Only return enabled payment methods (default: true)
@@ -55,11 +56,12 @@ async function getPaymentMethods(user_id, options = {}) {
   const { enabled_only = true } = options;
 
   const supabase = getClient();
+  const householdIds = await householdRepository.getHouseholdIdsForUser(user_id);
 
   let query = supabase
     .from('payment')
     .select('*')
-    .eq('user_id', user_id)
+    .or(householdRepository.buildScopeFilter(user_id, householdIds))
     .is('deleted_at', null)
     .order('is_default', { ascending: false })
     .order('created_at', { ascending: false });
@@ -77,6 +79,30 @@ async function getPaymentMethods(user_id, options = {}) {
   return data || [];
 }
 
+/**
+ * Get one of the user's own payment methods
+ * @param {string} payment_id - Payment method ID
+ * @param {string} user_id - User ID for authorization
+ * @returns {Object|null} - Payment method or null if not found
+ */
+async function getPaymentMethodById(payment_id, user_id) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('payment')
+    .select('*')
+    .eq('id', payment_id)
+    .eq('user_id', user_id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get payment method: ${error.message}`);
+  }
+
+  return data;
+}
+
 /**
  * Create a new payment method
  * @param {Object} paymentData - Payment method data
@@ -85,6 +111,7 @@ async function getPaymentMethods(user_id, options = {}) {
  * @param {string} paymentData.description - Description of payment method
  * @param {boolean} paymentData.is_default - Whether this is the default payment method
  * @param {boolean} paymentData.enabled - Whether this payment method is enabled
+ * @param {string} [paymentData.household_id] - Household sharing this payment method
  * @returns {Object} - Created payment method
  */
 async function createPaymentMethod(paymentData) {
@@ -98,6 +125,7 @@ async function createPaymentMethod(paymentData) {
       description: paymentData.description || null,
       is_default: paymentData.is_default || false,
       enabled: paymentData.enabled !== undefined ? paymentData.enabled : true,
+      household_id: paymentData.household_id || null,
     })
     .select()
     .single();
@@ -129,6 +157,9 @@ async function updatePaymentMethod(payment_id, user_id, updates) {
     .single();
 
   if (error) {
+    if (error.code === 'PGRST116') {
+      throw new Error('Payment method not found');
+    }
     throw new Error(`Failed to update payment method: ${error.message}`);
   }
 
@@ -161,6 +192,9 @@ async function deletePaymentMethod(payment_id, user_id) {
     .single();
 
   if (error) {
+    if (error.code === 'PGRST116') {
+      throw new Error('Payment method not found');
+    }
     throw new Error(`Failed to delete payment method: ${error.message}`);
   }
 
@@ -173,6 +207,7 @@ async function deletePaymentMethod(payment_id, user_id) {
 
 module.exports = {
   getPaymentMethods,
+  getPaymentMethodById,
   createPaymentMethod,
   updatePaymentMethod,
   deletePaymentMethod,
@@ -0,0 +1,157 @@
+/**
+ * Price History Repository
+ * Data access layer for the unit prices observed per product and market
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const householdRepository = require('./householdRepository');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY or SUPABASE_ANON_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Flatten the joined market name of a price history row
+ * @param {Object} row - Row with a `markets` join
+ * @returns {Object} - Row with `market_name`
+ */
+function flattenMarket(row) {
+  return {
+    ...row,
+    market_name: row.markets?.name || null,
+    markets: undefined,
+  };
+}
+
+/**
+ * Record observed prices, replacing an item's earlier observation of the same day
+ * @param {Array} observations - Price history rows
+ * @returns {Array} - Recorded rows
+ */
+async function recordPrices(observations) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('price_history')
+    .upsert(observations, { onConflict: 'item_id,observed_on' })
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to record prices: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get the observed prices of a product (the user's own and those of their households)
+ * @param {string} product_key - Normalized product name
+ * @param {string} user_id - User ID
+ * @param {Object} options - Query options
+ * @param {string} [options.market_id] - Only prices seen at this market
+ * @param {string} [options.since] - Only prices seen on or after this date (YYYY-MM-DD)
+ * @returns {Array} - Observations, oldest first, with `market_name`
+ */
+async function getPriceHistory(product_key, user_id, options = {}) {
+  const supabase = getClient();
+  const householdIds = await householdRepository.getHouseholdIdsForUser(user_id);
+
+  let query = supabase
+    .from('price_history')
+    .select('*, markets ( name )')
+    .eq('product_key', product_key)
+    .or(householdRepository.buildScopeFilter(user_id, householdIds))
+    .order('observed_on', { ascending: true })
+    .order('updated_at', { ascending: true });
+
+  if (options.market_id) {
+    query = query.eq('market_id', options.market_id);
+  }
+
+  if (options.since) {
+    query = query.gte('observed_on', options.since);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to get price history: ${error.message}`);
+  }
+
+  return (data || []).map(flattenMarket);
+}
+
+/**
+ * Get the most recent observations of several products
+ * @param {Array<string>} product_keys - Normalized product names
+ * @param {string} user_id - User ID
+ * @param {Object} options - Query options
+ * @param {string} [options.exclude_list_id] - Ignore prices seen on this list
+ * @returns {Array} - Observations, newest first, with `market_name`
+ */
+async function getRecentPrices(product_keys, user_id, options = {}) {
+  const supabase = getClient();
+  const householdIds = await householdRepository.getHouseholdIdsForUser(user_id);
+
+  let query = supabase
+    .from('price_history')
+    .select('*, markets ( name )')
+    .in('product_key', product_keys)
+    .or(householdRepository.buildScopeFilter(user_id, householdIds))
+    .order('observed_on', { ascending: false })
+    .order('updated_at', { ascending: false })
+    .limit(500);
+
+  if (options.exclude_list_id) {
+    query = query.or(`list_id.is.null,list_id.neq.${options.exclude_list_id}`);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to get recent prices: ${error.message}`);
+  }
+
+  return (data || []).map(flattenMarket);
+}
+
+module.exports = {
+  recordPrices,
+  getPriceHistory,
+  getRecentPrices,
+};
@@ -0,0 +1,107 @@
+/**
+ * Rate Limit Repository
+ * Data access layer for the rate limit counters (see database/create_rate_limits.sql)
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client with a service key (the rate_limits table is closed to the anon key)
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  // Try multiple environment variable names for backward compatibility
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Get the current window of a rate limit key
+ * @param {string} key - Rate limit key
+ * @returns {Object|null} - { count, reset_at } or null if the key has no window
+ */
+async function get(key) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('rate_limits')
+    .select('count, reset_at')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || null;
+}
+
+/**
+ * Count one request for a rate limit key
+ * @param {string} key - Rate limit key
+ * @param {number} windowSeconds - Window length for a new window
+ * @returns {Object} - { count, reset_at } after counting
+ */
+async function hit(key, windowSeconds) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase.rpc('rate_limit_hit', {
+    p_key: key,
+    p_window_seconds: windowSeconds,
+  });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Take back one counted request of a rate limit key
+ * @param {string} key - Rate limit key
+ */
+async function release(key) {
+  const supabase = getClient();
+
+  const { error } = await supabase.rpc('rate_limit_release', { p_key: key });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+}
+
+module.exports = {
+  get,
+  hit,
+  release,
+};
@@ -0,0 +1,73 @@
+/**
+ * Search Repository
+ * Data access layer for searching shopping lists and their items
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY or SUPABASE_ANON_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Find the lists of a user and their households matching every search term
+ * (see database/create_search.sql)
+ * @param {string} user_id - User ID
+ * @param {Array<string>} terms - Lower case words without accents
+ * @param {number} limit - Lists to return, at most
+ * @returns {Promise<Array>} - Lists with the `items` that match a term, best ranked first
+ */
+async function searchShoppingLists(user_id, terms, limit) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase.rpc('search_shopping_lists', {
+    p_user_id: user_id,
+    p_terms: terms,
+    p_limit: limit,
+  });
+
+  if (error) {
+    throw new Error(`Failed to search shopping lists: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  searchShoppingLists,
+};
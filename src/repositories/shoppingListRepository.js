@@ -5,6 +5,8 @@
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const householdRepository = require('./householdRepository');
+const { DEFAULT_SORT } = require('../utils/listQuery');
 
 // Try to load dotenv for local development
 if (process.env.NODE_ENV !== 'production') {
@@ -60,12 +62,19 @@ async function createShoppingList(listData, items = []) {
   const { data: list, error: listError } = await supabase
     .from('shopping_lists')
     .insert({
+      ...(listData.id ? { id: listData.id } : {}),
       user_id: listData.user_id,
       title: listData.title,
       description: listData.description || null,
       shopping_date: listData.shopping_date,
       market_id: listData.market_id || null,
       payment_id: listData.payment_id || null,
+      household_id: listData.household_id || null,
+      recurrence_rule: listData.recurrence_rule || null,
+      recurrence_weekdays: listData.recurrence_weekdays || null,
+      recurrence_day: listData.recurrence_day || null,
+      recurrence_source_id: listData.recurrence_source_id || null,
+      ...(listData.share_code ? { share_code: listData.share_code } : {}),
     })
     .select()
     .single();
@@ -82,6 +91,7 @@ async function createShoppingList(listData, items = []) {
       unit: item.unit,
       unit_price: item.unit_price || 0,
       total_price: (item.quantity || 0) * (item.unit_price || 0),
+      is_checked: Boolean(item.is_checked),
       notes: item.notes || null,
     }));
 
@@ -107,21 +117,139 @@ async function createShoppingList(listData, items = []) {
 }
 
 /**
- * Get shopping lists for a user
+ * Quote a value for a PostgREST filter, so commas and parentheses in it are kept
+ * @param {*} value - Filter value
+ * @returns {string} - Quoted value
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Escape the LIKE wildcards of a text searched for as is
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+// PostgREST condition for each list status, on the given day (see getListStatus)
+const STATUS_CONDITIONS = {
+  completed: () => 'is_completed.is.true',
+  today: (today) => `and(is_completed.not.is.true,shopping_date.eq.${today})`,
+  overdue: (today) => `and(is_completed.not.is.true,shopping_date.lt.${today})`,
+  upcoming: (today) => `and(is_completed.not.is.true,shopping_date.gt.${today})`,
+};
+
+/**
+ * Apply the list filters shared by reading and counting the lists of a user
+ * @param {Object} query - Supabase query on shopping_lists
+ * @param {Object} filters - Filters parsed by parseListQuery (utils/listQuery)
+ * @returns {Object} - Filtered query
+ */
+function applyListFilters(query, filters) {
+  if (filters.is_completed !== undefined) {
+    query = query.eq('is_completed', filters.is_completed);
+  }
+
+  if (filters.market_id) {
+    query = query.eq('market_id', filters.market_id);
+  }
+
+  if (filters.statuses) {
+    query = query.or(
+      filters.statuses.map((status) => STATUS_CONDITIONS[status](filters.today)).join(',')
+    );
+  }
+
+  if (filters.date_from) {
+    query = query.gte('shopping_date', filters.date_from);
+  }
+
+  if (filters.date_to) {
+    query = query.lte('shopping_date', filters.date_to);
+  }
+
+  if (filters.payment_id) {
+    query = query.eq('payment_id', filters.payment_id);
+  }
+
+  if (filters.min_total !== undefined) {
+    query = query.gte('total_amount', filters.min_total);
+  }
+
+  if (filters.max_total !== undefined) {
+    query = query.lte('total_amount', filters.max_total);
+  }
+
+  // unchecked_items_count is a computed field (database/add_list_query_fields.sql)
+  if (filters.has_unchecked_items !== undefined) {
+    query = filters.has_unchecked_items
+      ? query.gt('unchecked_items_count', 0)
+      : query.eq('unchecked_items_count', 0);
+  }
+
+  if (filters.title) {
+    query = query.ilike('title', `%${escapeLike(filters.title)}%`);
+  }
+
+  return query;
+}
+
+/**
+ * Build the PostgREST condition for the lists after a keyset position
+ * A list comes after the position when its first differing sort field, with
+ * the id last, is past the position's value in that field's direction.
+ * @param {Array<Object>} sort - [{ field, direction }]
+ * @param {Object} after - { values, id }: sort field values and id of the last list read
+ * @returns {string} - Condition for .or()
+ */
+function buildKeysetCondition(sort, after) {
+  const keys = [
+    ...sort.map(({ field, direction }, index) => ({
+      field,
+      operator: direction === 'asc' ? 'gt' : 'lt',
+      value: quoteFilterValue(after.values[index]),
+    })),
+    {
+      field: 'id',
+      operator: sort[sort.length - 1].direction === 'asc' ? 'gt' : 'lt',
+      value: after.id,
+    },
+  ];
+
+  return keys
+    .map((key, index) => {
+      const equal = keys.slice(0, index).map((prior) => `${prior.field}.eq.${prior.value}`);
+      const past = `${key.field}.${key.operator}.${key.value}`;
+      return equal.length === 0 ? past : `and(${[...equal, past].join(',')})`;
+    })
+    .join(',');
+}
+
+/**
+ * Get shopping lists for a user (personal lists and lists of their households)
+ * Lists, their market, household and item counts come back from one query.
+ * Pages are read by keyset: `options.after` is the { values, id } of the last list
+ * of the previous page, in the `options.sort` order (ties broken by id).
  * @param {string} user_id - User ID
- * @param {Object} options - Query options
+ * @param {Object} options - Filters (see applyListFilters) and { sort, limit, after }
+ * @param {Object} [client] - Supabase client (for testing)
+ * @param {Object} households - Household repository dependency (for testing)
  * @returns {Array} - Array of shopping lists
  */
-async function getShoppingLists(user_id, options = {}) {
+async function getShoppingLists(user_id, options = {}, client, households = householdRepository) {
   // Validate UUID format before attempting database connection
   const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
   if (!user_id || !uuidRegex.test(user_id)) {
     throw new Error(`Invalid UUID format for user_id: ${user_id}`);
   }
 
-  const supabase = getClient();
+  const supabase = client || getClient();
+  const householdIds = await households.getHouseholdIdsForUser(user_id);
 
-  // Build query using Supabase API
+  // Build query using Supabase API; the items are only counted, leaving tombstones out
   let query = supabase
     .from('shopping_lists')
     .select(
@@ -130,34 +258,36 @@ async function getShoppingLists(user_id, options = {}) {
       markets (
         name,
         address
-      )
+      ),
+      households (
+        name
+      ),
+      items:shopping_list_items ( count ),
+      checked_items:shopping_list_items ( count )
     `
     )
-    .eq('user_id', user_id)
-    .is('deleted_at', null);
+    .or(households.buildScopeFilter(user_id, householdIds))
+    .is('deleted_at', null)
+    .is('items.deleted_at', null)
+    .is('checked_items.deleted_at', null)
+    .eq('checked_items.is_checked', true);
 
-  // Apply filters
-  if (options.is_completed !== undefined) {
-    query = query.eq('is_completed', options.is_completed);
-  }
+  query = applyListFilters(query, options);
 
-  if (options.market_id) {
-    query = query.eq('market_id', options.market_id);
+  // Apply ordering; the id makes the order total, so pages neither skip nor repeat lists
+  const sort = options.sort || DEFAULT_SORT;
+  for (const { field, direction } of sort) {
+    query = query.order(field, { ascending: direction === 'asc' });
   }
+  query = query.order('id', { ascending: sort[sort.length - 1].direction === 'asc' });
 
-  // Apply ordering
-  const orderBy = options.orderBy || 'created_at';
-  const orderDirection = options.orderDirection || 'desc';
-  query = query.order(orderBy, { ascending: orderDirection === 'asc' });
-
-  // Apply pagination
-  if (options.limit) {
-    query = query.limit(options.limit);
-  }
-  if (options.offset) {
-    query = query.range(options.offset, options.offset + (options.limit || 50) - 1);
+  // Start after the last list of the previous page
+  if (options.after) {
+    query = query.or(buildKeysetCondition(sort, options.after));
   }
 
+  query = query.limit(options.limit || 50);
+
   const { data, error } = await query;
 
   if (error) {
@@ -168,36 +298,52 @@ async function getShoppingLists(user_id, options = {}) {
     );
   }
 
-  // Count items for each list
-  const listsWithCounts = await Promise.all(
-    (data || []).map(async (list) => {
-      const { count: itemsCount } = await supabase
-        .from('shopping_list_items')
-        .select('*', { count: 'exact', head: true })
-        .eq('list_id', list.id);
-
-      const { count: checkedCount } = await supabase
-        .from('shopping_list_items')
-        .select('*', { count: 'exact', head: true })
-        .eq('list_id', list.id)
-        .eq('is_checked', true);
-
-      return {
-        ...list,
-        market_name: list.markets?.name || null,
-        market_address: list.markets?.address || null,
-        markets: undefined,
-        items_count: itemsCount || 0,
-        checked_items_count: checkedCount || 0,
-      };
-    })
-  );
+  return (data || []).map((list) => ({
+    ...list,
+    market_name: list.markets?.name || null,
+    market_address: list.markets?.address || null,
+    markets: undefined,
+    household_name: list.households?.name || null,
+    households: undefined,
+    items_count: list.items?.[0]?.count || 0,
+    items: undefined,
+    checked_items_count: list.checked_items?.[0]?.count || 0,
+    checked_items: undefined,
+  }));
+}
 
-  return listsWithCounts;
+/**
+ * Count the shopping lists of a user matching the list filters
+ * @param {string} user_id - User ID
+ * @param {Object} options - Filters (see applyListFilters)
+ * @param {Object} [client] - Supabase client (for testing)
+ * @param {Object} households - Household repository dependency (for testing)
+ * @returns {Promise<number>} - Number of lists
+ */
+async function countShoppingLists(user_id, options = {}, client, households = householdRepository) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!user_id || !uuidRegex.test(user_id)) {
+    throw new Error(`Invalid UUID format for user_id: ${user_id}`);
+  }
+
+  const supabase = client || getClient();
+  const householdIds = await households.getHouseholdIdsForUser(user_id);
+
+  const query = supabase
+    .from('shopping_lists')
+    .select('id', { count: 'exact', head: true })
+    .or(households.buildScopeFilter(user_id, householdIds))
+    .is('deleted_at', null);
+
+  const { count, error } = await applyListFilters(query, options);
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  return count || 0;
 }
 
 /**
- * Get shopping list by ID
+ * Get shopping list by ID (owned by the user or shared with one of their households)
  * @param {string} id - Shopping list ID
  * @param {string} user_id - User ID for authorization
  * @returns {Object|null} - Shopping list with items or null if not found
@@ -213,6 +359,7 @@ async function getShoppingListById(id, user_id) {
   }
 
   const supabase = getClient();
+  const householdIds = await householdRepository.getHouseholdIdsForUser(user_id);
 
   // Get the list from base table with market join
   const { data: list, error: listError } = await supabase
@@ -227,7 +374,7 @@ async function getShoppingListById(id, user_id) {
     `
     )
     .eq('id', id)
-    .eq('user_id', user_id)
+    .or(householdRepository.buildScopeFilter(user_id, householdIds))
     .is('deleted_at', null)
     .single();
 
@@ -244,6 +391,7 @@ async function getShoppingListById(id, user_id) {
     .from('shopping_list_items')
     .select('*')
     .eq('list_id', id)
+    .is('deleted_at', null)
     .order('category', { ascending: true })
     .order('unit_price', { ascending: true });
 
@@ -261,7 +409,7 @@ async function getShoppingListById(id, user_id) {
 
 /**
  * Get shopping list by share code
- * @param {string} shareCode - 4-digit share code
+ * @param {string} shareCode - Share code (legacy 4 digits or 12 letters/digits)
  * @returns {Object|null} - Shopping list with items or null if not found
  */
 async function getShoppingListByShareCode(shareCode) {
@@ -295,6 +443,7 @@ async function getShoppingListByShareCode(shareCode) {
     .from('shopping_list_items')
     .select('*')
     .eq('list_id', list.id)
+    .is('deleted_at', null)
     .order('created_at', { ascending: true });
 
   if (itemsError) {
@@ -378,6 +527,7 @@ async function deleteShoppingList(id, user_id) {
     .single();
 
   if (error) {
+    if (error.code === 'PGRST116') return null; // Not found, or not the owner's
     console.error('Supabase delete error:', error);
     throw new Error(
       `Database error: ${error.message}${error.details ? ' - ' + error.details : ''}`
@@ -386,6 +536,170 @@ async function deleteShoppingList(id, user_id) {
   return data;
 }
 
+/**
+ * Get the deleted shopping lists of a user (the trash)
+ * @param {string} user_id - Owner user ID
+ * @returns {Array} - Deleted lists with `items_count`, most recently deleted first
+ */
+async function getDeletedShoppingLists(user_id) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!user_id || !uuidRegex.test(user_id)) {
+    throw new Error(`Invalid UUID format for user_id: ${user_id}`);
+  }
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .select('*, shopping_list_items ( count )')
+    .eq('user_id', user_id)
+    .not('deleted_at', 'is', null)
+    .is('shopping_list_items.deleted_at', null)
+    .order('deleted_at', { ascending: false });
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  return (data || []).map((list) => ({
+    ...list,
+    items_count: list.shopping_list_items?.[0]?.count || 0,
+    shopping_list_items: undefined,
+  }));
+}
+
+/**
+ * Restore a deleted shopping list
+ * @param {string} id - Shopping list ID
+ * @param {string} user_id - Owner user ID
+ * @param {Object} updates - Fields to change while restoring (e.g. a new share_code)
+ * @returns {Object|null} - Restored shopping list, or null if it is not in the trash
+ */
+async function restoreShoppingList(id, user_id, updates = {}) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!id || !uuidRegex.test(id)) {
+    throw new Error(`Invalid UUID format for id: ${id}`);
+  }
+  if (!user_id || !uuidRegex.test(user_id)) {
+    throw new Error(`Invalid UUID format for user_id: ${user_id}`);
+  }
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .update({
+      ...updates,
+      deleted_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', id)
+    .eq('user_id', user_id)
+    .not('deleted_at', 'is', null)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null; // Not in the trash
+    throw new Error(`Database error: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Permanently delete shopping lists of a user from the trash
+ * @param {string} user_id - Owner user ID
+ * @param {Object} filter - Which deleted lists
+ * @param {string} [filter.id] - A single list
+ * @param {string} [filter.deleted_before] - Lists deleted before this time (ISO date)
+ * @returns {Array} - Purged lists ({ id, title })
+ */
+async function purgeShoppingLists(user_id, filter = {}) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!user_id || !uuidRegex.test(user_id)) {
+    throw new Error(`Invalid UUID format for user_id: ${user_id}`);
+  }
+  if (filter.id !== undefined && !uuidRegex.test(filter.id)) {
+    throw new Error(`Invalid UUID format for id: ${filter.id}`);
+  }
+
+  const supabase = getClient();
+
+  let query = supabase
+    .from('shopping_lists')
+    .delete()
+    .eq('user_id', user_id)
+    .not('deleted_at', 'is', null);
+
+  if (filter.id !== undefined) {
+    query = query.eq('id', filter.id);
+  }
+  if (filter.deleted_before !== undefined) {
+    query = query.lt('deleted_at', filter.deleted_before);
+  }
+
+  const { data, error } = await query.select('id, title');
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Get the owner and sharing settings of a shopping list (lightweight lookup for authorization)
+ * @param {string} listId - Shopping list ID
+ * @returns {Object|null} - { id, user_id, household_id, title, market_id, shopping_date, share_code, share_permission, share_code_expires_at, share_code_revoked_at } or null if not found
+ */
+async function getShoppingListOwner(listId) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!listId || !uuidRegex.test(listId)) {
+    throw new Error(`Invalid UUID format for list_id: ${listId}`);
+  }
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .select(
+      'id, user_id, household_id, title, market_id, shopping_date, share_code, share_permission, share_code_expires_at, share_code_revoked_at'
+    )
+    .eq('id', listId)
+    .is('deleted_at', null)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null; // Not found
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get a shopping list item by ID
+ * @param {string} itemId - Item ID
+ * @returns {Object|null} - Item or null if not found
+ */
+async function getShoppingListItemById(itemId) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!itemId || !uuidRegex.test(itemId)) {
+    throw new Error(`Invalid UUID format for item_id: ${itemId}`);
+  }
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('shopping_list_items')
+    .select('*')
+    .eq('id', itemId)
+    .is('deleted_at', null)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null; // Not found
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
 /**
  * Add item to shopping list
  * @param {string} listId - Shopping list ID
@@ -404,6 +718,7 @@ async function addItemToList(listId, itemData) {
     unit_price: itemData.unit_price || 0,
     total_price: (itemData.quantity || 0) * (itemData.unit_price || 0),
     notes: itemData.notes || null,
+    client_id: itemData.client_id || null,
   };
 
   const { data, error } = await supabase
@@ -416,6 +731,52 @@ async function addItemToList(listId, itemData) {
   return data;
 }
 
+/**
+ * Get the item a client added to a list under its own ID, even if it was removed since
+ * @param {string} listId - Shopping list ID
+ * @param {string} clientId - ID the client gave the item (e.g. while offline)
+ * @returns {Object|null} - Item (deleted_at set if removed) or null if none was added with that ID
+ */
+async function getItemByClientId(listId, clientId) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('shopping_list_items')
+    .select('*')
+    .eq('list_id', listId)
+    .eq('client_id', clientId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+  return data;
+}
+
+/**
+ * Add several items to a shopping list in one insert, so either all or none are added
+ * @param {string} listId - Shopping list ID
+ * @param {Array<Object>} items - Item data
+ * @returns {Array<Object>} - Created items
+ */
+async function addItemsToList(listId, items) {
+  const supabase = getClient();
+
+  const itemsToInsert = items.map((itemData) => ({
+    list_id: listId,
+    product_name: itemData.product_name,
+    category: itemData.category,
+    quantity: itemData.quantity,
+    unit: itemData.unit,
+    unit_price: itemData.unit_price || 0,
+    total_price: (itemData.quantity || 0) * (itemData.unit_price || 0),
+    notes: itemData.notes || null,
+  }));
+
+  const { data, error } = await supabase.from('shopping_list_items').insert(itemsToInsert).select();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
 /**
  * Update shopping list item
  * @param {string} itemId - Item ID
@@ -458,6 +819,7 @@ async function updateShoppingListItem(itemId, updates) {
 
 /**
  * Delete shopping list item
+ * The item is kept as a tombstone (deleted_at set) while its removal can be undone.
  * @param {string} itemId - Item ID
  * @returns {Object} - Deleted item
  */
@@ -466,8 +828,9 @@ async function deleteShoppingListItem(itemId) {
 
   const { data, error } = await supabase
     .from('shopping_list_items')
-    .delete()
+    .update({ deleted_at: new Date().toISOString() })
     .eq('id', itemId)
+    .is('deleted_at', null)
     .select()
     .single();
 
@@ -475,14 +838,224 @@ async function deleteShoppingListItem(itemId) {
   return data;
 }
 
+/**
+ * Bring removed items back from their tombstones
+ * @param {Array<string>} itemIds - Item IDs
+ * @returns {Array} - Restored items
+ */
+async function restoreShoppingListItems(itemIds) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('shopping_list_items')
+    .update({ deleted_at: null })
+    .in('id', itemIds)
+    .not('deleted_at', 'is', null)
+    .select();
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+/**
+ * Apply several item updates of a list, or check/uncheck all its items, atomically
+ * @param {string} listId - Shopping list ID
+ * @param {Object} batch - { updates: [{ id, ...fields }] } or { command: 'check_all' | 'uncheck_all' }
+ * @returns {Object} - { items, total_amount } with the updated items and the new list total
+ */
+async function batchUpdateItems(listId, batch) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase.rpc('batch_update_shopping_list_items', {
+    p_list_id: listId,
+    p_updates: batch.updates || [],
+    p_command: batch.command || null,
+  });
+
+  if (error) throw new Error(error.message);
+
+  return {
+    items: (data && data.items) || [],
+    total_amount: parseFloat((data && data.total_amount) || 0),
+  };
+}
+
+/**
+ * Check or uncheck some items
+ * @param {Array<string>} itemIds - Item IDs
+ * @param {boolean} is_checked - New checked state
+ * @param {Object} [versions] - `updated_at` by item ID: an item is only changed
+ *   while it is still at that version
+ * @returns {Array} - Updated items
+ */
+async function setItemsChecked(itemIds, is_checked, versions) {
+  const supabase = getClient();
+
+  let query = supabase
+    .from('shopping_list_items')
+    .update({ is_checked, updated_at: new Date().toISOString() })
+    .in('id', itemIds)
+    .is('deleted_at', null);
+
+  if (versions) {
+    query = query.or(
+      itemIds
+        .map((id) =>
+          versions[id]
+            ? `and(id.eq.${id},updated_at.eq.${quoteFilterValue(versions[id])})`
+            : `id.eq.${id}`
+        )
+        .join(',')
+    );
+  }
+
+  const { data, error } = await query.select();
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+/**
+ * Count the items of a list
+ * @param {string} listId - Shopping list ID
+ * @returns {number} - Items, removed ones left out
+ */
+async function countItems(listId) {
+  const supabase = getClient();
+
+  const { count, error } = await supabase
+    .from('shopping_list_items')
+    .select('*', { count: 'exact', head: true })
+    .eq('list_id', listId)
+    .is('deleted_at', null);
+
+  if (error) throw new Error(error.message);
+  return count || 0;
+}
+
+/**
+ * Count the items of a list that were not checked yet
+ * @param {string} listId - Shopping list ID
+ * @returns {number} - Unchecked items
+ */
+async function countUncheckedItems(listId) {
+  const supabase = getClient();
+
+  const { count, error } = await supabase
+    .from('shopping_list_items')
+    .select('*', { count: 'exact', head: true })
+    .eq('list_id', listId)
+    .is('deleted_at', null)
+    .eq('is_checked', false);
+
+  if (error) throw new Error(error.message);
+  return count || 0;
+}
+
+/**
+ * Get the recurring lists of a user whose next occurrence is due to be generated
+ * @param {string} user_id - User ID
+ * @param {string} until - Latest shopping date of a due list (YYYY-MM-DD)
+ * @returns {Array} - Lists with their `items`
+ */
+async function getListsDueForRecurrence(user_id, until) {
+  const supabase = getClient();
+  const householdIds = await householdRepository.getHouseholdIdsForUser(user_id);
+
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .select(
+      `
+      *,
+      shopping_list_items (
+        product_name,
+        category,
+        quantity,
+        unit,
+        unit_price,
+        notes
+      )
+    `
+    )
+    .or(householdRepository.buildScopeFilter(user_id, householdIds))
+    .not('recurrence_rule', 'is', null)
+    .is('recurrence_next_id', null)
+    .is('deleted_at', null)
+    .is('shopping_list_items.deleted_at', null)
+    .lte('shopping_date', until);
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  return (data || []).map((list) => ({
+    ...list,
+    items: list.shopping_list_items || [],
+    shopping_list_items: undefined,
+  }));
+}
+
+/**
+ * Claim the generation of a list's next occurrence
+ * Only one caller can claim a list, so concurrent generators create it once.
+ * @param {string} listId - Shopping list ID
+ * @param {string} nextId - ID the next occurrence will be created with
+ * @returns {boolean} - Whether the claim succeeded
+ */
+async function claimNextOccurrence(listId, nextId) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .update({ recurrence_next_id: nextId })
+    .eq('id', listId)
+    .is('recurrence_next_id', null)
+    .select('id');
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+  return (data || []).length > 0;
+}
+
+/**
+ * Release a claim whose next occurrence could not be created
+ * @param {string} listId - Shopping list ID
+ * @param {string} nextId - ID of the claim
+ * @returns {void}
+ */
+async function releaseNextOccurrence(listId, nextId) {
+  const supabase = getClient();
+
+  const { error } = await supabase
+    .from('shopping_lists')
+    .update({ recurrence_next_id: null })
+    .eq('id', listId)
+    .eq('recurrence_next_id', nextId);
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+}
+
 module.exports = {
   createShoppingList,
   getShoppingLists,
+  countShoppingLists,
   getShoppingListById,
   getShoppingListByShareCode,
   updateShoppingList,
   deleteShoppingList,
+  getDeletedShoppingLists,
+  restoreShoppingList,
+  purgeShoppingLists,
+  getShoppingListOwner,
+  getShoppingListItemById,
   addItemToList,
+  getItemByClientId,
+  addItemsToList,
   updateShoppingListItem,
   deleteShoppingListItem,
+  restoreShoppingListItems,
+  batchUpdateItems,
+  setItemsChecked,
+  countItems,
+  countUncheckedItems,
+  getListsDueForRecurrence,
+  claimNextOccurrence,
+  releaseNextOccurrence,
 };
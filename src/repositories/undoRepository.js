@@ -0,0 +1,172 @@
+/**
+ * Undo Repository
+ * Data access layer for the item operations that can be undone
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY or SUPABASE_ANON_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Record an operation that can be undone
+ * @param {Object} entry - Operation row ({ list_id, actor_id, action, items, expires_at })
+ * @returns {Object} - Recorded operation
+ */
+async function createUndoOperation(entry) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('item_undo_operations')
+    .insert(entry)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record undo operation: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get an operation by its undo token
+ * @param {string} id - Undo token (operation ID)
+ * @returns {Object|null} - Operation or null if not found
+ */
+async function getUndoOperation(id) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!id || !uuidRegex.test(id)) {
+    throw new Error(`Invalid UUID format for undo_token: ${id}`);
+  }
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('item_undo_operations')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null; // Not found
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get the most recent operation on a list
+ * @param {string} listId - Shopping list ID
+ * @returns {Object|null} - Operation or null if the list has none
+ */
+async function getLatestUndoOperation(listId) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('item_undo_operations')
+    .select('*')
+    .eq('list_id', listId)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+  return (data && data[0]) || null;
+}
+
+/**
+ * Mark an operation as undone
+ * Only one caller can mark an operation, so it is undone once.
+ * @param {string} id - Undo token (operation ID)
+ * @returns {boolean} - Whether this call marked it
+ */
+async function markUndoOperationReverted(id) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('item_undo_operations')
+    .update({ reverted_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('reverted_at', null)
+    .select('id');
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+  return (data || []).length > 0;
+}
+
+/**
+ * Permanently delete the tombstones and operations of a list whose undo window is over
+ * Tombstones of items added offline are kept with the list: their client_id
+ * keeps telling a replayed add that the item was added, and then removed.
+ * @param {string} listId - Shopping list ID
+ * @param {string} before - Items removed before this time are deleted (ISO date)
+ * @returns {number} - Deleted tombstones
+ */
+async function purgeExpiredUndo(listId, before) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('shopping_list_items')
+    .delete()
+    .eq('list_id', listId)
+    .lt('deleted_at', before)
+    .is('client_id', null)
+    .select('id');
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  const { error: operationsError } = await supabase
+    .from('item_undo_operations')
+    .delete()
+    .eq('list_id', listId)
+    .lt('expires_at', new Date().toISOString());
+
+  if (operationsError) throw new Error(`Database error: ${operationsError.message}`);
+
+  return (data || []).length;
+}
+
+module.exports = {
+  createUndoOperation,
+  getUndoOperation,
+  getLatestUndoOperation,
+  markUndoOperationReverted,
+  purgeExpiredUndo,
+};
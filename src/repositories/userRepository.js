@@ -0,0 +1,223 @@
+/**
+ * User Repository
+ * Data access layer for users
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Try to load dotenv for local development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+/**
+ * Get Supabase client
+ * @returns {Object} - Supabase client instance
+ */
+function getClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  // Try multiple environment variable names for backward compatibility
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    const missingVars = [];
+    if (!supabaseUrl) missingVars.push('SUPABASE_URL');
+    if (!supabaseKey)
+      missingVars.push(
+        'SUPABASE_SERVICE_API_KEY or SUPABASE_SERVICE_ROLE_KEY or SUPABASE_SERVICE_KEY or SUPABASE_ANON_KEY'
+      );
+
+    throw new Error(
+      `Supabase credentials are required. Missing: ${missingVars.join(', ')}. ` +
+        `Please set these environment variables in your deployment platform (Netlify/Vercel) or .env file for local development.`
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Validate UUID format
+ * @param {string} uuid - UUID to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} - If UUID format is invalid
+ */
+function validateUuid(uuid, fieldName = 'id') {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(uuid)) {
+    throw new Error(`Invalid UUID format for ${fieldName}: ${uuid}`);
+  }
+}
+
+/**
+ * Get user by phone number
+ * @param {string} phone - Phone number (digits only)
+ * @returns {Promise<Object|null>} - User or null if not found
+ */
+async function getUserByPhone(phone) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase.rpc('get_user_by_phone', { p_phone: phone });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Get user by ID
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} - User or null if not found
+ */
+async function getUserById(id) {
+  validateUuid(id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, name, phone, email, preferred_market_id, skipped_onboarding, is_active')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Create a new user
+ * The password hash is written in the same insert, so no account ever exists
+ * without the password it was created with.
+ * @param {Object} userData - User data
+ * @param {string} userData.name - User name
+ * @param {string} userData.phone - Phone number (digits only)
+ * @param {string} userData.password_hash - Hash from utils/password.hashPassword()
+ * @param {boolean} [userData.skipped_onboarding] - Whether onboarding was skipped
+ * @returns {Promise<Object>} - Created user (without the hash)
+ */
+async function createUser(userData) {
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('users')
+    .insert({
+      name: userData.name,
+      phone: userData.phone,
+      email: userData.email || null,
+      preferred_market_id: userData.preferred_market_id || null,
+      skipped_onboarding: userData.skipped_onboarding || false,
+      password_hash: userData.password_hash,
+    })
+    .select('id, name, phone, email, preferred_market_id, skipped_onboarding, is_active')
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Update a user's profile
+ * Only the fields present in updates are changed
+ * @param {string} id - User ID
+ * @param {Object} updates - Fields to update (name, email, preferred_market_id)
+ * @returns {Promise<Object>} - Updated user
+ */
+async function updateUser(id, updates) {
+  validateUuid(id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase.rpc('update_user', {
+    p_user_id: id,
+    p_name: updates.name || null,
+    p_email: updates.email || null,
+    p_preferred_market_id: updates.preferred_market_id || null,
+  });
+
+  if (error) {
+    if (error.message && error.message.includes('User not found')) {
+      throw new Error('User not found');
+    }
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get the password hash of a user
+ * @param {string} id - User ID
+ * @returns {Promise<string|null>} - Stored hash or null if the user has no password
+ */
+async function getPasswordHash(id) {
+  validateUuid(id, 'user_id');
+
+  const supabase = getClient();
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('password_hash')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data.password_hash || null;
+}
+
+/**
+ * Set the password hash of a user
+ * @param {string} id - User ID
+ * @param {string} passwordHash - Hash from utils/password.hashPassword()
+ * @returns {Promise<void>}
+ */
+async function setPasswordHash(id, passwordHash) {
+  validateUuid(id, 'user_id');
+
+  const supabase = getClient();
+
+  const { error } = await supabase
+    .from('users')
+    .update({ password_hash: passwordHash })
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getUserByPhone,
+  getUserById,
+  createUser,
+  updateUser,
+  getPasswordHash,
+  setPasswordHash,
+};
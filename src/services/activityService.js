@@ -0,0 +1,175 @@
+/**
+ * Activity Service
+ * Business logic layer for the activity log of shopping lists
+ *
+ * Activities are recorded after the change they describe succeeded. Recording
+ * never fails the change: errors are logged and the feed misses the entry.
+ */
+
+const repository = require('../repositories/activityRepository');
+const shoppingListRepository = require('../repositories/shoppingListRepository');
+
+// Actions the activity log records
+const ACTIVITY_ACTIONS = [
+  'list_created',
+  'list_completed',
+  'list_shared',
+  'list_deleted',
+  'list_restored',
+  'item_added',
+  'item_updated',
+  'item_checked',
+  'item_removed',
+];
+
+// Feed page size by default, and at most
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Record an action taken on a list
+ * @param {string} action - One of ACTIVITY_ACTIONS
+ * @param {Object} list - List the action was taken on ({ id, user_id, household_id, title })
+ * @param {Object|null} actor - Who took it (event.auth); null or without user_id for share code holders
+ * @param {Object} details - What changed, shown in the feed
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<boolean>} - Whether the activity was recorded
+ */
+async function recordActivity(action, list, actor, details = {}, repo = repository) {
+  if (!ACTIVITY_ACTIONS.includes(action)) {
+    throw new Error(`Invalid activity action. Must be one of: ${ACTIVITY_ACTIONS.join(', ')}`);
+  }
+
+  if (!list || !list.id || !list.user_id) {
+    return false;
+  }
+
+  try {
+    await repo.recordActivity({
+      action,
+      list_id: list.id,
+      user_id: list.user_id,
+      household_id: list.household_id || null,
+      actor_id: (actor && actor.user_id) || null,
+      details: { list_title: list.title || null, ...details },
+    });
+    return true;
+  } catch (error) {
+    console.error('Error recording activity:', error);
+    return false;
+  }
+}
+
+/**
+ * Record a change to a list item
+ * @param {string} action - 'item_added', 'item_updated', 'item_checked' or 'item_removed'
+ * @param {Object} list - List of the item
+ * @param {Object} item - Item after the change (or the removed item)
+ * @param {Object|null} actor - Who changed it (event.auth)
+ * @param {Object} details - What changed
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<boolean>} - Whether the activity was recorded
+ */
+async function recordItemActivity(action, list, item, actor, details = {}, repo = repository) {
+  return recordActivity(
+    action,
+    list,
+    actor,
+    { item_id: item.id, product_name: item.product_name, ...details },
+    repo
+  );
+}
+
+/**
+ * Record that a list was completed if checking an item left nothing to buy
+ * @param {Object} list - List of the checked item
+ * @param {Object|null} actor - Who checked it (event.auth)
+ * @param {Object} lists - Shopping list repository dependency (for testing)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<boolean>} - Whether a completion was recorded
+ */
+async function recordListCompletion(
+  list,
+  actor,
+  lists = shoppingListRepository,
+  repo = repository
+) {
+  try {
+    if ((await lists.countUncheckedItems(list.id)) > 0) {
+      return false;
+    }
+  } catch (error) {
+    console.error('Error checking list completion:', error);
+    return false;
+  }
+
+  return recordActivity('list_completed', list, actor, {}, repo);
+}
+
+/**
+ * Shape an activity for the feed
+ * @param {Object} row - Activity log row
+ * @param {string} user_id - User reading the feed
+ * @returns {Object} - Activity
+ */
+function toFeedEntry(row, user_id) {
+  const details = row.details || {};
+
+  return {
+    id: row.id,
+    action: row.action,
+    list_id: row.list_id,
+    list_title: details.list_title || null,
+    household_id: row.household_id || null,
+    actor: {
+      user_id: row.actor_id || null,
+      name: row.actor_name || null,
+      is_self: row.actor_id === user_id,
+      via_share_code: !row.actor_id,
+    },
+    details,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Get a page of the activity feed of a user
+ * @param {string} user_id - User ID
+ * @param {Object} options - Pagination
+ * @param {number} [options.limit] - Page size
+ * @param {number} [options.offset] - Activities to skip
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - { activities, pagination: { limit, offset, has_more } }
+ */
+async function getActivityFeed(user_id, options = {}, repo = repository) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const limit = options.limit === undefined ? DEFAULT_PAGE_SIZE : Number(options.limit);
+  const offset = options.offset === undefined ? 0 : Number(options.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`Invalid limit. Must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('Invalid offset. Must be a whole number of at least 0');
+  }
+
+  // One extra row tells whether there is a next page
+  const rows = await repo.getActivities(user_id, { limit: limit + 1, offset });
+
+  return {
+    activities: rows.slice(0, limit).map((row) => toFeedEntry(row, user_id)),
+    pagination: { limit, offset, has_more: rows.length > limit },
+  };
+}
+
+module.exports = {
+  ACTIVITY_ACTIONS,
+  recordActivity,
+  recordItemActivity,
+  recordListCompletion,
+  getActivityFeed,
+};
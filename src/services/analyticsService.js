@@ -0,0 +1,229 @@
+/**
+ * Analytics Service
+ * Business logic layer for spending analytics
+ *
+ * Spending is the estimated total of the items of the lists planned for a
+ * month, whether bought yet or not, the same figure budgets are checked
+ * against. Periods end with the current month, including lists planned for
+ * later in it.
+ */
+
+const repository = require('../repositories/analyticsRepository');
+const { monthKey, monthRange, roundAmount } = require('../utils/budget');
+
+// How many months analytics cover by default, and at most
+const DEFAULT_MONTHS = 6;
+const MAX_MONTHS = 24;
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The months of a period, oldest first
+ * @param {number} months - How many months, ending with the current one
+ * @param {Date} now - Current time
+ * @returns {Array<string>} - YYYY-MM months
+ */
+function listMonths(months, now) {
+  return Array.from({ length: months }, (_, index) => {
+    const date = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - months + 1 + index, 1)
+    );
+    return monthKey(date);
+  });
+}
+
+/**
+ * First (Monday) and last (Sunday) day of the week of a date
+ * @param {Date} now - Current time
+ * @returns {Object} - { from, to } as YYYY-MM-DD
+ */
+function weekRange(now) {
+  const monday = now.getUTCDate() - ((now.getUTCDay() + 6) % 7);
+  const day = (offset) =>
+    toDateString(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), monday + offset)));
+
+  return { from: day(0), to: day(6) };
+}
+
+/**
+ * Whether every item of a list was bought
+ * @param {Object} list - List with `items`
+ * @returns {boolean}
+ */
+function isListCompleted(list) {
+  if (list.is_completed) {
+    return true;
+  }
+
+  return list.items.length > 0 && list.items.every((item) => item.is_checked);
+}
+
+/**
+ * Add a list's spending to a group of a breakdown
+ * @param {Map} groups - Groups by key
+ * @param {string} key - Group key
+ * @param {Object} initial - Fields identifying a new group
+ * @param {number} total - Amount to add
+ * @returns {Object} - The group
+ */
+function addToGroup(groups, key, initial, total) {
+  if (!groups.has(key)) {
+    groups.set(key, { ...initial, lists_count: 0, total: 0 });
+  }
+
+  const group = groups.get(key);
+  group.lists_count += 1;
+  group.total = roundAmount(group.total + total);
+  return group;
+}
+
+/**
+ * Sort breakdown groups by spending and add their share of the total
+ * @param {Map} groups - Groups by key
+ * @param {number} grandTotal - Total spending
+ * @returns {Array} - Groups, biggest first
+ */
+function rankGroups(groups, grandTotal) {
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      percentage: grandTotal > 0 ? Math.round((group.total / grandTotal) * 100) : 0,
+    }))
+    .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Aggregate shopping lists into spending analytics
+ * @param {Array} lists - Lists from the repository's getListsForAnalytics()
+ * @param {Array<string>} months - Months of the period, oldest first
+ * @param {Date} now - Current time
+ * @returns {Object} - Analytics
+ */
+function buildAnalytics(lists, months, now) {
+  const currentWeek = weekRange(now);
+  const currentMonth = monthKey(now);
+  const periodLists = lists.filter((list) => months.includes(monthKey(list.shopping_date)));
+
+  const byMonth = new Map(
+    months.map((month) => [month, { month, lists_count: 0, items_count: 0, total: 0 }])
+  );
+  const byCategory = new Map();
+  const byMarket = new Map();
+  const byPaymentType = new Map();
+
+  let totalSpent = 0;
+  let itemsCount = 0;
+  let completedLists = 0;
+
+  periodLists.forEach((list) => {
+    const listTotal = roundAmount(
+      list.items.reduce((sum, item) => sum + (Number(item.total_price) || 0), 0)
+    );
+
+    totalSpent = roundAmount(totalSpent + listTotal);
+    itemsCount += list.items.length;
+    if (isListCompleted(list)) {
+      completedLists += 1;
+    }
+
+    const month = byMonth.get(monthKey(list.shopping_date));
+    month.lists_count += 1;
+    month.items_count += list.items.length;
+    month.total = roundAmount(month.total + listTotal);
+
+    addToGroup(
+      byMarket,
+      list.market_id || 'none',
+      { market_id: list.market_id || null, market_name: list.market_name },
+      listTotal
+    );
+    addToGroup(
+      byPaymentType,
+      list.payment_type || 'none',
+      { payment_type: list.payment_type || null },
+      listTotal
+    );
+
+    // A list counts once per category it has items of
+    const categoryTotals = {};
+    list.items.forEach((item) => {
+      const category = item.category || 'Outros';
+      categoryTotals[category] = (categoryTotals[category] || 0) + (Number(item.total_price) || 0);
+    });
+    Object.entries(categoryTotals).forEach(([category, total]) => {
+      addToGroup(byCategory, category, { category, items_count: 0 }, total);
+    });
+    list.items.forEach((item) => {
+      byCategory.get(item.category || 'Outros').items_count += 1;
+    });
+  });
+
+  const listsCount = periodLists.length;
+
+  return {
+    period: {
+      months: months.length,
+      from: `${months[0]}-01`,
+      to: monthRange(months[months.length - 1]).to,
+    },
+    summary: {
+      lists_count: listsCount,
+      items_count: itemsCount,
+      total_spent: totalSpent,
+      completed_lists: completedLists,
+      completion_rate: listsCount > 0 ? Math.round((completedLists / listsCount) * 100) : 0,
+      average_items_per_list: listsCount > 0 ? Math.round((itemsCount / listsCount) * 10) / 10 : 0,
+      average_list_total: listsCount > 0 ? roundAmount(totalSpent / listsCount) : 0,
+      lists_this_week: lists.filter(
+        (list) => list.shopping_date >= currentWeek.from && list.shopping_date <= currentWeek.to
+      ).length,
+      spent_this_month: byMonth.get(currentMonth).total,
+    },
+    by_month: [...byMonth.values()],
+    by_category: rankGroups(byCategory, totalSpent),
+    by_market: rankGroups(byMarket, totalSpent),
+    by_payment_type: rankGroups(byPaymentType, totalSpent),
+  };
+}
+
+/**
+ * Get the spending analytics of a user's lists and their households' lists
+ * @param {string} user_id - User ID
+ * @param {Object} options - Options
+ * @param {number} [options.months] - How many months, ending with the current one
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<Object>} - Analytics
+ */
+async function getSpendingAnalytics(user_id, options = {}, repo = repository, now = new Date()) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const months = options.months === undefined ? DEFAULT_MONTHS : Number(options.months);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_MONTHS) {
+    throw new Error(`Invalid months. Must be a whole number between 1 and ${MAX_MONTHS}`);
+  }
+
+  const periodMonths = listMonths(months, now);
+
+  // The current week may start before the period or end after it
+  const week = weekRange(now);
+  const from = [`${periodMonths[0]}-01`, week.from].sort()[0];
+  const to = [monthRange(monthKey(now)).to, week.to].sort()[1];
+  const lists = await repo.getListsForAnalytics(user_id, { from, to });
+
+  return buildAnalytics(lists, periodMonths, now);
+}
+
+module.exports = {
+  buildAnalytics,
+  getSpendingAnalytics,
+};
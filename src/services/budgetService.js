@@ -0,0 +1,414 @@
+/**
+ * Budget Service
+ * Business logic layer for monthly budgets
+ *
+ * A budget covers a scope, the user's personal lists or the lists of one
+ * household, every month. A budget without a category caps the whole month;
+ * budgets with a category cap the items of that category. Spending is the
+ * estimated total of the lists of the month, whether bought yet or not.
+ */
+
+const repository = require('../repositories/budgetRepository');
+const householdService = require('./householdService');
+const {
+  monthKey,
+  isValidMonth,
+  monthRange,
+  roundAmount,
+  getBudgetWarning,
+} = require('../utils/budget');
+
+// Largest amount a NUMERIC(10,2) column holds
+const MAX_BUDGET_AMOUNT = 99999999.99;
+
+// Fields a budget update may change
+const EDITABLE_FIELDS = ['amount', 'category'];
+
+/**
+ * Validate and normalize the editable budget fields
+ * @param {Object} data - { amount, category }
+ * @returns {Object} - { amount, category }
+ * @throws {Error} - If validation fails
+ */
+function validateBudget(data) {
+  const amount = Number(data.amount);
+
+  if (data.amount === undefined || data.amount === null || data.amount === '') {
+    throw new Error('Budget amount is required');
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_BUDGET_AMOUNT) {
+    throw new Error('Budget amount must be a positive number');
+  }
+
+  let category = null;
+  if (data.category !== undefined && data.category !== null) {
+    if (typeof data.category !== 'string') {
+      throw new Error('Invalid budget category');
+    }
+    category = data.category.trim() || null;
+    if (category && category.length > 100) {
+      throw new Error('Budget category must be 100 characters or less');
+    }
+  }
+
+  return { amount: roundAmount(amount), category };
+}
+
+/**
+ * Check that a user may change a budget
+ * @param {Object} budget - Budget
+ * @param {string} user_id - User ID
+ * @param {Object} households - Household service dependency (for testing)
+ * @throws {Error} - If the user may not change it
+ */
+async function authorizeBudget(budget, user_id, households = householdService) {
+  if (budget.household_id) {
+    await households.authorizeHousehold(budget.household_id, user_id, 'write');
+  } else if (budget.user_id !== user_id) {
+    throw new Error('User not authorized to change this budget');
+  }
+}
+
+/**
+ * Get the budgets of a user, including the budgets of their households
+ * @param {string} user_id - User ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Array>} - Array of budgets
+ */
+async function getBudgets(user_id, repo = repository) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return repo.getBudgets(user_id);
+}
+
+/**
+ * Create a budget
+ * @param {Object} budgetData - { user_id, amount, category?, household_id? }
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
+ * @returns {Promise<Object>} - Created budget
+ */
+async function createBudget(budgetData, repo = repository, households = householdService) {
+  if (!budgetData || !budgetData.user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const { amount, category } = validateBudget(budgetData);
+
+  if (budgetData.household_id) {
+    await households.authorizeHousehold(budgetData.household_id, budgetData.user_id, 'write');
+  }
+
+  return repo.createBudget({
+    user_id: budgetData.user_id,
+    household_id: budgetData.household_id || null,
+    category,
+    amount,
+  });
+}
+
+/**
+ * Update a budget's amount or category
+ * @param {string} id - Budget ID
+ * @param {string} user_id - User ID for authorization
+ * @param {Object} updates - { amount?, category? }
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
+ * @returns {Promise<Object>} - Updated budget
+ */
+async function updateBudget(
+  id,
+  user_id,
+  updates,
+  repo = repository,
+  households = householdService
+) {
+  if (!id) {
+    throw new Error('Budget ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const budget = await repo.getBudgetById(id);
+  if (!budget) {
+    throw new Error('Budget not found');
+  }
+
+  await authorizeBudget(budget, user_id, households);
+
+  const changes = Object.fromEntries(
+    Object.entries(updates || {}).filter(
+      ([field, value]) => EDITABLE_FIELDS.includes(field) && value !== undefined
+    )
+  );
+
+  if (Object.keys(changes).length === 0) {
+    throw new Error(`Updates must include one of: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const validated = validateBudget({ ...budget, ...changes });
+
+  return repo.updateBudget(id, validated);
+}
+
+/**
+ * Delete a budget
+ * @param {string} id - Budget ID
+ * @param {string} user_id - User ID for authorization
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
+ * @returns {Promise<Object>} - Deleted budget
+ */
+async function deleteBudget(id, user_id, repo = repository, households = householdService) {
+  if (!id) {
+    throw new Error('Budget ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const budget = await repo.getBudgetById(id);
+  if (!budget) {
+    throw new Error('Budget not found');
+  }
+
+  await authorizeBudget(budget, user_id, households);
+
+  return repo.deleteBudget(id);
+}
+
+/**
+ * Key of the scope a budget or list belongs to
+ * @param {string|null} household_id - Household ID
+ * @returns {string}
+ */
+function scopeKey(household_id) {
+  return household_id || 'personal';
+}
+
+/**
+ * Group budgets by scope
+ * @param {Array} budgets - Budgets
+ * @returns {Map} - Scope key -> { household_id, amount, categories: [{ category, amount }] }
+ */
+function groupBudgets(budgets) {
+  const scopes = new Map();
+
+  budgets.forEach((budget) => {
+    const key = scopeKey(budget.household_id);
+    if (!scopes.has(key)) {
+      scopes.set(key, { household_id: budget.household_id || null, amount: null, categories: [] });
+    }
+
+    const scope = scopes.get(key);
+    if (budget.category) {
+      scope.categories.push({ category: budget.category, amount: Number(budget.amount) });
+    } else {
+      scope.amount = Number(budget.amount);
+    }
+  });
+
+  return scopes;
+}
+
+/**
+ * Add up spending rows per list
+ * @param {Array} rows - Rows from the repository's getSpending()
+ * @returns {Array} - [{ list_id, household_id, month, shopping_date, created_at, total, categories }], in date order
+ */
+function summarizeSpending(rows) {
+  const lists = new Map();
+
+  rows.forEach((row) => {
+    if (!lists.has(row.list_id)) {
+      lists.set(row.list_id, {
+        list_id: row.list_id,
+        household_id: row.household_id || null,
+        month: monthKey(row.shopping_date),
+        shopping_date: row.shopping_date,
+        created_at: row.created_at || '',
+        total: 0,
+        categories: {},
+      });
+    }
+
+    const list = lists.get(row.list_id);
+    const total = Number(row.total) || 0;
+    list.total = roundAmount(list.total + total);
+    list.categories[row.category] = roundAmount((list.categories[row.category] || 0) + total);
+  });
+
+  return [...lists.values()].sort(
+    (a, b) =>
+      String(a.shopping_date).localeCompare(String(b.shopping_date)) ||
+      String(a.created_at).localeCompare(String(b.created_at))
+  );
+}
+
+/**
+ * Budget status of a scope in a month
+ * @param {Object} scope - Grouped budgets of the scope
+ * @param {string} month - YYYY-MM
+ * @param {number} spent - Spent in the month
+ * @param {Object} categorySpent - Spent per category
+ * @returns {Object} - Status with remaining amounts and percentages
+ */
+function buildStatus(scope, month, spent, categorySpent) {
+  const describe = (amount, used) => ({
+    amount,
+    spent: roundAmount(used),
+    remaining: amount == null ? null : roundAmount(amount - used),
+    percentage: amount ? Math.round((used / amount) * 100) : null,
+    over_budget: amount != null && used > amount,
+  });
+
+  return {
+    month,
+    household_id: scope.household_id,
+    ...describe(scope.amount, spent),
+    categories: scope.categories.map((budget) => ({
+      category: budget.category,
+      ...describe(budget.amount, categorySpent[budget.category] || 0),
+    })),
+  };
+}
+
+/**
+ * Budget consumption of every scope with budgets in a month
+ * @param {string} user_id - User ID
+ * @param {string} [month] - YYYY-MM (defaults to the current month)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<Object>} - { month, budgets, scopes: [status] }
+ */
+async function getBudgetReport(user_id, month, repo = repository, now = new Date()) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const reportMonth = month || monthKey(now);
+  if (!isValidMonth(reportMonth)) {
+    throw new Error('Invalid month. Must be in the format YYYY-MM');
+  }
+
+  const budgets = await repo.getBudgets(user_id);
+  if (budgets.length === 0) {
+    return { month: reportMonth, budgets, scopes: [] };
+  }
+
+  const { from, to } = monthRange(reportMonth);
+  const spending = summarizeSpending(await repo.getSpending(user_id, from, to));
+
+  const scopes = [...groupBudgets(budgets).entries()].map(([key, scope]) => {
+    const scopeLists = spending.filter((list) => scopeKey(list.household_id) === key);
+    const categorySpent = {};
+    scopeLists.forEach((list) => {
+      Object.entries(list.categories).forEach(([category, total]) => {
+        categorySpent[category] = (categorySpent[category] || 0) + total;
+      });
+    });
+    const spent = scopeLists.reduce((sum, list) => sum + list.total, 0);
+
+    return buildStatus(scope, reportMonth, spent, categorySpent);
+  });
+
+  return { month: reportMonth, budgets, scopes };
+}
+
+/**
+ * Add budget consumption and over-budget warnings to shopping lists. Each list
+ * gets the `budget` status of its scope and month, and a `budget_warning` when
+ * its estimated total, added to the lists planned before it that month, goes
+ * over a budget. Lists are returned unchanged (with null budgets) if budgets
+ * cannot be loaded.
+ * @param {Array} lists - Shopping lists
+ * @param {string} user_id - User ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Array>} - Lists with `budget` and `budget_warning`
+ */
+async function annotateLists(lists, user_id, repo = repository) {
+  const withoutBudgets = lists.map((list) => ({ ...list, budget: null, budget_warning: null }));
+
+  if (lists.length === 0) {
+    return withoutBudgets;
+  }
+
+  try {
+    const budgets = await repo.getBudgets(user_id);
+    if (budgets.length === 0) {
+      return withoutBudgets;
+    }
+
+    const scopes = groupBudgets(budgets);
+    const months = lists
+      .filter((list) => list.shopping_date)
+      .map((list) => monthKey(list.shopping_date))
+      .sort();
+    if (months.length === 0) {
+      return withoutBudgets;
+    }
+
+    const from = monthRange(months[0]).from;
+    const to = monthRange(months[months.length - 1]).to;
+    const spending = summarizeSpending(await repo.getSpending(user_id, from, to));
+
+    // Walk each scope's month in date order, remembering what was planned before each list
+    const warnings = new Map();
+    const totals = new Map();
+    spending.forEach((list) => {
+      const scope = scopes.get(scopeKey(list.household_id));
+      if (!scope) return;
+
+      const key = `${scopeKey(list.household_id)}|${list.month}`;
+      const before = totals.get(key) || { spent: 0, categories: {} };
+      const status = buildStatus(scope, list.month, before.spent, before.categories);
+
+      warnings.set(list.list_id, getBudgetWarning(status, list));
+
+      const categories = { ...before.categories };
+      Object.entries(list.categories).forEach(([category, total]) => {
+        categories[category] = (categories[category] || 0) + total;
+      });
+      totals.set(key, { spent: before.spent + list.total, categories });
+    });
+
+    return withoutBudgets.map((list) => {
+      const ownScope = list.household_id || list.user_id === user_id;
+      const scope = ownScope ? scopes.get(scopeKey(list.household_id)) : null;
+      if (!scope || !list.shopping_date) {
+        return list;
+      }
+
+      const month = monthKey(list.shopping_date);
+      const spent = totals.get(`${scopeKey(list.household_id)}|${month}`) || {
+        spent: 0,
+        categories: {},
+      };
+
+      return {
+        ...list,
+        budget: buildStatus(scope, month, spent.spent, spent.categories),
+        budget_warning: warnings.get(list.id) || null,
+      };
+    });
+  } catch (error) {
+    console.error('Error loading budgets for shopping lists:', error);
+    return withoutBudgets;
+  }
+}
+
+module.exports = {
+  validateBudget,
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetReport,
+  annotateLists,
+};
@@ -0,0 +1,267 @@
+/**
+ * Household Service
+ * Business logic layer for households, their members and invitations
+ *
+ * Lists, markets and payment methods with a household_id are visible to every
+ * member of that household. What a member may do depends on their role.
+ */
+
+const crypto = require('crypto');
+const repository = require('../repositories/householdRepository');
+
+// Member roles, from most to least privileged
+const HOUSEHOLD_ROLES = ['owner', 'member', 'viewer'];
+
+// What each role may do with the household and its data
+const ROLE_ACTIONS = {
+  owner: ['read', 'write', 'manage'],
+  member: ['read', 'write'],
+  viewer: ['read'],
+};
+
+// List permission (see listAccessService) granted to members on household lists
+const HOUSEHOLD_LIST_PERMISSIONS = {
+  owner: 'edit',
+  member: 'edit',
+  viewer: 'view',
+};
+
+const INVITATION_TTL_DAYS = 7;
+const INVITATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITATION_CODE_LENGTH = 8;
+
+/**
+ * Generate a random invitation code (no look-alike characters)
+ * @returns {string} - Invitation code
+ */
+function generateInvitationCode() {
+  let code = '';
+  for (let i = 0; i < INVITATION_CODE_LENGTH; i++) {
+    code += INVITATION_CODE_ALPHABET[crypto.randomInt(INVITATION_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Create a household owned by the user
+ * @param {string} user_id - Creator user ID
+ * @param {string} name - Household name
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - Created household
+ */
+async function createHousehold(user_id, name, repo = repository) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new Error('Household name is required');
+  }
+
+  if (name.trim().length > 100) {
+    throw new Error('Household name must be 100 characters or less');
+  }
+
+  return repo.createHousehold({ name: name.trim(), created_by: user_id });
+}
+
+/**
+ * Get the households a user belongs to, with their members
+ * @param {string} user_id - User ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Array>} - Households with the user's role and the member list
+ */
+async function getHouseholds(user_id, repo = repository) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return repo.getHouseholdsWithMembers(user_id);
+}
+
+/**
+ * Get the role of a user in a household
+ * @param {string} household_id - Household ID
+ * @param {string} user_id - User ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<string|null>} - Role, or null if the user is not a member
+ */
+async function getMemberRole(household_id, user_id, repo = repository) {
+  if (!household_id || !user_id) {
+    return null;
+  }
+
+  const membership = await repo.getMembership(household_id, user_id);
+  return membership ? membership.role : null;
+}
+
+/**
+ * Check that a user may act on a household
+ * @param {string} household_id - Household ID
+ * @param {string} user_id - User ID
+ * @param {string} action - 'read', 'write' (create/change shared data) or 'manage' (members)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - The user's membership
+ * @throws {Error} - If the user is not a member or their role does not allow the action
+ */
+async function authorizeHousehold(household_id, user_id, action = 'read', repo = repository) {
+  if (!household_id) {
+    throw new Error('Household ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const membership = await repo.getMembership(household_id, user_id);
+
+  if (!membership) {
+    throw new Error('User not authorized to access this household');
+  }
+
+  if (!ROLE_ACTIONS[membership.role].includes(action)) {
+    throw new Error(`Household role "${membership.role}" is not authorized to ${action}`);
+  }
+
+  return membership;
+}
+
+/**
+ * Invite someone to a household
+ * @param {string} household_id - Household ID
+ * @param {string} user_id - Inviting user ID (must be a household owner)
+ * @param {string} role - Role granted on acceptance ('member' or 'viewer')
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - Created invitation, including its code
+ */
+async function inviteMember(household_id, user_id, role = 'member', repo = repository) {
+  if (!['member', 'viewer'].includes(role)) {
+    throw new Error('Invalid invitation role. Must be one of: member, viewer');
+  }
+
+  await authorizeHousehold(household_id, user_id, 'manage', repo);
+
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  return repo.createInvitation({
+    household_id,
+    invited_by: user_id,
+    code: generateInvitationCode(),
+    role,
+    expires_at: expiresAt.toISOString(),
+  });
+}
+
+/**
+ * Join a household using an invitation code
+ * @param {string} code - Invitation code
+ * @param {string} user_id - User accepting the invitation
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - The new membership
+ */
+async function acceptInvitation(code, user_id, repo = repository) {
+  if (!code || typeof code !== 'string') {
+    throw new Error('Invitation code is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const invitation = await repo.getInvitationByCode(code.trim().toUpperCase());
+
+  if (!invitation || invitation.status !== 'pending') {
+    throw new Error('Invitation not found');
+  }
+
+  if (new Date(invitation.expires_at) <= new Date()) {
+    throw new Error('Invitation has expired');
+  }
+
+  const existing = await repo.getMembership(invitation.household_id, user_id);
+
+  if (existing) {
+    throw new Error('User is already a member of this household');
+  }
+
+  const membership = await repo.addMember(invitation.household_id, user_id, invitation.role);
+  await repo.updateInvitation(invitation.id, { status: 'accepted', accepted_by: user_id });
+
+  return { ...membership, household_name: invitation.household_name };
+}
+
+/**
+ * Ensure a change does not leave the household without an owner
+ * @param {string} household_id - Household ID
+ * @param {string} member_id - Member losing the owner role
+ * @param {Object} repo - Repository dependency (for testing)
+ * @throws {Error} - If the member is the last owner
+ */
+async function assertNotLastOwner(household_id, member_id, repo) {
+  const members = await repo.getMembers(household_id);
+  const owners = members.filter((member) => member.role === 'owner');
+
+  if (owners.length === 1 && owners[0].user_id === member_id) {
+    throw new Error('Household needs at least one owner');
+  }
+}
+
+/**
+ * Change the role of a household member
+ * @param {string} household_id - Household ID
+ * @param {string} user_id - User making the change (must be a household owner)
+ * @param {string} member_id - Member whose role changes
+ * @param {string} role - New role
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - Updated membership
+ */
+async function updateMemberRole(household_id, user_id, member_id, role, repo = repository) {
+  if (!member_id) {
+    throw new Error('Member ID is required');
+  }
+
+  if (!HOUSEHOLD_ROLES.includes(role)) {
+    throw new Error(`Invalid household role. Must be one of: ${HOUSEHOLD_ROLES.join(', ')}`);
+  }
+
+  await authorizeHousehold(household_id, user_id, 'manage', repo);
+
+  if (role !== 'owner') {
+    await assertNotLastOwner(household_id, member_id, repo);
+  }
+
+  return repo.updateMemberRole(household_id, member_id, role);
+}
+
+/**
+ * Remove a member from a household. Owners can remove anyone; everyone can leave.
+ * @param {string} household_id - Household ID
+ * @param {string} user_id - User making the change
+ * @param {string} member_id - Member to remove
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - Removed membership
+ */
+async function removeMember(household_id, user_id, member_id, repo = repository) {
+  if (!member_id) {
+    throw new Error('Member ID is required');
+  }
+
+  const action = member_id === user_id ? 'read' : 'manage';
+  await authorizeHousehold(household_id, user_id, action, repo);
+  await assertNotLastOwner(household_id, member_id, repo);
+
+  return repo.removeMember(household_id, member_id);
+}
+
+module.exports = {
+  HOUSEHOLD_ROLES,
+  HOUSEHOLD_LIST_PERMISSIONS,
+  createHousehold,
+  getHouseholds,
+  getMemberRole,
+  authorizeHousehold,
+  inviteMember,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+};
@@ -0,0 +1,181 @@
+/**
+ * Item Batch Service
+ * Business logic layer for updating several items of a list at once
+ *
+ * A batch is either a set of item updates or a "check all"/"uncheck all"
+ * command. It is applied atomically by the database in one round trip:
+ * either every update is saved or none is.
+ */
+
+const shoppingListRepository = require('../repositories/shoppingListRepository');
+const { ShoppingListItem } = require('../models/ShoppingList');
+const access = require('./listAccessService');
+const undoService = require('./undoService');
+
+// Commands that change every item of the list, and the undo action they record
+const BATCH_COMMANDS = {
+  check_all: 'items_checked',
+  uncheck_all: 'items_unchecked',
+};
+
+// Fields an update may change, as in update-shopping-list-item
+const UPDATABLE_FIELDS = [
+  'is_checked',
+  'quantity',
+  'unit_price',
+  'notes',
+  'product_name',
+  'category',
+  'unit',
+];
+
+// Updates in one batch, at most
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Validate one item update of a batch
+ * @param {Object} update - { id, ...fields }
+ * @returns {Object} - Update with only the updatable fields
+ * @throws {Error} - If validation fails
+ */
+function validateItemUpdate(update) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!update || typeof update !== 'object' || !uuidRegex.test(update.id)) {
+    throw new Error('Invalid item ID');
+  }
+
+  const fields = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (update[field] !== undefined) {
+      fields[field] = update[field];
+    }
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new Error('At least one field to update is required');
+  }
+
+  if (fields.is_checked !== undefined && typeof fields.is_checked !== 'boolean') {
+    throw new Error('Invalid is_checked: must be true or false');
+  }
+
+  for (const field of ['product_name', 'category', 'unit']) {
+    if (
+      fields[field] !== undefined &&
+      (typeof fields[field] !== 'string' || fields[field].trim().length === 0)
+    ) {
+      throw new Error(`Invalid ${field}: cannot be empty`);
+    }
+  }
+
+  if (fields.quantity !== undefined && !(fields.quantity > 0)) {
+    throw new Error('Quantity must be greater than zero');
+  }
+
+  if (fields.unit_price !== undefined && !(fields.unit_price >= 0)) {
+    throw new Error('Price must not be negative');
+  }
+
+  if (fields.notes !== undefined && fields.notes !== null && typeof fields.notes !== 'string') {
+    throw new Error('Invalid notes: must be text');
+  }
+
+  // The rest follows the rules of new items (units, lengths); fields the
+  // update leaves alone get placeholders, as they are not changed
+  const { errors } = new ShoppingListItem({
+    product_name: 'item',
+    category: 'item',
+    ...fields,
+  }).validate();
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  return { id: update.id, ...fields };
+}
+
+/**
+ * Validate a batch
+ * @param {Object} batch - { updates } or { command }
+ * @returns {Object} - { updates } or { command }
+ * @throws {Error} - If validation fails
+ */
+function validateBatch(batch) {
+  const { updates, command } = batch || {};
+
+  if ((updates === undefined) === (command === undefined)) {
+    throw new Error('Either updates or command is required');
+  }
+
+  if (command !== undefined) {
+    if (!BATCH_COMMANDS[command]) {
+      throw new Error(`Invalid command. Must be one of: ${Object.keys(BATCH_COMMANDS).join(', ')}`);
+    }
+    return { command };
+  }
+
+  if (!Array.isArray(updates) || updates.length === 0) {
+    throw new Error('Updates must be a non-empty array');
+  }
+
+  if (updates.length > MAX_BATCH_SIZE) {
+    throw new Error(`A batch must have ${MAX_BATCH_SIZE} updates or less`);
+  }
+
+  const validated = updates.map((update, index) => {
+    try {
+      return validateItemUpdate(update);
+    } catch (error) {
+      throw new Error(`Update ${index + 1}: ${error.message}`);
+    }
+  });
+
+  if (new Set(validated.map((update) => update.id)).size !== validated.length) {
+    throw new Error('Invalid updates: each item must be updated once');
+  }
+
+  return { updates: validated };
+}
+
+/**
+ * Apply a batch to the items of a list
+ * Commands can be undone; the returned token reverts them.
+ * @param {string} listId - Shopping list ID
+ * @param {Object} batch - { updates: [{ id, ...fields }] } or { command: 'check_all' | 'uncheck_all' }
+ * @param {Object} auth - Authenticated caller ({ user_id, share })
+ * @param {Object} lists - Shopping list repository dependency (for testing)
+ * @param {Object} undo - Undo service dependency (for testing)
+ * @returns {Promise<Object>} - { list, items, total_amount, undo_token }
+ */
+async function batchUpdateItems(
+  listId,
+  batch,
+  auth,
+  lists = shoppingListRepository,
+  undo = undoService
+) {
+  const validated = validateBatch(batch);
+
+  // Ticking items off only needs the "check" share permission; anything else needs "edit"
+  const onlyChecks =
+    validated.command !== undefined ||
+    validated.updates.every((update) =>
+      Object.keys(update).every((field) => field === 'id' || field === 'is_checked')
+    );
+  const list = await access.authorizeListAccess(listId, auth, onlyChecks ? 'check' : 'edit', lists);
+
+  const { items, total_amount } = await lists.batchUpdateItems(listId, validated);
+
+  const undo_token = validated.command
+    ? await undo.recordUndo(BATCH_COMMANDS[validated.command], list, items, auth)
+    : null;
+
+  return { list, items, total_amount, undo_token };
+}
+
+module.exports = {
+  BATCH_COMMANDS,
+  MAX_BATCH_SIZE,
+  validateBatch,
+  batchUpdateItems,
+};
@@ -0,0 +1,212 @@
+/**
+ * List Access Service
+ * Authorization rules for reading and changing shopping lists and their items
+ *
+ * A caller may change a list when they own it, when the list is shared with a
+ * household they belong to and their role allows the change, or when they hold
+ * a share token for it and the owner's share permission allows the change.
+ */
+
+const crypto = require('crypto');
+const repository = require('../repositories/shoppingListRepository');
+const householdService = require('./householdService');
+const { signToken } = require('../utils/token');
+
+// Permission levels the owner can grant to share code holders
+const SHARE_PERMISSIONS = ['view', 'check', 'edit'];
+
+// Share tokens are handed out when a list is opened by code and kept by the browser tab
+const SHARE_TOKEN_TTL_SECONDS = 60 * 60 * 12;
+
+const PERMISSION_RANK = { view: 0, check: 1, edit: 2 };
+
+// Share code formats: the legacy 4 digits, and longer codes without look-alike characters
+const SHARE_CODE_FORMATS = ['numeric', 'token'];
+const SHARE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SHARE_CODE_TOKEN_LENGTH = 12;
+const NUMERIC_SHARE_CODE_REGEX = /^\d{4}$/;
+const TOKEN_SHARE_CODE_REGEX = /^[A-HJ-NP-Z2-9]{12}$/;
+
+/**
+ * Generate a random share code
+ * @param {string} format - 'numeric' (4 digits) or 'token' (12 letters/digits)
+ * @returns {string} - Share code
+ */
+function generateShareCode(format = 'token') {
+  if (format === 'numeric') {
+    return String(crypto.randomInt(10000)).padStart(4, '0');
+  }
+
+  let code = '';
+  for (let i = 0; i < SHARE_CODE_TOKEN_LENGTH; i++) {
+    code += SHARE_CODE_ALPHABET[crypto.randomInt(SHARE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize a share code typed by a person (case, spaces and dashes)
+ * @param {string} shareCode - Share code as entered
+ * @returns {string|null} - Normalized code, or null if it is not a valid format
+ */
+function normalizeShareCode(shareCode) {
+  if (typeof shareCode !== 'string') {
+    return null;
+  }
+
+  const code = shareCode.replace(/[\s-]/g, '').toUpperCase();
+  return NUMERIC_SHARE_CODE_REGEX.test(code) || TOKEN_SHARE_CODE_REGEX.test(code) ? code : null;
+}
+
+/**
+ * Whether a list's share code still works
+ * @param {Object} list - Shopping list ({ share_code_revoked_at, share_code_expires_at })
+ * @param {Date} now - Current time
+ * @returns {string} - 'active', 'revoked' or 'expired'
+ */
+function getShareCodeStatus(list, now = new Date()) {
+  if (list.share_code_revoked_at) {
+    return 'revoked';
+  }
+
+  if (list.share_code_expires_at && new Date(list.share_code_expires_at) <= now) {
+    return 'expired';
+  }
+
+  return 'active';
+}
+
+/**
+ * Issue a share token for a list opened through its share code
+ * @param {Object} list - Shopping list ({ id, share_code })
+ * @returns {string} - Signed share token
+ */
+function issueShareToken(list) {
+  return signToken(
+    { scope: 'share', list_id: list.id, share_code: list.share_code },
+    { ttlSeconds: SHARE_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Resolve what the caller may do on a list
+ * @param {Object} list - Shopping list ({ id, user_id, share_code, share_permission })
+ * @param {Object} auth - Authenticated caller ({ user_id, share })
+ * @param {string|null} householdRole - Caller's role in the list's household, if any
+ * @returns {string|null} - 'owner', a share permission, or null for no access
+ */
+function getListPermission(list, auth = {}, householdRole = null) {
+  if (auth.user_id && list.user_id === auth.user_id) {
+    return 'owner';
+  }
+
+  if (householdRole) {
+    return householdService.HOUSEHOLD_LIST_PERMISSIONS[householdRole];
+  }
+
+  // A share token only counts while the list still has the code it was issued for,
+  // and that code has not been revoked or expired since
+  if (
+    auth.share &&
+    auth.share.list_id === list.id &&
+    auth.share.share_code === list.share_code &&
+    getShareCodeStatus(list) === 'active'
+  ) {
+    return list.share_permission || 'view';
+  }
+
+  return null;
+}
+
+/**
+ * Check that the caller may change a shopping list
+ * @param {string} listId - Shopping list ID
+ * @param {Object} auth - Authenticated caller ({ user_id, share })
+ * @param {string} action - 'check' (tick items) or 'edit' (any change)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
+ * @returns {Promise<Object>} - The list, with the resolved `permission`
+ * @throws {Error} - If the list does not exist or the caller may not change it
+ */
+async function authorizeListAccess(
+  listId,
+  auth,
+  action = 'edit',
+  repo = repository,
+  households = householdService
+) {
+  if (!listId) {
+    throw new Error('Shopping list ID is required');
+  }
+
+  if (!auth || (!auth.user_id && !auth.share)) {
+    throw new Error('User ID is required');
+  }
+
+  const list = await repo.getShoppingListOwner(listId);
+
+  if (!list) {
+    throw new Error('Shopping list not found');
+  }
+
+  const householdRole =
+    list.household_id && auth.user_id && list.user_id !== auth.user_id
+      ? await households.getMemberRole(list.household_id, auth.user_id)
+      : null;
+
+  const permission = getListPermission(list, auth, householdRole);
+
+  if (!permission) {
+    throw new Error('User not authorized to modify this shopping list');
+  }
+
+  if (permission !== 'owner' && PERMISSION_RANK[permission] < PERMISSION_RANK[action]) {
+    throw new Error(`List permission "${permission}" is not authorized to ${action} items`);
+  }
+
+  return { ...list, permission };
+}
+
+/**
+ * Check that the caller may change an item (through its parent list)
+ * @param {string} itemId - Item ID
+ * @param {Object} auth - Authenticated caller ({ user_id, share })
+ * @param {string} action - 'check' (tick items) or 'edit' (any change)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
+ * @returns {Promise<Object>} - { item, list }
+ * @throws {Error} - If the item does not exist or the caller may not change it
+ */
+async function authorizeItemAccess(
+  itemId,
+  auth,
+  action = 'edit',
+  repo = repository,
+  households = householdService
+) {
+  if (!itemId) {
+    throw new Error('Item ID is required');
+  }
+
+  const item = await repo.getShoppingListItemById(itemId);
+
+  if (!item) {
+    throw new Error('Shopping list item not found');
+  }
+
+  const list = await authorizeListAccess(item.list_id, auth, action, repo, households);
+
+  return { item, list };
+}
+
+module.exports = {
+  SHARE_PERMISSIONS,
+  SHARE_CODE_FORMATS,
+  generateShareCode,
+  normalizeShareCode,
+  getShareCodeStatus,
+  issueShareToken,
+  getListPermission,
+  authorizeListAccess,
+  authorizeItemAccess,
+};
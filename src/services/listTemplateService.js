@@ -0,0 +1,187 @@
+/**
+ * List Template Service
+ * Business logic layer for shopping list templates
+ *
+ * A template is a reusable set of items without a shopping date. Templates
+ * are saved from an existing list and instantiated into new lists through
+ * shoppingListService.createShoppingList(), so lists created from a template
+ * are validated like any other list.
+ */
+
+const repository = require('../repositories/listTemplateRepository');
+const shoppingListService = require('./shoppingListService');
+
+/**
+ * Validate and normalize the fields of a template
+ * @param {Object} data - { name, description }
+ * @returns {Object} - { name, description }
+ * @throws {Error} - If validation fails
+ */
+function validateTemplate(data) {
+  if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+    throw new Error('Template name is required');
+  }
+
+  const name = data.name.trim();
+  if (name.length > 100) {
+    throw new Error('Template name must be 100 characters or less');
+  }
+
+  let description = null;
+  if (data.description !== undefined && data.description !== null) {
+    if (typeof data.description !== 'string') {
+      throw new Error('Invalid template description');
+    }
+    description = data.description.trim() || null;
+    if (description && description.length > 500) {
+      throw new Error('Template description must be 500 characters or less');
+    }
+  }
+
+  return { name, description };
+}
+
+/**
+ * Get the templates of a user
+ * @param {string} user_id - User ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Array>} - Templates with their items
+ */
+async function getTemplates(user_id, repo = repository) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return repo.getTemplates(user_id);
+}
+
+/**
+ * Save the items of an existing list as a template
+ * @param {string} list_id - Shopping list ID
+ * @param {string} user_id - User ID
+ * @param {Object} data - { name?, description? }; the name defaults to the list's title
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} lists - Shopping list service dependency (for testing)
+ * @returns {Promise<Object>} - Created template with its items
+ */
+async function createTemplateFromList(
+  list_id,
+  user_id,
+  data = {},
+  repo = repository,
+  lists = shoppingListService
+) {
+  if (!list_id) {
+    throw new Error('List ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const list = await lists.getShoppingListById(list_id, user_id);
+  if (!list) {
+    throw new Error('Shopping list not found');
+  }
+
+  if (list.items.length === 0) {
+    throw new Error('Shopping list must have at least one item to be saved as a template');
+  }
+
+  const { name, description } = validateTemplate({
+    name: data.name === undefined || data.name === null ? list.title : data.name,
+    description: data.description === undefined ? list.description : data.description,
+  });
+
+  // Prices are kept as estimates; checks and dates belong to the list
+  const items = list.items.map((item) => ({
+    product_name: item.product_name,
+    category: item.category,
+    quantity: item.quantity,
+    unit: item.unit,
+    unit_price: item.unit_price || 0,
+    notes: item.notes || null,
+  }));
+
+  return repo.createTemplate({ user_id, name, description }, items);
+}
+
+/**
+ * Create a new shopping list from a template
+ * @param {string} template_id - Template ID
+ * @param {string} user_id - User ID
+ * @param {Object} listData - { shopping_date, market_id?, payment_id?, household_id?, title?, description?, recurrence_rule?, recurrence_weekdays? }
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} lists - Shopping list service dependency (for testing)
+ * @returns {Promise<Object>} - Created shopping list with items
+ */
+async function instantiateTemplate(
+  template_id,
+  user_id,
+  listData = {},
+  repo = repository,
+  lists = shoppingListService
+) {
+  if (!template_id) {
+    throw new Error('Template ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const template = await repo.getTemplateById(template_id, user_id);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+
+  const items = template.items.map((item) => ({
+    product_name: item.product_name,
+    category: item.category,
+    quantity: item.quantity,
+    unit: item.unit,
+    unit_price: item.unit_price,
+    notes: item.notes,
+  }));
+
+  return lists.createShoppingList(
+    {
+      user_id,
+      title: listData.title || template.name,
+      description: listData.description || template.description || null,
+      shopping_date: listData.shopping_date,
+      market_id: listData.market_id || null,
+      payment_id: listData.payment_id || null,
+      household_id: listData.household_id || null,
+      recurrence_rule: listData.recurrence_rule || null,
+      recurrence_weekdays: listData.recurrence_weekdays || null,
+    },
+    items
+  );
+}
+
+/**
+ * Delete a template
+ * @param {string} id - Template ID
+ * @param {string} user_id - User ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - Deleted template
+ */
+async function deleteTemplate(id, user_id, repo = repository) {
+  if (!id) {
+    throw new Error('Template ID is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  return repo.deleteTemplate(id, user_id);
+}
+
+module.exports = {
+  getTemplates,
+  createTemplateFromList,
+  instantiateTemplate,
+  deleteTemplate,
+};
@@ -4,9 +4,10 @@
  */
 
 const repository = require('../repositories/marketRepository');
+const householdService = require('./householdService');
 
 /**
- * Get markets for a user
+ * Get markets for a user, including the markets of their households
  * @param {string} user_id - User ID
  * @param {Object} repo - Repository dependency (for testing)
  * @returns {Promise<Array>} - Array of markets
@@ -40,11 +41,12 @@ async function getMarketById(id, user_id, repo = repository) {
 
 /**
  * Create a new market
- * @param {Object} marketData - Market data
+ * @param {Object} marketData - Market data (household_id shares it with a household)
  * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
  * @returns {Promise<Object>} - Created market
  */
-async function createMarket(marketData, repo = repository) {
+async function createMarket(marketData, repo = repository, households = householdService) {
   if (!marketData || typeof marketData !== 'object') {
     throw new Error('Market data is required');
   }
@@ -57,6 +59,10 @@ async function createMarket(marketData, repo = repository) {
     throw new Error('Market name is required');
   }
 
+  if (marketData.household_id) {
+    await households.authorizeHousehold(marketData.household_id, marketData.user_id, 'write');
+  }
+
   return repo.createMarket(marketData);
 }
 
@@ -4,8 +4,12 @@
  */
 
 const repository = require('../repositories/paymentRepository');
+const householdService = require('./householdService');
 const { isValidUUID } = require('../utils/validation');
 
+// Fields a client may change on a payment method
+const UPDATABLE_FIELDS = ['type', 'description', 'enabled', 'is_default'];
+
 /**
  * Validate payment method data
  * @param {Object} data - Payment method data
@@ -37,7 +41,7 @@ function validatePaymentMethod(data) {
 }
 
 /**
- * Get payment methods for a user
+ * Get payment methods for a user, including the payment methods of their households
  * @param {string} user_id - User ID
  * @param {Object} options - Query options
  * @param {Object} repo - Repository dependency (for testing)
@@ -55,15 +59,39 @@ async function getPaymentMethods(user_id, options = {}, repo = repository) {
   return repo.getPaymentMethods(user_id, options);
 }
 
+/**
+ * Get one of the user's own payment methods
+ * @param {string} payment_id - Payment method ID
+ * @param {string} user_id - User ID for authorization
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Object|null} - Payment method or null if not found
+ */
+async function getPaymentMethodById(payment_id, user_id, repo = repository) {
+  if (!payment_id || !user_id) {
+    throw new Error('Payment ID and User ID are required');
+  }
+
+  if (!isValidUUID(payment_id) || !isValidUUID(user_id)) {
+    throw new Error('Invalid ID format');
+  }
+
+  return repo.getPaymentMethodById(payment_id, user_id);
+}
+
 /**
  * Create a new payment method
- * @param {Object} paymentData - Payment method data
+ * @param {Object} paymentData - Payment method data (household_id shares it with a household)
  * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
  * @returns {Object} - Created payment method
  */
-async function createPaymentMethod(paymentData, repo = repository) {
+async function createPaymentMethod(paymentData, repo = repository, households = householdService) {
   validatePaymentMethod(paymentData);
 
+  if (paymentData.household_id) {
+    await households.authorizeHousehold(paymentData.household_id, paymentData.user_id, 'write');
+  }
+
   // Normalize data
   const normalizedData = {
     ...paymentData,
@@ -74,10 +102,10 @@ async function createPaymentMethod(paymentData, repo = repository) {
 }
 
 /**
- * Update a payment method
+ * Update a payment method (also used to disable it with enabled: false)
  * @param {string} payment_id - Payment method ID
  * @param {string} user_id - User ID for authorization
- * @param {Object} updates - Fields to update
+ * @param {Object} updates - Fields to update (type, description, enabled, is_default)
  * @param {Object} repo - Repository dependency (for testing)
  * @returns {Object} - Updated payment method
  */
@@ -103,15 +131,54 @@ async function updatePaymentMethod(payment_id, user_id, updates, repo = reposito
     throw new Error('Description must be 200 characters or less');
   }
 
+  // Only keep the fields a client may change
+  const normalizedUpdates = {};
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (updates[field] !== undefined) {
+      normalizedUpdates[field] = updates[field];
+    }
+  });
+
+  if (Object.keys(normalizedUpdates).length === 0) {
+    throw new Error(`Updates must include one of: ${UPDATABLE_FIELDS.join(', ')}`);
+  }
+
   // Normalize string fields
-  const normalizedUpdates = { ...updates };
   if (normalizedUpdates.description) {
     normalizedUpdates.description = normalizedUpdates.description.trim();
   }
 
+  if (normalizedUpdates.enabled === false) {
+    if (normalizedUpdates.is_default === true) {
+      throw new Error('Default payment method must be enabled');
+    }
+    // A disabled method stops being the default
+    normalizedUpdates.is_default = false;
+  } else if (normalizedUpdates.is_default === true && normalizedUpdates.enabled !== true) {
+    const existing = await repo.getPaymentMethodById(payment_id, user_id);
+    if (!existing) {
+      throw new Error('Payment method not found');
+    }
+    if (!existing.enabled) {
+      throw new Error('Default payment method must be enabled');
+    }
+  }
+
   return repo.updatePaymentMethod(payment_id, user_id, normalizedUpdates);
 }
 
+/**
+ * Make a payment method the user's default. The enforce_single_default_payment
+ * trigger unsets the previous default.
+ * @param {string} payment_id - Payment method ID
+ * @param {string} user_id - User ID for authorization
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Object} - New default payment method
+ */
+async function setDefaultPaymentMethod(payment_id, user_id, repo = repository) {
+  return updatePaymentMethod(payment_id, user_id, { is_default: true }, repo);
+}
+
 /**
  * Delete a payment method
  * @param {string} payment_id - Payment method ID
@@ -133,8 +200,10 @@ async function deletePaymentMethod(payment_id, user_id, repo = repository) {
 
 module.exports = {
   getPaymentMethods,
+  getPaymentMethodById,
   createPaymentMethod,
   updatePaymentMethod,
   deletePaymentMethod,
+  setDefaultPaymentMethod,
   validatePaymentMethod,
 };
@@ -0,0 +1,287 @@
+/**
+ * Price History Service
+ * Records the unit prices seen on list items and turns them into price trends
+ * per product and market.
+ *
+ * Prices are recorded when items are created, updated or checked. An item keeps
+ * one observation per shopping day, so editing a price replaces it instead of
+ * adding noise to the trend.
+ */
+
+const repository = require('../repositories/priceHistoryRepository');
+const shoppingListRepository = require('../repositories/shoppingListRepository');
+const { isValidUUID } = require('../utils/validation');
+const { normalizeProductName } = require('../utils/text');
+
+const PRICE_SOURCES = ['created', 'updated', 'checked'];
+
+// Item fields whose change means a new price was seen
+const PRICE_FIELDS = ['unit_price', 'unit', 'product_name'];
+
+const DEFAULT_TREND_DAYS = 180;
+const MAX_TREND_DAYS = 730;
+
+/**
+ * Which price source an item update counts as
+ * @param {Object} updates - Item updates
+ * @returns {string|null} - 'checked', 'updated' or null when no price was seen
+ */
+function getUpdateSource(updates) {
+  if (!updates) {
+    return null;
+  }
+
+  if (updates.is_checked === true) {
+    return 'checked';
+  }
+
+  return PRICE_FIELDS.some((field) => updates[field] !== undefined) ? 'updated' : null;
+}
+
+/**
+ * Build the price history row for an item
+ * @param {Object} item - Shopping list item
+ * @param {Object} list - Its list ({ id, user_id, household_id, market_id, shopping_date })
+ * @param {string} source - 'created', 'updated' or 'checked'
+ * @param {Date} now - Current time, used when the list has no shopping date
+ * @returns {Object|null} - Row, or null when the item has no price
+ */
+function buildObservation(item, list, source, now = new Date()) {
+  const unitPrice = parseFloat(item && item.unit_price);
+
+  if (!item || !item.product_name || !(unitPrice > 0) || !list || !list.user_id) {
+    return null;
+  }
+
+  return {
+    product_key: normalizeProductName(item.product_name),
+    product_name: item.product_name.trim(),
+    unit: item.unit || 'un',
+    unit_price: unitPrice,
+    market_id: list.market_id || null,
+    list_id: list.id || item.list_id || null,
+    item_id: item.id || null,
+    user_id: list.user_id,
+    household_id: list.household_id || null,
+    observed_on: list.shopping_date || now.toISOString().slice(0, 10),
+    source,
+  };
+}
+
+/**
+ * Record the prices of list items. Never throws: the item change already
+ * happened and should not fail because its price could not be recorded.
+ * @param {Array} items - Shopping list items
+ * @param {Object} list - Their list
+ * @param {string} source - 'created', 'updated' or 'checked'
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<number>} - Number of prices recorded
+ */
+async function recordItemPrices(
+  items,
+  list,
+  source = 'created',
+  repo = repository,
+  now = new Date()
+) {
+  if (!PRICE_SOURCES.includes(source)) {
+    throw new Error(`Invalid price source. Must be one of: ${PRICE_SOURCES.join(', ')}`);
+  }
+
+  const observations = (items || [])
+    .map((item) => buildObservation(item, list, source, now))
+    .filter(Boolean);
+
+  if (observations.length === 0) {
+    return 0;
+  }
+
+  try {
+    await repo.recordPrices(observations);
+    return observations.length;
+  } catch (error) {
+    console.error('Error recording item prices:', error);
+    return 0;
+  }
+}
+
+/**
+ * Round a price to cents
+ * @param {number} value - Price
+ * @returns {number}
+ */
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Summarize observations into one series per market and unit
+ * @param {string} product - Product name as asked for
+ * @param {Array} observations - Observations, oldest first
+ * @returns {Object} - { product, product_key, last, series }
+ */
+function buildPriceTrend(product, observations) {
+  const seriesByKey = new Map();
+
+  (observations || []).forEach((observation) => {
+    const key = `${observation.market_id || 'none'}|${observation.unit}`;
+
+    if (!seriesByKey.has(key)) {
+      seriesByKey.set(key, {
+        market_id: observation.market_id || null,
+        market_name: observation.market_name || null,
+        unit: observation.unit,
+        points: [],
+      });
+    }
+
+    seriesByKey.get(key).points.push({
+      observed_on: observation.observed_on,
+      unit_price: Number(observation.unit_price),
+      list_id: observation.list_id || null,
+    });
+  });
+
+  const series = [...seriesByKey.values()].map((entry) => {
+    const prices = entry.points.map((point) => point.unit_price);
+    const first = prices[0];
+    const last = prices[prices.length - 1];
+
+    return {
+      ...entry,
+      last_price: last,
+      last_observed_on: entry.points[entry.points.length - 1].observed_on,
+      min_price: Math.min(...prices),
+      max_price: Math.max(...prices),
+      average_price: roundPrice(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+      change: roundPrice(last - first),
+      change_percent: first > 0 ? roundPrice(((last - first) / first) * 100) : 0,
+    };
+  });
+
+  // Most recently seen markets first
+  series.sort((a, b) => String(b.last_observed_on).localeCompare(String(a.last_observed_on)));
+
+  const latest = observations && observations.length ? observations[observations.length - 1] : null;
+
+  return {
+    product,
+    product_key: normalizeProductName(product),
+    last: latest
+      ? {
+          unit_price: Number(latest.unit_price),
+          unit: latest.unit,
+          market_id: latest.market_id || null,
+          market_name: latest.market_name || null,
+          observed_on: latest.observed_on,
+        }
+      : null,
+    series,
+  };
+}
+
+/**
+ * Get the price trend of a product across markets
+ * @param {string} product - Product name
+ * @param {string} user_id - User ID
+ * @param {Object} options - Query options
+ * @param {string} [options.market_id] - Only this market
+ * @param {number} [options.days] - How many days back to look (default 180)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<Object>} - Trend from buildPriceTrend()
+ */
+async function getPriceTrend(product, user_id, options = {}, repo = repository, now = new Date()) {
+  if (!product || normalizeProductName(product) === '') {
+    throw new Error('Product name is required');
+  }
+
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  if (options.market_id && !isValidUUID(options.market_id)) {
+    throw new Error('Invalid market_id format');
+  }
+
+  const days = options.days === undefined ? DEFAULT_TREND_DAYS : Number(options.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TREND_DAYS) {
+    throw new Error(`Invalid days. Must be a whole number between 1 and ${MAX_TREND_DAYS}`);
+  }
+
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const observations = await repo.getPriceHistory(normalizeProductName(product), user_id, {
+    market_id: options.market_id,
+    since,
+  });
+
+  return buildPriceTrend(product.trim(), observations);
+}
+
+/**
+ * Get the last price seen elsewhere for each item of a list (same product and unit)
+ * @param {string} list_id - Shopping list ID
+ * @param {string} user_id - User ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} lists - Shopping list repository dependency (for testing)
+ * @returns {Promise<Object>} - Last prices keyed by item ID
+ */
+async function getLastPricesForList(
+  list_id,
+  user_id,
+  repo = repository,
+  lists = shoppingListRepository
+) {
+  if (!list_id || !user_id) {
+    throw new Error('List ID and User ID are required');
+  }
+
+  const list = await lists.getShoppingListById(list_id, user_id);
+
+  if (!list) {
+    throw new Error('Shopping list not found');
+  }
+
+  const items = list.items || [];
+  const productKeys = [...new Set(items.map((item) => normalizeProductName(item.product_name)))];
+
+  if (productKeys.length === 0) {
+    return {};
+  }
+
+  const observations = await repo.getRecentPrices(productKeys, user_id, {
+    exclude_list_id: list_id,
+  });
+
+  const lastPrices = {};
+  items.forEach((item) => {
+    const key = normalizeProductName(item.product_name);
+    const latest = observations.find(
+      (observation) => observation.product_key === key && observation.unit === item.unit
+    );
+
+    if (latest) {
+      lastPrices[item.id] = {
+        unit_price: Number(latest.unit_price),
+        unit: latest.unit,
+        market_id: latest.market_id || null,
+        market_name: latest.market_name || null,
+        observed_on: latest.observed_on,
+      };
+    }
+  });
+
+  return lastPrices;
+}
+
+module.exports = {
+  PRICE_SOURCES,
+  getUpdateSource,
+  buildObservation,
+  recordItemPrices,
+  buildPriceTrend,
+  getPriceTrend,
+  getLastPricesForList,
+};
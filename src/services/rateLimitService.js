@@ -0,0 +1,180 @@
+/**
+ * Rate Limit Service
+ * Fixed-window rate limiting for the Netlify Functions
+ *
+ * A store keeps one counter per key: `get(key)` returns { count, reset_at }
+ * (or null), `hit(key, windowSeconds)` counts a request and returns the
+ * updated window in one atomic step, and `release(key)` takes a counted
+ * request back. In production the store is the rate_limits table (see
+ * rateLimitRepository); tests and local runs without Supabase use the
+ * in-memory store below.
+ */
+
+const rateLimitRepository = require('../repositories/rateLimitRepository');
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+let defaultStore = null;
+
+const MEMORY_STORE_SWEEP_SIZE = 10000;
+
+/**
+ * Create a store that keeps the counters in this process
+ * @param {Function} clock - Returns the current Date (for testing)
+ * @returns {Object} - Store
+ */
+function createMemoryStore(clock = () => new Date()) {
+  const windows = new Map();
+
+  function current(key) {
+    const window = windows.get(key);
+    if (window && new Date(window.reset_at) <= clock()) {
+      windows.delete(key);
+      return null;
+    }
+    return window || null;
+  }
+
+  return {
+    async get(key) {
+      const window = current(key);
+      return window ? { ...window } : null;
+    },
+    async hit(key, windowSeconds) {
+      // Drop ended windows now and then so the map does not grow forever
+      if (windows.size >= MEMORY_STORE_SWEEP_SIZE) {
+        for (const stored of [...windows.keys()]) current(stored);
+      }
+
+      const window = current(key) || {
+        count: 0,
+        reset_at: new Date(clock().getTime() + windowSeconds * 1000).toISOString(),
+      };
+      window.count += 1;
+      windows.set(key, window);
+      return { ...window };
+    },
+    async release(key) {
+      const window = current(key);
+      if (window && window.count > 0) window.count -= 1;
+    },
+  };
+}
+
+/**
+ * Get the configured store: the rate_limits table when a Supabase service key is
+ * available, otherwise (or with RATE_LIMIT_STORE=memory) a process-wide memory store.
+ * The anon key is not enough: the table is closed to the API roles, so a warning
+ * is logged when it is the only key.
+ * @returns {Object} - Store
+ */
+function getStore() {
+  if (defaultStore) {
+    return defaultStore;
+  }
+
+  const hasServiceKey =
+    process.env.SUPABASE_URL &&
+    (process.env.SUPABASE_SERVICE_API_KEY ||
+      process.env.SUPABASE_SERVICE_ROLE_KEY ||
+      process.env.SUPABASE_SERVICE_KEY);
+
+  // Without a service key each function instance counts on its own, which a
+  // client spreading its requests over instances gets around
+  if (process.env.RATE_LIMIT_STORE !== 'memory' && process.env.SUPABASE_URL && !hasServiceKey) {
+    console.warn(
+      'Rate limits are kept in memory: the rate_limits table needs a Supabase service key ' +
+        '(SUPABASE_SERVICE_ROLE_KEY), the anon key cannot use it. ' +
+        'Set RATE_LIMIT_STORE=memory to keep them in memory on purpose.'
+    );
+  }
+
+  defaultStore =
+    process.env.RATE_LIMIT_STORE === 'memory' || !hasServiceKey
+      ? createMemoryStore()
+      : rateLimitRepository;
+
+  return defaultStore;
+}
+
+/**
+ * Seconds until a window ends (at least 1)
+ * @param {Object} window - { reset_at }
+ * @param {Date} now - Current time
+ * @returns {number}
+ */
+function secondsUntilReset(window, now) {
+  return Math.max(1, Math.ceil((new Date(window.reset_at).getTime() - now.getTime()) / 1000));
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} options - Options
+ * @param {string} options.name - Limiter name, prefixed to every key
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowSeconds - Window length in seconds
+ * @param {Object} [options.store] - Store (defaults to the configured one)
+ * @param {Function} [options.clock] - Returns the current Date (for testing)
+ * @returns {Object} - { check(key), hit(key), release(key) }; check and hit resolve to
+ *   { limited, remaining, retryAfter }
+ */
+function createRateLimiter(options) {
+  const { name, limit, windowSeconds, clock = () => new Date() } = options || {};
+
+  if (!name) {
+    throw new Error('Rate limiter name is required');
+  }
+
+  if (
+    !Number.isInteger(limit) ||
+    limit < 1 ||
+    !Number.isInteger(windowSeconds) ||
+    windowSeconds < 1
+  ) {
+    throw new Error('Rate limit and window must be positive integers');
+  }
+
+  const store = options.store || getStore();
+
+  // `allowed` is how many requests the window may hold: `limit` of them before
+  // counting the next one (check), `limit` including the one just counted (hit)
+  function state(window, allowed) {
+    const count = window ? window.count : 0;
+    const limited = count > allowed;
+    return {
+      limited,
+      remaining: Math.max(0, limit - count),
+      retryAfter: limited ? secondsUntilReset(window, clock()) : 0,
+    };
+  }
+
+  return {
+    limit,
+    // Whether the next request for the key would be over the limit, without counting it
+    async check(key) {
+      return state(await store.get(`${name}:${key}`), limit - 1);
+    },
+    // Count a request for the key and tell whether it is over the limit. Counting
+    // and reading the count are one step, so parallel requests cannot all pass
+    async hit(key) {
+      return state(await store.hit(`${name}:${key}`, windowSeconds), limit);
+    },
+    // Take back a counted request that turned out not to count (e.g. a successful lookup)
+    async release(key) {
+      await store.release(`${name}:${key}`);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  getStore,
+  createRateLimiter,
+};
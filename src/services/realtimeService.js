@@ -0,0 +1,218 @@
+/**
+ * Realtime Service
+ * Broadcasts shopping list item changes to every open view of a list
+ *
+ * A broker is anything exposing the subset of the Supabase realtime API used
+ * here: `channel(name)` returning a channel with on/subscribe/send/track/
+ * untrack/presenceState/unsubscribe, and `removeChannel(channel)`. In
+ * production the broker is the Supabase client; tests (and local runs without
+ * Supabase) use the in-process broker below.
+ *
+ * Broadcast channels can be joined by anyone holding the anon key, so a
+ * list's channel name carries a secret derived from the list ID. The name is
+ * only handed out (as realtime_channel) by the functions that check access to
+ * the list.
+ */
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { getSecret } = require('../utils/token');
+
+// Load env vars only in development
+if (process.env.NODE_ENV !== 'production') {
+  try {
+    require('dotenv').config();
+  } catch (e) {
+    // dotenv not available, continue without it
+  }
+}
+
+// Broadcast event carrying { type: 'INSERT' | 'UPDATE' | 'DELETE', item, actor, sent_at }
+const ITEM_CHANGE_EVENT = 'item_change';
+const ITEM_CHANGE_TYPES = ['INSERT', 'UPDATE', 'DELETE'];
+
+let defaultBroker = null;
+
+/**
+ * Secret name of the realtime channel of a shopping list
+ * @param {string} listId - Shopping list ID
+ * @returns {string} - Channel name
+ */
+function listChannelName(listId) {
+  const secret = crypto
+    .createHmac('sha256', getSecret())
+    .update(`realtime:${listId}`)
+    .digest('base64url')
+    .slice(0, 32);
+
+  return `shopping_list:${secret}`;
+}
+
+/**
+ * Create a broker that delivers messages between channels of the same process
+ * @returns {Object} - Broker with the Supabase realtime channel API subset
+ */
+function createInProcessBroker() {
+  const topics = new Map();
+  let nextRef = 1;
+
+  function members(name) {
+    if (!topics.has(name)) {
+      topics.set(name, new Set());
+    }
+    return topics.get(name);
+  }
+
+  function presenceState(name) {
+    const state = {};
+    for (const member of members(name)) {
+      if (member.meta) {
+        state[member.key] = state[member.key] || [];
+        state[member.key].push({ ...member.meta, presence_ref: member.ref });
+      }
+    }
+    return state;
+  }
+
+  function emit(name, type, event, message, sender = null) {
+    for (const member of members(name)) {
+      if (member === sender) continue;
+      for (const listener of member.listeners) {
+        if (listener.type === type && (listener.event === '*' || listener.event === event)) {
+          listener.callback(message);
+        }
+      }
+    }
+  }
+
+  function syncPresence(name) {
+    emit(name, 'presence', 'sync', undefined);
+  }
+
+  function channel(name, options = {}) {
+    const presenceKey = options.config?.presence?.key || `ref-${nextRef}`;
+    const member = { key: presenceKey, ref: String(nextRef++), meta: null, listeners: [] };
+    let joined = false;
+
+    return {
+      topic: name,
+      on(type, filter, callback) {
+        member.listeners.push({ type, event: (filter && filter.event) || '*', callback });
+        return this;
+      },
+      subscribe(callback) {
+        members(name).add(member);
+        joined = true;
+        if (callback) callback('SUBSCRIBED');
+        return this;
+      },
+      async send({ type, event, payload }) {
+        emit(name, type, event, { type, event, payload }, joined ? member : null);
+        return 'ok';
+      },
+      async track(meta) {
+        member.meta = meta;
+        syncPresence(name);
+        return 'ok';
+      },
+      async untrack() {
+        member.meta = null;
+        syncPresence(name);
+        return 'ok';
+      },
+      presenceState() {
+        return presenceState(name);
+      },
+      async unsubscribe() {
+        const wasTracked = Boolean(member.meta);
+        members(name).delete(member);
+        joined = false;
+        if (wasTracked) syncPresence(name);
+        return 'ok';
+      },
+    };
+  }
+
+  return {
+    channel,
+    async removeChannel(ch) {
+      return ch.unsubscribe();
+    },
+  };
+}
+
+/**
+ * Get the configured broker: Supabase realtime when credentials are available,
+ * otherwise (or with REALTIME_BROKER=memory) a process-wide in-process broker
+ * @returns {Object} - Broker
+ */
+function getBroker() {
+  if (defaultBroker) {
+    return defaultBroker;
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey =
+    process.env.SUPABASE_SERVICE_API_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_ANON_KEY;
+
+  if (process.env.REALTIME_BROKER === 'memory' || !supabaseUrl || !supabaseKey) {
+    defaultBroker = createInProcessBroker();
+  } else {
+    defaultBroker = createClient(supabaseUrl, supabaseKey);
+  }
+
+  return defaultBroker;
+}
+
+/**
+ * Broadcast a change to an item of a shopping list.
+ * Failures are logged and swallowed: the change itself is already saved and
+ * open views still get it on their next reload.
+ * @param {string} listId - Shopping list ID
+ * @param {string} type - 'INSERT', 'UPDATE' or 'DELETE'
+ * @param {Object} item - Item as stored in shopping_list_items
+ * @param {Object|null} actor - Who made the change ({ user_id } from event.auth)
+ * @param {Object} broker - Broker dependency (for testing)
+ * @returns {Promise<boolean>} - Whether the change was broadcast
+ */
+async function publishItemChange(listId, type, item, actor = null, broker = getBroker()) {
+  if (!listId || !item) {
+    return false;
+  }
+
+  if (!ITEM_CHANGE_TYPES.includes(type)) {
+    throw new Error(`Invalid item change type. Must be one of: ${ITEM_CHANGE_TYPES.join(', ')}`);
+  }
+
+  const channel = broker.channel(listChannelName(listId));
+
+  try {
+    await channel.send({
+      type: 'broadcast',
+      event: ITEM_CHANGE_EVENT,
+      payload: {
+        type,
+        item,
+        actor: actor && actor.user_id ? { user_id: actor.user_id } : null,
+        sent_at: new Date().toISOString(),
+      },
+    });
+    return true;
+  } catch (error) {
+    console.error('Error broadcasting item change:', error);
+    return false;
+  } finally {
+    await broker.removeChannel(channel);
+  }
+}
+
+module.exports = {
+  ITEM_CHANGE_EVENT,
+  listChannelName,
+  createInProcessBroker,
+  getBroker,
+  publishItemChange,
+};
@@ -0,0 +1,207 @@
+/**
+ * Recurrence Service
+ * Business logic layer for recurring shopping lists
+ *
+ * Once the shopping date of a recurring list arrives, its next occurrence is
+ * generated: a new list on the next date of the rule, with the same items,
+ * unchecked, and the same rule. Occurrences missed while nobody opened the
+ * lists are skipped, so the next occurrence is never in the past. Deleting an
+ * occurrence skips it too: the one after it is generated right away, and
+ * restoring the deleted occurrence moves that one to the trash.
+ *
+ * Occurrences are created through shoppingListService, like any new list:
+ * same validation, item limit, household check, price history and share code.
+ */
+
+const crypto = require('crypto');
+const repository = require('../repositories/shoppingListRepository');
+const { getNextOccurrenceFrom } = require('../utils/recurrence');
+
+/**
+ * Shopping list service, required on first use since it requires this service
+ * @returns {Object}
+ */
+function shoppingListService() {
+  return require('./shoppingListService');
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Generate the next occurrence of a recurring list
+ * @param {Object} list - Recurring list with its `items`
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @param {Object} lists - Shopping list service dependency (for testing)
+ * @returns {Promise<Object|null>} - Created list, or null if another request generated it
+ */
+async function generateNextOccurrence(
+  list,
+  repo = repository,
+  now = new Date(),
+  lists = shoppingListService()
+) {
+  if (!list || !list.recurrence_rule) {
+    throw new Error('List does not repeat');
+  }
+
+  // A monthly series keeps the day of its first occurrence, even after a shorter month
+  const recurrence_day =
+    list.recurrence_rule === 'monthly'
+      ? list.recurrence_day || Number(list.shopping_date.slice(8, 10))
+      : null;
+
+  const shopping_date = getNextOccurrenceFrom(
+    list.shopping_date,
+    list.recurrence_rule,
+    list.recurrence_weekdays,
+    toDateString(now),
+    recurrence_day
+  );
+
+  const nextId = crypto.randomUUID();
+  if (!(await repo.claimNextOccurrence(list.id, nextId))) {
+    return null;
+  }
+
+  const items = (list.items || []).map((item) => ({
+    product_name: item.product_name,
+    category: item.category,
+    quantity: item.quantity,
+    unit: item.unit,
+    unit_price: item.unit_price || 0,
+    notes: item.notes || null,
+    is_checked: false,
+  }));
+
+  try {
+    return await lists.createShoppingListWithShareCode(
+      {
+        id: nextId,
+        user_id: list.user_id,
+        title: list.title,
+        description: list.description || null,
+        shopping_date,
+        market_id: list.market_id || null,
+        payment_id: list.payment_id || null,
+        household_id: list.household_id || null,
+        recurrence_rule: list.recurrence_rule,
+        recurrence_weekdays: list.recurrence_weekdays || null,
+        recurrence_day,
+        recurrence_source_id: list.id,
+      },
+      items,
+      repo
+    );
+  } catch (error) {
+    // Let the next request try again
+    await repo.releaseNextOccurrence(list.id, nextId);
+    throw error;
+  }
+}
+
+/**
+ * Generate the next occurrence of every due recurring list of a user
+ * Generation never fails the request that triggered it: errors are logged.
+ * @param {string} user_id - User ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @param {Object} lists - Shopping list service dependency (for testing)
+ * @returns {Promise<Array>} - Created lists
+ */
+async function generateDueOccurrences(
+  user_id,
+  repo = repository,
+  now = new Date(),
+  lists = shoppingListService()
+) {
+  let dueLists;
+  try {
+    dueLists = await repo.getListsDueForRecurrence(user_id, toDateString(now));
+  } catch (error) {
+    console.error('Error loading recurring lists:', error);
+    return [];
+  }
+
+  const created = [];
+  for (const list of dueLists) {
+    try {
+      const occurrence = await generateNextOccurrence(list, repo, now, lists);
+      if (occurrence) {
+        created.push(occurrence);
+      }
+    } catch (error) {
+      console.error(`Error generating the next occurrence of list ${list.id}:`, error);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Generate the occurrence after a deleted one, so the series goes on without it
+ * Generation never fails the delete that triggered it: errors are logged.
+ * @param {Object} list - Deleted occurrence with its `items`
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @param {Object} lists - Shopping list service dependency (for testing)
+ * @returns {Promise<Object|null>} - Created list, or null if there is none
+ */
+async function skipOccurrence(
+  list,
+  repo = repository,
+  now = new Date(),
+  lists = shoppingListService()
+) {
+  // Only the last occurrence of a series has no next one yet
+  if (!list || !list.recurrence_rule || list.recurrence_next_id) {
+    return null;
+  }
+
+  try {
+    return await generateNextOccurrence(list, repo, now, lists);
+  } catch (error) {
+    console.error(`Error generating the occurrence after list ${list.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Take back the occurrence generated when an occurrence was deleted, now that
+ * it is restored, so the series has a single next occurrence again
+ * The generated occurrence goes to the trash; the restored one generates its
+ * next occurrence again once it is due.
+ * @param {Object} list - Restored occurrence
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object|null>} - Occurrence moved to the trash, or null if there is none
+ */
+async function unskipOccurrence(list, repo = repository) {
+  if (!list || !list.recurrence_rule || !list.recurrence_next_id) {
+    return null;
+  }
+
+  // Once the next occurrence has its own next one, the series has moved past both
+  const next = await repo.getShoppingListById(list.recurrence_next_id, list.user_id);
+  if (!next || next.recurrence_next_id) {
+    return null;
+  }
+
+  const dropped = await repo.deleteShoppingList(next.id, list.user_id);
+  await repo.releaseNextOccurrence(list.id, next.id);
+
+  return dropped;
+}
+
+module.exports = {
+  generateNextOccurrence,
+  generateDueOccurrences,
+  skipOccurrence,
+  unskipOccurrence,
+};
@@ -0,0 +1,274 @@
+/**
+ * Search Service
+ * Business logic layer for searching shopping lists and their items
+ *
+ * A search matches list titles and descriptions and item product names,
+ * categories and notes, ignoring case and accents ("acucar" finds "Açúcar").
+ * Every word of the query must be found in the list or in any of its items,
+ * not necessarily the same one.
+ * The database returns the best ranked matching lists, ranking them the same
+ * way; they are ranked again here, and each matching field comes with the
+ * ranges of the original text to highlight.
+ */
+
+const repository = require('../repositories/searchRepository');
+const { normalizeProductName } = require('../utils/text');
+
+// Results by default, and at most
+const DEFAULT_RESULTS = 20;
+const MAX_RESULTS = 50;
+
+// Lists read from the database to rank, at most. The database returns the
+// best ranked ones (search_score in database/create_search.sql), so the
+// results are the best of every matching list, not just of these.
+const MAX_CANDIDATES = 100;
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_TERMS = 5;
+
+// Shorter words (e.g. "e", "a") would match almost everything
+const MIN_TERM_LENGTH = 2;
+
+// How much a match in each field counts towards the rank (the same as in
+// search_shopping_lists, database/create_search.sql)
+const FIELD_WEIGHTS = {
+  title: 5,
+  product_name: 4,
+  description: 2,
+  category: 2,
+  notes: 1,
+};
+
+// Longer texts are cut around their first match
+const SNIPPET_LENGTH = 80;
+
+/**
+ * Split a search query into the words to match
+ * @param {string} query - Search query
+ * @returns {Array<string>} - Lower case words without accents
+ * @throws {Error} - If the query is missing, too long or has no word to search for
+ */
+function parseSearchTerms(query) {
+  if (query === undefined || query === null || String(query).trim() === '') {
+    throw new Error('Search query is required');
+  }
+
+  if (String(query).length > MAX_QUERY_LENGTH) {
+    throw new Error(`Invalid search query: must be ${MAX_QUERY_LENGTH} characters or less`);
+  }
+
+  const terms = [
+    ...new Set(
+      normalizeProductName(query)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((term) => term.length >= MIN_TERM_LENGTH)
+    ),
+  ];
+
+  if (terms.length === 0) {
+    throw new Error(`Search query must have a word of at least ${MIN_TERM_LENGTH} characters`);
+  }
+
+  if (terms.length > MAX_TERMS) {
+    throw new Error(`Invalid search query: must have ${MAX_TERMS} words or less`);
+  }
+
+  return terms;
+}
+
+/**
+ * Normalize a text like normalizeProductName, remembering where each
+ * normalized character came from in the original text
+ * @param {string} text - Original text
+ * @returns {Object} - { normalized, origins }: origins[i] is the index in text of normalized[i]
+ */
+function normalizeWithOrigins(text) {
+  let normalized = '';
+  const origins = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const folded = text[index]
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+    for (const char of folded) {
+      normalized += char;
+      origins.push(index);
+    }
+  }
+
+  return { normalized, origins };
+}
+
+/**
+ * Find the terms in a text
+ * @param {string} text - Original text
+ * @param {Array<string>} terms - Normalized terms
+ * @returns {Array<Object>} - { term, start, end, word_start, whole_word } per match,
+ *   start/end being indexes in the original text
+ */
+function findMatches(text, terms) {
+  const { normalized, origins } = normalizeWithOrigins(String(text || ''));
+  const isWordChar = (char) => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+  const matches = [];
+
+  for (const term of terms) {
+    let from = normalized.indexOf(term);
+    while (from !== -1) {
+      const to = from + term.length;
+      const word_start = !isWordChar(normalized[from - 1]);
+      matches.push({
+        term,
+        start: origins[from],
+        end: origins[to - 1] + 1,
+        word_start,
+        whole_word: word_start && !isWordChar(normalized[to]),
+      });
+      from = normalized.indexOf(term, to);
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Rank a field: whole words count most, then word beginnings, then matches inside words
+ * @param {Array<Object>} matches - Matches found in the field
+ * @param {number} weight - Field weight
+ * @returns {number}
+ */
+function scoreMatches(matches, weight) {
+  // Each term counts once per field, by its best match
+  const best = new Map();
+  for (const match of matches) {
+    const points = match.whole_word ? 3 : match.word_start ? 2 : 1;
+    best.set(match.term, Math.max(best.get(match.term) || 0, points));
+  }
+
+  return [...best.values()].reduce((sum, points) => sum + points * weight, 0);
+}
+
+/**
+ * Highlight the matches of a field, cutting long texts around the first match
+ * @param {string} field - Field name
+ * @param {string} text - Field text
+ * @param {Array<Object>} matches - Matches found in the text
+ * @returns {Object} - { field, text, ranges: [[start, end]] } with ranges into the returned text
+ */
+function highlightField(field, text, matches) {
+  let start = 0;
+  let end = text.length;
+
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, Math.min(matches[0].start - 20, text.length - SNIPPET_LENGTH));
+    end = start + SNIPPET_LENGTH;
+  }
+
+  // Overlapping matches (e.g. of "choco" and "chocolate") become one range
+  const ranges = [];
+  for (const match of matches) {
+    if (match.start < start || match.end > end) continue;
+    const last = ranges[ranges.length - 1];
+    if (last && match.start <= last[1]) {
+      last[1] = Math.max(last[1], match.end);
+    } else {
+      ranges.push([match.start, match.end]);
+    }
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    field,
+    text: prefix + text.slice(start, end) + suffix,
+    ranges: ranges.map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]),
+  };
+}
+
+/**
+ * Rank and highlight the given fields of a list or item
+ * @param {Object} record - List or item
+ * @param {Array<string>} fields - Fields to search
+ * @param {Array<string>} terms - Normalized terms
+ * @returns {Object} - { score, highlights }
+ */
+function matchRecord(record, fields, terms) {
+  let score = 0;
+  const highlights = [];
+
+  for (const field of fields) {
+    const text = record[field];
+    if (!text) continue;
+
+    const matches = findMatches(text, terms);
+    if (matches.length === 0) continue;
+
+    score += scoreMatches(matches, FIELD_WEIGHTS[field]);
+    highlights.push(highlightField(field, text, matches));
+  }
+
+  return { score, highlights };
+}
+
+/**
+ * Search the lists of a user and their households
+ * @param {string} user_id - User ID
+ * @param {string} query - Search query
+ * @param {Object} options - { limit }
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - { query, terms, results }; each result has the `list`, its
+ *   `score`, the `highlights` of its fields and the matching `items` with theirs, best first
+ */
+async function searchShoppingLists(user_id, query, options = {}, repo = repository) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  const limit = options.limit === undefined ? DEFAULT_RESULTS : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS) {
+    throw new Error(`Invalid limit. Must be a whole number between 1 and ${MAX_RESULTS}`);
+  }
+
+  const terms = parseSearchTerms(query);
+
+  // Terms are only letters and digits, so they have no LIKE wildcards to escape
+  const candidates = await repo.searchShoppingLists(user_id, terms, MAX_CANDIDATES);
+
+  const results = candidates.map((list) => {
+    const listMatch = matchRecord(list, ['title', 'description'], terms);
+    const items = (list.items || [])
+      .map((item) => {
+        const itemMatch = matchRecord(item, ['product_name', 'category', 'notes'], terms);
+        return { ...item, score: itemMatch.score, highlights: itemMatch.highlights };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      list: {
+        id: list.id,
+        title: list.title,
+        description: list.description || null,
+        shopping_date: list.shopping_date,
+        is_completed: list.is_completed,
+        household_id: list.household_id || null,
+      },
+      score: listMatch.score + items.reduce((sum, item) => sum + item.score, 0),
+      highlights: listMatch.highlights,
+      items: items.map(({ score, ...item }) => item),
+    };
+  });
+
+  // Candidates come best first, then most recent first, so equal scores stay in that order
+  results.sort((a, b) => b.score - a.score);
+
+  return { query: String(query).trim(), terms, results: results.slice(0, limit) };
+}
+
+module.exports = {
+  DEFAULT_RESULTS,
+  MAX_RESULTS,
+  parseSearchTerms,
+  findMatches,
+  searchShoppingLists,
+};
@@ -0,0 +1,107 @@
+/**
+ * Session Service
+ * Business logic layer for user sessions (login and token issuing)
+ */
+
+const repository = require('../repositories/userRepository');
+const { signToken, DEFAULT_TTL_SECONDS } = require('../utils/token');
+const { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword } = require('../utils/password');
+
+// One message for unknown passwords and accounts without one, so it does not
+// tell which phone numbers have an account
+const WRONG_CREDENTIALS = 'Phone or password is incorrect';
+
+/**
+ * Validate login data
+ * @param {Object} data - Login data
+ * @throws {Error} - If validation fails
+ */
+function validateLogin(data) {
+  if (!data.name || data.name.trim().length === 0) {
+    throw new Error('Name is required');
+  }
+
+  if (!data.phone) {
+    throw new Error('Phone is required');
+  }
+
+  const cleanPhone = String(data.phone).replace(/\D/g, '');
+  if (cleanPhone.length < 10) {
+    throw new Error('Invalid phone format: must have at least 10 digits');
+  }
+
+  if (!data.password) {
+    throw new Error('Password is required');
+  }
+
+  if (typeof data.password !== 'string' || data.password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must have at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * Issue a session token for a user
+ * @param {Object} user - User record
+ * @param {Object} options - Options
+ * @param {number} options.now - Current time in ms (for testing)
+ * @returns {Object} - { token, expires_at, user }
+ */
+function issueSession(user, options = {}) {
+  const { now = Date.now() } = options;
+  const token = signToken({ sub: user.id }, { now });
+
+  return {
+    token,
+    expires_at: new Date(now + DEFAULT_TTL_SECONDS * 1000).toISOString(),
+    user,
+  };
+}
+
+/**
+ * Log a user in by phone and password, creating the account on first access
+ * @param {Object} data - Login data
+ * @param {string} data.name - User name
+ * @param {string} data.phone - Phone number
+ * @param {string} data.password - Password (sets it when the account is created)
+ * @param {boolean} [data.skipped_onboarding] - Whether onboarding was skipped
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - { token, expires_at, user }
+ */
+async function createSession(data, repo = repository) {
+  validateLogin(data);
+
+  const phone = String(data.phone).replace(/\D/g, '');
+
+  let user = await repo.getUserByPhone(phone);
+
+  if (user) {
+    // Accounts from before passwords have no hash and cannot log in by phone alone
+    const passwordHash = await repo.getPasswordHash(user.id);
+    if (!verifyPassword(data.password, passwordHash)) {
+      throw new Error(WRONG_CREDENTIALS);
+    }
+  } else {
+    user = await repo.createUser({
+      name: data.name.trim(),
+      phone,
+      skipped_onboarding: Boolean(data.skipped_onboarding),
+      password_hash: hashPassword(data.password),
+    });
+  }
+
+  if (!user || !user.id) {
+    throw new Error('Failed to create or retrieve user');
+  }
+
+  if (user.is_active === false) {
+    throw new Error('User is not authorized');
+  }
+
+  return issueSession(user);
+}
+
+module.exports = {
+  WRONG_CREDENTIALS,
+  createSession,
+  issueSession,
+};
@@ -5,6 +5,32 @@
  */
 
 const repository = require('../repositories/shoppingListRepository');
+const householdService = require('./householdService');
+const marketService = require('./marketService');
+const paymentService = require('./paymentService');
+const priceHistoryService = require('./priceHistoryService');
+const budgetService = require('./budgetService');
+const recurrenceService = require('./recurrenceService');
+const { validateRecurrence } = require('../utils/recurrence');
+const { parseListQuery, parseToday, formatSort, localDate } = require('../utils/listQuery');
+const {
+  SHARE_PERMISSIONS,
+  SHARE_CODE_FORMATS,
+  generateShareCode,
+  normalizeShareCode,
+  getShareCodeStatus,
+  issueShareToken,
+} = require('./listAccessService');
+
+// Attempts at picking a share code that no other list uses
+const SHARE_CODE_MAX_ATTEMPTS = 5;
+
+// Items a list may have
+const MAX_LIST_ITEMS = 100;
+
+// Days deleted lists stay in the trash before they are purged for good
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Validate shopping list data
@@ -96,12 +122,20 @@ function validateShoppingListItem(data) {
 
 /**
  * Create a new shopping list with items
- * @param {Object} listData - Shopping list data
+ * @param {Object} listData - Shopping list data (household_id shares it with a household)
  * @param {Array} items - Array of shopping list items
  * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
+ * @param {Object} prices - Price history service dependency (for testing)
  * @returns {Object} - Created shopping list with items
  */
-async function createShoppingList(listData, items = [], repo = repository) {
+async function createShoppingList(
+  listData,
+  items = [],
+  repo = repository,
+  households = householdService,
+  prices = priceHistoryService
+) {
   // Validate main list data
   validateShoppingList(listData);
 
@@ -119,8 +153,12 @@ async function createShoppingList(listData, items = [], repo = repository) {
     throw new Error('Shopping list must have at least one item');
   }
 
-  if (items.length > 100) {
-    throw new Error('Shopping list cannot have more than 100 items');
+  if (items.length > MAX_LIST_ITEMS) {
+    throw new Error(`Shopping list cannot have more than ${MAX_LIST_ITEMS} items`);
+  }
+
+  if (listData.household_id) {
+    await households.authorizeHousehold(listData.household_id, listData.user_id, 'write');
   }
 
   // Normalize data
@@ -128,6 +166,7 @@ async function createShoppingList(listData, items = [], repo = repository) {
     ...listData,
     title: listData.title.trim(),
     description: listData.description ? listData.description.trim() : null,
+    ...validateRecurrence(listData.recurrence_rule, listData.recurrence_weekdays),
   };
 
   const normalizedItems = items.map((item) => ({
@@ -139,31 +178,70 @@ async function createShoppingList(listData, items = [], repo = repository) {
     notes: item.notes ? item.notes.trim() : null,
   }));
 
-  return repo.createShoppingList(normalizedListData, normalizedItems);
+  const list = await repo.createShoppingList(normalizedListData, normalizedItems);
+
+  await prices.recordItemPrices(list.items, list, 'created');
+
+  return list;
+}
+
+/**
+ * Create a new shopping list with items and a newly generated share code
+ * @param {Object} listData - Shopping list data
+ * @param {Array} items - Array of shopping list items
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
+ * @param {Object} prices - Price history service dependency (for testing)
+ * @returns {Object} - Created shopping list with items
+ */
+async function createShoppingListWithShareCode(
+  listData,
+  items = [],
+  repo = repository,
+  households = householdService,
+  prices = priceHistoryService
+) {
+  return withNewShareCode((share_code) =>
+    createShoppingList({ ...listData, share_code }, items, repo, households, prices)
+  );
 }
 
 /**
  * Get shopping lists for a user
  * @param {string} user_id - User ID
- * @param {Object} options - Query options
+ * @param {Object} options - Query options; `today` is the user's date, for the statuses
  * @param {Object} repo - Repository dependency (for testing)
- * @returns {Array} - Array of shopping lists with metadata
+ * @param {Object} budgets - Budget service dependency (for testing)
+ * @param {Object} recurrence - Recurrence service dependency (for testing)
+ * @returns {Array} - Array of shopping lists with metadata, budget consumption and warnings
  */
-async function getShoppingLists(user_id, options = {}, repo = repository) {
+async function getShoppingLists(
+  user_id,
+  options = {},
+  repo = repository,
+  budgets = budgetService,
+  recurrence = recurrenceService
+) {
   if (!user_id) {
     throw new Error('User ID is required');
   }
 
+  // Generate due occurrences of recurring lists so the upcoming ones are listed.
+  // Only for the first page: the next pages were asked for after it ran.
+  if (!options.after) {
+    await recurrence.generateDueOccurrences(user_id);
+  }
+
   const lists = await repo.getShoppingLists(user_id, options);
 
   // Add business logic calculations
-  return lists.map((list) => ({
+  const withMetadata = lists.map((list) => ({
     ...list,
     // Add completion percentage
     completion_percentage:
       list.items_count > 0 ? Math.round((list.checked_items_count / list.items_count) * 100) : 0,
     // Add status based on date
-    status: getListStatus(list),
+    status: getListStatus(list, options.today),
     // Format dates for display
     formatted_date: formatDate(list.shopping_date),
     // Add summary info
@@ -174,6 +252,109 @@ async function getShoppingLists(user_id, options = {}, repo = repository) {
       estimated_total: list.total_amount,
     },
   }));
+
+  // Add the month's budget consumption and any overspend warning
+  return budgets.annotateLists(withMetadata, user_id);
+}
+
+/**
+ * Encode where a page of lists ends, so the next page starts right after it
+ * The cursor is opaque to clients and only valid for the sort order it was made in.
+ * @param {Object} list - Last list of the page
+ * @param {Array<Object>} sort - [{ field, direction }]
+ * @returns {string} - Cursor
+ */
+function encodeListCursor(list, sort) {
+  const position = {
+    s: formatSort(sort),
+    v: sort.map(({ field }) => list[field]),
+    id: list.id,
+  };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeListCursor
+ * @param {string} cursor - Cursor
+ * @param {Array<Object>} sort - [{ field, direction }]
+ * @returns {Object} - { values, id } of the last list of the previous page
+ * @throws {Error} - If the cursor is malformed or made for another sort order
+ */
+function decodeListCursor(cursor, sort) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (
+    !position ||
+    !uuidRegex.test(position.id) ||
+    !Array.isArray(position.v) ||
+    !position.v.every((value) => ['string', 'number'].includes(typeof value))
+  ) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (position.s !== formatSort(sort) || position.v.length !== sort.length) {
+    throw new Error('Invalid cursor: it was made for another sort order');
+  }
+
+  return { values: position.v, id: position.id };
+}
+
+/**
+ * Get a page of the shopping lists of a user
+ * @param {string} user_id - User ID
+ * @param {Object} options - Query string parameters
+ * @param {number} [options.limit] - Page size
+ * @param {string} [options.cursor] - `next_cursor` of the previous page
+ * @param {string} [options.sort] - Sort order, and the filters (see utils/listQuery)
+ * @param {string} [options.today] - The user's date (YYYY-MM-DD), for the statuses
+ * @param {string} [options.timezone] - The user's time zone, when there is no date
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} budgets - Budget service dependency (for testing)
+ * @param {Object} recurrence - Recurrence service dependency (for testing)
+ * @param {Date} now - Current time, for the status filter (for testing)
+ * @returns {Promise<Object>} - { lists, pagination: { limit, next_cursor, has_more, total_count } }
+ */
+async function getShoppingListsPage(
+  user_id,
+  options = {},
+  repo = repository,
+  budgets = budgetService,
+  recurrence = recurrenceService,
+  now = new Date()
+) {
+  const limit = options.limit || 50;
+  const { filters, sort } = parseListQuery(options, now);
+  const today = parseToday(options, now);
+  const after = options.cursor ? decodeListCursor(options.cursor, sort) : undefined;
+
+  // One extra list tells whether there is a next page
+  const lists = await getShoppingLists(
+    user_id,
+    { ...filters, today, sort, limit: limit + 1, after },
+    repo,
+    budgets,
+    recurrence
+  );
+  const total_count = await repo.countShoppingLists(user_id, filters);
+
+  const page = lists.slice(0, limit);
+  const has_more = lists.length > limit;
+
+  return {
+    lists: page,
+    pagination: {
+      limit,
+      next_cursor: has_more ? encodeListCursor(page[page.length - 1], sort) : null,
+      has_more,
+      total_count,
+    },
+  };
 }
 
 /**
@@ -181,9 +362,10 @@ async function getShoppingLists(user_id, options = {}, repo = repository) {
  * @param {string} id - Shopping list ID
  * @param {string} user_id - User ID for authorization
  * @param {Object} repo - Repository dependency (for testing)
- * @returns {Object|null} - Shopping list with items and calculations
+ * @param {Object} households - Household service dependency (for testing)
+ * @returns {Object|null} - Shopping list with items, calculations and the caller's `permission`
  */
-async function getShoppingListById(id, user_id, repo = repository) {
+async function getShoppingListById(id, user_id, repo = repository, households = householdService) {
   if (!id || !user_id) {
     throw new Error('List ID and User ID are required');
   }
@@ -194,12 +376,20 @@ async function getShoppingListById(id, user_id, repo = repository) {
     return null;
   }
 
+  // Lists shared with a household can be opened by members who did not create them
+  let permission = 'owner';
+  if (list.user_id && list.user_id !== user_id) {
+    const role = await households.getMemberRole(list.household_id, user_id);
+    permission = householdService.HOUSEHOLD_LIST_PERMISSIONS[role] || 'view';
+  }
+
   // Add business calculations
   const itemsByCategory = groupItemsByCategory(list.items);
   const totals = calculateTotals(list.items);
 
   return {
     ...list,
+    permission,
     status: getListStatus(list),
     formatted_date: formatDate(list.shopping_date),
     items_by_category: itemsByCategory,
@@ -214,25 +404,36 @@ async function getShoppingListById(id, user_id, repo = repository) {
 
 /**
  * Get shopping list by share code
- * @param {string} shareCode - 4-digit share code
+ * @param {string} shareCode - Share code (legacy 4 digits or 12 letters/digits)
  * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
  * @returns {Object|null} - Shopping list with items (read-only view)
+ * @throws {Error} - If the code is malformed, revoked or expired
  */
-async function getShoppingListByShareCode(shareCode, repo = repository) {
-  if (!shareCode || shareCode.length !== 4) {
-    throw new Error('Share code must be 4 digits');
-  }
+async function getShoppingListByShareCode(shareCode, repo = repository, now = new Date()) {
+  const code = normalizeShareCode(shareCode);
 
-  if (!/^\d{4}$/.test(shareCode)) {
-    throw new Error('Share code must contain only numbers');
+  if (!code) {
+    if (shareCode && shareCode.length === 4) {
+      throw new Error('Share code must contain only numbers');
+    }
+    throw new Error('Share code must be 4 digits or 12 letters and digits');
   }
 
-  const list = await repo.getShoppingListByShareCode(shareCode);
+  const list = await repo.getShoppingListByShareCode(code);
 
   if (!list) {
     return null;
   }
 
+  const status = getShareCodeStatus(list, now);
+  if (status === 'revoked') {
+    throw new Error('Share code has been revoked');
+  }
+  if (status === 'expired') {
+    throw new Error('Share code has expired');
+  }
+
   // Add read-only business calculations
   const itemsByCategory = groupItemsByCategory(list.items);
   const totals = calculateTotals(list.items);
@@ -248,11 +449,258 @@ async function getShoppingListByShareCode(shareCode, repo = repository) {
       categories_count: Object.keys(itemsByCategory).length,
       ...totals,
     },
-    // Mark as shared/read-only
+    // Mark as shared view; what the visitor may do depends on the owner's share permission
     is_shared_view: true,
+    share_permission: list.share_permission || 'view',
+    share_token: issueShareToken(list),
   };
 }
 
+/**
+ * Set what share code holders may do on a list
+ * @param {string} id - Shopping list ID
+ * @param {string} user_id - Owner user ID
+ * @param {string} share_permission - 'view', 'check' or 'edit'
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Object} - Updated shopping list
+ */
+async function updateSharePermission(id, user_id, share_permission, repo = repository) {
+  if (!id || !user_id) {
+    throw new Error('List ID and User ID are required');
+  }
+
+  if (!SHARE_PERMISSIONS.includes(share_permission)) {
+    throw new Error(`Invalid share permission. Must be one of: ${SHARE_PERMISSIONS.join(', ')}`);
+  }
+
+  const updated = await repo.updateShoppingList(id, user_id, { share_permission });
+
+  if (!updated) {
+    throw new Error('Shopping list not found');
+  }
+
+  return updated;
+}
+
+/**
+ * Validate a share code expiry date
+ * @param {string|null} expires_at - ISO date, or null for a code that never expires
+ * @param {Date} now - Current time
+ * @returns {string|null} - Normalized ISO date or null
+ */
+function validateShareCodeExpiry(expires_at, now) {
+  if (expires_at === undefined || expires_at === null || expires_at === '') {
+    return null;
+  }
+
+  const expiry = new Date(expires_at);
+  if (Number.isNaN(expiry.getTime())) {
+    throw new Error('Invalid share code expiry date');
+  }
+
+  if (expiry <= now) {
+    throw new Error('Share code expiry must be in the future');
+  }
+
+  return expiry.toISOString();
+}
+
+/**
+ * Save a list with a newly generated share code, with another code whenever
+ * the one tried is already taken
+ * @param {Function} save - Saves the list with the share code it is given
+ * @param {string} format - Share code format
+ * @returns {Promise<Object>} - What save() returned
+ */
+async function withNewShareCode(save, format = 'token') {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await save(generateShareCode(format));
+    } catch (error) {
+      // Another list already uses the code: try a new one
+      if (!error.message.includes('duplicate key') || attempt >= SHARE_CODE_MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Give a list a new share code. The old code, and every share token issued
+ * for it, stops working.
+ * @param {string} id - Shopping list ID
+ * @param {string} user_id - Owner user ID
+ * @param {Object} options - Options
+ * @param {string} [options.format] - 'token' (12 letters/digits, default) or 'numeric' (4 digits)
+ * @param {string|null} [options.expires_at] - When the new code stops working (ISO date)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Object} - Updated shopping list
+ */
+async function regenerateShareCode(id, user_id, options = {}, repo = repository, now = new Date()) {
+  if (!id || !user_id) {
+    throw new Error('List ID and User ID are required');
+  }
+
+  const format = options.format || 'token';
+  if (!SHARE_CODE_FORMATS.includes(format)) {
+    throw new Error(`Invalid share code format. Must be one of: ${SHARE_CODE_FORMATS.join(', ')}`);
+  }
+
+  const share_code_expires_at = validateShareCodeExpiry(options.expires_at, now);
+
+  return withNewShareCode(async (share_code) => {
+    const updated = await repo.updateShoppingList(id, user_id, {
+      share_code,
+      share_code_expires_at,
+      share_code_revoked_at: null,
+    });
+
+    if (!updated) {
+      throw new Error('Shopping list not found');
+    }
+
+    return updated;
+  }, format);
+}
+
+/**
+ * Set when a list's share code stops working
+ * @param {string} id - Shopping list ID
+ * @param {string} user_id - Owner user ID
+ * @param {string|null} expires_at - ISO date, or null for a code that never expires
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Object} - Updated shopping list
+ */
+async function updateShareCodeExpiry(id, user_id, expires_at, repo = repository, now = new Date()) {
+  if (!id || !user_id) {
+    throw new Error('List ID and User ID are required');
+  }
+
+  const updated = await repo.updateShoppingList(id, user_id, {
+    share_code_expires_at: validateShareCodeExpiry(expires_at, now),
+  });
+
+  if (!updated) {
+    throw new Error('Shopping list not found');
+  }
+
+  return updated;
+}
+
+/**
+ * Revoke a list's share code until the owner generates a new one
+ * @param {string} id - Shopping list ID
+ * @param {string} user_id - Owner user ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Object} - Updated shopping list
+ */
+async function revokeShareCode(id, user_id, repo = repository, now = new Date()) {
+  if (!id || !user_id) {
+    throw new Error('List ID and User ID are required');
+  }
+
+  const updated = await repo.updateShoppingList(id, user_id, {
+    share_code_revoked_at: now.toISOString(),
+  });
+
+  if (!updated) {
+    throw new Error('Shopping list not found');
+  }
+
+  return updated;
+}
+
+/**
+ * Copy a list and its items into a new list with its own share code
+ * @param {string} id - Shopping list ID
+ * @param {string} user_id - User ID; the copy belongs to them
+ * @param {Object} options - Options
+ * @param {string} [options.title] - Title of the copy (defaults to the list's title)
+ * @param {string} [options.shopping_date] - Date of the copy (defaults to the list's date)
+ * @param {string|null} [options.market_id] - Market of the copy (defaults to the list's market)
+ * @param {string|null} [options.payment_id] - Payment method of the copy (defaults to the list's)
+ * @param {boolean} [options.keep_checked] - Keep which items were bought (default false)
+ * @param {boolean} [options.keep_prices] - Keep the item prices (default true)
+ * @param {boolean} [options.keep_notes] - Keep the item notes (default true)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} households - Household service dependency (for testing)
+ * @param {Object} prices - Price history service dependency (for testing)
+ * @param {Object} markets - Market service dependency (for testing)
+ * @param {Object} payments - Payment service dependency (for testing)
+ * @returns {Object} - Created shopping list with items
+ */
+async function duplicateShoppingList(
+  id,
+  user_id,
+  options = {},
+  repo = repository,
+  households = householdService,
+  prices = priceHistoryService,
+  markets = marketService,
+  payments = paymentService
+) {
+  if (!id || !user_id) {
+    throw new Error('List ID and User ID are required');
+  }
+
+  const flags = { keep_checked: false, keep_prices: true, keep_notes: true };
+  Object.keys(flags).forEach((flag) => {
+    if (options[flag] !== undefined) {
+      if (typeof options[flag] !== 'boolean') {
+        throw new Error(`Invalid ${flag}. Must be true or false`);
+      }
+      flags[flag] = options[flag];
+    }
+  });
+
+  const source = await repo.getShoppingListById(id, user_id);
+  if (!source) {
+    throw new Error('Shopping list not found');
+  }
+
+  // A market or payment method picked for the copy must be the user's own
+  if (options.market_id && !(await markets.getMarketById(options.market_id, user_id))) {
+    throw new Error('Market not found');
+  }
+  if (options.payment_id && !(await payments.getPaymentMethodById(options.payment_id, user_id))) {
+    throw new Error('Payment method not found');
+  }
+
+  // Fields the caller did not override are copied from the list. The market
+  // and payment method of someone else's household list are theirs, not the
+  // user's, so they are only copied from the user's own lists.
+  const ownList = source.user_id === user_id;
+  const pick = (field) => (options[field] !== undefined ? options[field] : source[field]);
+  const pickReference = (field) =>
+    options[field] !== undefined ? options[field] : ownList ? source[field] : null;
+  const listData = {
+    user_id,
+    title: pick('title'),
+    description: source.description || null,
+    shopping_date: pick('shopping_date'),
+    market_id: pickReference('market_id') || null,
+    payment_id: pickReference('payment_id') || null,
+    household_id: source.household_id || null,
+  };
+
+  const items = source.items.map((item) => ({
+    product_name: item.product_name,
+    category: item.category,
+    quantity: item.quantity,
+    unit: item.unit,
+    unit_price: flags.keep_prices ? item.unit_price || 0 : 0,
+    notes: flags.keep_notes ? item.notes || null : null,
+    is_checked: flags.keep_checked ? Boolean(item.is_checked) : false,
+  }));
+
+  // The copy is created like any new list: same validation, item limits,
+  // household check and price history
+  return createShoppingListWithShareCode(listData, items, repo, households, prices);
+}
+
 /**
  * Update shopping list
  * @param {string} id - Shopping list ID
@@ -302,6 +750,16 @@ async function updateShoppingList(id, user_id, updates, repo = repository) {
 
   // Normalize string fields
   const normalizedUpdates = { ...updates };
+  if (updates.recurrence_rule !== undefined) {
+    Object.assign(
+      normalizedUpdates,
+      validateRecurrence(updates.recurrence_rule, updates.recurrence_weekdays)
+    );
+  }
+  if (updates.recurrence_rule !== undefined || updates.shopping_date !== undefined) {
+    // A new date or rule starts the monthly series over from the list's date
+    normalizedUpdates.recurrence_day = null;
+  }
   if (normalizedUpdates.title) {
     normalizedUpdates.title = normalizedUpdates.title.trim();
   }
@@ -317,14 +775,151 @@ async function updateShoppingList(id, user_id, updates, repo = repository) {
  * @param {string} id - Shopping list ID
  * @param {string} user_id - User ID for authorization
  * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} recurrence - Recurrence service dependency (for testing)
  * @returns {Object} - Deleted shopping list
  */
-async function deleteShoppingList(id, user_id, repo = repository) {
+async function deleteShoppingList(id, user_id, repo = repository, recurrence = recurrenceService) {
+  if (!id || !user_id) {
+    throw new Error('List ID and User ID are required');
+  }
+
+  // Read the list first: once deleted, it and its items are no longer returned
+  const list = await repo.getShoppingListById(id, user_id);
+  if (!list) {
+    throw new Error('Shopping list not found');
+  }
+
+  // Household members see the list, but only its owner can delete it
+  if (list.user_id !== user_id) {
+    throw new Error('User not authorized to delete this shopping list');
+  }
+
+  const deleted = await repo.deleteShoppingList(id, user_id);
+  if (!deleted) {
+    throw new Error('Shopping list not found');
+  }
+
+  // Deleting an occurrence of a recurring list skips it, the series goes on
+  await recurrence.skipOccurrence(list, repo);
+
+  return deleted;
+}
+
+/**
+ * Permanently delete the lists of a user that spent the retention period in the trash
+ * Purging never fails the request that triggered it: errors are logged.
+ * @param {string} user_id - Owner user ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<Array>} - Purged lists ({ id, title })
+ */
+async function purgeExpiredLists(user_id, repo = repository, now = new Date()) {
+  try {
+    return await repo.purgeShoppingLists(user_id, {
+      deleted_before: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS).toISOString(),
+    });
+  } catch (error) {
+    console.error('Error purging deleted lists:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the deleted lists of a user, purging those past the retention period
+ * @param {string} user_id - Owner user ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<Array>} - Deleted lists with when they will be purged (`purge_at`, `days_left`)
+ */
+async function getTrash(user_id, repo = repository, now = new Date()) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  await purgeExpiredLists(user_id, repo, now);
+  const lists = await repo.getDeletedShoppingLists(user_id);
+
+  return lists.map((list) => {
+    const purgeAt = new Date(new Date(list.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+    return {
+      ...list,
+      purge_at: purgeAt.toISOString(),
+      days_left: Math.max(0, Math.ceil((purgeAt - now) / DAY_MS)),
+    };
+  });
+}
+
+/**
+ * Restore a deleted list from the trash. If another list took its share code
+ * in the meantime, the restored list gets a new one.
+ * @param {string} id - Shopping list ID
+ * @param {string} user_id - Owner user ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @param {Object} recurrence - Recurrence service dependency (for testing)
+ * @returns {Promise<Object>} - Restored list, with `share_code_changed`
+ */
+async function restoreShoppingList(
+  id,
+  user_id,
+  repo = repository,
+  now = new Date(),
+  recurrence = recurrenceService
+) {
   if (!id || !user_id) {
     throw new Error('List ID and User ID are required');
   }
 
-  return repo.deleteShoppingList(id, user_id);
+  // Lists past the retention period cannot come back
+  await purgeExpiredLists(user_id, repo, now);
+
+  let restored;
+  let share_code_changed = false;
+  try {
+    restored = await repo.restoreShoppingList(id, user_id);
+  } catch (error) {
+    if (!error.message.includes('duplicate key')) {
+      throw error;
+    }
+
+    share_code_changed = true;
+    restored = await withNewShareCode((share_code) =>
+      repo.restoreShoppingList(id, user_id, {
+        share_code,
+        share_code_expires_at: null,
+        share_code_revoked_at: null,
+      })
+    );
+  }
+
+  if (!restored) {
+    throw new Error('Shopping list not found in the trash');
+  }
+
+  // A restored occurrence of a recurring list is no longer skipped
+  await recurrence.unskipOccurrence(restored, repo);
+
+  return { ...restored, share_code_changed };
+}
+
+/**
+ * Permanently delete a list from the trash
+ * @param {string} id - Shopping list ID
+ * @param {string} user_id - Owner user ID
+ * @param {Object} repo - Repository dependency (for testing)
+ * @returns {Promise<Object>} - Purged list ({ id, title })
+ */
+async function purgeShoppingList(id, user_id, repo = repository) {
+  if (!id || !user_id) {
+    throw new Error('List ID and User ID are required');
+  }
+
+  const [purged] = await repo.purgeShoppingLists(user_id, { id });
+  if (!purged) {
+    throw new Error('Shopping list not found in the trash');
+  }
+
+  return purged;
 }
 
 // Helper functions
@@ -332,20 +927,17 @@ async function deleteShoppingList(id, user_id, repo = repository) {
 /**
  * Get list status based on date and completion
  * @param {Object} list - Shopping list
+ * @param {string} [today] - The user's date (YYYY-MM-DD); defaults to the server's
  * @returns {string} - Status: 'upcoming', 'today', 'overdue', 'completed'
  */
-function getListStatus(list) {
+function getListStatus(list, today = localDate(new Date())) {
   if (list.is_completed) {
     return 'completed';
   }
 
-  const today = new Date();
-  const shoppingDate = new Date(list.shopping_date);
-
-  today.setHours(0, 0, 0, 0);
-  shoppingDate.setHours(0, 0, 0, 0);
+  const shoppingDate = String(list.shopping_date).slice(0, 10);
 
-  if (shoppingDate.getTime() === today.getTime()) {
+  if (shoppingDate === today) {
     return 'today';
   } else if (shoppingDate < today) {
     return 'overdue';
@@ -403,12 +995,24 @@ function calculateTotals(items) {
 }
 
 module.exports = {
+  MAX_LIST_ITEMS,
+  TRASH_RETENTION_DAYS,
   createShoppingList,
+  createShoppingListWithShareCode,
   getShoppingLists,
+  getShoppingListsPage,
   getShoppingListById,
   getShoppingListByShareCode,
+  updateSharePermission,
+  regenerateShareCode,
+  updateShareCodeExpiry,
+  revokeShareCode,
   updateShoppingList,
+  duplicateShoppingList,
   deleteShoppingList,
+  getTrash,
+  restoreShoppingList,
+  purgeShoppingList,
   validateShoppingList,
   validateShoppingListItem,
 };
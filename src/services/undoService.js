@@ -0,0 +1,140 @@
+/**
+ * Undo Service
+ * Business logic layer for undoing item operations
+ *
+ * Removing an item and checking/unchecking every item of a list return an
+ * undo token. Within the undo window the token reverts the operation, as long
+ * as it is still the last undoable operation on the list. Removed items are
+ * kept as tombstones until then, or for as long as the list if they were added
+ * offline (see getItemByClientId). Items changed since the operation keep their
+ * change: undoing skips them.
+ */
+
+const repository = require('../repositories/undoRepository');
+const shoppingListRepository = require('../repositories/shoppingListRepository');
+const access = require('./listAccessService');
+
+// Seconds an operation can be undone for
+const UNDO_WINDOW_SECONDS = 60;
+
+// Operations that can be undone
+const UNDO_ACTIONS = ['item_removed', 'items_checked', 'items_unchecked'];
+
+/**
+ * Record an operation so it can be undone
+ * Recording never fails the operation: errors are logged and no token is returned.
+ * @param {string} action - One of UNDO_ACTIONS
+ * @param {Object} list - List the operation changed ({ id })
+ * @param {Array} items - Items it changed
+ * @param {Object|null} actor - Who made it (event.auth)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<string|null>} - Undo token, or null when there is nothing to undo
+ */
+async function recordUndo(action, list, items, actor, repo = repository, now = new Date()) {
+  if (!UNDO_ACTIONS.includes(action)) {
+    throw new Error(`Invalid undo action. Must be one of: ${UNDO_ACTIONS.join(', ')}`);
+  }
+
+  if (!list || !list.id || !items || items.length === 0) {
+    return null;
+  }
+
+  try {
+    // Tombstones whose undo window is over are no longer needed, except to
+    // dedupe replayed offline adds (kept by the repository)
+    await repo.purgeExpiredUndo(
+      list.id,
+      new Date(now.getTime() - UNDO_WINDOW_SECONDS * 1000).toISOString()
+    );
+
+    const operation = await repo.createUndoOperation({
+      list_id: list.id,
+      actor_id: (actor && actor.user_id) || null,
+      action,
+      // The version of each item, to tell whether it changed before the undo
+      items: items.map((item) => ({
+        id: item.id,
+        product_name: item.product_name,
+        updated_at: item.updated_at || null,
+      })),
+      expires_at: new Date(now.getTime() + UNDO_WINDOW_SECONDS * 1000).toISOString(),
+    });
+    return operation.id;
+  } catch (error) {
+    console.error('Error recording undo operation:', error);
+    return null;
+  }
+}
+
+/**
+ * Undo an operation
+ * @param {string} undo_token - Token returned by the operation
+ * @param {Object} auth - Authenticated caller ({ user_id, share })
+ * @param {Object} lists - Shopping list repository dependency (for testing)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<Object>} - { action, list, items, skipped }: the items reverted, as they are
+ *   now, and how many were left as they are because they changed after the operation
+ * @throws {Error} - If the operation does not exist, expired or is no longer the last one
+ */
+async function revertOperation(
+  undo_token,
+  auth,
+  lists = shoppingListRepository,
+  repo = repository,
+  now = new Date()
+) {
+  if (!undo_token) {
+    throw new Error('Undo token is required');
+  }
+
+  const operation = await repo.getUndoOperation(undo_token);
+  if (!operation) {
+    throw new Error('Undo operation not found');
+  }
+
+  // Undoing takes the same permission as the operation did
+  const list = await access.authorizeListAccess(
+    operation.list_id,
+    auth,
+    operation.action === 'item_removed' ? 'edit' : 'check',
+    lists
+  );
+
+  if (operation.reverted_at) {
+    throw new Error('Operation was already undone');
+  }
+
+  if (new Date(operation.expires_at) <= now) {
+    throw new Error('Undo window has expired');
+  }
+
+  // Undoing an older operation would overwrite what was done after it
+  const latest = await repo.getLatestUndoOperation(operation.list_id);
+  if (!latest || latest.id !== operation.id) {
+    throw new Error('Only the last operation can be undone: the list was already changed again');
+  }
+
+  if (!(await repo.markUndoOperationReverted(operation.id))) {
+    throw new Error('Operation was already undone');
+  }
+
+  // Tombstones cannot be edited, but checked items can: only those still at
+  // the version the operation left them in are reverted
+  const itemIds = operation.items.map((item) => item.id);
+  const versions = Object.fromEntries(operation.items.map((item) => [item.id, item.updated_at]));
+  const items =
+    operation.action === 'item_removed'
+      ? await lists.restoreShoppingListItems(itemIds)
+      : await lists.setItemsChecked(itemIds, operation.action === 'items_unchecked', versions);
+
+  return { action: operation.action, list, items, skipped: itemIds.length - items.length };
+}
+
+module.exports = {
+  UNDO_WINDOW_SECONDS,
+  UNDO_ACTIONS,
+  recordUndo,
+  revertOperation,
+};
@@ -0,0 +1,85 @@
+/**
+ * User Service
+ * Business logic layer for user profiles
+ */
+
+const repository = require('../repositories/userRepository');
+const marketService = require('./marketService');
+const { MIN_PASSWORD_LENGTH, hashPassword } = require('../utils/password');
+
+// Fields a user may change on their own profile
+const PROFILE_FIELDS = ['name', 'email', 'preferred_market_id', 'password'];
+
+/**
+ * Update the profile of a user
+ * The preferred market must be one the user can see. Setting a password is
+ * how accounts created before passwords get one, from a device still logged in.
+ * @param {string} user_id - User ID
+ * @param {Object} updates - Fields to update (name, email, preferred_market_id, password)
+ * @param {Object} repo - Repository dependency (for testing)
+ * @param {Object} markets - Market service dependency (for testing)
+ * @returns {Promise<Object>} - Updated user
+ */
+async function updateUser(user_id, updates, repo = repository, markets = marketService) {
+  if (!user_id) {
+    throw new Error('User ID is required');
+  }
+
+  if (!updates || typeof updates !== 'object') {
+    throw new Error('Updates object is required');
+  }
+
+  const fields = PROFILE_FIELDS.filter((field) => updates[field] !== undefined);
+  if (fields.length === 0) {
+    throw new Error(`Updates must include one of: ${PROFILE_FIELDS.join(', ')}`);
+  }
+
+  const { password } = updates;
+  const changes = {};
+  fields
+    .filter((field) => field !== 'password')
+    .forEach((field) => {
+      changes[field] = updates[field];
+    });
+
+  if (password !== undefined) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must have at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  if (changes.name !== undefined) {
+    if (typeof changes.name !== 'string' || changes.name.trim().length === 0) {
+      throw new Error('Name must be a non-empty string');
+    }
+    changes.name = changes.name.trim();
+  }
+
+  if (changes.email !== undefined && changes.email !== null) {
+    if (typeof changes.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(changes.email)) {
+      throw new Error('Invalid email format');
+    }
+  }
+
+  if (changes.preferred_market_id) {
+    const market = await markets.getMarketById(changes.preferred_market_id, user_id);
+    if (!market) {
+      throw new Error('Market not found');
+    }
+  }
+
+  if (password !== undefined) {
+    await repo.setPasswordHash(user_id, hashPassword(password));
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return repo.getUserById(user_id);
+  }
+
+  return repo.updateUser(user_id, changes);
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  updateUser,
+};
@@ -0,0 +1,122 @@
+/**
+ * Budget Utility
+ * Month helpers and the over-budget check shared by the budget service and
+ * the create list page.
+ *
+ * A budget status describes one scope (the user's personal lists or one
+ * household) in one month: the monthly `amount` (null when only categories
+ * have budgets), what was `spent` and the same per category.
+ */
+
+/**
+ * Month of a date
+ * @param {string|Date} date - Date or YYYY-MM-DD string
+ * @returns {string} - YYYY-MM
+ */
+function monthKey(date) {
+  if (typeof date === 'string') {
+    return date.slice(0, 7);
+  }
+
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Whether a string is a valid YYYY-MM month
+ * @param {string} month - Month
+ * @returns {boolean}
+ */
+function isValidMonth(month) {
+  return typeof month === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(month);
+}
+
+/**
+ * First and last day of a month
+ * @param {string} month - YYYY-MM
+ * @returns {Object} - { from, to } as YYYY-MM-DD
+ */
+function monthRange(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+
+  return {
+    from: `${month}-01`,
+    to: `${month}-${String(lastDay).padStart(2, '0')}`,
+  };
+}
+
+/**
+ * Round an amount to cents
+ * @param {number} value - Amount
+ * @returns {number}
+ */
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Check whether adding a list to a month would go over its budgets
+ * @param {Object} status - Budget status before the list: { month, household_id, amount, spent, categories: [{ category, amount, spent }] }
+ * @param {Object} totals - Estimated totals of the list: { total, categories: { [category]: total } }
+ * @returns {Object|null} - Warning { month, household_id, over_budget, over_by, categories: [{ category, amount, spent, over_by }] } or null
+ */
+function getBudgetWarning(status, totals) {
+  if (!status || !totals) {
+    return null;
+  }
+
+  const listTotal = totals.total || 0;
+  const listCategories = totals.categories || {};
+
+  const overBy =
+    status.amount != null && listTotal > 0
+      ? roundAmount(status.spent + listTotal - status.amount)
+      : 0;
+
+  const categories = (status.categories || [])
+    .map((budget) => {
+      const listCategoryTotal = listCategories[budget.category] || 0;
+      const spent = roundAmount(budget.spent + listCategoryTotal);
+      return {
+        category: budget.category,
+        amount: budget.amount,
+        spent,
+        over_by: listCategoryTotal > 0 ? roundAmount(spent - budget.amount) : 0,
+      };
+    })
+    .filter((budget) => budget.over_by > 0);
+
+  if (overBy <= 0 && categories.length === 0) {
+    return null;
+  }
+
+  return {
+    month: status.month,
+    household_id: status.household_id || null,
+    over_budget: overBy > 0,
+    over_by: Math.max(0, overBy),
+    categories,
+  };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    monthKey,
+    isValidMonth,
+    monthRange,
+    roundAmount,
+    getBudgetWarning,
+  };
+}
+
+// Make functions available globally for browser
+if (typeof window !== 'undefined') {
+  window.BudgetUtils = {
+    monthKey,
+    isValidMonth,
+    monthRange,
+    roundAmount,
+    getBudgetWarning,
+  };
+}
@@ -0,0 +1,572 @@
+/**
+ * Item Parser Utility
+ * Turns free-text lines like "2kg arroz tio joão R$ 25" into shopping list
+ * item fields, shared by the item endpoints and the list pages.
+ *
+ * Each line is one item:
+ * - quantity and unit: "2kg", "1,5 l", "1/2 kg", "3 pacotes de", "meio quilo", "2x",
+ *   "dois"; "dúzia" counts 12 units. "1.000" is a thousand, "1.5" one and a
+ *   half. A number at the start of the line is the
+ *   quantity ("2 arroz 5kg" is two 5kg packs); without one a count ("x6")
+ *   is, then the first number followed by a unit ("arroz 5kg"). Without
+ *   any, 1 un
+ * - price: "R$ 25", "R$ 4,99/kg", "12 reais". Next to a counted quantity (un,
+ *   cx, pct) it is the price of one unit; next to a weighed or measured one
+ *   (kg, g, l, ml) it is what that amount costs, as on the label of a weighed
+ *   product ("2kg arroz R$ 25" costs 25). "cada" or "/kg" make it the price
+ *   of one unit, "total R$ 50" or "R$ 50 no total" the price of all of them.
+ *   Prices of an amount are kept per kg or l, so the total matches to the cent
+ * - notes: text in parentheses
+ * - category: guessed from the product name, "Outros" when nothing matches
+ * Everything left is the product name. List markers ("-", "*", "1.",
+ * "[ ]") are ignored, as are blank lines.
+ */
+
+const UNITS = ['un', 'kg', 'g', 'l', 'ml', 'cx', 'pct'];
+
+// Written forms of each unit, lower case without accents
+const UNIT_ALIASES = {
+  un: ['un', 'und', 'unid', 'unidade', 'unidades'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'quilo', 'quilos', 'quilograma', 'quilogramas'],
+  g: ['g', 'gr', 'grs', 'grama', 'gramas'],
+  l: ['l', 'lt', 'lts', 'litro', 'litros'],
+  ml: ['ml', 'mililitro', 'mililitros'],
+  cx: ['cx', 'cxs', 'caixa', 'caixas'],
+  pct: ['pct', 'pcts', 'pcte', 'pacote', 'pacotes'],
+};
+
+// Counted in units: "1 dúzia de ovos" is 12 un
+const DOZEN_ALIASES = ['dz', 'duzia', 'duzias'];
+
+const NUMBER_WORDS = {
+  meio: 0.5,
+  meia: 0.5,
+  um: 1,
+  uma: 1,
+  dois: 2,
+  duas: 2,
+  tres: 3,
+  quatro: 4,
+  cinco: 5,
+  seis: 6,
+  sete: 7,
+  oito: 8,
+  nove: 9,
+  dez: 10,
+  doze: 12,
+};
+
+// Categories of the list pages, with words of the products that belong to
+// them (lower case without accents); "Outros" takes everything else
+const CATEGORY_KEYWORDS = {
+  Açougue: [
+    'carne',
+    'frango',
+    'picanha',
+    'alcatra',
+    'patinho',
+    'acem',
+    'costela',
+    'linguica',
+    'bacon',
+    'file',
+    'coxa',
+    'sobrecoxa',
+    'peixe',
+    'tilapia',
+    'salsicha',
+  ],
+  Padaria: ['pao', 'paes', 'bisnaguinha', 'baguete', 'croissant', 'torrada'],
+  Laticínios: [
+    'leite',
+    'queijo',
+    'mussarela',
+    'mucarela',
+    'iogurte',
+    'manteiga',
+    'margarina',
+    'requeijao',
+    'creme de leite',
+    'ovo',
+  ],
+  Bebidas: [
+    'agua',
+    'refrigerante',
+    'coca',
+    'guarana',
+    'suco',
+    'cerveja',
+    'vinho',
+    'cha',
+    'energetico',
+  ],
+  'Cereais e Grãos': [
+    'arroz',
+    'feijao',
+    'aveia',
+    'granola',
+    'lentilha',
+    'grao de bico',
+    'milho',
+    'quinoa',
+  ],
+  Frutas: [
+    'banana',
+    'maca',
+    'laranja',
+    'limao',
+    'uva',
+    'mamao',
+    'manga',
+    'abacaxi',
+    'melancia',
+    'melao',
+    'morango',
+    'pera',
+    'abacate',
+  ],
+  'Verduras e Legumes': [
+    'alface',
+    'tomate',
+    'cebola',
+    'alho',
+    'batata',
+    'cenoura',
+    'abobrinha',
+    'pepino',
+    'brocolis',
+    'couve',
+    'repolho',
+    'pimentao',
+    'rucula',
+    'mandioca',
+    'beterraba',
+    'chuchu',
+    'espinafre',
+  ],
+  Congelados: ['congelado', 'congelada', 'sorvete', 'lasanha', 'pizza', 'nuggets', 'hamburguer'],
+  Higiene: [
+    'sabonete',
+    'shampoo',
+    'xampu',
+    'condicionador',
+    'creme dental',
+    'pasta de dente',
+    'escova de dente',
+    'fio dental',
+    'desodorante',
+    'papel higienico',
+    'absorvente',
+    'fralda',
+  ],
+  Limpeza: [
+    'detergente',
+    'sabao',
+    'amaciante',
+    'desinfetante',
+    'agua sanitaria',
+    'alvejante',
+    'esponja',
+    'multiuso',
+    'saco de lixo',
+    'limpador',
+  ],
+  Mercearia: [
+    'oleo',
+    'azeite',
+    'acucar',
+    'sal',
+    'cafe',
+    'farinha',
+    'macarrao',
+    'molho',
+    'extrato',
+    'biscoito',
+    'bolacha',
+    'tempero',
+    'vinagre',
+    'maionese',
+    'ketchup',
+    'atum',
+    'sardinha',
+  ],
+  'Doces e Sobremesas': [
+    'chocolate',
+    'bombom',
+    'bala',
+    'doce',
+    'pudim',
+    'gelatina',
+    'leite condensado',
+    'brigadeiro',
+    'bolo',
+  ],
+};
+
+const DEFAULT_CATEGORY = 'Outros';
+
+// Lines in one text, at most (a list has at most 100 items)
+const MAX_LINES = 100;
+
+const MAX_PRODUCT_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 200;
+
+const NUMBER = '\\d+(?:[.,]\\d+)*';
+
+// Quantities may also be fractions: "1/2 kg"
+const QUANTITY = `\\d+\\/\\d+|${NUMBER}`;
+
+// Weighed and measured units, with the unit their prices are kept in
+const MEASURED_UNITS = {
+  kg: { unit: 'kg', factor: 1 },
+  g: { unit: 'kg', factor: 1000 },
+  l: { unit: 'l', factor: 1 },
+  ml: { unit: 'l', factor: 1000 },
+};
+
+// "R$ 25", "R$ 4,99/kg", "total R$ 50", "R$ 50 no total", "12 reais cada"
+const PRICE_PATTERNS = [
+  new RegExp(
+    `(total\\s*(?:de\\s*)?)?R\\$\\s*(${NUMBER})(\\s*(?:\\/\\s*[\\p{L}]+|cada|(?:no\\s+)?total)\\b)?`,
+    'iu'
+  ),
+  new RegExp(
+    `(total\\s*(?:de\\s*)?)?\\b(${NUMBER})\\s*reais\\b(\\s*(?:cada|(?:no\\s+)?total)\\b)?`,
+    'iu'
+  ),
+];
+
+/**
+ * Lower case a word and remove its accents
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function fold(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Parse a number written the Brazilian way ("1,5", "1.299,90", "1.000"), with a
+ * decimal point ("1.5") or as a fraction ("1/2")
+ * @param {string} text - Number
+ * @returns {number}
+ */
+function parseNumber(text) {
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    return Number(fraction[2]) === 0 ? NaN : Number(fraction[1]) / Number(fraction[2]);
+  }
+  if (text.includes(',')) {
+    return Number(text.replace(/\./g, '').replace(',', '.'));
+  }
+  // Dots between groups of three digits separate thousands
+  if (/^\d{1,3}(?:\.\d{3})+$/.test(text)) {
+    return Number(text.replace(/\./g, ''));
+  }
+  return Number(text);
+}
+
+/**
+ * Unit of a word
+ * @param {string} word - Word, e.g. "quilos"
+ * @returns {string|null} - Unit ('dz' for dozens), or null when the word is not a unit
+ */
+function parseUnit(word) {
+  const folded = fold(word).replace(/\.$/, '');
+  if (DOZEN_ALIASES.includes(folded)) return 'dz';
+  const unit = UNITS.find((candidate) => UNIT_ALIASES[candidate].includes(folded));
+  return unit || null;
+}
+
+/**
+ * Quantity of a word
+ * @param {string} word - Word, e.g. "1,5" or "duas"
+ * @param {boolean} spelled - Whether written numbers count
+ * @returns {number|null}
+ */
+function parseQuantity(word, spelled) {
+  if (new RegExp(`^(?:${QUANTITY})$`).test(word)) return parseNumber(word);
+  if (spelled && Object.prototype.hasOwnProperty.call(NUMBER_WORDS, fold(word))) {
+    return NUMBER_WORDS[fold(word)];
+  }
+  return null;
+}
+
+/**
+ * Read a quantity written together with its unit ("2kg", "1,5l") or with an "x" ("2x", "x2")
+ * @param {string} word - Word
+ * @returns {Object|null} - { quantity, unit } (unit null for "x"), or null for other words
+ */
+function parseAmount(word) {
+  const attached = String(word).match(new RegExp(`^(${QUANTITY})([\\p{L}.]+)$`, 'u'));
+  if (attached) {
+    const unit = parseUnit(attached[2]);
+    if (unit || fold(attached[2]) === 'x') {
+      return { quantity: parseNumber(attached[1]), unit };
+    }
+  }
+
+  const times = String(word).match(new RegExp(`^x(${NUMBER})$`, 'i'));
+  return times ? { quantity: parseNumber(times[1]), unit: null } : null;
+}
+
+/**
+ * Take the quantity and unit out of the words of a line
+ * @param {Array<string>} words - Words of the line (changed in place)
+ * @returns {Object} - { quantity, unit }
+ */
+function takeQuantity(words) {
+  const isTimes = (word) => word !== undefined && fold(word) === 'x';
+  const found = (start, count, quantity, unit) => {
+    words.splice(start, count);
+    return { quantity, unit: unit || 'un' };
+  };
+
+  // At the start: "2kg", "2 kg", "2 x", "duas caixas", "2", "dois"
+  const leadingAmount = parseAmount(words[0]);
+  if (leadingAmount) {
+    return found(0, 1, leadingAmount.quantity, leadingAmount.unit);
+  }
+  const leading = parseQuantity(words[0], true);
+  if (leading !== null && words.length > 1) {
+    const unit = parseUnit(words[1]);
+    if (unit || isTimes(words[1])) {
+      return found(0, 2, leading, unit);
+    }
+    // "meia" without a unit is part of the name ("meia calça")
+    if (leading >= 1) {
+      return found(0, 1, leading, null);
+    }
+  }
+
+  // Anywhere else, a count first ("iogurte 170ml x6" is six 170ml cups), then a
+  // number with a unit ("arroz 5kg", "arroz 5 kg")
+  for (const counts of [true, false]) {
+    for (let index = 0; index < words.length; index++) {
+      const amount = parseAmount(words[index]);
+      if (amount && (amount.unit === null) === counts) {
+        return found(index, 1, amount.quantity, amount.unit);
+      }
+
+      const next = words[index + 1];
+      if (next === undefined) break;
+      const quantity = parseQuantity(words[index], false);
+      if (counts && quantity !== null && isTimes(next)) {
+        return found(index, 2, quantity, null);
+      }
+      if (counts && isTimes(words[index]) && parseQuantity(next, false) !== null) {
+        return found(index, 2, parseQuantity(next, false), null);
+      }
+      if (!counts && quantity !== null && parseUnit(next)) {
+        return found(index, 2, quantity, parseUnit(next));
+      }
+    }
+  }
+
+  return { quantity: 1, unit: 'un' };
+}
+
+/**
+ * Guess the category of a product from its name
+ * @param {string} productName - Product name
+ * @returns {string} - One of the list page categories, "Outros" when no word matches
+ */
+function guessCategory(productName) {
+  // Plurals match too: "bananas", "ovos"
+  const words = fold(productName)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map((word) => word.replace(/(?<=\p{L}{2})s$/u, ''));
+
+  let best = null;
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    for (const keyword of keywords) {
+      const parts = keyword.split(' ').map((part) => part.replace(/(?<=\p{L}{2})s$/u, ''));
+      const found = words.some((word, index) =>
+        parts.every((part, offset) => words[index + offset] === part)
+      );
+      // The longest match wins: "agua sanitaria" is Limpeza, not Bebidas
+      if (found && (!best || parts.length > best.length)) {
+        best = { category, length: parts.length };
+      }
+    }
+  }
+
+  return best ? best.category : DEFAULT_CATEGORY;
+}
+
+/**
+ * Parse one line into item fields
+ * @param {string} line - Line, e.g. "2kg arroz tio joão R$ 25"
+ * @returns {Object|null} - { product_name, category, quantity, unit, unit_price, notes },
+ *   or null for a blank line
+ * @throws {Error} - If the line has no product name or an invalid quantity or price
+ */
+function parseItemLine(line) {
+  let text = String(line || '')
+    .replace(/^\s*(?:[-*•]|\d+[.)](?=\s)|\[[ xX]?\])\s*/, '')
+    .trim();
+  if (text === '') return null;
+
+  let price = null;
+  let priceIsTotal = false;
+  let pricePerUnit = false;
+  let priceUnit = null;
+  for (const pattern of PRICE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const suffix = match[3] || '';
+      const per = suffix.match(/\/\s*([\p{L}]+)/u);
+      price = parseNumber(match[2]);
+      priceIsTotal = Boolean(match[1]) || /total/i.test(suffix);
+      pricePerUnit = Boolean(per) || /cada/i.test(suffix);
+      priceUnit = per ? parseUnit(per[1]) : null;
+      text = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+      break;
+    }
+  }
+
+  const notes = [];
+  text = text.replace(/\(([^)]*)\)/g, (whole, note) => {
+    if (note.trim()) notes.push(note.trim());
+    return ' ';
+  });
+
+  const words = text.split(/\s+/).filter(Boolean);
+  let { quantity, unit } = takeQuantity(words);
+  if (unit === 'dz') {
+    quantity *= 12;
+    unit = 'un';
+  }
+
+  // A price of a weighed amount ("500g queijo R$ 12"), or per kg or l ("R$ 40/kg"),
+  // is kept per kg or l: a price per gram would round to a few cents
+  const measured = MEASURED_UNITS[unit];
+  const priceOfAmount = price !== null && Boolean(measured) && !pricePerUnit;
+  const perMeasured = priceUnit && MEASURED_UNITS[priceUnit];
+  if (priceOfAmount || (measured && perMeasured && perMeasured.unit === measured.unit)) {
+    quantity /= measured.factor;
+    unit = measured.unit;
+    if (perMeasured) price *= perMeasured.factor;
+  }
+  quantity = Math.round(quantity * 1000) / 1000;
+
+  // "2 kg de arroz" is arroz; so are separators left next to the price ("arroz - R$ 25")
+  while (words.length > 0 && /^(?:de|do|da|dos|das)$/i.test(words[0])) words.shift();
+  const product_name = words
+    .join(' ')
+    .replace(/^[\s,;:=@–-]+|[\s,;:=@–-]+$/g, '')
+    .replace(/\s+(?:por|a)$/i, '')
+    .trim();
+
+  if (product_name === '') {
+    throw new Error('Missing product name');
+  }
+  if (product_name.length > MAX_PRODUCT_NAME_LENGTH) {
+    throw new Error(`Product name must be ${MAX_PRODUCT_NAME_LENGTH} characters or less`);
+  }
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new Error('Quantity must be greater than zero');
+  }
+  if (price !== null && !Number.isFinite(price)) {
+    throw new Error('Invalid price');
+  }
+
+  const unit_price =
+    price === null
+      ? 0
+      : Math.round((priceIsTotal || priceOfAmount ? price / quantity : price) * 100) / 100;
+  const joinedNotes = notes.join('; ');
+  if (joinedNotes.length > MAX_NOTES_LENGTH) {
+    throw new Error(`Notes must be ${MAX_NOTES_LENGTH} characters or less`);
+  }
+
+  return {
+    product_name: product_name.charAt(0).toUpperCase() + product_name.slice(1),
+    category: guessCategory(product_name),
+    quantity,
+    unit,
+    unit_price,
+    notes: joinedNotes || null,
+  };
+}
+
+/**
+ * Parse a pasted list, one item per line
+ * @param {string} text - Lines of items
+ * @returns {Object} - { items, errors }; errors has { line, text, message } for each line
+ *   that could not be read (line numbers start at 1)
+ */
+function parseItemText(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const items = [];
+  const errors = [];
+
+  lines.forEach((lineText, index) => {
+    try {
+      const item = parseItemLine(lineText);
+      if (item) items.push(item);
+    } catch (error) {
+      errors.push({ line: index + 1, text: lineText.trim(), message: error.message });
+    }
+  });
+
+  if (items.length + errors.length > MAX_LINES) {
+    errors.push({ line: null, text: '', message: `A text can have at most ${MAX_LINES} items` });
+  }
+
+  return { items, errors };
+}
+
+/**
+ * Parse a pasted list, rejecting it when any line cannot be read
+ * @param {string} text - Lines of items
+ * @returns {Array<Object>} - Items
+ * @throws {Error} - If the text is empty, too long or has a line that cannot be read
+ */
+function parseItemTextStrict(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Items text must be a non-empty string');
+  }
+
+  const { items, errors } = parseItemText(text);
+  if (errors.length > 0) {
+    const [first] = errors;
+    throw new Error(
+      first.line === null
+        ? `Invalid items text: ${first.message}`
+        : `Invalid items text, line ${first.line} ("${first.text}"): ${first.message}`
+    );
+  }
+
+  return items;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    UNITS,
+    DEFAULT_CATEGORY,
+    MAX_LINES,
+    parseNumber,
+    guessCategory,
+    parseItemLine,
+    parseItemText,
+    parseItemTextStrict,
+  };
+}
+
+// Make functions available globally for browser
+if (typeof window !== 'undefined') {
+  window.ItemParser = {
+    UNITS,
+    DEFAULT_CATEGORY,
+    MAX_LINES,
+    guessCategory,
+    parseItemLine,
+    parseItemText,
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * List Query Utility
+ * Parses the filters and sort order of the shopping lists endpoint.
+ *
+ * Query string parameters:
+ * - status: comma separated statuses (upcoming, today, overdue, completed), as
+ *   computed by getListStatus; a list matches any of them
+ * - today: the user's date (YYYY-MM-DD), or timezone: the user's IANA time zone
+ *   (e.g. America/Sao_Paulo), the day the statuses are computed for; defaults
+ *   to the server's date
+ * - date_from, date_to: shopping date range (YYYY-MM-DD, inclusive)
+ * - payment_id: payment method of the list
+ * - min_total, max_total: total amount range (inclusive)
+ * - has_unchecked_items: true or false
+ * - title: text the title contains (case-insensitive)
+ * - is_completed: true or false
+ * - market_id: market of the list
+ * - sort: comma separated fields, each optionally followed by :asc or :desc
+ *   (e.g. "shopping_date:asc,total_amount:desc"); orderBy/orderDirection are
+ *   still accepted for a single field
+ */
+
+const { isValidUUID } = require('./validation');
+
+const LIST_STATUSES = ['upcoming', 'today', 'overdue', 'completed'];
+
+// Fields the lists can be sorted by, and so paged by
+const LIST_SORT_FIELDS = ['created_at', 'updated_at', 'shopping_date', 'title', 'total_amount'];
+
+const DEFAULT_SORT = [{ field: 'created_at', direction: 'desc' }];
+
+// Sort fields in one query, at most
+const MAX_SORT_FIELDS = 3;
+
+const MAX_TITLE_SEARCH_LENGTH = 100;
+
+/**
+ * Local date of a moment as YYYY-MM-DD, the day getListStatus compares with
+ * @param {Date} date - Moment
+ * @param {string} [timeZone] - IANA time zone (defaults to the server's)
+ * @returns {string}
+ */
+function localDate(date, timeZone) {
+  if (timeZone) {
+    // en-CA writes dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(date);
+  }
+
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a boolean query parameter
+ * @param {string} name - Parameter name (for the error)
+ * @param {string|boolean} value - 'true', 'false' or a boolean
+ * @returns {boolean|undefined}
+ */
+function parseBoolean(name, value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new Error(`Invalid ${name}: must be true or false`);
+}
+
+/**
+ * Parse a YYYY-MM-DD query parameter
+ * @param {string} name - Parameter name (for the error)
+ * @param {string} value - Date
+ * @returns {string|undefined}
+ */
+function parseDate(name, value) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(`${value}T00:00:00Z`);
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+    isNaN(date) ||
+    date.toISOString().slice(0, 10) !== value
+  ) {
+    throw new Error(`Invalid ${name}: must be a date in YYYY-MM-DD format`);
+  }
+  return value;
+}
+
+/**
+ * Parse a time zone query parameter
+ * @param {string} name - Parameter name (for the error)
+ * @param {string} value - IANA time zone
+ * @returns {string|undefined}
+ */
+function parseTimeZone(name, value) {
+  if (value === undefined || value === '') return undefined;
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone: String(value) });
+  } catch (error) {
+    throw new Error(`Invalid ${name}: must be a time zone such as America/Sao_Paulo`);
+  }
+  return String(value);
+}
+
+/**
+ * The user's date, which the list statuses depend on. The server runs in UTC,
+ * so its date is only the default when the client sends neither.
+ * @param {Object} params - Query string parameters ({ today } or { timezone })
+ * @param {Date} now - Current time
+ * @returns {string} - YYYY-MM-DD
+ * @throws {Error} - If the date or time zone is invalid
+ */
+function parseToday(params = {}, now = new Date()) {
+  const timeZone = parseTimeZone('timezone', params.timezone);
+  return parseDate('today', params.today) || localDate(now, timeZone);
+}
+
+/**
+ * Parse an amount query parameter
+ * @param {string} name - Parameter name (for the error)
+ * @param {string|number} value - Amount
+ * @returns {number|undefined}
+ */
+function parseAmount(name, value) {
+  if (value === undefined || value === '') return undefined;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error(`Invalid ${name}: must be a number of at least 0`);
+  }
+  return amount;
+}
+
+/**
+ * Parse a sort order
+ * @param {string} [sort] - e.g. "shopping_date:asc,title"
+ * @param {string} [orderBy] - Single field, when there is no sort
+ * @param {string} [orderDirection] - Direction of orderBy
+ * @returns {Array<Object>} - [{ field, direction }]
+ * @throws {Error} - If a field is not sortable or a direction is unknown
+ */
+function parseSort(sort, orderBy, orderDirection) {
+  let terms;
+  if (sort !== undefined && sort !== '') {
+    terms = String(sort)
+      .split(',')
+      .map((term) => {
+        const [field, direction, ...rest] = term.trim().split(':');
+        if (rest.length > 0) {
+          throw new Error(`Invalid sort "${term}": use field or field:asc / field:desc`);
+        }
+        return { field, direction: direction || 'asc' };
+      });
+  } else if (orderBy !== undefined || orderDirection !== undefined) {
+    terms = [{ field: orderBy || 'created_at', direction: orderDirection || 'desc' }];
+  } else {
+    return DEFAULT_SORT;
+  }
+
+  if (terms.length > MAX_SORT_FIELDS) {
+    throw new Error(`Invalid sort: at most ${MAX_SORT_FIELDS} fields`);
+  }
+
+  for (const { field, direction } of terms) {
+    if (!LIST_SORT_FIELDS.includes(field)) {
+      throw new Error(
+        `Invalid sort field "${field}". Must be one of: ${LIST_SORT_FIELDS.join(', ')}`
+      );
+    }
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new Error(`Invalid sort direction "${direction}" for ${field}. Must be asc or desc`);
+    }
+  }
+
+  if (new Set(terms.map((term) => term.field)).size !== terms.length) {
+    throw new Error('Invalid sort: each field can only be used once');
+  }
+
+  return terms;
+}
+
+/**
+ * Format a sort order back into its query string form
+ * @param {Array<Object>} sort - [{ field, direction }]
+ * @returns {string} - e.g. "shopping_date:asc,title:asc"
+ */
+function formatSort(sort) {
+  return sort.map(({ field, direction }) => `${field}:${direction}`).join(',');
+}
+
+/**
+ * Parse and validate the filters and sort order of a lists query
+ * @param {Object} params - Query string parameters
+ * @param {Date} now - Current time, for the statuses if no date is given (for testing)
+ * @returns {Object} - { filters, sort }; filters only has the parameters that were given
+ * @throws {Error} - If a parameter is invalid
+ */
+function parseListQuery(params = {}, now = new Date()) {
+  const filters = {};
+
+  const is_completed = parseBoolean('is_completed', params.is_completed);
+  if (is_completed !== undefined) filters.is_completed = is_completed;
+
+  if (params.market_id) {
+    if (!isValidUUID(params.market_id)) {
+      throw new Error('Invalid market_id: must be a UUID');
+    }
+    filters.market_id = params.market_id;
+  }
+
+  if (params.status) {
+    const statuses = String(params.status)
+      .split(',')
+      .map((status) => status.trim());
+    for (const status of statuses) {
+      if (!LIST_STATUSES.includes(status)) {
+        throw new Error(`Invalid status "${status}". Must be one of: ${LIST_STATUSES.join(', ')}`);
+      }
+    }
+    filters.statuses = [...new Set(statuses)];
+  }
+  const today = parseToday(params, now);
+  if (filters.statuses) filters.today = today;
+
+  const date_from = parseDate('date_from', params.date_from);
+  const date_to = parseDate('date_to', params.date_to);
+  if (date_from && date_to && date_from > date_to) {
+    throw new Error('Invalid date range: date_from must not be after date_to');
+  }
+  if (date_from) filters.date_from = date_from;
+  if (date_to) filters.date_to = date_to;
+
+  if (params.payment_id) {
+    if (!isValidUUID(params.payment_id)) {
+      throw new Error('Invalid payment_id: must be a UUID');
+    }
+    filters.payment_id = params.payment_id;
+  }
+
+  const min_total = parseAmount('min_total', params.min_total);
+  const max_total = parseAmount('max_total', params.max_total);
+  if (min_total !== undefined && max_total !== undefined && min_total > max_total) {
+    throw new Error('Invalid total range: min_total must not be greater than max_total');
+  }
+  if (min_total !== undefined) filters.min_total = min_total;
+  if (max_total !== undefined) filters.max_total = max_total;
+
+  const has_unchecked_items = parseBoolean('has_unchecked_items', params.has_unchecked_items);
+  if (has_unchecked_items !== undefined) filters.has_unchecked_items = has_unchecked_items;
+
+  if (params.title !== undefined && String(params.title).trim() !== '') {
+    const title = String(params.title).trim();
+    if (title.length > MAX_TITLE_SEARCH_LENGTH) {
+      throw new Error(`Invalid title: must be ${MAX_TITLE_SEARCH_LENGTH} characters or less`);
+    }
+    filters.title = title;
+  }
+
+  return { filters, sort: parseSort(params.sort, params.orderBy, params.orderDirection) };
+}
+
+module.exports = {
+  LIST_STATUSES,
+  LIST_SORT_FIELDS,
+  DEFAULT_SORT,
+  MAX_SORT_FIELDS,
+  localDate,
+  parseToday,
+  parseSort,
+  formatSort,
+  parseListQuery,
+};
@@ -0,0 +1,329 @@
+/**
+ * Offline Utility
+ * Keeps a copy of the opened shopping lists in IndexedDB and queues the item
+ * changes made without connection, replaying them against the Netlify
+ * Functions when the connection returns.
+ *
+ * Conflicts are detected with the item version instead of the device clock:
+ * every queued change carries the `updated_at` of the item as this device last
+ * saw it (`base_updated_at`), and the item functions reject it with 409 when
+ * the stored item is newer, so the server copy wins. Queued adds carry the
+ * temporary item ID as `client_id`, so an add replayed after its response was
+ * lost does not add the item twice.
+ */
+
+const OFFLINE_DB_NAME = 'bargainly_offline';
+const OFFLINE_DB_VERSION = 1;
+const LISTS_STORE = 'lists';
+const MUTATIONS_STORE = 'mutations';
+
+// Prefix of the IDs given to items added while offline, until the server assigns one
+const TEMP_ID_PREFIX = 'offline-';
+
+const FUNCTIONS_PATH = '/.netlify/functions';
+
+/**
+ * Whether the stored item changed after the version a change was based on
+ * @param {Object} item - Stored item (with updated_at)
+ * @param {string} [baseUpdatedAt] - updated_at of the item the change was made to
+ * @returns {boolean} - True if the stored item wins
+ */
+function isStaleChange(item, baseUpdatedAt) {
+  if (!item || !item.updated_at || !baseUpdatedAt) {
+    return false;
+  }
+
+  const baseTime = new Date(baseUpdatedAt).getTime();
+  if (Number.isNaN(baseTime)) {
+    return false;
+  }
+
+  return new Date(item.updated_at).getTime() > baseTime;
+}
+
+/**
+ * Whether an error thrown by fetch() means the request never reached the server
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  return Boolean(error) && error.name === 'TypeError';
+}
+
+/**
+ * Generate a temporary ID for an item added while offline
+ * @returns {string}
+ */
+function createTempId() {
+  return `${TEMP_ID_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Whether an item ID was generated offline
+ * @param {string} id - Item ID
+ * @returns {boolean}
+ */
+function isTempId(id) {
+  return typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+}
+
+/**
+ * Build the request that sends a queued change to the item functions
+ * @param {Object} mutation - { type: 'add' | 'update' | 'delete', list_id, item_id, data, base_updated_at }
+ * @returns {Object} - { url, options } for fetch()
+ */
+function buildRequest(mutation) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (mutation.type === 'add') {
+    const body = { ...(mutation.data || {}), client_id: mutation.item_id };
+
+    return {
+      url: `${FUNCTIONS_PATH}/add-shopping-list-item?listId=${encodeURIComponent(mutation.list_id)}`,
+      options: { method: 'POST', headers, body: JSON.stringify(body) },
+    };
+  }
+
+  if (mutation.type === 'update') {
+    const body = { ...(mutation.data || {}) };
+    if (mutation.base_updated_at) {
+      body.base_updated_at = mutation.base_updated_at;
+    }
+
+    return {
+      url: `${FUNCTIONS_PATH}/update-shopping-list-item?itemId=${encodeURIComponent(mutation.item_id)}`,
+      options: { method: 'PUT', headers, body: JSON.stringify(body) },
+    };
+  }
+
+  if (mutation.type === 'delete') {
+    let url = `${FUNCTIONS_PATH}/remove-shopping-list-item?itemId=${encodeURIComponent(mutation.item_id)}`;
+    if (mutation.base_updated_at) {
+      url += `&base_updated_at=${encodeURIComponent(mutation.base_updated_at)}`;
+    }
+
+    return { url, options: { method: 'DELETE', headers } };
+  }
+
+  throw new Error(`Unknown offline change type: ${mutation.type}`);
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} - Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create the offline store backed by IndexedDB
+ * @param {IDBFactory} factory - IndexedDB factory (window.indexedDB)
+ * @returns {Object} - Offline store
+ */
+function createIndexedDbStore(factory) {
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(LISTS_STORE)) {
+            const lists = db.createObjectStore(LISTS_STORE, { keyPath: 'id' });
+            lists.createIndex('shareCode', 'shareCode');
+          }
+          if (!db.objectStoreNames.contains(MUTATIONS_STORE)) {
+            db.createObjectStore(MUTATIONS_STORE, { keyPath: 'id', autoIncrement: true });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(storeName, mode, operation) {
+    const db = await open();
+    const objectStore = db.transaction(storeName, mode).objectStore(storeName);
+    return requestToPromise(operation(objectStore));
+  }
+
+  return {
+    async saveList(list) {
+      await run(LISTS_STORE, 'readwrite', (store) => store.put(list));
+      return list;
+    },
+    async getList(id) {
+      return (await run(LISTS_STORE, 'readonly', (store) => store.get(id))) || null;
+    },
+    async getListByShareCode(code) {
+      return (
+        (await run(LISTS_STORE, 'readonly', (store) => store.index('shareCode').get(code))) || null
+      );
+    },
+    async enqueue(mutation) {
+      const id = await run(MUTATIONS_STORE, 'readwrite', (store) => store.add(mutation));
+      return { ...mutation, id };
+    },
+    async getQueue(listId) {
+      // Auto-increment keys keep the changes in the order they were made
+      const queue = await run(MUTATIONS_STORE, 'readonly', (store) => store.getAll());
+      return queue.filter((mutation) => !listId || mutation.list_id === listId);
+    },
+    async updateMutation(mutation) {
+      await run(MUTATIONS_STORE, 'readwrite', (store) => store.put(mutation));
+      return mutation;
+    },
+    async removeMutation(id) {
+      await run(MUTATIONS_STORE, 'readwrite', (store) => store.delete(id));
+    },
+  };
+}
+
+/**
+ * Create an offline store kept in memory (used when IndexedDB is unavailable)
+ * @returns {Object} - Offline store with the same API as the IndexedDB one
+ */
+function createMemoryStore() {
+  const lists = new Map();
+  const mutations = new Map();
+  let nextId = 1;
+
+  return {
+    async saveList(list) {
+      lists.set(list.id, JSON.parse(JSON.stringify(list)));
+      return list;
+    },
+    async getList(id) {
+      return lists.get(id) || null;
+    },
+    async getListByShareCode(code) {
+      return [...lists.values()].find((list) => list.shareCode === code) || null;
+    },
+    async enqueue(mutation) {
+      const stored = { ...mutation, id: nextId++ };
+      mutations.set(stored.id, stored);
+      return stored;
+    },
+    async getQueue(listId) {
+      return [...mutations.values()].filter((mutation) => !listId || mutation.list_id === listId);
+    },
+    async updateMutation(mutation) {
+      mutations.set(mutation.id, { ...mutation });
+      return mutation;
+    },
+    async removeMutation(id) {
+      mutations.delete(id);
+    },
+  };
+}
+
+/**
+ * Open the offline store of this browser
+ * @returns {Object} - IndexedDB store, or a memory store when IndexedDB is unavailable
+ */
+function openStore() {
+  if (typeof indexedDB !== 'undefined' && indexedDB) {
+    return createIndexedDbStore(indexedDB);
+  }
+  return createMemoryStore();
+}
+
+/**
+ * Replay the queued changes of a list, in the order they were made.
+ * Stops at the first network or server error, keeping the rest queued.
+ * @param {Object} store - Offline store
+ * @param {string} listId - Shopping list ID
+ * @param {Function} send - Sends a change; resolves with a fetch Response
+ * @returns {Promise<Object>} - { synced, conflicts, failed, pending }
+ */
+async function replayQueue(store, listId, send) {
+  const result = { synced: [], conflicts: [], failed: [], pending: 0 };
+  const queue = await store.getQueue(listId);
+
+  for (let index = 0; index < queue.length; index++) {
+    const mutation = queue[index];
+    let response;
+
+    try {
+      response = await send(mutation);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      result.pending = queue.length - index;
+      break;
+    }
+
+    if (response.status >= 500) {
+      result.pending = queue.length - index;
+      break;
+    }
+
+    const body = await response.json().catch(() => ({}));
+    await store.removeMutation(mutation.id);
+
+    if (response.ok) {
+      const item = mutation.type === 'delete' ? body.item || null : body;
+
+      // Later changes to an item added offline must target the ID the server gave it,
+      // and later changes made on top of this one are based on the version it saved
+      if (mutation.type !== 'delete' && item && item.id) {
+        for (const later of queue.slice(index + 1)) {
+          if (later.item_id !== mutation.item_id) continue;
+
+          later.item_id = item.id;
+          if ((later.base_updated_at || null) === (mutation.base_updated_at || null)) {
+            later.base_updated_at = item.updated_at || null;
+          }
+          await store.updateMutation(later);
+        }
+      }
+
+      result.synced.push({ mutation, item });
+    } else if (response.status === 409 || (response.status === 404 && mutation.type !== 'add')) {
+      // The server copy wins: a newer change, or the item no longer exists
+      result.conflicts.push({ mutation, item: body.item || null });
+    } else {
+      result.failed.push({ mutation, error: body.error || `HTTP ${response.status}` });
+    }
+  }
+
+  return result;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isStaleChange,
+    isNetworkError,
+    createTempId,
+    isTempId,
+    buildRequest,
+    createIndexedDbStore,
+    createMemoryStore,
+    openStore,
+    replayQueue,
+  };
+}
+
+// Make functions available globally for browser
+if (typeof window !== 'undefined') {
+  window.OfflineUtils = {
+    isStaleChange,
+    isNetworkError,
+    createTempId,
+    isTempId,
+    buildRequest,
+    createIndexedDbStore,
+    createMemoryStore,
+    openStore,
+    replayQueue,
+  };
+}
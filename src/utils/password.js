@@ -0,0 +1,53 @@
+/**
+ * Password Utilities
+ * Hashes and verifies user passwords with scrypt
+ *
+ * Hashes are stored as "scrypt$<salt>$<hash>", both base64url, so the
+ * parameters can change later without breaking the stored passwords.
+ */
+
+const crypto = require('crypto');
+
+const MIN_PASSWORD_LENGTH = 8;
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {string} - Stored hash
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string|null} stored - Stored hash
+ * @returns {boolean} - Whether the password matches
+ */
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), expected.length);
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+};
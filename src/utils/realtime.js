@@ -0,0 +1,114 @@
+/**
+ * Realtime Utility
+ * Subscribes an open list view to the item changes broadcast by the item
+ * functions (see src/services/realtimeService.js) and tracks who is viewing
+ * the list through channel presence.
+ *
+ * Works with any client exposing the Supabase realtime channel API, so tests
+ * can pass the in-process broker instead of a Supabase client.
+ *
+ * The channel name is the list's realtime_channel, returned by the functions
+ * that load a list; it cannot be derived from the list ID.
+ */
+
+const ITEM_CHANGE_EVENT = 'item_change';
+
+/**
+ * Flatten a presence state into one entry per viewer
+ * @param {Object} state - Presence state ({ key: [meta, ...] })
+ * @returns {Array} - Viewer metadata, one per presence key
+ */
+function getViewers(state) {
+  return Object.keys(state || {})
+    .map((key) => {
+      const metas = state[key] || [];
+      return metas.length > 0 ? { key, ...metas[0] } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Apply a broadcast item change to a list of items
+ * @param {Array} items - Current items
+ * @param {Object} change - { type: 'INSERT' | 'UPDATE' | 'DELETE', item }
+ * @returns {Array} - New items array
+ */
+function applyItemChange(items, change) {
+  if (!change || !change.item) {
+    return items;
+  }
+
+  const { type, item } = change;
+  const others = items.filter((existing) => existing.id !== item.id);
+
+  if (type === 'DELETE') {
+    return others;
+  }
+
+  const index = items.findIndex((existing) => existing.id === item.id);
+  if (index === -1) {
+    return [...items, item];
+  }
+
+  const updated = [...items];
+  updated[index] = { ...items[index], ...item };
+  return updated;
+}
+
+/**
+ * Join the realtime channel of a shopping list
+ * @param {Object} client - Supabase client (or any broker with the same channel API)
+ * @param {string} channelName - The list's realtime_channel
+ * @param {Object} options - Options
+ * @param {string} options.presenceKey - Unique key for this view (e.g. one per browser tab)
+ * @param {Object} [options.presenceMeta] - Shown to other viewers (e.g. { name })
+ * @param {Function} [options.onItemChange] - Called with { type, item, actor, sent_at }
+ * @param {Function} [options.onPresenceChange] - Called with the list of viewers
+ * @returns {Object} - { channel, leave() }
+ */
+function joinList(client, channelName, options = {}) {
+  const { presenceKey, presenceMeta, onItemChange, onPresenceChange } = options;
+
+  const channel = client.channel(channelName, {
+    config: { presence: { key: presenceKey } },
+  });
+
+  channel.on('broadcast', { event: ITEM_CHANGE_EVENT }, (message) => {
+    if (onItemChange) onItemChange(message.payload);
+  });
+
+  channel.on('presence', { event: 'sync' }, () => {
+    if (onPresenceChange) onPresenceChange(getViewers(channel.presenceState()));
+  });
+
+  channel.subscribe((status) => {
+    if (status === 'SUBSCRIBED' && presenceMeta) {
+      channel.track({ ...presenceMeta, online_at: new Date().toISOString() });
+    }
+  });
+
+  return {
+    channel,
+    leave() {
+      return client.removeChannel(channel);
+    },
+  };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getViewers,
+    applyItemChange,
+    joinList,
+  };
+}
+
+// Make functions available globally for browser
+if (typeof window !== 'undefined') {
+  window.RealtimeUtils = {
+    getViewers,
+    applyItemChange,
+    joinList,
+  };
+}
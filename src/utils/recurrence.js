@@ -0,0 +1,142 @@
+/**
+ * Recurrence Utility
+ * Recurrence rules of shopping lists, shared by the recurrence service and the
+ * create list page.
+ *
+ * Rules:
+ * - weekly: every 7 days
+ * - biweekly: every 14 days
+ * - monthly: the same day of the month as the previous occurrence, moved back
+ *   to the month's last day in shorter months
+ * - custom: on the given weekdays (0 = Sunday ... 6 = Saturday)
+ */
+
+const RECURRENCE_RULES = ['weekly', 'biweekly', 'monthly', 'custom'];
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Date}
+ */
+function parseDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate and normalize a recurrence
+ * @param {string|null} rule - One of RECURRENCE_RULES, or null for none
+ * @param {Array<number>} [weekdays] - Weekdays of a custom rule
+ * @returns {Object} - { recurrence_rule, recurrence_weekdays }
+ * @throws {Error} - If the recurrence is invalid
+ */
+function validateRecurrence(rule, weekdays) {
+  if (rule === undefined || rule === null || rule === '') {
+    return { recurrence_rule: null, recurrence_weekdays: null };
+  }
+
+  if (!RECURRENCE_RULES.includes(rule)) {
+    throw new Error(`Invalid recurrence rule. Must be one of: ${RECURRENCE_RULES.join(', ')}`);
+  }
+
+  if (rule !== 'custom') {
+    return { recurrence_rule: rule, recurrence_weekdays: null };
+  }
+
+  if (
+    !Array.isArray(weekdays) ||
+    weekdays.length === 0 ||
+    !weekdays.every((day) => Number.isInteger(Number(day)) && day >= 0 && day <= 6)
+  ) {
+    throw new Error('Custom recurrence must include weekdays between 0 (Sunday) and 6 (Saturday)');
+  }
+
+  return {
+    recurrence_rule: rule,
+    recurrence_weekdays: [...new Set(weekdays.map(Number))].sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Date of the occurrence after a date
+ * @param {string} date - Date of an occurrence (YYYY-MM-DD)
+ * @param {string} rule - One of RECURRENCE_RULES
+ * @param {Array<number>} [weekdays] - Weekdays of a custom rule
+ * @param {number} [monthDay] - Day of the month of a monthly series (defaults to the day of `date`)
+ * @returns {string} - YYYY-MM-DD
+ */
+function getNextOccurrence(date, rule, weekdays, monthDay) {
+  const current = parseDate(date);
+
+  if (rule === 'weekly' || rule === 'biweekly') {
+    current.setUTCDate(current.getUTCDate() + (rule === 'weekly' ? 7 : 14));
+    return formatDate(current);
+  }
+
+  if (rule === 'monthly') {
+    // Clamp the series' day, not the previous occurrence's: Jan 31, Feb 28, Mar 31
+    const day = monthDay || current.getUTCDate();
+    const year = current.getUTCFullYear();
+    const month = current.getUTCMonth() + 1;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return formatDate(new Date(Date.UTC(year, month, Math.min(day, lastDay))));
+  }
+
+  if (rule === 'custom') {
+    for (let offset = 1; offset <= 7; offset++) {
+      const next = new Date(current);
+      next.setUTCDate(current.getUTCDate() + offset);
+      if (weekdays.includes(next.getUTCDay())) {
+        return formatDate(next);
+      }
+    }
+  }
+
+  throw new Error(`Invalid recurrence rule: ${rule}`);
+}
+
+/**
+ * Date of the first occurrence after a date that is not before another date
+ * @param {string} date - Date of an occurrence (YYYY-MM-DD)
+ * @param {string} rule - One of RECURRENCE_RULES
+ * @param {Array<number>} [weekdays] - Weekdays of a custom rule
+ * @param {string} notBefore - Earliest acceptable date (YYYY-MM-DD)
+ * @param {number} [monthDay] - Day of the month of a monthly series (defaults to the day of `date`)
+ * @returns {string} - YYYY-MM-DD
+ */
+function getNextOccurrenceFrom(date, rule, weekdays, notBefore, monthDay) {
+  let next = getNextOccurrence(date, rule, weekdays, monthDay);
+  while (next < notBefore) {
+    next = getNextOccurrence(next, rule, weekdays, monthDay);
+  }
+  return next;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RECURRENCE_RULES,
+    validateRecurrence,
+    getNextOccurrence,
+    getNextOccurrenceFrom,
+  };
+}
+
+// Make functions available globally for browser
+if (typeof window !== 'undefined') {
+  window.RecurrenceUtils = {
+    RECURRENCE_RULES,
+    validateRecurrence,
+    getNextOccurrence,
+    getNextOccurrenceFrom,
+  };
+}
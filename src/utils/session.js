@@ -0,0 +1,120 @@
+/**
+ * Session Utility
+ * Logs the user in through the create-session function and attaches the
+ * signed session token to every request made to the Netlify Functions
+ */
+
+const SESSION_STORAGE_KEY = 'bargainly_user';
+
+/**
+ * Get the stored user data
+ * @returns {Object|null} Stored user data or null
+ */
+function getStoredUser() {
+  try {
+    const userData = localStorage.getItem(SESSION_STORAGE_KEY);
+    return userData ? JSON.parse(userData) : null;
+  } catch (error) {
+    console.error('Error reading stored user:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the session token for the current user
+ * @returns {string|null} Token or null if not logged in
+ */
+function getSessionToken() {
+  const user = getStoredUser();
+  return user && user.token ? user.token : null;
+}
+
+/**
+ * Whether the current user has a session token
+ * @returns {boolean}
+ */
+function hasSession() {
+  return Boolean(getSessionToken());
+}
+
+/**
+ * Log in (creating the user on first access)
+ * @param {Object} userData - Login data
+ * @param {string} userData.name - User name
+ * @param {string} userData.phone - Phone number
+ * @param {string} userData.password - Password
+ * @param {boolean} [userData.skipped_onboarding] - Whether onboarding was skipped
+ * @returns {Promise<Object>} Session ({ token, expires_at, user })
+ */
+async function createSession(userData) {
+  const response = await fetch('/.netlify/functions/create-session', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(userData),
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || 'Failed to create session');
+  }
+
+  return result;
+}
+
+/**
+ * Forget the current session and send the user back to the welcome page
+ */
+function clearSession() {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+  window.location.href = 'shopping-welcome.html';
+}
+
+/**
+ * fetch() wrapper that sends the session token
+ * Redirects to the welcome page when the session is missing or expired
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>}
+ */
+async function authFetch(url, options = {}) {
+  const token = getSessionToken();
+  const headers = { ...(options.headers || {}) };
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(url, { ...options, headers });
+
+  if (response.status === 401) {
+    console.warn('Session expired or missing, redirecting to login');
+    clearSession();
+  }
+
+  return response;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getStoredUser,
+    getSessionToken,
+    hasSession,
+    createSession,
+    clearSession,
+    authFetch,
+  };
+}
+
+// Make functions available globally for browser
+if (typeof window !== 'undefined') {
+  window.SessionUtils = {
+    getStoredUser,
+    getSessionToken,
+    hasSession,
+    createSession,
+    clearSession,
+    authFetch,
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Text Utilities
+ * Normalizing the texts that are looked up or searched for
+ */
+
+/**
+ * Normalize a product name for lookups ("Arroz  Tio João" -> "arroz tio joao")
+ * @param {string} name - Product name
+ * @returns {string} - Lower case name without accents and repeated spaces
+ */
+function normalizeProductName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  normalizeProductName,
+};
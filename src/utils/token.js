@@ -0,0 +1,114 @@
+/**
+ * Session Token Utilities
+ * Signs and verifies HMAC-SHA256 session tokens (JWT compatible, HS256)
+ */
+
+const crypto = require('crypto');
+
+// Sessions last 30 days so the browser does not need to log in again on every visit
+const DEFAULT_TTL_SECONDS = 60 * 60 * 24 * 30;
+
+/**
+ * Get the secret used to sign session tokens
+ * @returns {string} - Signing secret
+ * @throws {Error} - If AUTH_TOKEN_SECRET is not configured
+ */
+function getSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+
+  if (!secret) {
+    throw new Error(
+      'AUTH_TOKEN_SECRET is required. Please set this environment variable in your deployment platform (Netlify/Vercel) or .env file for local development.'
+    );
+  }
+
+  return secret;
+}
+
+/**
+ * Encode a JSON value as base64url
+ * @param {Object} value - Value to encode
+ * @returns {string} - Encoded value
+ */
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Compute the signature of a token's header and payload
+ * @param {string} data - "<header>.<payload>" string
+ * @param {string} secret - Signing secret
+ * @returns {string} - base64url signature
+ */
+function computeSignature(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Sign a session token
+ * @param {Object} payload - Claims to include (e.g. { sub: user_id })
+ * @param {Object} options - Options
+ * @param {number} options.ttlSeconds - Token lifetime in seconds
+ * @param {number} options.now - Current time in ms (for testing)
+ * @returns {string} - Signed token
+ */
+function signToken(payload, options = {}) {
+  const { ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now() } = options;
+  const issuedAt = Math.floor(now / 1000);
+
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const body = encode({ ...payload, iat: issuedAt, exp: issuedAt + ttlSeconds });
+  const signature = computeSignature(`${header}.${body}`, getSecret());
+
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify a session token and return its claims
+ * @param {string} token - Token to verify
+ * @param {Object} options - Options
+ * @param {number} options.now - Current time in ms (for testing)
+ * @returns {Object} - Token payload
+ * @throws {Error} - If the token is malformed, tampered with or expired
+ */
+function verifyToken(token, options = {}) {
+  const { now = Date.now() } = options;
+  const secret = getSecret();
+
+  if (!token || typeof token !== 'string') {
+    throw new Error('Invalid token');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Invalid token');
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(computeSignature(`${header}.${body}`, secret));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid token signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error('Invalid token');
+  }
+
+  if (!payload.exp || payload.exp * 1000 <= now) {
+    throw new Error('Token expired');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  getSecret,
+  signToken,
+  verifyToken,
+};
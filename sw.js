@@ -0,0 +1,82 @@
+/**
+ * Service Worker
+ * Caches the app shell of the list view so a list can be opened in the
+ * supermarket without signal. List data itself is kept in IndexedDB by the
+ * page (see src/utils/offline.js); Netlify Function calls are never cached.
+ */
+
+const CACHE_NAME = 'bargainly-shell-v2';
+
+const APP_SHELL = [
+  '/view-shopping-list.html',
+  '/src/pages/view-shopping-list.html',
+  '/favicon.svg',
+  '/static/css/style.css',
+  '/static/css/view-shopping-list.css',
+  '/src/utils/env.js',
+  '/src/utils/config.js',
+  '/src/utils/supabaseClient.js',
+  '/src/utils/session.js',
+  '/src/utils/realtime.js',
+  '/src/utils/offline.js',
+  '/src/utils/itemParser.js',
+];
+
+self.addEventListener('install', (event) => {
+  // Cache each file on its own so one missing file does not fail the install
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        Promise.all(
+          APP_SHELL.map((url) =>
+            cache.add(url).catch((error) => console.warn('Not cached:', url, error))
+          )
+        )
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (
+    request.method !== 'GET' ||
+    url.origin !== self.location.origin ||
+    url.pathname.startsWith('/.netlify/functions/') ||
+    url.pathname.startsWith('/api/')
+  ) {
+    return;
+  }
+
+  // Pages are cached once per path, whatever list they were opened with
+  const cacheKey = request.mode === 'navigate' ? url.pathname : request;
+
+  // Network first, so deploys show up as soon as there is signal
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(cacheKey, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches.match(request, { ignoreSearch: true }).then((cached) => cached || Response.error())
+      )
+  );
+});
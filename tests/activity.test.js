@@ -0,0 +1,289 @@
+// tests/activity.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const activityService = require('../src/services/activityService');
+const shoppingListController = require('../src/controllers/shoppingListController');
+const { createInProcessBroker } = require('../src/services/realtimeService');
+const { buildHandler: updateHandler } = require('../src/api/update-shopping-list-item');
+const { buildHandler: removeHandler } = require('../src/api/remove-shopping-list-item');
+const { buildHandler: activityHandler } = require('../src/api/get-activity');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const MEMBER_ID = '2f5d3c1e-8a4b-4c6d-9e0f-1a2b3c4d5e6f';
+const HOUSEHOLD_ID = '550e8400-e29b-41d4-a716-446655440000';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM_ID = '650e8400-e29b-41d4-a716-446655440001';
+const ownerHeaders = { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` };
+
+/**
+ * Tests for the activity log and feed
+ */
+
+const list = {
+  id: LIST_ID,
+  user_id: OWNER_ID,
+  household_id: HOUSEHOLD_ID,
+  title: 'Compras da Semana',
+  share_code: '1234',
+  share_permission: 'view',
+};
+
+const item = {
+  id: ITEM_ID,
+  list_id: LIST_ID,
+  product_name: 'Leite',
+  category: 'Laticínios',
+  quantity: 2,
+  unit: 'l',
+  unit_price: 4.5,
+  is_checked: false,
+};
+
+function buildActivityRepository() {
+  const recorded = [];
+  return {
+    recorded,
+    recordActivity: async (entry) => {
+      recorded.push(entry);
+      return entry;
+    },
+  };
+}
+
+function buildActivityRecorder() {
+  const recorded = [];
+  return {
+    recorded,
+    recordActivity: async (action, activityList, actor, details = {}) => {
+      recorded.push({ action, list_id: activityList.id, actor, details });
+      return true;
+    },
+    recordItemActivity: async (action, activityList, activityItem, actor, details = {}) => {
+      recorded.push({ action, list_id: activityList.id, actor, details, item: activityItem });
+      return true;
+    },
+    recordListCompletion: async (activityList, actor) => {
+      recorded.push({ action: 'list_completed', list_id: activityList.id, actor });
+      return true;
+    },
+  };
+}
+
+function buildListRepository() {
+  return {
+    getShoppingListOwner: async () => list,
+    getShoppingListItemById: async () => item,
+    updateShoppingListItem: async (itemId, updates) => ({ ...item, ...updates }),
+    deleteShoppingListItem: async () => item,
+  };
+}
+
+test('recordActivity should record the list scope, actor and list title', async () => {
+  const repo = buildActivityRepository();
+
+  const recorded = await activityService.recordActivity(
+    'list_shared',
+    list,
+    { user_id: MEMBER_ID },
+    { change: 'permission' },
+    repo
+  );
+
+  assert.strictEqual(recorded, true);
+  assert.deepStrictEqual(repo.recorded, [
+    {
+      action: 'list_shared',
+      list_id: LIST_ID,
+      user_id: OWNER_ID,
+      household_id: HOUSEHOLD_ID,
+      actor_id: MEMBER_ID,
+      details: { list_title: 'Compras da Semana', change: 'permission' },
+    },
+  ]);
+});
+
+test('recordActivity should not fail the change when recording fails', async () => {
+  const repo = {
+    recordActivity: async () => {
+      throw new Error('Failed to record activity: connection refused');
+    },
+  };
+
+  assert.strictEqual(
+    await activityService.recordActivity('list_deleted', list, null, {}, repo),
+    false
+  );
+  await assert.rejects(
+    () => activityService.recordActivity('list_renamed', list, null, {}, repo),
+    /Invalid activity action/
+  );
+});
+
+test('recordListCompletion should only record lists with nothing left to buy', async () => {
+  const repo = buildActivityRepository();
+  let unchecked = 1;
+  const lists = { countUncheckedItems: async () => unchecked };
+
+  assert.strictEqual(await activityService.recordListCompletion(list, null, lists, repo), false);
+  unchecked = 0;
+  assert.strictEqual(await activityService.recordListCompletion(list, null, lists, repo), true);
+  assert.strictEqual(repo.recorded.length, 1);
+  assert.strictEqual(repo.recorded[0].action, 'list_completed');
+  assert.strictEqual(repo.recorded[0].actor_id, null);
+});
+
+test('getActivityFeed should page the feed and describe who acted', async () => {
+  const rows = [
+    {
+      id: 'a3',
+      action: 'item_checked',
+      list_id: LIST_ID,
+      household_id: HOUSEHOLD_ID,
+      actor_id: MEMBER_ID,
+      actor_name: 'Maria',
+      details: { list_title: 'Compras da Semana', product_name: 'Leite' },
+      created_at: '2025-03-03T10:00:00Z',
+    },
+    {
+      id: 'a2',
+      action: 'item_added',
+      list_id: LIST_ID,
+      actor_id: null,
+      actor_name: null,
+      details: { list_title: 'Compras da Semana', product_name: 'Pão' },
+      created_at: '2025-03-02T10:00:00Z',
+    },
+    {
+      id: 'a1',
+      action: 'list_created',
+      list_id: LIST_ID,
+      actor_id: OWNER_ID,
+      actor_name: 'Ana',
+      details: { list_title: 'Compras da Semana' },
+      created_at: '2025-03-01T10:00:00Z',
+    },
+  ];
+  let query = null;
+  const repo = {
+    getActivities: async (userId, options) => {
+      query = options;
+      return rows.slice(options.offset, options.offset + options.limit);
+    },
+  };
+
+  const firstPage = await activityService.getActivityFeed(OWNER_ID, { limit: 2 }, repo);
+  const lastPage = await activityService.getActivityFeed(OWNER_ID, { limit: 2, offset: 2 }, repo);
+
+  assert.deepStrictEqual(query, { limit: 3, offset: 2 });
+  assert.deepStrictEqual(firstPage.pagination, { limit: 2, offset: 0, has_more: true });
+  assert.deepStrictEqual(lastPage.pagination, { limit: 2, offset: 2, has_more: false });
+  assert.deepStrictEqual(
+    firstPage.activities.map((activity) => [activity.action, activity.actor]),
+    [
+      [
+        'item_checked',
+        { user_id: MEMBER_ID, name: 'Maria', is_self: false, via_share_code: false },
+      ],
+      ['item_added', { user_id: null, name: null, is_self: false, via_share_code: true }],
+    ]
+  );
+  assert.strictEqual(lastPage.activities[0].actor.is_self, true);
+  assert.strictEqual(firstPage.activities[0].list_title, 'Compras da Semana');
+  await assert.rejects(
+    () => activityService.getActivityFeed(OWNER_ID, { limit: 500 }, repo),
+    /Invalid limit/
+  );
+  await assert.rejects(
+    () => activityService.getActivityFeed(OWNER_ID, { offset: -1 }, repo),
+    /Invalid offset/
+  );
+});
+
+test('createShoppingList should record the new list in the activity log', async () => {
+  const activity = buildActivityRecorder();
+  const srv = { createShoppingList: async (listData) => ({ ...listData, id: LIST_ID }) };
+
+  await shoppingListController.createShoppingList(
+    {
+      user_id: OWNER_ID,
+      title: 'Compras da Semana',
+      shopping_date: '2025-03-10',
+      items: [{ product_name: 'Leite', category: 'Laticínios', quantity: 2, unit: 'l' }],
+    },
+    srv,
+    activity
+  );
+
+  assert.deepStrictEqual(activity.recorded, [
+    {
+      action: 'list_created',
+      list_id: LIST_ID,
+      actor: { user_id: OWNER_ID },
+      details: { items_count: 1 },
+    },
+  ]);
+});
+
+test('update-shopping-list-item should record item changes and the list completion', async () => {
+  const activity = buildActivityRecorder();
+  const prices = { recordItemPrices: async () => 0 };
+  const handler = updateHandler(buildListRepository(), createInProcessBroker(), prices, activity);
+  const update = (body) =>
+    handler({
+      httpMethod: 'PUT',
+      headers: ownerHeaders,
+      queryStringParameters: { itemId: ITEM_ID },
+      body: JSON.stringify(body),
+    });
+
+  await update({ notes: 'integral' });
+  await update({ is_checked: true });
+
+  assert.deepStrictEqual(
+    activity.recorded.map((entry) => [entry.action, entry.actor.user_id]),
+    [
+      ['item_updated', OWNER_ID],
+      ['item_checked', OWNER_ID],
+      ['list_completed', OWNER_ID],
+    ]
+  );
+  assert.deepStrictEqual(activity.recorded[0].details, { fields: ['notes'] });
+});
+
+test('remove-shopping-list-item should record the removed item', async () => {
+  const activity = buildActivityRecorder();
+  const handler = removeHandler(buildListRepository(), createInProcessBroker(), activity);
+
+  const response = await handler({
+    httpMethod: 'DELETE',
+    headers: ownerHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(activity.recorded[0].action, 'item_removed');
+  assert.strictEqual(activity.recorded[0].item.product_name, 'Leite');
+});
+
+test('get-activity should return a page of the feed', async () => {
+  const calls = [];
+  const handler = activityHandler({
+    getActivityFeed: async (params) => {
+      calls.push(params);
+      return { activities: [], pagination: { limit: 10, offset: 20, has_more: false } };
+    },
+  });
+
+  const response = await handler({
+    httpMethod: 'GET',
+    headers: ownerHeaders,
+    queryStringParameters: { limit: '10', offset: '20' },
+  });
+  const wrongMethod = await handler({ httpMethod: 'POST', headers: ownerHeaders });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(calls, [{ limit: '10', offset: '20', user_id: OWNER_ID }]);
+  assert.strictEqual(wrongMethod.statusCode, 405);
+});
@@ -0,0 +1,258 @@
+// tests/analytics.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const analyticsService = require('../src/services/analyticsService');
+const analyticsRepository = require('../src/repositories/analyticsRepository');
+const { buildHandler } = require('../src/api/get-analytics');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const MARKET_ID = '750e8400-e29b-41d4-a716-446655440001';
+// A Wednesday
+const NOW = new Date('2025-03-12T12:00:00.000Z');
+const authHeaders = { authorization: `Bearer ${signToken({ sub: USER_ID })}` };
+
+/**
+ * Tests for the spending analytics behind the profile history tab
+ */
+
+const lists = [
+  {
+    id: 'list-1',
+    shopping_date: '2025-01-15',
+    market_id: MARKET_ID,
+    market_name: 'Atacadão',
+    payment_type: 'pix',
+    is_completed: false,
+    items: [
+      { category: 'Açougue', total_price: 80, is_checked: true },
+      { category: 'Padaria', total_price: 20, is_checked: true },
+    ],
+  },
+  {
+    id: 'list-2',
+    shopping_date: '2025-03-10',
+    market_id: MARKET_ID,
+    market_name: 'Atacadão',
+    payment_type: 'credit',
+    is_completed: false,
+    items: [
+      { category: 'Açougue', total_price: 120, is_checked: false },
+      { category: 'Bebidas', total_price: 30, is_checked: true },
+      { category: 'Bebidas', total_price: 10, is_checked: false },
+    ],
+  },
+  {
+    id: 'list-3',
+    shopping_date: '2025-03-28',
+    market_id: null,
+    market_name: null,
+    payment_type: null,
+    is_completed: true,
+    items: [],
+  },
+];
+
+test('getSpendingAnalytics should query the period and the current week', async () => {
+  let query = null;
+  const repo = {
+    getListsForAnalytics: async (userId, options) => {
+      query = { userId, options };
+      return [];
+    },
+  };
+
+  const analytics = await analyticsService.getSpendingAnalytics(USER_ID, { months: 3 }, repo, NOW);
+
+  assert.deepStrictEqual(query, {
+    userId: USER_ID,
+    options: { from: '2025-01-01', to: '2025-03-31' },
+  });
+  assert.deepStrictEqual(analytics.period, { months: 3, from: '2025-01-01', to: '2025-03-31' });
+  assert.deepStrictEqual(
+    analytics.by_month.map((month) => [month.month, month.total]),
+    [
+      ['2025-01', 0],
+      ['2025-02', 0],
+      ['2025-03', 0],
+    ]
+  );
+  assert.strictEqual(analytics.summary.completion_rate, 0);
+
+  // A week starting in the previous month widens the query
+  await analyticsService.getSpendingAnalytics(
+    USER_ID,
+    { months: 1 },
+    repo,
+    new Date('2025-03-02T12:00:00.000Z')
+  );
+  assert.deepStrictEqual(query.options, { from: '2025-02-24', to: '2025-03-31' });
+});
+
+test('getSpendingAnalytics should reject an invalid number of months', async () => {
+  const repo = { getListsForAnalytics: async () => [] };
+
+  for (const months of [0, 25, 1.5, NaN]) {
+    await assert.rejects(
+      () => analyticsService.getSpendingAnalytics(USER_ID, { months }, repo, NOW),
+      /Invalid months/
+    );
+  }
+});
+
+test('buildAnalytics should aggregate spending per month, category, market and payment type', () => {
+  const analytics = analyticsService.buildAnalytics(lists, ['2025-01', '2025-02', '2025-03'], NOW);
+
+  assert.deepStrictEqual(analytics.summary, {
+    lists_count: 3,
+    items_count: 5,
+    total_spent: 260,
+    completed_lists: 2,
+    completion_rate: 67,
+    average_items_per_list: 1.7,
+    average_list_total: 86.67,
+    lists_this_week: 1,
+    spent_this_month: 160,
+  });
+  assert.deepStrictEqual(
+    analytics.by_month.map((month) => [month.month, month.lists_count, month.total]),
+    [
+      ['2025-01', 1, 100],
+      ['2025-02', 0, 0],
+      ['2025-03', 2, 160],
+    ]
+  );
+  assert.deepStrictEqual(analytics.by_category[0], {
+    category: 'Açougue',
+    items_count: 2,
+    lists_count: 2,
+    total: 200,
+    percentage: 77,
+  });
+  assert.deepStrictEqual(
+    analytics.by_category.map((category) => [category.category, category.items_count]),
+    [
+      ['Açougue', 2],
+      ['Bebidas', 2],
+      ['Padaria', 1],
+    ]
+  );
+  assert.deepStrictEqual(
+    analytics.by_market.map((market) => [market.market_name, market.lists_count, market.total]),
+    [
+      ['Atacadão', 2, 260],
+      [null, 1, 0],
+    ]
+  );
+  assert.deepStrictEqual(
+    analytics.by_payment_type.map((payment) => [payment.payment_type, payment.total]),
+    [
+      ['credit', 160],
+      ['pix', 100],
+      [null, 0],
+    ]
+  );
+});
+
+test('get-analytics should return the analytics of the authenticated user', async () => {
+  const calls = [];
+  const handler = buildHandler({
+    getAnalytics: async (params) => {
+      calls.push(params);
+      return { summary: { lists_count: 0 } };
+    },
+  });
+
+  const response = await handler({
+    httpMethod: 'GET',
+    headers: authHeaders,
+    queryStringParameters: { months: '12' },
+  });
+  const wrongMethod = await handler({ httpMethod: 'POST', headers: authHeaders });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(calls, [{ months: '12', user_id: USER_ID }]);
+  assert.strictEqual(JSON.parse(response.body).summary.lists_count, 0);
+  assert.strictEqual(wrongMethod.statusCode, 405);
+});
+
+test('get-analytics should answer 400 for an invalid number of months', async () => {
+  const handler = buildHandler({
+    getAnalytics: async () => {
+      throw new Error('Invalid months. Must be a whole number between 1 and 24');
+    },
+  });
+
+  const response = await handler({
+    httpMethod: 'GET',
+    headers: authHeaders,
+    queryStringParameters: { months: 'abc' },
+  });
+
+  assert.strictEqual(response.statusCode, 400);
+});
+
+test('getListsForAnalytics should read every list of the period, past the server row limit', async () => {
+  // 2500 lists; like PostgREST, the server returns at most 1000 rows per request
+  const rows = Array.from({ length: 2500 }, (_, index) => ({
+    id: `list-${String(index).padStart(4, '0')}`,
+    shopping_date: '2025-03-01',
+    market_id: null,
+    payment_id: null,
+    is_completed: false,
+    markets: null,
+    shopping_list_items: [{ category: 'Padaria', total_price: 1, is_checked: true }],
+  }));
+  const requests = [];
+  const client = {
+    from: (table) => {
+      const request = { table, after: null, limit: Infinity };
+      requests.push(request);
+      const builder = {
+        select: () => builder,
+        or: () => builder,
+        is: () => builder,
+        gte: () => builder,
+        lte: () => builder,
+        in: () => builder,
+        order: () => builder,
+        gt: (field, value) => {
+          request.after = value;
+          return builder;
+        },
+        limit: (count) => {
+          request.limit = count;
+          return builder;
+        },
+        then: (resolve) => {
+          const data = rows
+            .filter(
+              (row) => table === 'shopping_lists' && (!request.after || row.id > request.after)
+            )
+            .slice(0, Math.min(request.limit, 1000));
+          resolve({ data, error: null });
+        },
+      };
+      return builder;
+    },
+  };
+  const households = {
+    getHouseholdIdsForUser: async () => [],
+    buildScopeFilter: () => `user_id.eq.${USER_ID}`,
+  };
+
+  const result = await analyticsRepository.getListsForAnalytics(
+    USER_ID,
+    { from: '2025-01-01', to: '2025-03-31' },
+    client,
+    households
+  );
+
+  assert.strictEqual(result.length, 2500);
+  assert.strictEqual(new Set(result.map((list) => list.id)).size, 2500);
+  assert.deepStrictEqual(
+    requests.map((request) => request.after),
+    [null, 'list-0999', 'list-1999', 'list-2499']
+  );
+});
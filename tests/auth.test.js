@@ -0,0 +1,131 @@
+// tests/auth.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { signToken, verifyToken } = require('../src/utils/token');
+const { withAuth, getBearerToken } = require('../src/middleware/auth');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+
+/**
+ * Tests for session tokens and the authentication middleware
+ */
+
+test('signToken/verifyToken should round-trip the payload', () => {
+  const token = signToken({ sub: TEST_USER_ID });
+  const payload = verifyToken(token);
+
+  assert.strictEqual(payload.sub, TEST_USER_ID);
+  assert.ok(payload.iat);
+  assert.ok(payload.exp > payload.iat);
+});
+
+test('verifyToken should reject a tampered payload', () => {
+  const token = signToken({ sub: TEST_USER_ID });
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(
+    JSON.stringify({ sub: '00000000-0000-0000-0000-000000000001', exp: 9999999999 })
+  ).toString('base64url');
+
+  assert.throws(() => verifyToken(`${header}.${forged}.${signature}`), {
+    message: 'Invalid token signature',
+  });
+});
+
+test('verifyToken should reject a token signed with another secret', () => {
+  const token = signToken({ sub: TEST_USER_ID });
+  const original = process.env.AUTH_TOKEN_SECRET;
+
+  try {
+    process.env.AUTH_TOKEN_SECRET = 'another-secret';
+    assert.throws(() => verifyToken(token), { message: 'Invalid token signature' });
+  } finally {
+    process.env.AUTH_TOKEN_SECRET = original;
+  }
+});
+
+test('verifyToken should reject an expired token', () => {
+  const now = Date.now();
+  const token = signToken({ sub: TEST_USER_ID }, { ttlSeconds: 60, now });
+
+  assert.throws(() => verifyToken(token, { now: now + 61 * 1000 }), { message: 'Token expired' });
+});
+
+test('verifyToken should reject malformed tokens', () => {
+  assert.throws(() => verifyToken(''), { message: 'Invalid token' });
+  assert.throws(() => verifyToken('not-a-token'), { message: 'Invalid token' });
+});
+
+test('signToken should require AUTH_TOKEN_SECRET', () => {
+  const original = process.env.AUTH_TOKEN_SECRET;
+
+  try {
+    delete process.env.AUTH_TOKEN_SECRET;
+    assert.throws(() => signToken({ sub: TEST_USER_ID }), /AUTH_TOKEN_SECRET is required/);
+  } finally {
+    process.env.AUTH_TOKEN_SECRET = original;
+  }
+});
+
+test('getBearerToken should read the Authorization header in any case', () => {
+  assert.strictEqual(getBearerToken({ headers: { authorization: 'Bearer abc' } }), 'abc');
+  assert.strictEqual(getBearerToken({ headers: { Authorization: 'bearer abc' } }), 'abc');
+  assert.strictEqual(getBearerToken({ headers: { authorization: 'Basic abc' } }), null);
+  assert.strictEqual(getBearerToken({}), null);
+});
+
+test('withAuth should return 401 when the token is missing', async () => {
+  let called = false;
+  const handler = withAuth(async () => {
+    called = true;
+  });
+
+  const result = await handler({ httpMethod: 'GET', headers: {} });
+
+  assert.strictEqual(result.statusCode, 401);
+  assert.strictEqual(JSON.parse(result.body).error, 'Authentication required');
+  assert.strictEqual(called, false);
+});
+
+test('withAuth should return 401 when the token is invalid', async () => {
+  const handler = withAuth(async () => ({ statusCode: 200 }));
+
+  const result = await handler({
+    httpMethod: 'GET',
+    headers: { authorization: 'Bearer invalid.token.value' },
+  });
+
+  assert.strictEqual(result.statusCode, 401);
+  assert.strictEqual(JSON.parse(result.body).error, 'Invalid or expired session token');
+});
+
+test('withAuth should return 401 when the token subject is not a user ID', async () => {
+  const handler = withAuth(async () => ({ statusCode: 200 }));
+  const token = signToken({ sub: 'not-a-uuid' });
+
+  const result = await handler({
+    httpMethod: 'GET',
+    headers: { authorization: `Bearer ${token}` },
+  });
+
+  assert.strictEqual(result.statusCode, 401);
+});
+
+test('withAuth should expose the authenticated user as event.auth', async () => {
+  let received = null;
+  const handler = withAuth(async (event) => {
+    received = event;
+    return { statusCode: 200 };
+  });
+  const token = signToken({ sub: TEST_USER_ID });
+
+  const result = await handler({
+    httpMethod: 'GET',
+    headers: { authorization: `Bearer ${token}` },
+    queryStringParameters: { user_id: '00000000-0000-0000-0000-000000000001' },
+  });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.deepStrictEqual(received.auth, { user_id: TEST_USER_ID });
+  assert.strictEqual(received.httpMethod, 'GET');
+});
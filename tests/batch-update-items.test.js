@@ -0,0 +1,235 @@
+// tests/batch-update-items.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const itemBatchService = require('../src/services/itemBatchService');
+const realtimeService = require('../src/services/realtimeService');
+const { buildHandler } = require('../src/api/batch-update-items');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM_ID = '650e8400-e29b-41d4-a716-446655440001';
+const OTHER_ITEM_ID = '650e8400-e29b-41d4-a716-446655440002';
+const SHARE_CODE = 'ABCDEFGHJKLM';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` };
+
+/**
+ * Tests for updating several items of a list at once
+ */
+
+const items = [
+  { id: ITEM_ID, list_id: LIST_ID, product_name: 'Arroz', quantity: 1, unit_price: 5 },
+  { id: OTHER_ITEM_ID, list_id: LIST_ID, product_name: 'Feijão', quantity: 2, unit_price: 8 },
+];
+
+function buildRepository(sharePermission = 'check') {
+  const batches = [];
+  return {
+    batches,
+    getShoppingListOwner: async (listId) => ({
+      id: listId,
+      user_id: OWNER_ID,
+      share_code: SHARE_CODE,
+      share_permission: sharePermission,
+    }),
+    batchUpdateItems: async (listId, batch) => {
+      batches.push(batch);
+      const updated = batch.command
+        ? items.map((item) => ({ ...item, is_checked: batch.command === 'check_all' }))
+        : batch.updates.map((update) => ({
+            ...items.find((item) => item.id === update.id),
+            ...update,
+          }));
+      return { items: updated, total_amount: 21 };
+    },
+  };
+}
+
+const owner = { user_id: OWNER_ID };
+const shareHolder = { share: { list_id: LIST_ID, share_code: SHARE_CODE } };
+const noUndo = { recordUndo: async () => 'undo-token' };
+
+test('validateBatch should take either updates or a command', () => {
+  assert.deepStrictEqual(itemBatchService.validateBatch({ command: 'check_all' }), {
+    command: 'check_all',
+  });
+  assert.deepStrictEqual(
+    itemBatchService.validateBatch({
+      updates: [{ id: ITEM_ID, quantity: 3, list_id: 'ignored' }],
+    }),
+    { updates: [{ id: ITEM_ID, quantity: 3 }] }
+  );
+
+  assert.throws(() => itemBatchService.validateBatch({}), /Either updates or command is required/);
+  assert.throws(
+    () => itemBatchService.validateBatch({ command: 'check_all', updates: [] }),
+    /Either updates or command is required/
+  );
+  assert.throws(() => itemBatchService.validateBatch({ command: 'delete_all' }), /Invalid command/);
+  assert.throws(
+    () => itemBatchService.validateBatch({ updates: [] }),
+    /Updates must be a non-empty array/
+  );
+  assert.throws(
+    () =>
+      itemBatchService.validateBatch({
+        updates: Array.from({ length: 101 }, () => ({ id: ITEM_ID, is_checked: true })),
+      }),
+    /A batch must have 100 updates or less/
+  );
+});
+
+test('validateBatch should validate every update like a single item update', () => {
+  const invalid = [
+    [{ id: 'item-1', is_checked: true }, /Update 1: Invalid item ID/],
+    [{ id: ITEM_ID }, /Update 1: At least one field to update is required/],
+    [{ id: ITEM_ID, is_checked: 'yes' }, /Invalid is_checked/],
+    [{ id: ITEM_ID, quantity: 0 }, /Quantity must be greater than zero/],
+    [{ id: ITEM_ID, unit_price: -1 }, /Price must not be negative/],
+    [{ id: ITEM_ID, product_name: '  ' }, /Invalid product_name: cannot be empty/],
+    [{ id: ITEM_ID, unit: 'caixa' }, /Unit must be one of: un, kg, g, l, ml, cx, pct/],
+    [{ id: ITEM_ID, notes: 'x'.repeat(201) }, /Notes must be 200 characters or less/],
+    [{ id: ITEM_ID, product_name: 'x'.repeat(101) }, /Product name must be 100 characters/],
+  ];
+
+  for (const [update, message] of invalid) {
+    assert.throws(() => itemBatchService.validateBatch({ updates: [update] }), message);
+  }
+
+  assert.throws(
+    () =>
+      itemBatchService.validateBatch({
+        updates: [
+          { id: ITEM_ID, is_checked: true },
+          { id: ITEM_ID, quantity: 2 },
+        ],
+      }),
+    /each item must be updated once/
+  );
+});
+
+test('batchUpdateItems should send the whole batch in one call and return the new total', async () => {
+  const repo = buildRepository();
+
+  const result = await itemBatchService.batchUpdateItems(
+    LIST_ID,
+    {
+      updates: [
+        { id: ITEM_ID, quantity: 3 },
+        { id: OTHER_ITEM_ID, is_checked: true },
+      ],
+    },
+    owner,
+    repo,
+    noUndo
+  );
+
+  assert.strictEqual(repo.batches.length, 1);
+  assert.strictEqual(result.total_amount, 21);
+  assert.deepStrictEqual(
+    result.items.map((item) => [item.product_name, item.quantity, item.is_checked]),
+    [
+      ['Arroz', 3, undefined],
+      ['Feijão', 2, true],
+    ]
+  );
+  // Only check/uncheck-all can be undone
+  assert.strictEqual(result.undo_token, null);
+});
+
+test('batchUpdateItems should let share code holders who can check items check, not edit', async () => {
+  const repo = buildRepository('check');
+
+  const checked = await itemBatchService.batchUpdateItems(
+    LIST_ID,
+    { command: 'uncheck_all' },
+    shareHolder,
+    repo,
+    noUndo
+  );
+  assert.strictEqual(checked.undo_token, 'undo-token');
+  assert.ok(checked.items.every((item) => item.is_checked === false));
+
+  await assert.rejects(
+    () =>
+      itemBatchService.batchUpdateItems(
+        LIST_ID,
+        { updates: [{ id: ITEM_ID, is_checked: true, quantity: 2 }] },
+        shareHolder,
+        repo,
+        noUndo
+      ),
+    /not authorized to edit items/
+  );
+  assert.strictEqual(repo.batches.length, 1);
+});
+
+test('batch-update-items should record prices and activity and map errors', async () => {
+  const repo = buildRepository();
+  const recordedPrices = [];
+  const recordedActivity = [];
+  const prices = {
+    recordItemPrices: async (priced, list, source) => {
+      recordedPrices.push([source, priced.map((item) => item.product_name)]);
+      return priced.length;
+    },
+  };
+  const activity = {
+    recordItemActivity: async (action, list, item, actor, details) => {
+      recordedActivity.push([action, item.product_name, details]);
+      return true;
+    },
+    recordListCompletion: async () => {
+      recordedActivity.push(['list_completion']);
+      return false;
+    },
+  };
+  const batches = {
+    batchUpdateItems: (listId, batch, auth) =>
+      itemBatchService.batchUpdateItems(listId, batch, auth, repo, noUndo),
+  };
+  const broker = realtimeService.createInProcessBroker();
+  const handler = buildHandler(batches, broker, prices, activity);
+  const put = (body) =>
+    handler({ httpMethod: 'PUT', headers: authHeaders, body: JSON.stringify(body) });
+
+  const response = await put({
+    list_id: LIST_ID,
+    updates: [
+      { id: ITEM_ID, unit_price: 6 },
+      { id: OTHER_ITEM_ID, is_checked: true },
+    ],
+  });
+  const invalid = await put({ list_id: LIST_ID, updates: [{ id: ITEM_ID, quantity: -1 }] });
+  const missing = await buildHandler(
+    {
+      batchUpdateItems: async () => {
+        throw new Error(`Item ${ITEM_ID} not found in the shopping list`);
+      },
+    },
+    broker
+  )({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ list_id: LIST_ID, updates: [{ id: ITEM_ID, is_checked: true }] }),
+  });
+  const wrongMethod = await handler({ httpMethod: 'POST', headers: authHeaders });
+
+  assert.strictEqual(response.statusCode, 200);
+  const body = JSON.parse(response.body);
+  assert.strictEqual(body.total_amount, 21);
+  assert.strictEqual(body.items.length, 2);
+  assert.deepStrictEqual(recordedPrices, [
+    ['checked', ['Feijão']],
+    ['updated', ['Arroz']],
+  ]);
+  assert.deepStrictEqual(recordedActivity, [
+    ['item_updated', 'Arroz', { fields: ['unit_price'] }],
+    ['item_checked', 'Feijão', undefined],
+    ['list_completion'],
+  ]);
+  assert.strictEqual(invalid.statusCode, 400);
+  assert.strictEqual(missing.statusCode, 404);
+  assert.strictEqual(wrongMethod.statusCode, 405);
+});
@@ -0,0 +1,280 @@
+// tests/budgets.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const budgetService = require('../src/services/budgetService');
+const shoppingListService = require('../src/services/shoppingListService');
+const { getBudgetWarning, monthRange } = require('../src/utils/budget');
+const { buildHandler: getBudgetsHandler } = require('../src/api/get-budgets');
+const { buildHandler: createBudgetHandler } = require('../src/api/create-budget');
+const { buildHandler: updateBudgetHandler } = require('../src/api/update-budget');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const OTHER_USER_ID = '2f5d3c1e-8a4b-4c6d-9e0f-1a2b3c4d5e6f';
+const HOUSEHOLD_ID = '550e8400-e29b-41d4-a716-446655440000';
+const BUDGET_ID = '850e8400-e29b-41d4-a716-446655440001';
+const NOW = new Date('2025-03-10T12:00:00.000Z');
+const authHeaders = { authorization: `Bearer ${signToken({ sub: USER_ID })}` };
+
+/**
+ * Tests for monthly budgets and overspend warnings
+ */
+
+const budgets = [
+  { id: BUDGET_ID, user_id: USER_ID, household_id: null, category: null, amount: 500 },
+  { id: 'b2', user_id: USER_ID, household_id: null, category: 'Açougue', amount: 150 },
+];
+
+// Spending rows as returned by get_budget_spending(), one per list and category
+const spending = [
+  {
+    list_id: 'list-1',
+    household_id: null,
+    shopping_date: '2025-03-02',
+    created_at: '2025-03-01T10:00:00Z',
+    category: 'Açougue',
+    total: 120,
+  },
+  {
+    list_id: 'list-1',
+    household_id: null,
+    shopping_date: '2025-03-02',
+    created_at: '2025-03-01T10:00:00Z',
+    category: 'Padaria',
+    total: 200,
+  },
+  {
+    list_id: 'list-2',
+    household_id: null,
+    shopping_date: '2025-03-20',
+    created_at: '2025-03-05T10:00:00Z',
+    category: 'Açougue',
+    total: 60,
+  },
+  {
+    list_id: 'list-2',
+    household_id: null,
+    shopping_date: '2025-03-20',
+    created_at: '2025-03-05T10:00:00Z',
+    category: 'Bebidas',
+    total: 150,
+  },
+];
+
+function buildBudgetRepository(rows = spending, userBudgets = budgets) {
+  const calls = [];
+  return {
+    calls,
+    getBudgets: async () => userBudgets,
+    getSpending: async (userId, from, to) => {
+      calls.push({ userId, from, to });
+      return rows;
+    },
+    getBudgetById: async (id) => userBudgets.find((budget) => budget.id === id) || null,
+    createBudget: async (data) => ({ id: BUDGET_ID, ...data }),
+    updateBudget: async (id, updates) => ({ id, ...updates }),
+    deleteBudget: async (id) => ({ id }),
+  };
+}
+
+test('monthRange should cover the whole month', () => {
+  assert.deepStrictEqual(monthRange('2024-02'), { from: '2024-02-01', to: '2024-02-29' });
+  assert.deepStrictEqual(monthRange('2025-12'), { from: '2025-12-01', to: '2025-12-31' });
+});
+
+test('getBudgetWarning should flag the month and the categories a list goes over', () => {
+  const status = {
+    month: '2025-03',
+    household_id: null,
+    amount: 500,
+    spent: 320,
+    categories: [{ category: 'Açougue', amount: 150, spent: 120 }],
+  };
+
+  assert.strictEqual(getBudgetWarning(status, { total: 100, categories: { Padaria: 100 } }), null);
+  assert.deepStrictEqual(
+    getBudgetWarning(status, { total: 210, categories: { Açougue: 60, Bebidas: 150 } }),
+    {
+      month: '2025-03',
+      household_id: null,
+      over_budget: true,
+      over_by: 30,
+      categories: [{ category: 'Açougue', amount: 150, spent: 180, over_by: 30 }],
+    }
+  );
+});
+
+test('getBudgetReport should report consumption per scope and category', async () => {
+  const repo = buildBudgetRepository();
+
+  const report = await budgetService.getBudgetReport(USER_ID, undefined, repo, NOW);
+
+  assert.strictEqual(report.month, '2025-03');
+  assert.deepStrictEqual(repo.calls, [{ userId: USER_ID, from: '2025-03-01', to: '2025-03-31' }]);
+  assert.deepStrictEqual(report.scopes, [
+    {
+      month: '2025-03',
+      household_id: null,
+      amount: 500,
+      spent: 530,
+      remaining: -30,
+      percentage: 106,
+      over_budget: true,
+      categories: [
+        {
+          category: 'Açougue',
+          amount: 150,
+          spent: 180,
+          remaining: -30,
+          percentage: 120,
+          over_budget: true,
+        },
+      ],
+    },
+  ]);
+  await assert.rejects(
+    () => budgetService.getBudgetReport(USER_ID, '2025-13', repo, NOW),
+    /Invalid month/
+  );
+});
+
+test('annotateLists should only warn about the list that takes the month over budget', async () => {
+  const lists = [
+    { id: 'list-2', user_id: USER_ID, household_id: null, shopping_date: '2025-03-20' },
+    { id: 'list-1', user_id: USER_ID, household_id: null, shopping_date: '2025-03-02' },
+  ];
+
+  const [second, first] = await budgetService.annotateLists(
+    lists,
+    USER_ID,
+    buildBudgetRepository()
+  );
+
+  assert.strictEqual(first.budget_warning, null);
+  assert.strictEqual(second.budget_warning.over_by, 30);
+  assert.deepStrictEqual(
+    second.budget_warning.categories.map((category) => category.category),
+    ['Açougue']
+  );
+  assert.strictEqual(first.budget.spent, 530);
+  assert.strictEqual(first.budget.remaining, -30);
+});
+
+test('annotateLists should leave lists of scopes without budgets alone', async () => {
+  const householdList = {
+    id: 'list-3',
+    user_id: OTHER_USER_ID,
+    household_id: HOUSEHOLD_ID,
+    shopping_date: '2025-03-05',
+  };
+  const repo = buildBudgetRepository();
+
+  const [annotated] = await budgetService.annotateLists([householdList], USER_ID, repo);
+  const [withoutBudgets] = await budgetService.annotateLists(
+    [householdList],
+    USER_ID,
+    buildBudgetRepository(spending, [])
+  );
+
+  assert.strictEqual(annotated.budget, null);
+  assert.strictEqual(annotated.budget_warning, null);
+  assert.strictEqual(withoutBudgets.budget, null);
+});
+
+test('getShoppingLists should not fail when budgets cannot be loaded', async () => {
+  const lists = [
+    {
+      id: 'list-1',
+      user_id: USER_ID,
+      shopping_date: '2025-03-02',
+      items_count: 2,
+      checked_items_count: 1,
+      total_amount: 320,
+    },
+  ];
+  const budgetRepo = {
+    getBudgets: async () => {
+      throw new Error('Failed to get budgets: connection refused');
+    },
+  };
+  const budgets = {
+    annotateLists: (annotatedLists, userId) =>
+      budgetService.annotateLists(annotatedLists, userId, budgetRepo),
+  };
+
+  const result = await shoppingListService.getShoppingLists(
+    USER_ID,
+    {},
+    { getShoppingLists: async () => lists },
+    budgets
+  );
+
+  assert.strictEqual(result.length, 1);
+  assert.strictEqual(result[0].completion_percentage, 50);
+  assert.strictEqual(result[0].budget, null);
+  assert.strictEqual(result[0].budget_warning, null);
+});
+
+test('updateBudget should only let the owner change a personal budget', async () => {
+  const repo = buildBudgetRepository();
+
+  const updated = await budgetService.updateBudget(BUDGET_ID, USER_ID, { amount: '650' }, repo);
+
+  assert.deepStrictEqual(updated, { id: BUDGET_ID, amount: 650, category: null });
+  await assert.rejects(
+    () => budgetService.updateBudget(BUDGET_ID, OTHER_USER_ID, { amount: 650 }, repo),
+    /not authorized/
+  );
+  await assert.rejects(
+    () => budgetService.updateBudget(BUDGET_ID, USER_ID, { amount: -5 }, repo),
+    /must be a positive number/
+  );
+});
+
+test('createBudget should check household write access', async () => {
+  const households = {
+    authorizeHousehold: async () => {
+      throw new Error('Household role "viewer" is not authorized to write');
+    },
+  };
+  const handler = createBudgetHandler({
+    createBudget: (data) => budgetService.createBudget(data, buildBudgetRepository(), households),
+  });
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ amount: 800, household_id: HOUSEHOLD_ID }),
+  });
+
+  assert.strictEqual(response.statusCode, 403);
+});
+
+test('budget handlers should map errors and methods to status codes', async () => {
+  const getHandler = getBudgetsHandler({
+    getBudgets: async (params) => ({ month: params.month, budgets: [], scopes: [] }),
+  });
+  const updateHandler = updateBudgetHandler({
+    updateBudget: async () => {
+      throw new Error('A budget already exists for this category');
+    },
+  });
+
+  const report = await getHandler({
+    httpMethod: 'GET',
+    headers: authHeaders,
+    queryStringParameters: { month: '2025-03' },
+  });
+  const conflict = await updateHandler({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ budget_id: BUDGET_ID, category: 'Açougue' }),
+  });
+  const wrongMethod = await getHandler({ httpMethod: 'POST', headers: authHeaders });
+
+  assert.strictEqual(report.statusCode, 200);
+  assert.strictEqual(JSON.parse(report.body).month, '2025-03');
+  assert.strictEqual(conflict.statusCode, 409);
+  assert.strictEqual(wrongMethod.statusCode, 405);
+});
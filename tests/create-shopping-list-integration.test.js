@@ -2,6 +2,11 @@
 const test = require('node:test');
 const assert = require('node:assert');
 const { buildHandler } = require('../src/api/create-shopping-list');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: TEST_USER_ID })}` };
 
 /**
  * Integration test to verify the "ShoppingList is not defined" bug is fixed
@@ -14,6 +19,7 @@ test('Integration - create-shopping-list should not throw "ShoppingList is not d
   // Create a request with the exact payload from the bug report
   const event = {
     httpMethod: 'POST',
+    headers: authHeaders,
     body: JSON.stringify({
       user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
       title: 'Teste Super',
@@ -56,6 +62,7 @@ test('Integration - create-shopping-list should validate using models', async ()
   // Test with missing required fields that should be caught by model validation
   const event = {
     httpMethod: 'POST',
+    headers: authHeaders,
     body: JSON.stringify({
       user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
       // Missing title - should be caught by ShoppingList model validation
@@ -87,6 +94,7 @@ test('Integration - create-shopping-list should validate item fields using model
   // Test with invalid item data that should be caught by ShoppingListItem model validation
   const event = {
     httpMethod: 'POST',
+    headers: authHeaders,
     body: JSON.stringify({
       user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
       title: 'Test List',
@@ -120,6 +128,7 @@ test('Integration - create-shopping-list should reject invalid method', async ()
 
   const event = {
     httpMethod: 'GET', // Wrong method
+    headers: authHeaders,
     body: '{}',
   };
 
@@ -135,6 +144,7 @@ test('Integration - create-shopping-list should accept null market_id', async ()
   // Test with null market_id (market is optional)
   const event = {
     httpMethod: 'POST',
+    headers: authHeaders,
     body: JSON.stringify({
       user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
       title: 'Test List Without Market',
@@ -174,6 +184,7 @@ test('Integration - create-shopping-list with invalid UUID market_id', async ()
   // Test with invalid UUID for market_id
   const event = {
     httpMethod: 'POST',
+    headers: authHeaders,
     body: JSON.stringify({
       user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
       title: 'Test List',
@@ -2,6 +2,11 @@
 const test = require('node:test');
 const assert = require('node:assert');
 const { buildHandler } = require('../src/api/delete-shopping-list');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: TEST_USER_ID })}` };
 
 /**
  * Tests for delete shopping list API endpoint
@@ -12,6 +17,7 @@ test('delete-shopping-list should reject non-DELETE methods', async () => {
 
   const event = {
     httpMethod: 'GET',
+    headers: authHeaders,
     body: '{}',
   };
 
@@ -27,6 +33,7 @@ test('delete-shopping-list should require shopping list ID', async () => {
 
   const event = {
     httpMethod: 'DELETE',
+    headers: authHeaders,
     body: JSON.stringify({
       user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
     }),
@@ -39,21 +46,22 @@ test('delete-shopping-list should require shopping list ID', async () => {
   assert.strictEqual(body.error, 'Shopping list ID is required');
 });
 
-test('delete-shopping-list should require user ID', async () => {
+test('delete-shopping-list should require a session token', async () => {
   const handler = buildHandler();
 
   const event = {
     httpMethod: 'DELETE',
     body: JSON.stringify({
       id: '123e4567-e89b-12d3-a456-426614174000',
+      user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
     }),
   };
 
   const result = await handler(event);
 
-  assert.strictEqual(result.statusCode, 400);
+  assert.strictEqual(result.statusCode, 401);
   const body = JSON.parse(result.body);
-  assert.strictEqual(body.error, 'User ID is required');
+  assert.strictEqual(body.error, 'Authentication required');
 });
 
 test('delete-shopping-list should call controller with correct params', async () => {
@@ -74,6 +82,7 @@ test('delete-shopping-list should call controller with correct params', async ()
 
   const event = {
     httpMethod: 'DELETE',
+    headers: authHeaders,
     body: JSON.stringify({
       id: '123e4567-e89b-12d3-a456-426614174000',
       user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
@@ -92,7 +101,7 @@ test('delete-shopping-list should call controller with correct params', async ()
 test('delete-shopping-list should return 400 on controller error', async () => {
   const mockController = {
     deleteShoppingList: async () => {
-      throw new Error('List not found');
+      throw new Error('Invalid UUID format for id: 123');
     },
   };
 
@@ -100,6 +109,7 @@ test('delete-shopping-list should return 400 on controller error', async () => {
 
   const event = {
     httpMethod: 'DELETE',
+    headers: authHeaders,
     body: JSON.stringify({
       id: '123e4567-e89b-12d3-a456-426614174000',
       user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
@@ -110,7 +120,31 @@ test('delete-shopping-list should return 400 on controller error', async () => {
 
   assert.strictEqual(result.statusCode, 400);
   const body = JSON.parse(result.body);
-  assert.strictEqual(body.error, 'List not found');
+  assert.strictEqual(body.error, 'Invalid UUID format for id: 123');
+});
+
+test('delete-shopping-list should return 404 and 403 for missing and not-owned lists', async () => {
+  const event = {
+    httpMethod: 'DELETE',
+    headers: authHeaders,
+    body: JSON.stringify({ id: '123e4567-e89b-12d3-a456-426614174000' }),
+  };
+
+  for (const [message, statusCode] of [
+    ['Shopping list not found', 404],
+    ['User not authorized to delete this shopping list', 403],
+  ]) {
+    const handler = buildHandler({
+      deleteShoppingList: async () => {
+        throw new Error(message);
+      },
+    });
+
+    const result = await handler(event);
+
+    assert.strictEqual(result.statusCode, statusCode);
+    assert.strictEqual(JSON.parse(result.body).error, message);
+  }
 });
 
 test('delete-shopping-list should include CORS headers', async () => {
@@ -127,6 +161,7 @@ test('delete-shopping-list should include CORS headers', async () => {
 
   const event = {
     httpMethod: 'DELETE',
+    headers: authHeaders,
     body: JSON.stringify({
       id: '123e4567-e89b-12d3-a456-426614174000',
       user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
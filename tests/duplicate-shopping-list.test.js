@@ -0,0 +1,303 @@
+// tests/duplicate-shopping-list.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const shoppingListService = require('../src/services/shoppingListService');
+const shoppingListController = require('../src/controllers/shoppingListController');
+const { buildHandler } = require('../src/api/duplicate-shopping-list');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const MEMBER_ID = '2f5d3c1e-8a4b-4c6d-9e0f-1a2b3c4d5e6f';
+const HOUSEHOLD_ID = '550e8400-e29b-41d4-a716-446655440000';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const COPY_ID = '123e4567-e89b-12d3-a456-426614174999';
+const MARKET_ID = '750e8400-e29b-41d4-a716-446655440001';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: USER_ID })}` };
+
+/**
+ * Tests for duplicating shopping lists
+ */
+
+const sourceList = {
+  id: LIST_ID,
+  user_id: USER_ID,
+  household_id: null,
+  title: 'Compras da Semana',
+  description: 'Feira e mercado',
+  shopping_date: '2025-03-05',
+  market_id: MARKET_ID,
+  payment_id: null,
+  share_code: 'ABCDEFGHJKLM',
+  is_completed: true,
+  items: [
+    {
+      id: 'item-1',
+      list_id: LIST_ID,
+      product_name: 'Leite',
+      category: 'Laticínios',
+      quantity: 2,
+      unit: 'l',
+      unit_price: 4.5,
+      total_price: 9,
+      is_checked: true,
+      notes: 'integral',
+    },
+    {
+      id: 'item-2',
+      list_id: LIST_ID,
+      product_name: 'Pão',
+      category: 'Padaria',
+      quantity: 1,
+      unit: 'pct',
+      unit_price: 8,
+      total_price: 8,
+      is_checked: false,
+      notes: null,
+    },
+  ],
+};
+
+function buildRepository(list = sourceList) {
+  const created = [];
+  return {
+    created,
+    getShoppingListById: async (id) => (id === LIST_ID ? list : null),
+    createShoppingList: async (listData, items) => {
+      created.push({ listData, items });
+      return { id: COPY_ID, ...listData, items };
+    },
+  };
+}
+
+test('duplicateShoppingList should copy the list with a new share code and unchecked items', async () => {
+  const repo = buildRepository();
+
+  const copy = await shoppingListService.duplicateShoppingList(LIST_ID, USER_ID, {}, repo);
+
+  assert.strictEqual(copy.id, COPY_ID);
+  assert.strictEqual(copy.title, 'Compras da Semana');
+  assert.strictEqual(copy.description, 'Feira e mercado');
+  assert.strictEqual(copy.shopping_date, '2025-03-05');
+  assert.strictEqual(copy.market_id, MARKET_ID);
+  assert.match(copy.share_code, /^[A-HJ-NP-Z2-9]{12}$/);
+  assert.notStrictEqual(copy.share_code, sourceList.share_code);
+  assert.strictEqual(copy.is_completed, undefined);
+  assert.deepStrictEqual(copy.items, [
+    {
+      product_name: 'Leite',
+      category: 'Laticínios',
+      quantity: 2,
+      unit: 'l',
+      unit_price: 4.5,
+      notes: 'integral',
+      is_checked: false,
+    },
+    {
+      product_name: 'Pão',
+      category: 'Padaria',
+      quantity: 1,
+      unit: 'pct',
+      unit_price: 8,
+      notes: null,
+      is_checked: false,
+    },
+  ]);
+});
+
+test('duplicateShoppingList should apply overrides and item options', async () => {
+  const repo = buildRepository();
+
+  const copy = await shoppingListService.duplicateShoppingList(
+    LIST_ID,
+    USER_ID,
+    {
+      title: '  Compras do Mês ',
+      shopping_date: '2025-04-01',
+      market_id: null,
+      keep_checked: true,
+      keep_prices: false,
+      keep_notes: false,
+    },
+    repo
+  );
+
+  assert.strictEqual(copy.title, 'Compras do Mês');
+  assert.strictEqual(copy.shopping_date, '2025-04-01');
+  assert.strictEqual(copy.market_id, null);
+  assert.deepStrictEqual(
+    copy.items.map((item) => [item.product_name, item.is_checked, item.unit_price, item.notes]),
+    [
+      ['Leite', true, 0, null],
+      ['Pão', false, 0, null],
+    ]
+  );
+});
+
+test('duplicateShoppingList should reject bad options and missing lists', async () => {
+  const repo = buildRepository();
+
+  await assert.rejects(
+    () => shoppingListService.duplicateShoppingList(LIST_ID, USER_ID, { keep_prices: 'no' }, repo),
+    /Invalid keep_prices/
+  );
+  await assert.rejects(
+    () =>
+      shoppingListService.duplicateShoppingList(
+        LIST_ID,
+        USER_ID,
+        { shopping_date: '05/04/2025' },
+        repo
+      ),
+    /Shopping date must be in YYYY-MM-DD format/
+  );
+  await assert.rejects(
+    () => shoppingListService.duplicateShoppingList(COPY_ID, USER_ID, {}, repo),
+    /Shopping list not found/
+  );
+  assert.strictEqual(repo.created.length, 0);
+});
+
+test('duplicateShoppingList should keep household copies to members who can add lists', async () => {
+  const repo = buildRepository({ ...sourceList, user_id: USER_ID, household_id: HOUSEHOLD_ID });
+  const households = {
+    authorizeHousehold: async (householdId, userId) => {
+      if (userId !== USER_ID) {
+        throw new Error('Household role "viewer" is not authorized to write');
+      }
+    },
+  };
+
+  const copy = await shoppingListService.duplicateShoppingList(
+    LIST_ID,
+    USER_ID,
+    {},
+    repo,
+    households
+  );
+
+  assert.strictEqual(copy.household_id, HOUSEHOLD_ID);
+  await assert.rejects(
+    () => shoppingListService.duplicateShoppingList(LIST_ID, MEMBER_ID, {}, repo, households),
+    /not authorized/
+  );
+});
+
+test('duplicateShoppingList should retry when the share code is already taken', async () => {
+  const repo = buildRepository();
+  const createShoppingList = repo.createShoppingList;
+  let attempts = 0;
+  repo.createShoppingList = async (listData, items) => {
+    attempts++;
+    if (attempts === 1) {
+      throw new Error(
+        'duplicate key value violates unique constraint "shopping_lists_share_code_key"'
+      );
+    }
+    return createShoppingList(listData, items);
+  };
+
+  const copy = await shoppingListService.duplicateShoppingList(LIST_ID, USER_ID, {}, repo);
+
+  assert.strictEqual(attempts, 2);
+  assert.strictEqual(copy.id, COPY_ID);
+});
+
+test('duplicateShoppingList should create the copy like a new list', async () => {
+  const OTHER_MARKET_ID = '750e8400-e29b-41d4-a716-446655440002';
+  const PAYMENT_ID = '850e8400-e29b-41d4-a716-446655440003';
+  const recorded = [];
+  const prices = {
+    recordItemPrices: async (items, list, source) => recorded.push([items.length, list.id, source]),
+  };
+  const markets = { getMarketById: async (id) => (id === MARKET_ID ? { id } : null) };
+  const payments = { getPaymentMethodById: async (id) => (id === PAYMENT_ID ? { id } : null) };
+  const duplicate = (repo, options, userId = USER_ID) =>
+    shoppingListService.duplicateShoppingList(
+      LIST_ID,
+      userId,
+      options,
+      repo,
+      { authorizeHousehold: async () => {} },
+      prices,
+      markets,
+      payments
+    );
+
+  // Its prices go into the price history
+  const repo = buildRepository();
+  const copy = await duplicate(repo, { payment_id: PAYMENT_ID });
+  assert.strictEqual(copy.payment_id, PAYMENT_ID);
+  assert.deepStrictEqual(recorded, [[2, COPY_ID, 'created']]);
+
+  // Only the user's own markets and payment methods can be picked
+  await assert.rejects(() => duplicate(repo, { market_id: OTHER_MARKET_ID }), /Market not found/);
+  await assert.rejects(
+    () => duplicate(repo, { payment_id: OTHER_MARKET_ID }),
+    /Payment method not found/
+  );
+
+  // A member's copy of a household list does not keep the owner's market
+  const household = buildRepository({ ...sourceList, household_id: HOUSEHOLD_ID });
+  const memberCopy = await duplicate(household, {}, MEMBER_ID);
+  assert.strictEqual(memberCopy.market_id, null);
+
+  // Items are validated and limited like the items of a new list
+  const invalid = buildRepository({
+    ...sourceList,
+    items: [{ ...sourceList.items[0], unit: 'saco' }],
+  });
+  await assert.rejects(() => duplicate(invalid, {}), /Item 1: Unit must be one of/);
+  const tooMany = buildRepository({ ...sourceList, items: Array(101).fill(sourceList.items[0]) });
+  await assert.rejects(() => duplicate(tooMany, {}), /cannot have more than 100 items/);
+  const empty = buildRepository({ ...sourceList, items: [] });
+  await assert.rejects(() => duplicate(empty, {}), /must have at least one item/);
+  assert.strictEqual(invalid.created.length + tooMany.created.length + empty.created.length, 0);
+});
+
+test('duplicate-shopping-list should create the copy and record it', async () => {
+  const recorded = [];
+  const activity = {
+    recordActivity: async (action, list, actor, details) => {
+      recorded.push({ action, list_id: list.id, actor, details });
+      return true;
+    },
+  };
+  const srv = {
+    duplicateShoppingList: async (id, userId, options) => ({
+      id: COPY_ID,
+      user_id: userId,
+      ...options,
+      items: sourceList.items,
+    }),
+  };
+  const handler = buildHandler({
+    duplicateShoppingList: (data) =>
+      shoppingListController.duplicateShoppingList(data, srv, activity),
+  });
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ id: LIST_ID, shopping_date: '2025-04-01', keep_checked: false }),
+  });
+  const missingId = await handler({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ shopping_date: '2025-04-01' }),
+  });
+  const wrongMethod = await handler({ httpMethod: 'GET', headers: authHeaders });
+
+  assert.strictEqual(response.statusCode, 201);
+  assert.strictEqual(JSON.parse(response.body).shopping_date, '2025-04-01');
+  assert.deepStrictEqual(recorded, [
+    {
+      action: 'list_created',
+      list_id: COPY_ID,
+      actor: { user_id: USER_ID },
+      details: { items_count: 2, duplicated_from: LIST_ID },
+    },
+  ]);
+  assert.strictEqual(missingId.statusCode, 400);
+  assert.strictEqual(wrongMethod.statusCode, 405);
+});
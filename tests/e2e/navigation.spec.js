@@ -15,6 +15,7 @@ test.describe('Navigation Flow', () => {
     // Fill the form
     await page.fill('#userName', 'Test User');
     await page.fill('#userPhone', '(11) 98765-4321');
+    await page.fill('#userPassword', 'test-password');
     await page.selectOption('#preferredMarket', 'carrefour');
 
     // Submit the form
@@ -2,11 +2,16 @@
 const test = require('node:test');
 const assert = require('node:assert');
 const { buildHandler } = require('../src/api/get-markets');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: TEST_USER_ID })}` };
 
 // Mock controller
 const mockController = {
   getMarkets: async (params) => {
-    if (params.user_id === 'valid-user-id') {
+    if (params.user_id === TEST_USER_ID) {
       return [
         {
           id: '650e8400-e29b-41d4-a716-446655440001',
@@ -24,25 +29,26 @@ const mockController = {
   },
 };
 
-test('get-markets handler should return 400 when user_id is missing', async () => {
+test('get-markets handler should return 401 without a session token', async () => {
   const handler = buildHandler(mockController);
   const event = {
     httpMethod: 'GET',
-    queryStringParameters: {},
+    queryStringParameters: { user_id: TEST_USER_ID },
   };
 
   const result = await handler(event);
 
-  assert.strictEqual(result.statusCode, 400);
+  assert.strictEqual(result.statusCode, 401);
   const body = JSON.parse(result.body);
-  assert.strictEqual(body.error, 'User ID is required');
+  assert.strictEqual(body.error, 'Authentication required');
 });
 
 test('get-markets handler should return 405 for non-GET methods', async () => {
   const handler = buildHandler(mockController);
   const event = {
     httpMethod: 'POST',
-    queryStringParameters: { user_id: 'valid-user-id' },
+    headers: authHeaders,
+    queryStringParameters: {},
   };
 
   const result = await handler(event);
@@ -55,7 +61,8 @@ test('get-markets handler should return markets for valid user', async () => {
   const handler = buildHandler(mockController);
   const event = {
     httpMethod: 'GET',
-    queryStringParameters: { user_id: 'valid-user-id' },
+    headers: authHeaders,
+    queryStringParameters: {},
   };
 
   const result = await handler(event);
@@ -67,11 +74,29 @@ test('get-markets handler should return markets for valid user', async () => {
   assert.strictEqual(body.markets[0].name, 'Supermercado Central');
 });
 
+test('get-markets handler should ignore user_id sent by the client', async () => {
+  const handler = buildHandler(mockController);
+  const event = {
+    httpMethod: 'GET',
+    headers: {
+      authorization: `Bearer ${signToken({ sub: '650e8400-e29b-41d4-a716-446655440099' })}`,
+    },
+    queryStringParameters: { user_id: TEST_USER_ID },
+  };
+
+  const result = await handler(event);
+
+  assert.strictEqual(result.statusCode, 200);
+  const body = JSON.parse(result.body);
+  assert.strictEqual(body.markets.length, 0);
+});
+
 test('get-markets handler should return correct CORS headers', async () => {
   const handler = buildHandler(mockController);
   const event = {
     httpMethod: 'GET',
-    queryStringParameters: { user_id: 'valid-user-id' },
+    headers: authHeaders,
+    queryStringParameters: {},
   };
 
   const result = await handler(event);
@@ -86,7 +111,10 @@ test('get-markets handler should return empty array for user with no markets', a
   const handler = buildHandler(mockController);
   const event = {
     httpMethod: 'GET',
-    queryStringParameters: { user_id: 'user-with-no-markets' },
+    headers: {
+      authorization: `Bearer ${signToken({ sub: '650e8400-e29b-41d4-a716-446655440099' })}`,
+    },
+    queryStringParameters: {},
   };
 
   const result = await handler(event);
@@ -5,8 +5,13 @@
 
 const { test } = require('node:test');
 const assert = require('node:assert');
+const { signToken } = require('../src/utils/token');
 
-test('get-shopping-lists handler should return 400 when user_id is missing', async () => {
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '608bdcef-56f8-44cd-8991-bb5e1a6dfac4';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: TEST_USER_ID })}` };
+
+test('get-shopping-lists handler should return 401 without a session token', async () => {
   const { buildHandler } = require('../src/api/get-shopping-lists');
 
   const mockController = {
@@ -17,14 +22,14 @@ test('get-shopping-lists handler should return 400 when user_id is missing', asy
 
   const event = {
     httpMethod: 'GET',
-    queryStringParameters: {},
+    queryStringParameters: { user_id: TEST_USER_ID },
   };
 
   const result = await handler(event);
 
-  assert.strictEqual(result.statusCode, 400);
+  assert.strictEqual(result.statusCode, 401);
   const body = JSON.parse(result.body);
-  assert.match(body.error, /User ID is required/);
+  assert.match(body.error, /Authentication required/);
 });
 
 test('get-shopping-lists handler should return 405 for non-GET methods', async () => {
@@ -38,7 +43,8 @@ test('get-shopping-lists handler should return 405 for non-GET methods', async (
 
   const event = {
     httpMethod: 'POST',
-    queryStringParameters: { user_id: '608bdcef-56f8-44cd-8991-bb5e1a6dfac4' },
+    headers: authHeaders,
+    queryStringParameters: {},
   };
 
   const result = await handler(event);
@@ -74,7 +80,8 @@ test('get-shopping-lists handler should return 500 when credentials are missing'
 
     const event = {
       httpMethod: 'GET',
-      queryStringParameters: { user_id: '608bdcef-56f8-44cd-8991-bb5e1a6dfac4' },
+      headers: authHeaders,
+      queryStringParameters: {},
     };
 
     const result = await handler(event);
@@ -113,8 +120,9 @@ test('get-shopping-lists handler should call controller with correct params', as
 
   const event = {
     httpMethod: 'GET',
+    headers: authHeaders,
     queryStringParameters: {
-      user_id: '608bdcef-56f8-44cd-8991-bb5e1a6dfac4',
+      user_id: '9eb946b7-7e29-4460-a9cf-81aebac2ea4c',
       limit: '50',
     },
   };
@@ -123,7 +131,8 @@ test('get-shopping-lists handler should call controller with correct params', as
 
   assert.strictEqual(result.statusCode, 200);
   assert.ok(capturedParams);
-  assert.strictEqual(capturedParams.user_id, '608bdcef-56f8-44cd-8991-bb5e1a6dfac4');
+  // user_id comes from the session token, not from the query string
+  assert.strictEqual(capturedParams.user_id, TEST_USER_ID);
   assert.strictEqual(capturedParams.limit, '50');
 });
 
@@ -138,7 +147,8 @@ test('get-shopping-lists handler should return correct CORS headers', async () =
 
   const event = {
     httpMethod: 'GET',
-    queryStringParameters: { user_id: '608bdcef-56f8-44cd-8991-bb5e1a6dfac4' },
+    headers: authHeaders,
+    queryStringParameters: {},
   };
 
   const result = await handler(event);
@@ -165,7 +175,8 @@ test('get-shopping-lists handler should return shopping lists data', async () =>
 
   const event = {
     httpMethod: 'GET',
-    queryStringParameters: { user_id: '608bdcef-56f8-44cd-8991-bb5e1a6dfac4' },
+    headers: authHeaders,
+    queryStringParameters: {},
   };
 
   const result = await handler(event);
@@ -0,0 +1,133 @@
+// tests/get-shopping-lists-performance.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const repository = require('../src/repositories/shoppingListRepository');
+
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const HOUSEHOLD_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+/**
+ * Performance tests for reading the shopping lists of a user: the number of
+ * database round trips must not grow with the number of lists
+ */
+
+// Supabase client that records every query and answers with canned rows
+function createCountingClient(rowsByTable) {
+  const queries = [];
+
+  function from(table) {
+    const query = { table, calls: [] };
+    queries.push(query);
+
+    const builder = new Proxy(
+      {},
+      {
+        get(target, method) {
+          if (method === 'then') {
+            const result = { data: rowsByTable[table] || [], error: null };
+            return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+          }
+          return (...args) => {
+            query.calls.push([method, ...args]);
+            return builder;
+          };
+        },
+      }
+    );
+    return builder;
+  }
+
+  return {
+    queries,
+    from,
+    rpc: async (name) => {
+      queries.push({ rpc: name, calls: [] });
+      return { data: [], error: null };
+    },
+  };
+}
+
+const households = {
+  getHouseholdIdsForUser: async () => [HOUSEHOLD_ID],
+  buildScopeFilter: (userId, householdIds) =>
+    `and(user_id.eq.${userId},household_id.is.null),household_id.in.(${householdIds.join(',')})`,
+};
+
+function buildLists(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `list-${index}`,
+    user_id: USER_ID,
+    title: `Lista ${index}`,
+    markets: { name: 'Mercado Central', address: 'Rua A, 1' },
+    households: index % 2 === 0 ? { name: 'Casa' } : null,
+    items: [{ count: index + 2 }],
+    checked_items: [{ count: 1 }],
+  }));
+}
+
+test('getShoppingLists should read 50 lists with their counts in one query', async () => {
+  const client = createCountingClient({ shopping_lists: buildLists(50) });
+
+  const lists = await repository.getShoppingLists(USER_ID, {}, client, households);
+
+  assert.strictEqual(lists.length, 50);
+  assert.strictEqual(client.queries.length, 1);
+  assert.strictEqual(client.queries[0].table, 'shopping_lists');
+});
+
+test('getShoppingLists should not add queries as the number of lists grows', async () => {
+  const counts = [];
+  for (const size of [0, 1, 10, 200]) {
+    const client = createCountingClient({ shopping_lists: buildLists(size) });
+    await repository.getShoppingLists(USER_ID, { limit: 500 }, client, households);
+    counts.push(client.queries.length);
+  }
+
+  assert.deepStrictEqual(counts, [1, 1, 1, 1]);
+});
+
+test('getShoppingLists should flatten the aggregated counts, market and household', async () => {
+  const client = createCountingClient({ shopping_lists: buildLists(2) });
+
+  const [first, second] = await repository.getShoppingLists(USER_ID, {}, client, households);
+
+  assert.strictEqual(first.items_count, 2);
+  assert.strictEqual(first.checked_items_count, 1);
+  assert.strictEqual(first.market_name, 'Mercado Central');
+  assert.strictEqual(first.market_address, 'Rua A, 1');
+  assert.strictEqual(first.household_name, 'Casa');
+  assert.strictEqual(second.household_name, null);
+  assert.strictEqual(first.items, undefined);
+  assert.strictEqual(first.checked_items, undefined);
+
+  // Lists without items come back without counts to read
+  const emptyClient = createCountingClient({
+    shopping_lists: [{ id: 'list-empty', items: [], checked_items: [] }],
+  });
+  const [empty] = await repository.getShoppingLists(USER_ID, {}, emptyClient, households);
+  assert.strictEqual(empty.items_count, 0);
+  assert.strictEqual(empty.checked_items_count, 0);
+});
+
+test('getShoppingLists should only count checked items that were not removed', async () => {
+  const client = createCountingClient({ shopping_lists: [] });
+
+  await repository.getShoppingLists(USER_ID, { is_completed: false }, client, households);
+
+  const calls = client.queries[0].calls;
+  const select = calls.find(([method]) => method === 'select')[1];
+  assert.match(select, /items:shopping_list_items \( count \)/);
+  assert.match(select, /checked_items:shopping_list_items \( count \)/);
+  for (const expected of [
+    ['is', 'deleted_at', null],
+    ['is', 'items.deleted_at', null],
+    ['is', 'checked_items.deleted_at', null],
+    ['eq', 'checked_items.is_checked', true],
+    ['eq', 'is_completed', false],
+  ]) {
+    assert.ok(
+      calls.some((call) => JSON.stringify(call) === JSON.stringify(expected)),
+      `missing ${JSON.stringify(expected)}`
+    );
+  }
+});
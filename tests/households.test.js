@@ -0,0 +1,430 @@
+// tests/households.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const householdService = require('../src/services/householdService');
+const listAccessService = require('../src/services/listAccessService');
+const shoppingListService = require('../src/services/shoppingListService');
+const marketService = require('../src/services/marketService');
+const { buildScopeFilter } = require('../src/repositories/householdRepository');
+const { buildHandler: getHouseholdsHandler } = require('../src/api/get-households');
+const { buildHandler: acceptInvitationHandler } = require('../src/api/accept-household-invitation');
+const { buildHandler: updateMemberHandler } = require('../src/api/update-household-member');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const MEMBER_ID = '2f1b7c3e-1d7a-4c55-9a0e-6f3f3c1b2a10';
+const VIEWER_ID = '7c0d5e2a-8b4f-4f7e-b1a2-3c4d5e6f7a8b';
+const OUTSIDER_ID = '5a6b7c8d-9e0f-4a1b-8c2d-3e4f5a6b7c8d';
+const HOUSEHOLD_ID = 'b3a1c2d4-e5f6-4789-a0b1-c2d3e4f5a6b7';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+/**
+ * Tests for household groups: roles, invitations and household-scoped data
+ */
+
+function buildMockHouseholdRepository(overrides = {}) {
+  const members = [
+    { user_id: OWNER_ID, name: 'Ana', role: 'owner' },
+    { user_id: MEMBER_ID, name: 'Bruno', role: 'member' },
+    { user_id: VIEWER_ID, name: 'Carla', role: 'viewer' },
+  ];
+
+  return {
+    getMembership: async (household_id, user_id) => {
+      const member = members.find((m) => m.user_id === user_id);
+      return household_id === HOUSEHOLD_ID && member
+        ? { household_id, user_id, role: member.role }
+        : null;
+    },
+    getMembers: async () => members,
+    ...overrides,
+  };
+}
+
+function authHeaders(user_id) {
+  return { authorization: `Bearer ${signToken({ sub: user_id })}` };
+}
+
+test('buildScopeFilter should match personal rows and rows of the user households', () => {
+  assert.strictEqual(buildScopeFilter(OWNER_ID), `user_id.eq.${OWNER_ID}`);
+  assert.strictEqual(
+    buildScopeFilter(OWNER_ID, [HOUSEHOLD_ID]),
+    `user_id.eq.${OWNER_ID},household_id.in.(${HOUSEHOLD_ID})`
+  );
+});
+
+test('createHousehold should trim the name and make the creator its owner', async () => {
+  let received;
+  const repo = {
+    createHousehold: async (data) => {
+      received = data;
+      return { id: HOUSEHOLD_ID, ...data, role: 'owner' };
+    },
+  };
+
+  const household = await householdService.createHousehold(OWNER_ID, '  Família  ', repo);
+
+  assert.deepStrictEqual(received, { name: 'Família', created_by: OWNER_ID });
+  assert.strictEqual(household.role, 'owner');
+});
+
+test('getHouseholds should load the households and their members in one query', async () => {
+  const calls = [];
+  const repo = buildMockHouseholdRepository({
+    getHouseholdsWithMembers: async (user_id) => {
+      calls.push(user_id);
+      return [{ id: HOUSEHOLD_ID, name: 'Família', role: 'owner', members: [] }];
+    },
+    getMembers: async () => assert.fail('members should come with the households'),
+  });
+
+  const households = await householdService.getHouseholds(OWNER_ID, repo);
+
+  assert.deepStrictEqual(calls, [OWNER_ID]);
+  assert.strictEqual(households[0].id, HOUSEHOLD_ID);
+});
+
+test('createHousehold should require a name', async () => {
+  await assert.rejects(
+    () => householdService.createHousehold(OWNER_ID, '   ', {}),
+    /Household name is required/
+  );
+});
+
+test('authorizeHousehold should enforce role actions', async () => {
+  const repo = buildMockHouseholdRepository();
+
+  await householdService.authorizeHousehold(HOUSEHOLD_ID, MEMBER_ID, 'write', repo);
+  await assert.rejects(
+    () => householdService.authorizeHousehold(HOUSEHOLD_ID, VIEWER_ID, 'write', repo),
+    /not authorized to write/
+  );
+  await assert.rejects(
+    () => householdService.authorizeHousehold(HOUSEHOLD_ID, MEMBER_ID, 'manage', repo),
+    /not authorized to manage/
+  );
+  await assert.rejects(
+    () => householdService.authorizeHousehold(HOUSEHOLD_ID, OUTSIDER_ID, 'read', repo),
+    /not authorized to access this household/
+  );
+});
+
+test('inviteMember should only let owners create invitations', async () => {
+  let created;
+  const repo = buildMockHouseholdRepository({
+    createInvitation: async (data) => {
+      created = data;
+      return data;
+    },
+  });
+
+  const invitation = await householdService.inviteMember(HOUSEHOLD_ID, OWNER_ID, 'viewer', repo);
+
+  assert.match(invitation.code, /^[A-Z2-9]{8}$/);
+  assert.strictEqual(created.role, 'viewer');
+  assert.ok(new Date(created.expires_at) > new Date());
+
+  await assert.rejects(
+    () => householdService.inviteMember(HOUSEHOLD_ID, MEMBER_ID, 'member', repo),
+    /not authorized to manage/
+  );
+});
+
+test('inviteMember should not hand out the owner role', async () => {
+  await assert.rejects(
+    () =>
+      householdService.inviteMember(
+        HOUSEHOLD_ID,
+        OWNER_ID,
+        'owner',
+        buildMockHouseholdRepository()
+      ),
+    /Invalid invitation role/
+  );
+});
+
+test('acceptInvitation should add the user with the invited role', async () => {
+  const calls = [];
+  const repo = buildMockHouseholdRepository({
+    getInvitationByCode: async (code) => ({
+      id: 'inv-1',
+      code,
+      household_id: HOUSEHOLD_ID,
+      household_name: 'Família',
+      role: 'viewer',
+      status: 'pending',
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+    }),
+    addMember: async (household_id, user_id, role) => {
+      calls.push(['addMember', user_id, role]);
+      return { household_id, user_id, role };
+    },
+    updateInvitation: async (id, updates) => {
+      calls.push(['updateInvitation', id, updates.status]);
+      return { id, ...updates };
+    },
+  });
+
+  const membership = await householdService.acceptInvitation(' abcd2345 ', OUTSIDER_ID, repo);
+
+  assert.strictEqual(membership.role, 'viewer');
+  assert.strictEqual(membership.household_name, 'Família');
+  assert.deepStrictEqual(calls, [
+    ['addMember', OUTSIDER_ID, 'viewer'],
+    ['updateInvitation', 'inv-1', 'accepted'],
+  ]);
+});
+
+test('acceptInvitation should reject expired and used invitations', async () => {
+  const expiredRepo = buildMockHouseholdRepository({
+    getInvitationByCode: async () => ({
+      household_id: HOUSEHOLD_ID,
+      role: 'member',
+      status: 'pending',
+      expires_at: new Date(Date.now() - 1000).toISOString(),
+    }),
+  });
+  const usedRepo = buildMockHouseholdRepository({
+    getInvitationByCode: async () => ({
+      household_id: HOUSEHOLD_ID,
+      role: 'member',
+      status: 'accepted',
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+    }),
+  });
+
+  await assert.rejects(
+    () => householdService.acceptInvitation('ABCD2345', OUTSIDER_ID, expiredRepo),
+    /Invitation has expired/
+  );
+  await assert.rejects(
+    () => householdService.acceptInvitation('ABCD2345', OUTSIDER_ID, usedRepo),
+    /Invitation not found/
+  );
+});
+
+test('the last owner cannot leave or be demoted', async () => {
+  const repo = buildMockHouseholdRepository({
+    removeMember: async () => assert.fail('should not be called'),
+    updateMemberRole: async () => assert.fail('should not be called'),
+  });
+
+  await assert.rejects(
+    () => householdService.removeMember(HOUSEHOLD_ID, OWNER_ID, OWNER_ID, repo),
+    /at least one owner/
+  );
+  await assert.rejects(
+    () => householdService.updateMemberRole(HOUSEHOLD_ID, OWNER_ID, OWNER_ID, 'member', repo),
+    /at least one owner/
+  );
+});
+
+test('members can leave but cannot remove others', async () => {
+  const removed = [];
+  const repo = buildMockHouseholdRepository({
+    removeMember: async (household_id, user_id) => {
+      removed.push(user_id);
+      return { household_id, user_id };
+    },
+  });
+
+  await householdService.removeMember(HOUSEHOLD_ID, MEMBER_ID, MEMBER_ID, repo);
+  await assert.rejects(
+    () => householdService.removeMember(HOUSEHOLD_ID, MEMBER_ID, VIEWER_ID, repo),
+    /not authorized to manage/
+  );
+
+  assert.deepStrictEqual(removed, [MEMBER_ID]);
+});
+
+test('household members can edit items on household lists, viewers cannot', async () => {
+  const listRepo = {
+    getShoppingListOwner: async (id) => ({
+      id,
+      user_id: OWNER_ID,
+      household_id: HOUSEHOLD_ID,
+      share_code: '1234',
+      share_permission: 'view',
+    }),
+  };
+  const households = {
+    getMemberRole: (household_id, user_id) =>
+      householdService.getMemberRole(household_id, user_id, buildMockHouseholdRepository()),
+  };
+
+  const list = await listAccessService.authorizeListAccess(
+    LIST_ID,
+    { user_id: MEMBER_ID },
+    'edit',
+    listRepo,
+    households
+  );
+  assert.strictEqual(list.permission, 'edit');
+
+  await assert.rejects(
+    () =>
+      listAccessService.authorizeListAccess(
+        LIST_ID,
+        { user_id: VIEWER_ID },
+        'check',
+        listRepo,
+        households
+      ),
+    /not authorized to check items/
+  );
+  await assert.rejects(
+    () =>
+      listAccessService.authorizeListAccess(
+        LIST_ID,
+        { user_id: OUTSIDER_ID },
+        'edit',
+        listRepo,
+        households
+      ),
+    /not authorized to modify this shopping list/
+  );
+});
+
+test('getShoppingListById should report the permission of household members', async () => {
+  const repo = {
+    getShoppingListById: async (id) => ({
+      id,
+      user_id: OWNER_ID,
+      household_id: HOUSEHOLD_ID,
+      title: 'Mercado',
+      shopping_date: '2025-01-01',
+      items: [],
+    }),
+  };
+  const households = {
+    getMemberRole: (household_id, user_id) =>
+      householdService.getMemberRole(household_id, user_id, buildMockHouseholdRepository()),
+  };
+
+  const asOwner = await shoppingListService.getShoppingListById(
+    LIST_ID,
+    OWNER_ID,
+    repo,
+    households
+  );
+  const asViewer = await shoppingListService.getShoppingListById(
+    LIST_ID,
+    VIEWER_ID,
+    repo,
+    households
+  );
+
+  assert.strictEqual(asOwner.permission, 'owner');
+  assert.strictEqual(asViewer.permission, 'view');
+});
+
+test('creating household lists and markets requires write access to the household', async () => {
+  const households = {
+    authorizeHousehold: (household_id, user_id, action) =>
+      householdService.authorizeHousehold(
+        household_id,
+        user_id,
+        action,
+        buildMockHouseholdRepository()
+      ),
+  };
+  const listRepo = { createShoppingList: async (data) => ({ id: LIST_ID, ...data, items: [] }) };
+  const marketRepo = { createMarket: async (data) => ({ id: 'm1', ...data }) };
+  const items = [{ product_name: 'Arroz', category: 'Grãos', quantity: 1, unit: 'kg' }];
+  const listData = (user_id) => ({
+    user_id,
+    household_id: HOUSEHOLD_ID,
+    title: 'Compras da casa',
+    shopping_date: '2030-01-01',
+  });
+
+  const list = await shoppingListService.createShoppingList(
+    listData(MEMBER_ID),
+    items,
+    listRepo,
+    households
+  );
+  assert.strictEqual(list.household_id, HOUSEHOLD_ID);
+
+  await assert.rejects(
+    () => shoppingListService.createShoppingList(listData(VIEWER_ID), items, listRepo, households),
+    /not authorized to write/
+  );
+  await assert.rejects(
+    () =>
+      marketService.createMarket(
+        { user_id: OUTSIDER_ID, household_id: HOUSEHOLD_ID, name: 'Feira' },
+        marketRepo,
+        households
+      ),
+    /not authorized to access this household/
+  );
+});
+
+test('get-households should require a session token', async () => {
+  const handler = getHouseholdsHandler({
+    getHouseholds: async () => assert.fail('should not be called'),
+  });
+
+  const response = await handler({ httpMethod: 'GET', headers: {} });
+
+  assert.strictEqual(response.statusCode, 401);
+});
+
+test('get-households should return the households of the token user', async () => {
+  const handler = getHouseholdsHandler({
+    getHouseholds: async ({ user_id }) => {
+      assert.strictEqual(user_id, MEMBER_ID);
+      return [{ id: HOUSEHOLD_ID, name: 'Família', role: 'member', members: [] }];
+    },
+  });
+
+  const response = await handler({ httpMethod: 'GET', headers: authHeaders(MEMBER_ID) });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(JSON.parse(response.body).households[0].id, HOUSEHOLD_ID);
+});
+
+test('accept-household-invitation should map expired and duplicate invitations', async () => {
+  const expired = acceptInvitationHandler({
+    acceptInvitation: async () => {
+      throw new Error('Invitation has expired');
+    },
+  });
+  const duplicate = acceptInvitationHandler({
+    acceptInvitation: async () => {
+      throw new Error('User is already a member of this household');
+    },
+  });
+  const event = {
+    httpMethod: 'POST',
+    headers: authHeaders(OUTSIDER_ID),
+    body: JSON.stringify({ code: 'ABCD2345' }),
+  };
+
+  assert.strictEqual((await expired(event)).statusCode, 410);
+  assert.strictEqual((await duplicate(event)).statusCode, 409);
+});
+
+test('update-household-member should remove members on DELETE', async () => {
+  const handler = updateMemberHandler({
+    removeMember: async (data) => {
+      assert.deepStrictEqual(data, {
+        household_id: HOUSEHOLD_ID,
+        member_id: VIEWER_ID,
+        user_id: OWNER_ID,
+      });
+      return { household_id: HOUSEHOLD_ID, user_id: VIEWER_ID };
+    },
+    updateMemberRole: async () => assert.fail('should not be called'),
+  });
+
+  const response = await handler({
+    httpMethod: 'DELETE',
+    headers: authHeaders(OWNER_ID),
+    body: JSON.stringify({ household_id: HOUSEHOLD_ID, member_id: VIEWER_ID }),
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+});
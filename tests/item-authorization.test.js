@@ -0,0 +1,189 @@
+// tests/item-authorization.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildHandler: addHandler } = require('../src/api/add-shopping-list-item');
+const { buildHandler: removeHandler } = require('../src/api/remove-shopping-list-item');
+const listAccessService = require('../src/services/listAccessService');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const OTHER_USER_ID = '00000000-0000-0000-0000-000000000002';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM_ID = '650e8400-e29b-41d4-a716-446655440001';
+
+const ownerHeaders = { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` };
+const otherHeaders = { authorization: `Bearer ${signToken({ sub: OTHER_USER_ID })}` };
+
+/**
+ * Tests for ownership checks on item-level endpoints
+ */
+
+function buildMockRepository(calls = []) {
+  return {
+    getShoppingListOwner: async (listId) =>
+      listId === LIST_ID ? { id: listId, user_id: OWNER_ID } : null,
+    getShoppingListItemById: async (itemId) =>
+      itemId === ITEM_ID ? { id: itemId, list_id: LIST_ID } : null,
+    countItems: async () => 1,
+    addItemToList: async (listId, itemData) => {
+      calls.push('addItemToList');
+      return { id: ITEM_ID, list_id: listId, ...itemData };
+    },
+    deleteShoppingListItem: async (itemId) => {
+      calls.push('deleteShoppingListItem');
+      return { id: itemId };
+    },
+  };
+}
+
+const newItemBody = JSON.stringify({
+  product_name: 'Arroz',
+  category: 'Alimentos',
+  quantity: 1,
+  unit: 'kg',
+});
+
+test('add-shopping-list-item should add the item for the list owner', async () => {
+  const calls = [];
+  const handler = addHandler(buildMockRepository(calls));
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: ownerHeaders,
+    queryStringParameters: { listId: LIST_ID },
+    body: newItemBody,
+  });
+
+  assert.strictEqual(response.statusCode, 201);
+  assert.deepStrictEqual(calls, ['addItemToList']);
+});
+
+test('add-shopping-list-item should return 403 for another user', async () => {
+  const calls = [];
+  const handler = addHandler(buildMockRepository(calls));
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: otherHeaders,
+    queryStringParameters: { listId: LIST_ID },
+    body: newItemBody,
+  });
+
+  assert.strictEqual(response.statusCode, 403);
+  assert.deepStrictEqual(calls, []);
+});
+
+test('add-shopping-list-item should return 404 for an unknown list', async () => {
+  const calls = [];
+  const handler = addHandler(buildMockRepository(calls));
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: ownerHeaders,
+    queryStringParameters: { listId: '00000000-0000-0000-0000-0000000000ff' },
+    body: newItemBody,
+  });
+
+  assert.strictEqual(response.statusCode, 404);
+  assert.strictEqual(JSON.parse(response.body).error, 'Shopping list not found');
+  assert.deepStrictEqual(calls, []);
+});
+
+test('add-shopping-list-item should return 401 without a session token', async () => {
+  const handler = addHandler(buildMockRepository());
+
+  const response = await handler({
+    httpMethod: 'POST',
+    queryStringParameters: { listId: LIST_ID },
+    body: newItemBody,
+  });
+
+  assert.strictEqual(response.statusCode, 401);
+});
+
+test('remove-shopping-list-item should remove the item for the list owner', async () => {
+  const calls = [];
+  const handler = removeHandler(buildMockRepository(calls));
+
+  const response = await handler({
+    httpMethod: 'DELETE',
+    headers: ownerHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(calls, ['deleteShoppingListItem']);
+});
+
+test('remove-shopping-list-item should return 403 for another user', async () => {
+  const calls = [];
+  const handler = removeHandler(buildMockRepository(calls));
+
+  const response = await handler({
+    httpMethod: 'DELETE',
+    headers: otherHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+  });
+
+  assert.strictEqual(response.statusCode, 403);
+  assert.deepStrictEqual(calls, []);
+});
+
+test('remove-shopping-list-item should return 404 for an unknown item', async () => {
+  const calls = [];
+  const handler = removeHandler(buildMockRepository(calls));
+
+  const response = await handler({
+    httpMethod: 'DELETE',
+    headers: ownerHeaders,
+    queryStringParameters: { itemId: '00000000-0000-0000-0000-0000000000ff' },
+  });
+
+  assert.strictEqual(response.statusCode, 404);
+  assert.strictEqual(JSON.parse(response.body).error, 'Shopping list item not found');
+  assert.deepStrictEqual(calls, []);
+});
+
+test('remove-shopping-list-item should return 400 for a malformed item ID', async () => {
+  const repo = {
+    ...buildMockRepository(),
+    getShoppingListItemById: async (itemId) => {
+      throw new Error(`Invalid UUID format for item_id: ${itemId}`);
+    },
+  };
+  const handler = removeHandler(repo);
+
+  const response = await handler({
+    httpMethod: 'DELETE',
+    headers: ownerHeaders,
+    queryStringParameters: { itemId: 'not-a-uuid' },
+  });
+
+  assert.strictEqual(response.statusCode, 400);
+});
+
+test('listAccessService.authorizeItemAccess should return the item and its list', async () => {
+  const result = await listAccessService.authorizeItemAccess(
+    ITEM_ID,
+    { user_id: OWNER_ID },
+    'edit',
+    buildMockRepository()
+  );
+
+  assert.strictEqual(result.item.id, ITEM_ID);
+  assert.strictEqual(result.list.id, LIST_ID);
+});
+
+test('listAccessService.authorizeListAccess should reject other users', async () => {
+  await assert.rejects(
+    () =>
+      listAccessService.authorizeListAccess(
+        LIST_ID,
+        { user_id: OTHER_USER_ID },
+        'edit',
+        buildMockRepository()
+      ),
+    { message: 'User not authorized to modify this shopping list' }
+  );
+});
@@ -0,0 +1,246 @@
+// tests/item-parser.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseNumber,
+  parseItemLine,
+  parseItemText,
+  parseItemTextStrict,
+  guessCategory,
+} = require('../src/utils/itemParser');
+const controller = require('../src/controllers/shoppingListController');
+const { buildHandler: addHandler } = require('../src/api/add-shopping-list-item');
+const { createInProcessBroker } = require('../src/services/realtimeService');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: USER_ID })}` };
+
+/**
+ * Tests for adding items from free text
+ */
+
+test('parseItemLine should read quantity, unit, price and category', () => {
+  assert.deepStrictEqual(parseItemLine('2kg arroz tio joão R$ 25'), {
+    product_name: 'Arroz tio joão',
+    category: 'Cereais e Grãos',
+    quantity: 2,
+    unit: 'kg',
+    unit_price: 12.5,
+    notes: null,
+  });
+
+  const read = (line) => {
+    const { product_name, quantity, unit, unit_price } = parseItemLine(line);
+    return [product_name, quantity, unit, unit_price];
+  };
+  assert.deepStrictEqual(read('- 3 pacotes de macarrão'), ['Macarrão', 3, 'pct', 0]);
+  assert.deepStrictEqual(read('leite 2 litros R$ 4,99 cada'), ['Leite', 2, 'l', 4.99]);
+  assert.deepStrictEqual(read('1,5 quilo de picanha total R$ 120'), ['Picanha', 1.5, 'kg', 80]);
+  assert.deepStrictEqual(read('meia dúzia de ovos'), ['Ovos', 6, 'un', 0]);
+  assert.deepStrictEqual(read('duas caixas de leite'), ['Leite', 2, 'cx', 0]);
+  assert.deepStrictEqual(read('500 gramas de queijo 12 reais'), ['Queijo', 0.5, 'kg', 24]);
+  assert.deepStrictEqual(read('1. Iogurte 170ml'), ['Iogurte', 170, 'ml', 0]);
+  assert.deepStrictEqual(read('[x] detergente x3'), ['Detergente', 3, 'un', 0]);
+  assert.deepStrictEqual(read('feijão - R$ 8,50'), ['Feijão', 1, 'un', 8.5]);
+
+  // A number at the start is the count; a size later on stays in the name
+  assert.deepStrictEqual(read('2 arroz 5kg'), ['Arroz 5kg', 2, 'un', 0]);
+  assert.deepStrictEqual(read('Iogurte 170ml x6'), ['Iogurte 170ml', 6, 'un', 0]);
+  assert.deepStrictEqual(read('Arroz Branco 5kg'), ['Arroz Branco', 5, 'kg', 0]);
+
+  assert.strictEqual(parseItemLine('café (sem açúcar)').notes, 'sem açúcar');
+  assert.strictEqual(parseItemLine('   '), null);
+  assert.throws(() => parseItemLine('5kg R$ 20'), /Missing product name/);
+  assert.throws(() => parseItemLine('0 kg arroz'), /Quantity must be greater than zero/);
+});
+
+test('parseNumber should read decimal commas, thousands separators and fractions', () => {
+  assert.strictEqual(parseNumber('1,5'), 1.5);
+  assert.strictEqual(parseNumber('1.5'), 1.5);
+  assert.strictEqual(parseNumber('1.000'), 1000);
+  assert.strictEqual(parseNumber('12.500'), 12500);
+  assert.strictEqual(parseNumber('1.299,90'), 1299.9);
+  assert.strictEqual(parseNumber('1/2'), 0.5);
+  assert.ok(Number.isNaN(parseNumber('1/0')));
+});
+
+test('parseItemLine should read fractions and thousands', () => {
+  const read = (line) => {
+    const { product_name, quantity, unit, unit_price } = parseItemLine(line);
+    return [product_name, quantity, unit, unit_price];
+  };
+
+  assert.deepStrictEqual(read('1/2 kg queijo'), ['Queijo', 0.5, 'kg', 0]);
+  assert.deepStrictEqual(read('1/4kg presunto'), ['Presunto', 0.25, 'kg', 0]);
+  assert.deepStrictEqual(read('1.000 g farinha'), ['Farinha', 1000, 'g', 0]);
+  assert.deepStrictEqual(read('televisão R$ 1.999'), ['Televisão', 1, 'un', 1999]);
+  assert.throws(() => parseItemLine('1/0 kg arroz'), /Quantity must be greater than zero/);
+});
+
+test('parseItemLine should read a price next to a weighed amount as what the amount costs', () => {
+  const total = (line) => {
+    const { quantity, unit, unit_price } = parseItemLine(line);
+    return [quantity, unit, unit_price, Math.round(quantity * unit_price * 100) / 100];
+  };
+
+  // [quantity, unit, unit price, total]
+  assert.deepStrictEqual(total('2kg arroz R$ 25'), [2, 'kg', 12.5, 25]);
+  assert.deepStrictEqual(total('1/2 kg queijo R$ 20'), [0.5, 'kg', 40, 20]);
+  assert.deepStrictEqual(total('500g queijo R$ 12'), [0.5, 'kg', 24, 12]);
+  assert.deepStrictEqual(total('350 ml creme R$ 7'), [0.35, 'l', 20, 7]);
+  // Per unit when it says so, converting grams to the kg the price is per
+  assert.deepStrictEqual(total('2kg arroz R$ 6/kg'), [2, 'kg', 6, 12]);
+  assert.deepStrictEqual(total('500g queijo R$ 40/kg'), [0.5, 'kg', 40, 20]);
+  assert.deepStrictEqual(total('2 l leite R$ 4,99 cada'), [2, 'l', 4.99, 9.98]);
+  // Counted quantities keep the price of one unit unless it is a total
+  assert.deepStrictEqual(total('3 pacotes de macarrão R$ 5'), [3, 'pct', 5, 15]);
+  assert.deepStrictEqual(total('3 pacotes de macarrão total R$ 15'), [3, 'pct', 5, 15]);
+});
+
+test('guessCategory should prefer the longest match and fall back to Outros', () => {
+  assert.strictEqual(guessCategory('Água sanitária'), 'Limpeza');
+  assert.strictEqual(guessCategory('Água com gás'), 'Bebidas');
+  assert.strictEqual(guessCategory('Leite condensado'), 'Doces e Sobremesas');
+  assert.strictEqual(guessCategory('Bananas prata'), 'Frutas');
+  assert.strictEqual(guessCategory('PAPEL HIGIÊNICO'), 'Higiene');
+  assert.strictEqual(guessCategory('Pilhas AA'), 'Outros');
+});
+
+test('parseItemText should read every line and report the ones it cannot', () => {
+  const { items, errors } = parseItemText('2kg arroz\n\n* 1 dúzia de ovos\r\n3 kg\nsabonete');
+
+  assert.deepStrictEqual(
+    items.map((item) => [item.product_name, item.quantity, item.unit]),
+    [
+      ['Arroz', 2, 'kg'],
+      ['Ovos', 12, 'un'],
+      ['Sabonete', 1, 'un'],
+    ]
+  );
+  assert.deepStrictEqual(errors, [{ line: 4, text: '3 kg', message: 'Missing product name' }]);
+
+  assert.throws(() => parseItemTextStrict('arroz\n3 kg'), /Invalid items text, line 2 \("3 kg"\)/);
+  assert.throws(() => parseItemTextStrict(' '), /Items text must be a non-empty string/);
+  assert.throws(
+    () => parseItemTextStrict(Array(101).fill('arroz').join('\n')),
+    /at most 100 items/
+  );
+});
+
+test('createShoppingList should add the items of items_text after the other items', async () => {
+  let created = null;
+  const srv = {
+    createShoppingList: async (list, items) => {
+      created = items;
+      return { id: LIST_ID, ...list, items };
+    },
+  };
+  const activity = { recordActivity: async () => {} };
+
+  await controller.createShoppingList(
+    {
+      user_id: USER_ID,
+      title: 'Mercado',
+      shopping_date: '2025-03-10',
+      items: [{ product_name: 'Sal', category: 'Mercearia', quantity: 1, unit: 'un' }],
+      items_text: '2kg arroz R$ 25\n1 detergente',
+    },
+    srv,
+    activity
+  );
+
+  assert.deepStrictEqual(
+    created.map((item) => [item.product_name, item.category, item.quantity, item.unit_price]),
+    [
+      ['Sal', 'Mercearia', 1, 0],
+      ['Arroz', 'Cereais e Grãos', 2, 12.5],
+      ['Detergente', 'Limpeza', 1, 0],
+    ]
+  );
+
+  await assert.rejects(
+    () =>
+      controller.createShoppingList(
+        { user_id: USER_ID, title: 'Mercado', shopping_date: '2025-03-10', items_text: 'R$ 10' },
+        srv,
+        activity
+      ),
+    /Invalid items text, line 1/
+  );
+});
+
+test('add-shopping-list-item should add every line of items_text in one insert', async () => {
+  const inserts = [];
+  const recorded = [];
+  let itemCount = 0;
+  const repo = {
+    getShoppingListOwner: async (listId) => ({ id: listId, user_id: USER_ID }),
+    countItems: async () => itemCount,
+    addItemsToList: async (listId, items) => {
+      inserts.push(items);
+      return items.map((item, index) => ({ id: `item-${index}`, list_id: listId, ...item }));
+    },
+  };
+  const prices = { recordItemPrices: async (items) => recorded.push(items.length) };
+  const activity = { recordItemActivity: async () => {} };
+  const handler = addHandler(repo, createInProcessBroker(), prices, activity);
+  const post = (body) =>
+    handler({
+      httpMethod: 'POST',
+      headers: authHeaders,
+      queryStringParameters: { listId: LIST_ID },
+      body: JSON.stringify(body),
+    });
+
+  const response = await post({ items_text: '2kg arroz R$ 25\nleite 2l\n' });
+  const unreadable = await post({ items_text: 'arroz\nR$ 3' });
+
+  assert.strictEqual(response.statusCode, 201);
+  assert.deepStrictEqual(
+    JSON.parse(response.body).items.map((item) => [item.id, item.product_name, item.unit]),
+    [
+      ['item-0', 'Arroz', 'kg'],
+      ['item-1', 'Leite', 'l'],
+    ]
+  );
+  assert.strictEqual(inserts.length, 1);
+  assert.deepStrictEqual(recorded, [2]);
+
+  assert.strictEqual(unreadable.statusCode, 400);
+  assert.match(JSON.parse(unreadable.body).error, /line 2 \("R\$ 3"\): Missing product name/);
+  assert.strictEqual(inserts.length, 1);
+
+  // The list may not go over 100 items
+  itemCount = 99;
+  const overLimit = await post({ items_text: 'arroz\nfeijão' });
+  assert.strictEqual(overLimit.statusCode, 400);
+  assert.match(JSON.parse(overLimit.body).error, /cannot have more than 100 items \(it has 99\)/);
+  assert.strictEqual(inserts.length, 1);
+});
+
+test('add-shopping-list-item should not add a single item to a full list either', async () => {
+  const added = [];
+  const repo = {
+    getShoppingListOwner: async (listId) => ({ id: listId, user_id: USER_ID }),
+    countItems: async () => 100,
+    addItemToList: async (listId, item) => {
+      added.push(item);
+      return { id: 'item-0', list_id: listId, ...item };
+    },
+  };
+  const handler = addHandler(repo, createInProcessBroker());
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    queryStringParameters: { listId: LIST_ID },
+    body: JSON.stringify({ product_name: 'Arroz', category: 'Grãos', quantity: 1, unit: 'kg' }),
+  });
+
+  assert.strictEqual(response.statusCode, 400);
+  assert.match(JSON.parse(response.body).error, /cannot have more than 100 items \(it has 100\)/);
+  assert.deepStrictEqual(added, []);
+});
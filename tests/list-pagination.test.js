@@ -0,0 +1,247 @@
+// tests/list-pagination.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const repository = require('../src/repositories/shoppingListRepository');
+const shoppingListService = require('../src/services/shoppingListService');
+const controller = require('../src/controllers/shoppingListController');
+const { buildHandler } = require('../src/api/get-shopping-lists');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: USER_ID })}` };
+
+/**
+ * Tests for paging through the shopping lists of a user by cursor
+ */
+
+// Seven lists; several were created at the same time, so only the id tells them apart
+const lists = [
+  ['2025-03-05T10:00:00Z', 'Feira', 30],
+  ['2025-03-04T10:00:00Z', 'Churrasco', 120],
+  ['2025-03-04T10:00:00Z', 'Mercado, mês', 450],
+  ['2025-03-04T10:00:00Z', 'Padaria', 15],
+  ['2025-03-02T10:00:00Z', 'Farmácia', 60],
+  ['2025-03-01T10:00:00Z', 'Limpeza', 80],
+  ['2025-02-27T10:00:00Z', 'Hortifruti', 45],
+].map(([created_at, title, total_amount], index) => ({
+  id: `00000000-0000-4000-8000-00000000000${index}`,
+  user_id: USER_ID,
+  title,
+  total_amount,
+  created_at,
+  shopping_date: created_at.slice(0, 10),
+  items_count: 0,
+  checked_items_count: 0,
+}));
+
+// Repository that applies the keyset the way the database query does
+function buildRepository() {
+  const queries = [];
+  return {
+    queries,
+    getShoppingLists: async (userId, options) => {
+      queries.push(options);
+      const keys = [
+        ...options.sort,
+        { field: 'id', direction: options.sort[options.sort.length - 1].direction },
+      ];
+      const compare = (a, b) => {
+        for (const { field, direction } of keys) {
+          if (a[field] !== b[field]) {
+            return (direction === 'asc' ? 1 : -1) * (a[field] < b[field] ? -1 : 1);
+          }
+        }
+        return 0;
+      };
+      const after = options.after && {
+        ...Object.fromEntries(options.sort.map(({ field }, i) => [field, options.after.values[i]])),
+        id: options.after.id,
+      };
+
+      return [...lists]
+        .sort(compare)
+        .filter((list) => !after || compare(list, after) > 0)
+        .slice(0, options.limit);
+    },
+    countShoppingLists: async () => lists.length,
+  };
+}
+
+const budgets = { annotateLists: async (annotated) => annotated };
+const recurrence = { generateDueOccurrences: async () => [] };
+
+async function readAllPages(options, repo = buildRepository()) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await shoppingListService.getShoppingListsPage(
+      USER_ID,
+      { ...options, cursor },
+      repo,
+      budgets,
+      recurrence
+    );
+    pages.push(page);
+    cursor = page.pagination.next_cursor;
+  } while (cursor);
+  return pages;
+}
+
+test('getShoppingListsPage should page through every list once, ties included', async () => {
+  const pages = await readAllPages({ limit: 3 });
+
+  assert.deepStrictEqual(
+    pages.map((page) => page.lists.map((list) => list.title)),
+    [['Feira', 'Padaria', 'Mercado, mês'], ['Churrasco', 'Farmácia', 'Limpeza'], ['Hortifruti']]
+  );
+  assert.deepStrictEqual(
+    pages.map(({ pagination }) => [pagination.has_more, pagination.total_count]),
+    [
+      [true, 7],
+      [true, 7],
+      [false, 7],
+    ]
+  );
+  assert.strictEqual(pages[2].pagination.next_cursor, null);
+});
+
+test('getShoppingListsPage should page by the requested order', async () => {
+  const byTitle = await readAllPages({ limit: 4, orderBy: 'title', orderDirection: 'asc' });
+  const byTotal = await readAllPages({ limit: 5, orderBy: 'total_amount' });
+
+  assert.deepStrictEqual(
+    byTitle.flatMap((page) => page.lists.map((list) => list.title)),
+    ['Churrasco', 'Farmácia', 'Feira', 'Hortifruti', 'Limpeza', 'Mercado, mês', 'Padaria']
+  );
+  assert.deepStrictEqual(
+    byTotal.flatMap((page) => page.lists.map((list) => list.total_amount)),
+    [450, 120, 80, 60, 45, 30, 15]
+  );
+});
+
+test('getShoppingListsPage should page by several sort fields', async () => {
+  const pages = await readAllPages({ limit: 2, sort: 'shopping_date:desc,title:asc' });
+
+  assert.deepStrictEqual(
+    pages.map((page) => page.lists.map((list) => list.title)),
+    [['Feira', 'Churrasco'], ['Mercado, mês', 'Padaria'], ['Farmácia', 'Limpeza'], ['Hortifruti']]
+  );
+});
+
+test('getShoppingListsPage should fetch one extra list to know whether there is more', async () => {
+  const repo = buildRepository();
+
+  const { lists: page, pagination } = await shoppingListService.getShoppingListsPage(
+    USER_ID,
+    { limit: 7 },
+    repo,
+    budgets,
+    recurrence
+  );
+
+  assert.strictEqual(page.length, 7);
+  assert.strictEqual(pagination.has_more, false);
+  assert.strictEqual(pagination.next_cursor, null);
+  assert.strictEqual(repo.queries[0].limit, 8);
+  assert.strictEqual(repo.queries[0].after, undefined);
+});
+
+test('getShoppingListsPage should reject bad cursors and orders', async () => {
+  const [first] = await readAllPages({ limit: 3 });
+  const cursor = first.pagination.next_cursor;
+  const page = (options) =>
+    shoppingListService.getShoppingListsPage(
+      USER_ID,
+      options,
+      buildRepository(),
+      budgets,
+      recurrence
+    );
+
+  await assert.rejects(() => page({ cursor: 'not-a-cursor' }), /Invalid cursor/);
+  await assert.rejects(
+    () => page({ cursor: Buffer.from('{"v":1,"id":"x"}').toString('base64url') }),
+    /Invalid cursor/
+  );
+  await assert.rejects(
+    () => page({ cursor, orderBy: 'title' }),
+    /Invalid cursor: it was made for another sort order/
+  );
+  await assert.rejects(() => page({ orderBy: 'share_code' }), /Invalid sort field/);
+  await assert.rejects(() => page({ orderDirection: 'up' }), /Invalid sort direction/);
+});
+
+test('getShoppingLists should start after the cursor in the database order', async () => {
+  const calls = [];
+  const builder = new Proxy(
+    {},
+    {
+      get(target, method) {
+        if (method === 'then') {
+          return (resolve) => resolve({ data: [], error: null });
+        }
+        return (...args) => {
+          calls.push([method, ...args]);
+          return builder;
+        };
+      },
+    }
+  );
+  const households = {
+    getHouseholdIdsForUser: async () => [],
+    buildScopeFilter: () => `user_id.eq.${USER_ID}`,
+  };
+
+  await repository.getShoppingLists(
+    USER_ID,
+    {
+      sort: [{ field: 'title', direction: 'asc' }],
+      limit: 21,
+      after: { values: ['Mercado, "mês"'], id: lists[2].id },
+    },
+    { from: () => builder },
+    households
+  );
+
+  assert.deepStrictEqual(
+    calls.filter(([method]) => ['order', 'or', 'limit'].includes(method)),
+    [
+      ['or', `user_id.eq.${USER_ID}`],
+      ['order', 'title', { ascending: true }],
+      ['order', 'id', { ascending: true }],
+      [
+        'or',
+        `title.gt."Mercado, \\"mês\\"",and(title.eq."Mercado, \\"mês\\"",id.gt.${lists[2].id})`,
+      ],
+      ['limit', 21],
+    ]
+  );
+});
+
+test('get-shopping-lists should return the page with its pagination', async () => {
+  const repo = buildRepository();
+  const service = {
+    getShoppingListsPage: (userId, options) =>
+      shoppingListService.getShoppingListsPage(userId, options, repo, budgets, recurrence),
+  };
+  const handler = buildHandler({
+    getShoppingLists: (params) => controller.getShoppingLists(params, service),
+  });
+  const get = (queryStringParameters) =>
+    handler({ httpMethod: 'GET', headers: authHeaders, queryStringParameters });
+
+  const first = JSON.parse((await get({ limit: '5' })).body);
+  const second = JSON.parse((await get({ limit: '5', cursor: first.pagination.next_cursor })).body);
+  const invalid = await get({ cursor: 'not-a-cursor' });
+
+  assert.strictEqual(first.lists.length, 5);
+  assert.strictEqual(first.pagination.has_more, true);
+  assert.strictEqual(first.pagination.total_count, 7);
+  assert.deepStrictEqual(
+    second.lists.map((list) => list.title),
+    ['Limpeza', 'Hortifruti']
+  );
+  assert.strictEqual(second.pagination.has_more, false);
+  assert.strictEqual(invalid.statusCode, 400);
+});
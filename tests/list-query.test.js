@@ -0,0 +1,268 @@
+// tests/list-query.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseListQuery, parseSort, parseToday } = require('../src/utils/listQuery');
+const repository = require('../src/repositories/shoppingListRepository');
+const controller = require('../src/controllers/shoppingListController');
+const shoppingListService = require('../src/services/shoppingListService');
+const { buildHandler } = require('../src/api/get-shopping-lists');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const PAYMENT_ID = '7f3e9a10-2b4c-4d5e-8f60-718293a4b5c6';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: USER_ID })}` };
+
+/**
+ * Tests for filtering and sorting the shopping lists of a user
+ */
+
+// 2025-03-04, in the local time zone like getListStatus
+const NOW = new Date(2025, 2, 4, 15, 30);
+
+// Supabase query that records the calls made on it
+function recordingClient() {
+  const calls = [];
+  const builder = new Proxy(
+    {},
+    {
+      get(target, method) {
+        if (method === 'then') {
+          return (resolve) => resolve({ data: [], count: 0, error: null });
+        }
+        return (...args) => {
+          calls.push([method, ...args]);
+          return builder;
+        };
+      },
+    }
+  );
+  return { calls, from: () => builder };
+}
+
+const households = {
+  getHouseholdIdsForUser: async () => [],
+  buildScopeFilter: () => `user_id.eq.${USER_ID}`,
+};
+
+test('parseListQuery should normalize every filter and the sort order', () => {
+  const { filters, sort } = parseListQuery(
+    {
+      status: 'today,overdue,today',
+      date_from: '2025-03-01',
+      date_to: '2025-03-31',
+      payment_id: PAYMENT_ID,
+      min_total: '10',
+      max_total: '250.5',
+      has_unchecked_items: 'true',
+      title: '  churrasco ',
+      is_completed: 'false',
+      sort: 'shopping_date:desc,total_amount,title:asc',
+      limit: 20,
+    },
+    NOW
+  );
+
+  assert.deepStrictEqual(filters, {
+    is_completed: false,
+    statuses: ['today', 'overdue'],
+    today: '2025-03-04',
+    date_from: '2025-03-01',
+    date_to: '2025-03-31',
+    payment_id: PAYMENT_ID,
+    min_total: 10,
+    max_total: 250.5,
+    has_unchecked_items: true,
+    title: 'churrasco',
+  });
+  assert.deepStrictEqual(sort, [
+    { field: 'shopping_date', direction: 'desc' },
+    { field: 'total_amount', direction: 'asc' },
+    { field: 'title', direction: 'asc' },
+  ]);
+
+  // No parameters: no filters, newest lists first
+  assert.deepStrictEqual(parseListQuery({}, NOW), {
+    filters: {},
+    sort: [{ field: 'created_at', direction: 'desc' }],
+  });
+  assert.deepStrictEqual(parseSort(undefined, 'title', 'asc'), [
+    { field: 'title', direction: 'asc' },
+  ]);
+});
+
+test("parseListQuery should compute the statuses for the user's day", async () => {
+  // 01:30 UTC on March 5th is still March 4th in São Paulo
+  const now = new Date('2025-03-05T01:30:00Z');
+
+  const inZone = parseListQuery({ status: 'today', timezone: 'America/Sao_Paulo' }, now);
+  const onDate = parseListQuery({ status: 'today', today: '2025-03-04' }, now);
+  assert.strictEqual(inZone.filters.today, '2025-03-04');
+  assert.strictEqual(onDate.filters.today, '2025-03-04');
+  assert.strictEqual(parseToday({ timezone: 'Asia/Tokyo' }, now), '2025-03-05');
+
+  // The statuses of the lists returned are for the same day
+  const repo = {
+    getShoppingLists: async () => [
+      { id: LIST_ID, shopping_date: '2025-03-04', items_count: 0, checked_items_count: 0 },
+    ],
+    countShoppingLists: async () => 1,
+  };
+  const { lists } = await shoppingListService.getShoppingListsPage(
+    USER_ID,
+    { timezone: 'America/Sao_Paulo' },
+    repo,
+    { annotateLists: async (annotated) => annotated },
+    { generateDueOccurrences: async () => [] },
+    now
+  );
+  assert.strictEqual(lists[0].status, 'today');
+});
+
+test('parseListQuery should reject bad input with a clear message', () => {
+  const invalid = [
+    [{ status: 'late' }, /Invalid status "late". Must be one of: upcoming, today, overdue/],
+    [{ date_from: '2025-02-30' }, /Invalid date_from: must be a date in YYYY-MM-DD format/],
+    [{ date_to: '04/03/2025' }, /Invalid date_to/],
+    [{ date_from: '2025-03-10', date_to: '2025-03-01' }, /date_from must not be after date_to/],
+    [{ payment_id: 'pix' }, /Invalid payment_id: must be a UUID/],
+    [{ market_id: '1' }, /Invalid market_id: must be a UUID/],
+    [{ min_total: '-5' }, /Invalid min_total: must be a number of at least 0/],
+    [{ max_total: 'abc' }, /Invalid max_total/],
+    [{ min_total: '100', max_total: '50' }, /min_total must not be greater than max_total/],
+    [{ has_unchecked_items: 'yes' }, /Invalid has_unchecked_items: must be true or false/],
+    [{ is_completed: '1' }, /Invalid is_completed/],
+    [{ title: 'x'.repeat(101) }, /Invalid title: must be 100 characters or less/],
+    [{ today: '2025-3-4' }, /Invalid today: must be a date in YYYY-MM-DD format/],
+    [{ timezone: 'Brasil/Recife' }, /Invalid timezone: must be a time zone/],
+    [{ sort: 'share_code' }, /Invalid sort field "share_code". Must be one of: created_at/],
+    [{ sort: 'title:up' }, /Invalid sort direction "up" for title/],
+    [{ sort: 'title:asc:desc' }, /Invalid sort "title:asc:desc"/],
+    [{ sort: 'title,title:desc' }, /each field can only be used once/],
+    [{ sort: 'title,created_at,updated_at,total_amount' }, /at most 3 fields/],
+  ];
+
+  for (const [params, message] of invalid) {
+    assert.throws(() => parseListQuery(params, NOW), message);
+  }
+});
+
+test('getShoppingLists and countShoppingLists should apply the same filters', async () => {
+  const { filters } = parseListQuery(
+    {
+      status: 'upcoming,completed',
+      date_from: '2025-03-01',
+      date_to: '2025-03-31',
+      payment_id: PAYMENT_ID,
+      min_total: '10',
+      max_total: '200',
+      has_unchecked_items: 'false',
+      title: '50%_off',
+    },
+    NOW
+  );
+  const expected = [
+    ['or', 'and(is_completed.not.is.true,shopping_date.gt.2025-03-04),is_completed.is.true'],
+    ['gte', 'shopping_date', '2025-03-01'],
+    ['lte', 'shopping_date', '2025-03-31'],
+    ['eq', 'payment_id', PAYMENT_ID],
+    ['gte', 'total_amount', 10],
+    ['lte', 'total_amount', 200],
+    ['eq', 'unchecked_items_count', 0],
+    ['ilike', 'title', '%50\\%\\_off%'],
+  ];
+  const filterCalls = (calls) =>
+    calls.filter(
+      ([method, ...args]) =>
+        ['gte', 'lte', 'gt', 'ilike'].includes(method) ||
+        (method === 'eq' && !String(args[0]).includes('.')) ||
+        (method === 'or' && !args[0].startsWith('user_id'))
+    );
+
+  const listed = recordingClient();
+  const counted = recordingClient();
+  await repository.getShoppingLists(USER_ID, filters, listed, households);
+  await repository.countShoppingLists(USER_ID, filters, counted, households);
+
+  assert.deepStrictEqual(filterCalls(listed.calls), expected);
+  assert.deepStrictEqual(filterCalls(counted.calls), expected);
+
+  const unchecked = recordingClient();
+  await repository.countShoppingLists(
+    USER_ID,
+    { has_unchecked_items: true },
+    unchecked,
+    households
+  );
+  assert.ok(
+    unchecked.calls.some((call) => JSON.stringify(call) === '["gt","unchecked_items_count",0]')
+  );
+});
+
+test('getShoppingLists should order by every sort field and resume after a mixed-direction cursor', async () => {
+  const client = recordingClient();
+
+  await repository.getShoppingLists(
+    USER_ID,
+    {
+      sort: [
+        { field: 'shopping_date', direction: 'desc' },
+        { field: 'total_amount', direction: 'asc' },
+      ],
+      limit: 11,
+      after: { values: ['2025-03-04', 120], id: LIST_ID },
+    },
+    client,
+    households
+  );
+
+  assert.deepStrictEqual(
+    client.calls.filter(([method]) => method === 'order'),
+    [
+      ['order', 'shopping_date', { ascending: false }],
+      ['order', 'total_amount', { ascending: true }],
+      ['order', 'id', { ascending: true }],
+    ]
+  );
+  assert.deepStrictEqual(client.calls.filter(([method]) => method === 'or')[1], [
+    'or',
+    'shopping_date.lt."2025-03-04",' +
+      'and(shopping_date.eq."2025-03-04",total_amount.gt."120"),' +
+      `and(shopping_date.eq."2025-03-04",total_amount.eq."120",id.gt.${LIST_ID})`,
+  ]);
+});
+
+test('get-shopping-lists should answer 400 for bad filters or sort fields', async () => {
+  const repo = {
+    getShoppingLists: async () => [],
+    countShoppingLists: async () => 0,
+  };
+  const service = {
+    getShoppingListsPage: (userId, options) =>
+      shoppingListService.getShoppingListsPage(
+        userId,
+        options,
+        repo,
+        { annotateLists: async (lists) => lists },
+        { generateDueOccurrences: async () => [] }
+      ),
+  };
+  const handler = buildHandler({
+    getShoppingLists: (params) => controller.getShoppingLists(params, service),
+  });
+  const get = (queryStringParameters) =>
+    handler({ httpMethod: 'GET', headers: authHeaders, queryStringParameters });
+
+  const ok = await get({ status: 'overdue', sort: 'shopping_date:asc', min_total: '5' });
+  const badSort = await get({ sort: 'share_code:asc' });
+  const badStatus = await get({ status: 'archived' });
+  const badRange = await get({ min_total: '9', max_total: '1' });
+
+  assert.strictEqual(ok.statusCode, 200);
+  assert.deepStrictEqual(JSON.parse(ok.body).pagination.total_count, 0);
+  assert.strictEqual(badSort.statusCode, 400);
+  assert.match(JSON.parse(badSort.body).error, /Invalid sort field "share_code"/);
+  assert.strictEqual(badStatus.statusCode, 400);
+  assert.strictEqual(badRange.statusCode, 400);
+});
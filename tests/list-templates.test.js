@@ -0,0 +1,322 @@
+// tests/list-templates.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const listTemplateService = require('../src/services/listTemplateService');
+const listTemplateController = require('../src/controllers/listTemplateController');
+const shoppingListService = require('../src/services/shoppingListService');
+const { buildHandler: createHandler } = require('../src/api/create-list-template');
+const { buildHandler: instantiateHandler } = require('../src/api/instantiate-list-template');
+const { buildHandler: getHandler } = require('../src/api/get-list-templates');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const TEMPLATE_ID = '650e8400-e29b-41d4-a716-446655440002';
+const MARKET_ID = '750e8400-e29b-41d4-a716-446655440001';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: USER_ID })}` };
+
+/**
+ * Tests for shopping list templates
+ */
+
+const template = {
+  id: TEMPLATE_ID,
+  user_id: USER_ID,
+  name: 'Churrasco',
+  description: 'Sábado com a família',
+  items: [
+    {
+      id: 'template-item-1',
+      template_id: TEMPLATE_ID,
+      product_name: 'Picanha',
+      category: 'Açougue',
+      quantity: 2,
+      unit: 'kg',
+      unit_price: 69.9,
+      notes: null,
+    },
+    {
+      id: 'template-item-2',
+      template_id: TEMPLATE_ID,
+      product_name: 'Carvão',
+      category: 'Outros',
+      quantity: 1,
+      unit: 'pct',
+      unit_price: 25,
+      notes: 'saco de 5kg',
+    },
+  ],
+};
+
+function buildTemplateRepository() {
+  const created = [];
+  return {
+    created,
+    getTemplateById: async (id, userId) =>
+      id === TEMPLATE_ID && userId === USER_ID ? template : null,
+    createTemplate: async (templateData, items) => {
+      const createdTemplate = { id: TEMPLATE_ID, ...templateData, items };
+      created.push(createdTemplate);
+      return createdTemplate;
+    },
+  };
+}
+
+// The real createShoppingList with a repository that records what it saves
+function buildListService() {
+  const saved = [];
+  const repo = {
+    createShoppingList: async (listData, items) => {
+      saved.push({ listData, items });
+      return { id: LIST_ID, ...listData, items };
+    },
+  };
+  const prices = { recordItemPrices: async () => 0 };
+  return {
+    saved,
+    createShoppingList: (listData, items) =>
+      shoppingListService.createShoppingList(listData, items, repo, undefined, prices),
+  };
+}
+
+test('createTemplateFromList should copy the items of the list without checks', async () => {
+  const repo = buildTemplateRepository();
+  const lists = {
+    getShoppingListById: async () => ({
+      id: LIST_ID,
+      title: 'Churrasco de sábado',
+      description: null,
+      shopping_date: '2025-03-15',
+      items: [
+        {
+          id: 'item-1',
+          list_id: LIST_ID,
+          product_name: 'Picanha',
+          category: 'Açougue',
+          quantity: 2,
+          unit: 'kg',
+          unit_price: 69.9,
+          total_price: 139.8,
+          is_checked: true,
+          notes: null,
+        },
+      ],
+    }),
+  };
+
+  const created = await listTemplateService.createTemplateFromList(
+    LIST_ID,
+    USER_ID,
+    { name: '  Churrasco  ' },
+    repo,
+    lists
+  );
+
+  assert.strictEqual(created.name, 'Churrasco');
+  assert.strictEqual(created.user_id, USER_ID);
+  assert.strictEqual(created.shopping_date, undefined);
+  assert.deepStrictEqual(created.items, [
+    {
+      product_name: 'Picanha',
+      category: 'Açougue',
+      quantity: 2,
+      unit: 'kg',
+      unit_price: 69.9,
+      notes: null,
+    },
+  ]);
+
+  // The name defaults to the list's title
+  const unnamed = await listTemplateService.createTemplateFromList(
+    LIST_ID,
+    USER_ID,
+    {},
+    repo,
+    lists
+  );
+  assert.strictEqual(unnamed.name, 'Churrasco de sábado');
+});
+
+test('createTemplateFromList should reject missing and empty lists', async () => {
+  const repo = buildTemplateRepository();
+
+  await assert.rejects(
+    () =>
+      listTemplateService.createTemplateFromList(LIST_ID, USER_ID, {}, repo, {
+        getShoppingListById: async () => null,
+      }),
+    /Shopping list not found/
+  );
+  await assert.rejects(
+    () =>
+      listTemplateService.createTemplateFromList(LIST_ID, USER_ID, {}, repo, {
+        getShoppingListById: async () => ({ id: LIST_ID, title: 'Vazia', items: [] }),
+      }),
+    /must have at least one item/
+  );
+  await assert.rejects(
+    () =>
+      listTemplateService.createTemplateFromList(
+        LIST_ID,
+        USER_ID,
+        { name: 'x'.repeat(101) },
+        repo,
+        {
+          getShoppingListById: async () => ({ id: LIST_ID, title: 'Feira', items: [{}] }),
+        }
+      ),
+    /Template name must be 100 characters or less/
+  );
+});
+
+test('instantiateTemplate should create a list through createShoppingList', async () => {
+  const lists = buildListService();
+
+  const list = await listTemplateService.instantiateTemplate(
+    TEMPLATE_ID,
+    USER_ID,
+    { shopping_date: '2025-03-15', market_id: MARKET_ID },
+    buildTemplateRepository(),
+    lists
+  );
+
+  assert.strictEqual(list.title, 'Churrasco');
+  assert.strictEqual(list.description, 'Sábado com a família');
+  assert.strictEqual(list.shopping_date, '2025-03-15');
+  assert.strictEqual(list.market_id, MARKET_ID);
+  assert.deepStrictEqual(
+    lists.saved[0].items.map((item) => [item.product_name, item.quantity, item.unit_price]),
+    [
+      ['Picanha', 2, 69.9],
+      ['Carvão', 1, 25],
+    ]
+  );
+});
+
+test('instantiateTemplate should validate the new list like any other list', async () => {
+  const lists = buildListService();
+  const repo = buildTemplateRepository();
+
+  await assert.rejects(
+    () => listTemplateService.instantiateTemplate(TEMPLATE_ID, USER_ID, {}, repo, lists),
+    /Missing field: shopping_date/
+  );
+  await assert.rejects(
+    () =>
+      listTemplateService.instantiateTemplate(
+        TEMPLATE_ID,
+        USER_ID,
+        { shopping_date: '15/03/2025' },
+        repo,
+        lists
+      ),
+    /Shopping date must be in YYYY-MM-DD format/
+  );
+  await assert.rejects(
+    () =>
+      listTemplateService.instantiateTemplate(
+        TEMPLATE_ID,
+        '2f5d3c1e-8a4b-4c6d-9e0f-1a2b3c4d5e6f',
+        { shopping_date: '2025-03-15' },
+        repo,
+        lists
+      ),
+    /Template not found/
+  );
+
+  // Items are validated by the same rules as the items of a new list
+  const invalidRepo = {
+    getTemplateById: async () => ({
+      ...template,
+      items: [{ ...template.items[0], unit: 'saco' }],
+    }),
+  };
+  await assert.rejects(
+    () =>
+      listTemplateService.instantiateTemplate(
+        TEMPLATE_ID,
+        USER_ID,
+        { shopping_date: '2025-03-15' },
+        invalidRepo,
+        lists
+      ),
+    /Item 1: Unit must be one of/
+  );
+  assert.strictEqual(lists.saved.length, 0);
+});
+
+test('instantiateTemplate controller should record the new list in the activity log', async () => {
+  const recorded = [];
+  const activity = {
+    recordActivity: async (action, list, actor, details) => {
+      recorded.push({ action, list_id: list.id, actor, details });
+      return true;
+    },
+  };
+  const srv = {
+    instantiateTemplate: async (templateId, userId, listData) => ({
+      id: LIST_ID,
+      user_id: userId,
+      ...listData,
+      items: template.items,
+    }),
+  };
+
+  await listTemplateController.instantiateTemplate(
+    { template_id: TEMPLATE_ID, user_id: USER_ID, shopping_date: '2025-03-15' },
+    srv,
+    activity
+  );
+
+  assert.deepStrictEqual(recorded, [
+    {
+      action: 'list_created',
+      list_id: LIST_ID,
+      actor: { user_id: USER_ID },
+      details: { items_count: 2, template_id: TEMPLATE_ID },
+    },
+  ]);
+});
+
+test('list template handlers should map errors to status codes', async () => {
+  const failing = (message) => async () => {
+    throw new Error(message);
+  };
+  const post = (handler, body) =>
+    handler({ httpMethod: 'POST', headers: authHeaders, body: JSON.stringify(body) });
+
+  const created = await post(
+    createHandler({ createTemplate: async (data) => ({ id: TEMPLATE_ID, ...data }) }),
+    { list_id: LIST_ID, name: 'Churrasco' }
+  );
+  const duplicate = await post(
+    createHandler({ createTemplate: failing('A template with this name already exists') }),
+    { list_id: LIST_ID }
+  );
+  const missingDate = await post(
+    instantiateHandler({ instantiateTemplate: failing('Missing field: shopping_date') }),
+    { template_id: TEMPLATE_ID }
+  );
+  const missingTemplate = await post(
+    instantiateHandler({ instantiateTemplate: failing('Template not found') }),
+    { template_id: TEMPLATE_ID, shopping_date: '2025-03-15' }
+  );
+  const listed = await getHandler({ getTemplates: async () => [template] })({
+    httpMethod: 'GET',
+    headers: authHeaders,
+  });
+  const wrongMethod = await getHandler({ getTemplates: async () => [] })({
+    httpMethod: 'POST',
+    headers: authHeaders,
+  });
+
+  assert.strictEqual(created.statusCode, 201);
+  assert.strictEqual(JSON.parse(created.body).user_id, USER_ID);
+  assert.strictEqual(duplicate.statusCode, 409);
+  assert.strictEqual(missingDate.statusCode, 400);
+  assert.strictEqual(missingTemplate.statusCode, 404);
+  assert.strictEqual(listed.statusCode, 200);
+  assert.strictEqual(JSON.parse(listed.body)[0].name, 'Churrasco');
+  assert.strictEqual(wrongMethod.statusCode, 405);
+});
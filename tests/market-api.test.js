@@ -0,0 +1,204 @@
+// tests/market-api.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildHandler: createHandler } = require('../src/api/create-market');
+const { buildHandler: getHandler } = require('../src/api/get-market');
+const { buildHandler: updateHandler } = require('../src/api/update-market');
+const { buildHandler: deleteHandler } = require('../src/api/delete-market');
+const marketController = require('../src/controllers/marketController');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const MARKET_ID = '650e8400-e29b-41d4-a716-446655440001';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: TEST_USER_ID })}` };
+
+const existingMarket = {
+  id: MARKET_ID,
+  name: 'Supermercado Central',
+  address: 'Av. Principal, 1000',
+  cnpj: null,
+  phone: null,
+  email: null,
+  website: null,
+  user_id: TEST_USER_ID,
+};
+
+// Mock service behind the real controller, so the Market model validation runs
+function buildController(calls = []) {
+  const mockService = {
+    getMarketById: async (id, user_id) =>
+      id === MARKET_ID && user_id === TEST_USER_ID ? { ...existingMarket } : null,
+    createMarket: async (data) => {
+      calls.push(['create', data]);
+      return { id: MARKET_ID, ...data };
+    },
+    updateMarket: async (id, user_id, updates) => {
+      calls.push(['update', id, user_id, updates]);
+      return { ...existingMarket, ...updates };
+    },
+    deleteMarket: async (id, user_id) => {
+      calls.push(['delete', id, user_id]);
+      if (id !== MARKET_ID) {
+        throw new Error('Market not found or access denied');
+      }
+      return { ...existingMarket, deleted_at: '2025-03-01T12:00:00.000Z' };
+    },
+  };
+
+  return {
+    getMarketById: (id, user_id) => marketController.getMarketById(id, user_id, mockService),
+    createMarket: (data) => marketController.createMarket(data, mockService),
+    updateMarket: (data) => marketController.updateMarket(data, mockService),
+    deleteMarket: (params) => marketController.deleteMarket(params, mockService),
+  };
+}
+
+test('market handlers should return 401 without a session token', async () => {
+  const ctrl = buildController();
+  const responses = await Promise.all([
+    createHandler(ctrl)({ httpMethod: 'POST', body: '{}' }),
+    getHandler(ctrl)({ httpMethod: 'GET', queryStringParameters: { id: MARKET_ID } }),
+    updateHandler(ctrl)({ httpMethod: 'PUT', body: '{}' }),
+    deleteHandler(ctrl)({ httpMethod: 'DELETE', body: '{}' }),
+  ]);
+
+  responses.forEach((response) => assert.strictEqual(response.statusCode, 401));
+});
+
+test('market handlers should return 405 for other methods', async () => {
+  const ctrl = buildController();
+  const responses = await Promise.all([
+    createHandler(ctrl)({ httpMethod: 'GET', headers: authHeaders }),
+    getHandler(ctrl)({ httpMethod: 'POST', headers: authHeaders }),
+    updateHandler(ctrl)({ httpMethod: 'POST', headers: authHeaders }),
+    deleteHandler(ctrl)({ httpMethod: 'GET', headers: authHeaders }),
+  ]);
+
+  responses.forEach((response) => {
+    assert.strictEqual(response.statusCode, 405);
+    assert.strictEqual(JSON.parse(response.body).error, 'Method not allowed');
+  });
+});
+
+test('create-market should create a validated market for the session user', async () => {
+  const calls = [];
+  const handler = createHandler(buildController(calls));
+
+  const result = await handler({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({
+      name: ' Mercado do Bairro ',
+      cnpj: '12.345.678/0001-90',
+      email: 'Contato@Mercado.com',
+      user_id: '650e8400-e29b-41d4-a716-446655440099',
+    }),
+  });
+
+  assert.strictEqual(result.statusCode, 201);
+  assert.strictEqual(result.headers['Access-Control-Allow-Origin'], '*');
+  const [, data] = calls[0];
+  assert.strictEqual(data.user_id, TEST_USER_ID);
+  assert.strictEqual(data.name, 'Mercado do Bairro');
+  assert.strictEqual(data.cnpj, '12345678000190');
+  assert.strictEqual(data.email, 'contato@mercado.com');
+});
+
+test('create-market should return 400 when the Market model rejects the data', async () => {
+  const calls = [];
+  const handler = createHandler(buildController(calls));
+
+  const result = await handler({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ name: 'Mercado', cnpj: '123', website: 'not a url' }),
+  });
+
+  assert.strictEqual(result.statusCode, 400);
+  const body = JSON.parse(result.body);
+  assert.match(body.error, /CNPJ deve conter 14 dígitos/);
+  assert.match(body.error, /Website deve ter um formato válido/);
+  assert.strictEqual(calls.length, 0);
+});
+
+test('get-market should return the market or 404', async () => {
+  const handler = getHandler(buildController());
+
+  const found = await handler({
+    httpMethod: 'GET',
+    headers: authHeaders,
+    queryStringParameters: { id: MARKET_ID },
+  });
+  const missing = await handler({
+    httpMethod: 'GET',
+    headers: authHeaders,
+    queryStringParameters: { id: '650e8400-e29b-41d4-a716-446655440002' },
+  });
+  const noId = await handler({ httpMethod: 'GET', headers: authHeaders });
+
+  assert.strictEqual(found.statusCode, 200);
+  assert.strictEqual(JSON.parse(found.body).name, 'Supermercado Central');
+  assert.strictEqual(missing.statusCode, 404);
+  assert.strictEqual(noId.statusCode, 400);
+});
+
+test('update-market should only write the changed fields', async () => {
+  const calls = [];
+  const handler = updateHandler(buildController(calls));
+
+  const result = await handler({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ id: MARKET_ID, phone: '(11) 98765-4321', user_id: 'someone-else' }),
+  });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.deepStrictEqual(calls, [['update', MARKET_ID, TEST_USER_ID, { phone: '11987654321' }]]);
+});
+
+test('update-market should map validation and lookup errors', async () => {
+  const handler = updateHandler(buildController());
+
+  const invalid = await handler({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ id: MARKET_ID, name: '  ' }),
+  });
+  const noFields = await handler({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ id: MARKET_ID }),
+  });
+  const missing = await handler({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ id: '650e8400-e29b-41d4-a716-446655440002', name: 'Outro' }),
+  });
+
+  assert.strictEqual(invalid.statusCode, 400);
+  assert.match(JSON.parse(invalid.body).error, /Nome do mercado é obrigatório/);
+  assert.strictEqual(noFields.statusCode, 400);
+  assert.strictEqual(missing.statusCode, 404);
+});
+
+test('delete-market should soft delete the market', async () => {
+  const calls = [];
+  const handler = deleteHandler(buildController(calls));
+
+  const result = await handler({
+    httpMethod: 'DELETE',
+    headers: authHeaders,
+    body: JSON.stringify({ id: MARKET_ID }),
+  });
+  const missing = await handler({
+    httpMethod: 'DELETE',
+    headers: authHeaders,
+    body: JSON.stringify({ id: '650e8400-e29b-41d4-a716-446655440002' }),
+  });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.ok(JSON.parse(result.body).market.deleted_at);
+  assert.deepStrictEqual(calls[0], ['delete', MARKET_ID, TEST_USER_ID]);
+  assert.strictEqual(missing.statusCode, 404);
+});
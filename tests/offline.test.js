@@ -0,0 +1,280 @@
+// tests/offline.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const OfflineUtils = require('../src/utils/offline');
+const { buildHandler: updateHandler } = require('../src/api/update-shopping-list-item');
+const { buildHandler: removeHandler } = require('../src/api/remove-shopping-list-item');
+const { buildHandler: addHandler } = require('../src/api/add-shopping-list-item');
+const { createInProcessBroker } = require('../src/services/realtimeService');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM_ID = '650e8400-e29b-41d4-a716-446655440001';
+const NEW_ITEM_ID = '650e8400-e29b-41d4-a716-446655440002';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` };
+
+/**
+ * Tests for the offline queue and updated_at conflict resolution
+ */
+
+function buildMockRepository(updatedAt) {
+  const item = { id: ITEM_ID, list_id: LIST_ID, is_checked: false, updated_at: updatedAt };
+  const calls = [];
+
+  return {
+    calls,
+    getShoppingListOwner: async (listId) => ({ id: listId, user_id: OWNER_ID }),
+    getShoppingListItemById: async () => item,
+    updateShoppingListItem: async (itemId, updates) => {
+      calls.push(['update', itemId, updates]);
+      return { ...item, ...updates };
+    },
+    deleteShoppingListItem: async (itemId) => {
+      calls.push(['delete', itemId]);
+      return item;
+    },
+  };
+}
+
+function jsonResponse(status, body) {
+  return { status, ok: status >= 200 && status < 300, json: async () => body };
+}
+
+test('isStaleChange should reject changes based on an older version of the item', () => {
+  const item = { updated_at: '2025-03-01T10:00:00.000Z' };
+
+  assert.strictEqual(OfflineUtils.isStaleChange(item, '2025-03-01T09:59:59.000Z'), true);
+  assert.strictEqual(OfflineUtils.isStaleChange(item, '2025-03-01T10:00:00.000Z'), false);
+  // Postgres timestamps carry microseconds and an offset
+  assert.strictEqual(OfflineUtils.isStaleChange(item, '2025-03-01T10:00:00+00:00'), false);
+  assert.strictEqual(OfflineUtils.isStaleChange(item, undefined), false);
+  assert.strictEqual(OfflineUtils.isStaleChange({}, '2025-03-01T09:00:00.000Z'), false);
+});
+
+test('update-shopping-list-item should reject offline edits to an older version of the item', async () => {
+  const repo = buildMockRepository('2025-03-01T10:00:00.000Z');
+  const handler = updateHandler(repo, createInProcessBroker());
+
+  const response = await handler({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+    body: JSON.stringify({ is_checked: true, base_updated_at: '2025-03-01T09:00:00.000Z' }),
+  });
+
+  assert.strictEqual(response.statusCode, 409);
+  assert.strictEqual(JSON.parse(response.body).item.id, ITEM_ID);
+  assert.deepStrictEqual(repo.calls, []);
+});
+
+test('update-shopping-list-item should apply offline edits to the stored version', async () => {
+  const repo = buildMockRepository('2025-03-01T10:00:00.000Z');
+  const handler = updateHandler(repo, createInProcessBroker());
+
+  const response = await handler({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+    body: JSON.stringify({ is_checked: true, base_updated_at: '2025-03-01T10:00:00.000Z' }),
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(repo.calls, [['update', ITEM_ID, { is_checked: true }]]);
+});
+
+test('remove-shopping-list-item should reject offline removals of an older version', async () => {
+  const repo = buildMockRepository('2025-03-01T10:00:00.000Z');
+  const handler = removeHandler(repo, createInProcessBroker());
+
+  const response = await handler({
+    httpMethod: 'DELETE',
+    headers: authHeaders,
+    queryStringParameters: { itemId: ITEM_ID, base_updated_at: '2025-03-01T09:00:00.000Z' },
+  });
+
+  assert.strictEqual(response.statusCode, 409);
+  assert.deepStrictEqual(repo.calls, []);
+});
+
+test('buildRequest should target the item functions', () => {
+  const add = OfflineUtils.buildRequest({
+    type: 'add',
+    list_id: LIST_ID,
+    item_id: 'offline-1',
+    data: { product_name: 'Leite' },
+  });
+  const update = OfflineUtils.buildRequest({
+    type: 'update',
+    item_id: ITEM_ID,
+    data: { is_checked: true },
+    base_updated_at: '2025-03-01T09:00:00.000Z',
+  });
+  const remove = OfflineUtils.buildRequest({
+    type: 'delete',
+    item_id: ITEM_ID,
+    base_updated_at: '2025-03-01T09:00:00.000Z',
+  });
+
+  assert.strictEqual(add.url, `/.netlify/functions/add-shopping-list-item?listId=${LIST_ID}`);
+  assert.deepStrictEqual(JSON.parse(add.options.body), {
+    product_name: 'Leite',
+    client_id: 'offline-1',
+  });
+  assert.strictEqual(update.options.method, 'PUT');
+  assert.deepStrictEqual(JSON.parse(update.options.body), {
+    is_checked: true,
+    base_updated_at: '2025-03-01T09:00:00.000Z',
+  });
+  assert.strictEqual(remove.options.method, 'DELETE');
+  assert.ok(remove.url.includes('base_updated_at=2025-03-01T09%3A00%3A00.000Z'));
+});
+
+test('replayQueue should send changes in order and remap items added offline', async () => {
+  const store = OfflineUtils.createMemoryStore();
+  const tempId = OfflineUtils.createTempId();
+  await store.enqueue({ type: 'add', list_id: LIST_ID, item_id: tempId, data: { quantity: 1 } });
+  await store.enqueue({
+    type: 'update',
+    list_id: LIST_ID,
+    item_id: tempId,
+    data: { is_checked: true },
+  });
+  await store.enqueue({ type: 'update', list_id: 'other-list', item_id: ITEM_ID, data: {} });
+
+  const sent = [];
+  const result = await OfflineUtils.replayQueue(store, LIST_ID, async (mutation) => {
+    sent.push([mutation.type, mutation.item_id]);
+    return mutation.type === 'add'
+      ? jsonResponse(201, { id: NEW_ITEM_ID, quantity: 1 })
+      : jsonResponse(200, { id: NEW_ITEM_ID, is_checked: true });
+  });
+
+  assert.strictEqual(OfflineUtils.isTempId(tempId), true);
+  assert.deepStrictEqual(sent, [
+    ['add', tempId],
+    ['update', NEW_ITEM_ID],
+  ]);
+  assert.strictEqual(result.synced.length, 2);
+  assert.deepStrictEqual(await store.getQueue(LIST_ID), []);
+  assert.strictEqual((await store.getQueue()).length, 1, 'other lists stay queued');
+});
+
+test('replayQueue should base later changes to an item on the version the earlier one saved', async () => {
+  const store = OfflineUtils.createMemoryStore();
+  const seen = '2025-03-01T10:00:00.000Z';
+  await store.enqueue({
+    type: 'update',
+    list_id: LIST_ID,
+    item_id: ITEM_ID,
+    data: { quantity: 2 },
+    base_updated_at: seen,
+  });
+  await store.enqueue({
+    type: 'update',
+    list_id: LIST_ID,
+    item_id: ITEM_ID,
+    data: { is_checked: true },
+    base_updated_at: seen,
+  });
+
+  const bases = [];
+  const result = await OfflineUtils.replayQueue(store, LIST_ID, async (mutation) => {
+    bases.push(mutation.base_updated_at);
+    return jsonResponse(200, { id: ITEM_ID, updated_at: `2025-03-01T12:00:0${bases.length}.000Z` });
+  });
+
+  assert.deepStrictEqual(bases, [seen, '2025-03-01T12:00:01.000Z']);
+  assert.strictEqual(result.synced.length, 2);
+});
+
+test('add-shopping-list-item should add an item only once per client_id', async () => {
+  const stored = [];
+  const repo = {
+    getShoppingListOwner: async (listId) => ({ id: listId, user_id: OWNER_ID }),
+    getItemByClientId: async (listId, clientId) =>
+      stored.find((item) => item.list_id === listId && item.client_id === clientId) || null,
+    countItems: async () => stored.length,
+    addItemToList: async (listId, itemData) => {
+      const item = { ...itemData, id: NEW_ITEM_ID, list_id: listId };
+      stored.push(item);
+      return item;
+    },
+  };
+  const prices = { recordItemPrices: async () => 0 };
+  const activity = { recordItemActivity: async () => true };
+  const handler = addHandler(repo, createInProcessBroker(), prices, activity);
+  const { url, options } = OfflineUtils.buildRequest({
+    type: 'add',
+    list_id: LIST_ID,
+    item_id: 'offline-abc',
+    data: { product_name: 'Leite', category: 'Laticínios', quantity: 1, unit: 'l' },
+  });
+  const add = () =>
+    handler({
+      httpMethod: options.method,
+      headers: authHeaders,
+      queryStringParameters: { listId: new URL(url, 'http://x').searchParams.get('listId') },
+      body: options.body,
+    });
+
+  const first = await add();
+  const replayed = await add();
+  stored[0].deleted_at = '2025-03-01T12:00:00.000Z';
+  const afterRemoval = await add();
+
+  assert.strictEqual(first.statusCode, 201);
+  assert.strictEqual(replayed.statusCode, 200);
+  assert.strictEqual(JSON.parse(replayed.body).id, NEW_ITEM_ID);
+  assert.strictEqual(afterRemoval.statusCode, 409);
+  assert.strictEqual(stored.length, 1);
+});
+
+test('replayQueue should report conflicts and drop them from the queue', async () => {
+  const store = OfflineUtils.createMemoryStore();
+  await store.enqueue({ type: 'update', list_id: LIST_ID, item_id: ITEM_ID, data: {} });
+  await store.enqueue({ type: 'delete', list_id: LIST_ID, item_id: NEW_ITEM_ID });
+
+  const serverItem = { id: ITEM_ID, is_checked: false };
+  const result = await OfflineUtils.replayQueue(store, LIST_ID, async (mutation) =>
+    mutation.type === 'update'
+      ? jsonResponse(409, { error: 'Item was changed after this offline edit', item: serverItem })
+      : jsonResponse(404, { error: 'Item not found' })
+  );
+
+  assert.deepStrictEqual(
+    result.conflicts.map((conflict) => conflict.item),
+    [serverItem, null]
+  );
+  assert.deepStrictEqual(await store.getQueue(LIST_ID), []);
+});
+
+test('replayQueue should keep changes queued while the connection is down', async () => {
+  const store = OfflineUtils.createMemoryStore();
+  await store.enqueue({ type: 'update', list_id: LIST_ID, item_id: ITEM_ID, data: {} });
+  await store.enqueue({ type: 'delete', list_id: LIST_ID, item_id: ITEM_ID });
+
+  const result = await OfflineUtils.replayQueue(store, LIST_ID, async () => {
+    throw new TypeError('Failed to fetch');
+  });
+
+  assert.strictEqual(result.pending, 2);
+  assert.strictEqual((await store.getQueue(LIST_ID)).length, 2);
+
+  const serverError = await OfflineUtils.replayQueue(store, LIST_ID, async () =>
+    jsonResponse(503, { error: 'Service unavailable' })
+  );
+
+  assert.strictEqual(serverError.pending, 2);
+  assert.strictEqual((await store.getQueue(LIST_ID)).length, 2);
+});
+
+test('memory store should find saved lists by ID and share code', async () => {
+  const store = OfflineUtils.createMemoryStore();
+  await store.saveList({ id: LIST_ID, shareCode: '1234', items: [{ id: ITEM_ID }] });
+
+  assert.strictEqual((await store.getList(LIST_ID)).items.length, 1);
+  assert.strictEqual((await store.getListByShareCode('1234')).id, LIST_ID);
+  assert.strictEqual(await store.getList('missing'), null);
+});
@@ -1,25 +1,30 @@
 // tests/payment-api.test.js
 const test = require('node:test');
 const assert = require('node:assert');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: TEST_USER_ID })}` };
 
 /**
  * Tests for payment methods API
  */
 
-test('get-payment-methods API - should reject GET without user_id', async () => {
+test('get-payment-methods API - should reject GET without a session token', async () => {
   const { buildHandler } = require('../src/api/get-payment-methods');
   const handler = buildHandler();
 
   const event = {
     httpMethod: 'GET',
-    queryStringParameters: {},
+    queryStringParameters: { user_id: TEST_USER_ID },
   };
 
   const response = await handler(event);
 
-  assert.strictEqual(response.statusCode, 400);
+  assert.strictEqual(response.statusCode, 401);
   const body = JSON.parse(response.body);
-  assert.strictEqual(body.error, 'User ID is required');
+  assert.strictEqual(body.error, 'Authentication required');
 });
 
 test('get-payment-methods API - should reject non-GET methods', async () => {
@@ -28,6 +33,7 @@ test('get-payment-methods API - should reject non-GET methods', async () => {
 
   const event = {
     httpMethod: 'POST',
+    headers: authHeaders,
     queryStringParameters: { user_id: 'test' },
   };
 
@@ -40,7 +46,7 @@ test('get-payment-methods API - should reject non-GET methods', async () => {
 test('get-payment-methods API - should call controller with correct params', async () => {
   const mockController = {
     getPaymentMethods: async (params) => {
-      assert.strictEqual(params.user_id, 'test-user-id');
+      assert.strictEqual(params.user_id, TEST_USER_ID);
       return [
         {
           id: '123e4567-e89b-12d3-a456-426614174000',
@@ -59,6 +65,7 @@ test('get-payment-methods API - should call controller with correct params', asy
 
   const event = {
     httpMethod: 'GET',
+    headers: authHeaders,
     queryStringParameters: { user_id: 'test-user-id' },
   };
 
@@ -78,6 +85,7 @@ test('create-payment-method API - should reject POST without data', async () =>
 
   const event = {
     httpMethod: 'POST',
+    headers: authHeaders,
     body: JSON.stringify({}),
   };
 
@@ -94,6 +102,7 @@ test('create-payment-method API - should reject non-POST methods', async () => {
 
   const event = {
     httpMethod: 'GET',
+    headers: authHeaders,
     body: JSON.stringify({ user_id: 'test', type: 'credit' }),
   };
 
@@ -106,7 +115,8 @@ test('create-payment-method API - should reject non-POST methods', async () => {
 test('create-payment-method API - should call controller with correct data', async () => {
   const mockController = {
     createPaymentMethod: async (data) => {
-      assert.strictEqual(data.user_id, 'test-user-id');
+      // user_id comes from the session token, not from the request body
+      assert.strictEqual(data.user_id, TEST_USER_ID);
       assert.strictEqual(data.type, 'credit');
       assert.strictEqual(data.description, 'My Card');
       return {
@@ -121,6 +131,7 @@ test('create-payment-method API - should call controller with correct data', asy
 
   const event = {
     httpMethod: 'POST',
+    headers: authHeaders,
     body: JSON.stringify({
       user_id: 'test-user-id',
       type: 'credit',
@@ -217,3 +228,133 @@ test('Validation utility - validateUUID should return UUID or null', () => {
   assert.strictEqual(validateUUID(''), null);
   assert.strictEqual(validateUUID(null), null);
 });
+
+const PAYMENT_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+function buildPaymentRepo(existing = {}) {
+  const calls = [];
+  return {
+    calls,
+    getPaymentMethodById: async (payment_id, user_id) =>
+      payment_id === PAYMENT_ID ? { id: payment_id, user_id, enabled: true, ...existing } : null,
+    updatePaymentMethod: async (payment_id, user_id, updates) => {
+      calls.push(updates);
+      return { id: payment_id, user_id, ...updates };
+    },
+  };
+}
+
+test('update-payment-method API - should update the session user method', async () => {
+  const mockController = {
+    updatePaymentMethod: async (data) => {
+      assert.strictEqual(data.user_id, TEST_USER_ID);
+      assert.strictEqual(data.payment_id, PAYMENT_ID);
+      assert.deepStrictEqual(data.updates, { description: 'Nubank' });
+      return { id: data.payment_id, ...data.updates };
+    },
+  };
+
+  const { buildHandler } = require('../src/api/update-payment-method');
+  const response = await buildHandler(mockController)({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ payment_id: PAYMENT_ID, description: 'Nubank' }),
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(JSON.parse(response.body).description, 'Nubank');
+});
+
+test('update-payment-method API - should map missing methods to 404', async () => {
+  const { buildHandler } = require('../src/api/update-payment-method');
+  const handler = buildHandler({
+    updatePaymentMethod: async () => {
+      throw new Error('Payment method not found');
+    },
+  });
+
+  const response = await handler({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ payment_id: PAYMENT_ID, enabled: false }),
+  });
+
+  assert.strictEqual(response.statusCode, 404);
+});
+
+test('delete-payment-method API - should soft delete with DELETE only', async () => {
+  const { buildHandler } = require('../src/api/delete-payment-method');
+  const handler = buildHandler({
+    deletePaymentMethod: async ({ payment_id, user_id }) => {
+      assert.strictEqual(user_id, TEST_USER_ID);
+      return { id: payment_id, deleted_at: '2025-03-01T12:00:00.000Z', enabled: false };
+    },
+  });
+
+  const wrongMethod = await handler({ httpMethod: 'POST', headers: authHeaders });
+  const response = await handler({
+    httpMethod: 'DELETE',
+    headers: authHeaders,
+    body: JSON.stringify({ payment_id: PAYMENT_ID }),
+  });
+
+  assert.strictEqual(wrongMethod.statusCode, 405);
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(JSON.parse(response.body).enabled, false);
+});
+
+test('set-default-payment-method API - should require a payment ID', async () => {
+  const { buildHandler } = require('../src/api/set-default-payment-method');
+  const handler = buildHandler();
+
+  const response = await handler({ httpMethod: 'PUT', headers: authHeaders, body: '{}' });
+
+  assert.strictEqual(response.statusCode, 400);
+  assert.strictEqual(JSON.parse(response.body).error, 'Payment ID is required');
+});
+
+test('Payment Service - updatePaymentMethod should only write updatable fields', async () => {
+  const paymentService = require('../src/services/paymentService');
+  const repo = buildPaymentRepo();
+
+  await paymentService.updatePaymentMethod(
+    PAYMENT_ID,
+    TEST_USER_ID,
+    { description: '  Cartão  ', user_id: 'someone-else', deleted_at: null },
+    repo
+  );
+
+  assert.deepStrictEqual(repo.calls, [{ description: 'Cartão' }]);
+  await assert.rejects(
+    () => paymentService.updatePaymentMethod(PAYMENT_ID, TEST_USER_ID, { user_id: 'x' }, repo),
+    /Updates must include one of/
+  );
+});
+
+test('Payment Service - disabling a method should also clear its default flag', async () => {
+  const paymentService = require('../src/services/paymentService');
+  const repo = buildPaymentRepo();
+
+  await paymentService.updatePaymentMethod(PAYMENT_ID, TEST_USER_ID, { enabled: false }, repo);
+
+  assert.deepStrictEqual(repo.calls, [{ enabled: false, is_default: false }]);
+});
+
+test('Payment Service - setDefaultPaymentMethod should reject disabled methods', async () => {
+  const paymentService = require('../src/services/paymentService');
+  const enabledRepo = buildPaymentRepo();
+  const disabledRepo = buildPaymentRepo({ enabled: false });
+
+  const result = await paymentService.setDefaultPaymentMethod(
+    PAYMENT_ID,
+    TEST_USER_ID,
+    enabledRepo
+  );
+
+  assert.strictEqual(result.is_default, true);
+  await assert.rejects(
+    () => paymentService.setDefaultPaymentMethod(PAYMENT_ID, TEST_USER_ID, disabledRepo),
+    /Default payment method must be enabled/
+  );
+  assert.strictEqual(disabledRepo.calls.length, 0);
+});
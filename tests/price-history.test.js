@@ -0,0 +1,339 @@
+// tests/price-history.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const priceHistoryService = require('../src/services/priceHistoryService');
+const { normalizeProductName } = require('../src/utils/text');
+const { createInProcessBroker } = require('../src/services/realtimeService');
+const { buildHandler: addHandler } = require('../src/api/add-shopping-list-item');
+const { buildHandler: updateHandler } = require('../src/api/update-shopping-list-item');
+const { buildHandler: priceHistoryHandler } = require('../src/api/get-price-history');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM_ID = '650e8400-e29b-41d4-a716-446655440001';
+const MARKET_ID = '750e8400-e29b-41d4-a716-446655440001';
+const OTHER_MARKET_ID = '750e8400-e29b-41d4-a716-446655440002';
+const NOW = new Date('2025-03-01T12:00:00.000Z');
+const authHeaders = { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` };
+
+/**
+ * Tests for the price history of products per market
+ */
+
+const list = {
+  id: LIST_ID,
+  user_id: OWNER_ID,
+  household_id: null,
+  market_id: MARKET_ID,
+  shopping_date: '2025-02-20',
+};
+
+function buildItem(overrides = {}) {
+  return {
+    id: ITEM_ID,
+    list_id: LIST_ID,
+    product_name: 'Arroz Tio João',
+    category: 'Grãos',
+    quantity: 1,
+    unit: 'kg',
+    unit_price: 5.49,
+    is_checked: false,
+    ...overrides,
+  };
+}
+
+function buildListRepository(item = buildItem()) {
+  return {
+    getShoppingListOwner: async () => list,
+    getShoppingListItemById: async () => item,
+    countItems: async () => 1,
+    addItemToList: async (listId, itemData) => ({ ...itemData, id: ITEM_ID, list_id: listId }),
+    updateShoppingListItem: async (itemId, updates) => ({ ...item, ...updates }),
+  };
+}
+
+function buildPriceRecorder() {
+  const recorded = [];
+  return {
+    recorded,
+    recordItemPrices: async (items, itemList, source) => {
+      recorded.push({ items, list: itemList, source });
+      return items.length;
+    },
+  };
+}
+
+test('normalizeProductName should ignore case, accents and extra spaces', () => {
+  assert.strictEqual(normalizeProductName('  Arroz   Tio JOÃO '), 'arroz tio joao');
+  assert.strictEqual(normalizeProductName('Feijão'), 'feijao');
+  assert.strictEqual(normalizeProductName(null), '');
+});
+
+test('recordItemPrices should record priced items with the market and shopping date', async () => {
+  const rows = [];
+  const repo = { recordPrices: async (observations) => rows.push(...observations) };
+
+  const count = await priceHistoryService.recordItemPrices(
+    [buildItem(), buildItem({ id: 'free-item', unit_price: 0 })],
+    list,
+    'created',
+    repo,
+    NOW
+  );
+
+  assert.strictEqual(count, 1);
+  assert.deepStrictEqual(rows, [
+    {
+      product_key: 'arroz tio joao',
+      product_name: 'Arroz Tio João',
+      unit: 'kg',
+      unit_price: 5.49,
+      market_id: MARKET_ID,
+      list_id: LIST_ID,
+      item_id: ITEM_ID,
+      user_id: OWNER_ID,
+      household_id: null,
+      observed_on: '2025-02-20',
+      source: 'created',
+    },
+  ]);
+});
+
+test('recordItemPrices should not fail the item change when recording fails', async () => {
+  const repo = {
+    recordPrices: async () => {
+      throw new Error('Failed to record prices: connection refused');
+    },
+  };
+
+  const count = await priceHistoryService.recordItemPrices([buildItem()], list, 'updated', repo);
+
+  assert.strictEqual(count, 0);
+});
+
+test('getUpdateSource should only count price changes and checked items', () => {
+  assert.strictEqual(priceHistoryService.getUpdateSource({ is_checked: true }), 'checked');
+  assert.strictEqual(priceHistoryService.getUpdateSource({ unit_price: 6 }), 'updated');
+  assert.strictEqual(priceHistoryService.getUpdateSource({ is_checked: false }), null);
+  assert.strictEqual(priceHistoryService.getUpdateSource({ notes: 'integral' }), null);
+});
+
+test('buildPriceTrend should summarize one series per market and unit', () => {
+  const trend = priceHistoryService.buildPriceTrend('Arroz', [
+    {
+      market_id: MARKET_ID,
+      market_name: 'Atacadão',
+      unit: 'kg',
+      unit_price: 5,
+      observed_on: '2025-01-10',
+    },
+    {
+      market_id: OTHER_MARKET_ID,
+      market_name: 'Extra',
+      unit: 'kg',
+      unit_price: 6.2,
+      observed_on: '2025-01-15',
+    },
+    {
+      market_id: MARKET_ID,
+      market_name: 'Atacadão',
+      unit: 'kg',
+      unit_price: 5.5,
+      observed_on: '2025-02-10',
+    },
+  ]);
+
+  assert.strictEqual(trend.product_key, 'arroz');
+  assert.deepStrictEqual(trend.last, {
+    unit_price: 5.5,
+    unit: 'kg',
+    market_id: MARKET_ID,
+    market_name: 'Atacadão',
+    observed_on: '2025-02-10',
+  });
+  assert.strictEqual(trend.series.length, 2);
+
+  const [atacadao, extra] = trend.series;
+  assert.strictEqual(atacadao.market_name, 'Atacadão');
+  assert.strictEqual(atacadao.points.length, 2);
+  assert.strictEqual(atacadao.min_price, 5);
+  assert.strictEqual(atacadao.max_price, 5.5);
+  assert.strictEqual(atacadao.average_price, 5.25);
+  assert.strictEqual(atacadao.change, 0.5);
+  assert.strictEqual(atacadao.change_percent, 10);
+  assert.strictEqual(extra.last_price, 6.2);
+});
+
+test('getPriceTrend should look the normalized product up within the period', async () => {
+  let query = null;
+  const repo = {
+    getPriceHistory: async (productKey, userId, options) => {
+      query = { productKey, userId, options };
+      return [];
+    },
+  };
+
+  const trend = await priceHistoryService.getPriceTrend(
+    ' Feijão ',
+    OWNER_ID,
+    { days: 30 },
+    repo,
+    NOW
+  );
+
+  assert.deepStrictEqual(query, {
+    productKey: 'feijao',
+    userId: OWNER_ID,
+    options: { market_id: undefined, since: '2025-01-30' },
+  });
+  assert.strictEqual(trend.last, null);
+  await assert.rejects(
+    () => priceHistoryService.getPriceTrend('Feijão', OWNER_ID, { days: 0 }, repo, NOW),
+    /Invalid days/
+  );
+  await assert.rejects(
+    () => priceHistoryService.getPriceTrend('Feijão', OWNER_ID, { market_id: 'x' }, repo, NOW),
+    /Invalid market_id format/
+  );
+});
+
+test('getLastPricesForList should match prices seen on other lists by product and unit', async () => {
+  const lists = {
+    getShoppingListById: async () => ({
+      ...list,
+      items: [
+        buildItem(),
+        buildItem({ id: 'leite', product_name: 'Leite', unit: 'l' }),
+        buildItem({ id: 'cafe', product_name: 'Café', unit: 'un' }),
+      ],
+    }),
+  };
+  let excluded = null;
+  const repo = {
+    getRecentPrices: async (productKeys, userId, options) => {
+      excluded = options.exclude_list_id;
+      return [
+        {
+          product_key: 'arroz tio joao',
+          unit: 'kg',
+          unit_price: 4.99,
+          market_name: 'Extra',
+          observed_on: '2025-02-01',
+        },
+        {
+          product_key: 'arroz tio joao',
+          unit: 'kg',
+          unit_price: 4.5,
+          market_name: 'Extra',
+          observed_on: '2025-01-01',
+        },
+        {
+          product_key: 'leite',
+          unit: 'cx',
+          unit_price: 4.2,
+          market_name: 'Extra',
+          observed_on: '2025-02-01',
+        },
+      ];
+    },
+  };
+
+  const lastPrices = await priceHistoryService.getLastPricesForList(LIST_ID, OWNER_ID, repo, lists);
+
+  assert.strictEqual(excluded, LIST_ID);
+  assert.deepStrictEqual(Object.keys(lastPrices), [ITEM_ID]);
+  assert.strictEqual(lastPrices[ITEM_ID].unit_price, 4.99);
+});
+
+test('add-shopping-list-item should record the price of the new item', async () => {
+  const prices = buildPriceRecorder();
+  const handler = addHandler(buildListRepository(), createInProcessBroker(), prices);
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    queryStringParameters: { listId: LIST_ID },
+    body: JSON.stringify({
+      product_name: 'Arroz',
+      category: 'Grãos',
+      quantity: 1,
+      unit: 'kg',
+      unit_price: 5.49,
+    }),
+  });
+
+  assert.strictEqual(response.statusCode, 201);
+  assert.strictEqual(prices.recorded.length, 1);
+  assert.strictEqual(prices.recorded[0].source, 'created');
+  assert.strictEqual(prices.recorded[0].list.market_id, MARKET_ID);
+});
+
+test('update-shopping-list-item should record checked items but not note changes', async () => {
+  const prices = buildPriceRecorder();
+  const handler = updateHandler(buildListRepository(), createInProcessBroker(), prices);
+  const update = (body) =>
+    handler({
+      httpMethod: 'PUT',
+      headers: authHeaders,
+      queryStringParameters: { itemId: ITEM_ID },
+      body: JSON.stringify(body),
+    });
+
+  await update({ notes: 'integral' });
+  await update({ is_checked: true });
+  await update({ unit_price: 5.99 });
+
+  assert.deepStrictEqual(
+    prices.recorded.map((entry) => [entry.source, entry.items[0].unit_price]),
+    [
+      ['checked', 5.49],
+      ['updated', 5.99],
+    ]
+  );
+});
+
+test('get-price-history should return the trend of a product or the last prices of a list', async () => {
+  const calls = [];
+  const handler = priceHistoryHandler({
+    getPriceTrend: async (params) => {
+      calls.push(['trend', params]);
+      return { product: params.product, series: [] };
+    },
+    getLastPricesForList: async (params) => {
+      calls.push(['list', params]);
+      return { [ITEM_ID]: { unit_price: 4.99 } };
+    },
+  });
+
+  const trend = await handler({
+    httpMethod: 'GET',
+    headers: authHeaders,
+    queryStringParameters: { product: 'Arroz', days: '30' },
+  });
+  const lastPrices = await handler({
+    httpMethod: 'GET',
+    headers: authHeaders,
+    queryStringParameters: { list_id: LIST_ID },
+  });
+  const wrongMethod = await handler({ httpMethod: 'POST', headers: authHeaders });
+
+  assert.strictEqual(trend.statusCode, 200);
+  assert.strictEqual(JSON.parse(trend.body).product, 'Arroz');
+  assert.deepStrictEqual(calls[0], [
+    'trend',
+    { product: 'Arroz', market_id: undefined, days: '30', user_id: OWNER_ID },
+  ]);
+  assert.strictEqual(JSON.parse(lastPrices.body).last_prices[ITEM_ID].unit_price, 4.99);
+  assert.strictEqual(wrongMethod.statusCode, 405);
+});
+
+test('get-price-history should answer 400 without a product', async () => {
+  const handler = priceHistoryHandler();
+
+  const response = await handler({ httpMethod: 'GET', headers: authHeaders });
+
+  assert.strictEqual(response.statusCode, 400);
+  assert.strictEqual(JSON.parse(response.body).error, 'Product name is required');
+});
@@ -0,0 +1,254 @@
+// tests/rate-limit.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore, createRateLimiter } = require('../src/services/rateLimitService');
+const { withRateLimit, getClientKey, isMiss } = require('../src/middleware/rateLimit');
+const { buildHandler: byCodeHandler } = require('../src/api/get-shopping-list-by-code');
+const { buildHandler: acceptHandler } = require('../src/api/accept-household-invitation');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+
+/**
+ * Tests for rate limiting the Netlify Functions
+ */
+
+function buildLimiter(limit, clock) {
+  return createRateLimiter({
+    name: 'test',
+    limit,
+    windowSeconds: 60,
+    store: createMemoryStore(clock),
+    clock,
+  });
+}
+
+function lookupEvent(code, ip = '203.0.113.7') {
+  return {
+    httpMethod: 'GET',
+    headers: { 'x-forwarded-for': ip, 'user-agent': 'Mozilla/5.0' },
+    queryStringParameters: { code },
+  };
+}
+
+const notFoundController = { getShoppingListByShareCode: async () => null };
+
+test('createRateLimiter should limit each key per window and reset afterwards', async () => {
+  let now = new Date('2025-03-01T12:00:00.000Z');
+  const limiter = buildLimiter(2, () => now);
+
+  await limiter.hit('a');
+  const second = await limiter.hit('a');
+  const third = await limiter.hit('a');
+  const other = await limiter.check('b');
+
+  assert.strictEqual(second.limited, false);
+  assert.strictEqual((await limiter.check('a')).limited, true);
+  assert.strictEqual(third.limited, true);
+  assert.strictEqual(third.retryAfter, 60);
+  assert.strictEqual(other.limited, false);
+
+  now = new Date('2025-03-01T12:01:00.000Z');
+  assert.strictEqual((await limiter.check('a')).limited, false);
+});
+
+test('getStore should warn when only the anon key could keep the counters', (t) => {
+  const env = { ...process.env };
+  const warnings = [];
+  t.mock.method(console, 'warn', (message) => warnings.push(message));
+  const loadStore = () => {
+    delete require.cache[require.resolve('../src/services/rateLimitService')];
+    return require('../src/services/rateLimitService').getStore();
+  };
+
+  try {
+    process.env.SUPABASE_URL = 'https://test.supabase.co';
+    process.env.SUPABASE_ANON_KEY = 'anon-key';
+    delete process.env.SUPABASE_SERVICE_API_KEY;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    delete process.env.SUPABASE_SERVICE_KEY;
+    delete process.env.RATE_LIMIT_STORE;
+
+    const store = loadStore();
+    assert.strictEqual(typeof store.hit, 'function');
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /service key/);
+
+    // Keeping them in memory on purpose is not worth a warning
+    process.env.RATE_LIMIT_STORE = 'memory';
+    loadStore();
+    assert.strictEqual(warnings.length, 1);
+  } finally {
+    process.env = env;
+    delete require.cache[require.resolve('../src/services/rateLimitService')];
+  }
+});
+
+test('createRateLimiter should reject invalid limits', () => {
+  assert.throws(
+    () => createRateLimiter({ name: 'x', limit: 0, windowSeconds: 60, store: createMemoryStore() }),
+    /must be positive integers/
+  );
+});
+
+test('getClientKey should key clients by IP alone without exposing it', () => {
+  const key = getClientKey(lookupEvent('1234'));
+  const withHeaders = (headers) =>
+    getClientKey({ headers: { 'x-forwarded-for': '203.0.113.7', ...headers } });
+
+  assert.strictEqual(key, getClientKey(lookupEvent('5678')));
+  assert.notStrictEqual(key, getClientKey(lookupEvent('1234', '198.51.100.1')));
+  assert.ok(!key.includes('203.0.113.7'));
+
+  // Headers the client chooses do not give it a new key
+  assert.strictEqual(withHeaders({ 'user-agent': 'curl/8.0' }), key);
+  assert.strictEqual(withHeaders({ 'x-client-fingerprint': 'random' }), key);
+  assert.strictEqual(withHeaders({ 'x-forwarded-for': '10.9.9.9, 203.0.113.7' }), key);
+
+  // Netlify's own client IP header wins over X-Forwarded-For
+  assert.strictEqual(
+    getClientKey({
+      headers: { 'x-nf-client-connection-ip': '203.0.113.7', 'x-forwarded-for': '10.0.0.1' },
+    }),
+    key
+  );
+});
+
+test('get-shopping-list-by-code should answer 429 with Retry-After after repeated misses', async () => {
+  const handler = byCodeHandler(
+    notFoundController,
+    buildLimiter(3, () => new Date())
+  );
+
+  for (const code of ['1111', '2222', '3333']) {
+    const response = await handler(lookupEvent(code));
+    assert.strictEqual(response.statusCode, 404);
+  }
+
+  const throttled = await handler(lookupEvent('4444'));
+
+  assert.strictEqual(throttled.statusCode, 429);
+  assert.ok(Number(throttled.headers['Retry-After']) > 0);
+  assert.strictEqual(
+    JSON.parse(throttled.body).retry_after,
+    Number(throttled.headers['Retry-After'])
+  );
+
+  // Other clients are not affected
+  const otherClient = await handler(lookupEvent('4444', '198.51.100.1'));
+  assert.strictEqual(otherClient.statusCode, 404);
+});
+
+test('get-shopping-list-by-code should not count successful lookups', async () => {
+  const controller = {
+    getShoppingListByShareCode: async () => ({ id: 'list', share_code: '1234' }),
+  };
+  const handler = byCodeHandler(
+    controller,
+    buildLimiter(1, () => new Date())
+  );
+
+  const first = await handler(lookupEvent('1234'));
+  const second = await handler(lookupEvent('1234'));
+
+  assert.strictEqual(first.statusCode, 200);
+  assert.strictEqual(second.statusCode, 200);
+});
+
+test('withRateLimit should count parallel requests before handling them', async () => {
+  let handled = 0;
+  const handler = withRateLimit(
+    async () => {
+      handled++;
+      await new Promise((resolve) => setImmediate(resolve));
+      return { statusCode: 404 };
+    },
+    { limiter: buildLimiter(3, () => new Date()), countWhen: isMiss }
+  );
+
+  const responses = await Promise.all(
+    Array.from({ length: 10 }, (_, index) => handler(lookupEvent(String(index))))
+  );
+
+  assert.strictEqual(handled, 3);
+  assert.strictEqual(responses.filter((response) => response.statusCode === 429).length, 7);
+});
+
+test('withRateLimit should let requests through when the store fails', async () => {
+  const brokenLimiter = {
+    check: async () => {
+      throw new Error('store down');
+    },
+    hit: async () => {
+      throw new Error('store down');
+    },
+    release: async () => {
+      throw new Error('store down');
+    },
+  };
+  const handler = withRateLimit(async () => ({ statusCode: 404 }), {
+    limiter: brokenLimiter,
+    countWhen: isMiss,
+  });
+
+  const response = await handler(lookupEvent('1234'));
+
+  assert.strictEqual(response.statusCode, 404);
+});
+
+test('accept-household-invitation should throttle wrong codes per user', async () => {
+  const controller = {
+    acceptInvitation: async () => {
+      throw new Error('Invitation not found');
+    },
+  };
+  const handler = acceptHandler(
+    controller,
+    buildLimiter(2, () => new Date()),
+    buildLimiter(10, () => new Date())
+  );
+  const event = (ip) => ({
+    httpMethod: 'POST',
+    headers: {
+      authorization: `Bearer ${signToken({ sub: USER_ID })}`,
+      'x-forwarded-for': ip,
+    },
+    body: JSON.stringify({ code: 'ABCDEFGH' }),
+  });
+
+  assert.strictEqual((await handler(event('203.0.113.1'))).statusCode, 404);
+  assert.strictEqual((await handler(event('203.0.113.2'))).statusCode, 404);
+  assert.strictEqual((await handler(event('203.0.113.3'))).statusCode, 429);
+});
+
+test('accept-household-invitation should also throttle wrong codes per IP across accounts', async () => {
+  const controller = {
+    acceptInvitation: async () => {
+      throw new Error('Invitation not found');
+    },
+  };
+  const handler = acceptHandler(
+    controller,
+    buildLimiter(10, () => new Date()),
+    buildLimiter(2, () => new Date())
+  );
+  const event = (userId) => ({
+    httpMethod: 'POST',
+    headers: {
+      authorization: `Bearer ${signToken({ sub: userId })}`,
+      'x-forwarded-for': '203.0.113.1',
+    },
+    body: JSON.stringify({ code: 'ABCDEFGH' }),
+  });
+
+  assert.strictEqual((await handler(event(USER_ID))).statusCode, 404);
+  assert.strictEqual(
+    (await handler(event('00000000-0000-0000-0000-000000000002'))).statusCode,
+    404
+  );
+  assert.strictEqual(
+    (await handler(event('00000000-0000-0000-0000-000000000003'))).statusCode,
+    429
+  );
+});
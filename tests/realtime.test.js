@@ -0,0 +1,239 @@
+// tests/realtime.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const realtimeService = require('../src/services/realtimeService');
+const RealtimeUtils = require('../src/utils/realtime');
+const { buildHandler: addHandler } = require('../src/api/add-shopping-list-item');
+const { buildHandler: updateHandler } = require('../src/api/update-shopping-list-item');
+const { buildHandler: removeHandler } = require('../src/api/remove-shopping-list-item');
+const controller = require('../src/controllers/shoppingListController');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM_ID = '650e8400-e29b-41d4-a716-446655440001';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` };
+
+/**
+ * Tests for realtime item sync and presence through the in-process broker
+ */
+
+function buildMockRepository() {
+  const item = {
+    id: ITEM_ID,
+    list_id: LIST_ID,
+    product_name: 'Arroz',
+    category: 'Grãos',
+    quantity: 1,
+    unit: 'kg',
+    unit_price: 5,
+    is_checked: false,
+  };
+
+  return {
+    getShoppingListOwner: async (listId) => ({ id: listId, user_id: OWNER_ID }),
+    getShoppingListItemById: async () => item,
+    countItems: async () => 1,
+    addItemToList: async (listId, itemData) => ({ ...itemData, id: ITEM_ID, list_id: listId }),
+    updateShoppingListItem: async (itemId, updates) => ({ ...item, ...updates }),
+    deleteShoppingListItem: async () => item,
+  };
+}
+
+function listen(broker) {
+  const changes = [];
+  const subscription = RealtimeUtils.joinList(broker, realtimeService.listChannelName(LIST_ID), {
+    presenceKey: 'other-tab',
+    onItemChange: (change) => changes.push(change),
+  });
+  return { changes, subscription };
+}
+
+test('in-process broker should deliver broadcasts to other subscribers of the channel', async () => {
+  const broker = realtimeService.createInProcessBroker();
+  const received = [];
+
+  broker
+    .channel('shopping_list:a')
+    .on('broadcast', { event: 'item_change' }, (message) => received.push(message.payload))
+    .subscribe();
+  broker
+    .channel('shopping_list:b')
+    .on('broadcast', { event: 'item_change' }, () => assert.fail('wrong channel'))
+    .subscribe();
+
+  await broker
+    .channel('shopping_list:a')
+    .send({ type: 'broadcast', event: 'item_change', payload: { n: 1 } });
+
+  assert.deepStrictEqual(received, [{ n: 1 }]);
+});
+
+test('list channel names should not be derivable from the list ID', async () => {
+  const name = realtimeService.listChannelName(LIST_ID);
+  const srv = {
+    getShoppingListById: async (id) => ({ id, title: 'Mercado' }),
+    getShoppingListByShareCode: async () => null,
+  };
+
+  assert.match(name, /^shopping_list:[\w-]{32}$/);
+  assert.ok(!name.includes(LIST_ID));
+  assert.strictEqual(name, realtimeService.listChannelName(LIST_ID));
+  assert.notStrictEqual(name, realtimeService.listChannelName(ITEM_ID));
+
+  // Only the functions that checked access hand the name out
+  const list = await controller.getShoppingListById(LIST_ID, OWNER_ID, srv);
+  assert.strictEqual(list.realtime_channel, name);
+  assert.strictEqual(await controller.getShoppingListByShareCode('ABCD2345EFGH', srv), null);
+});
+
+test('update-shopping-list-item should broadcast the updated item', async () => {
+  const broker = realtimeService.createInProcessBroker();
+  const { changes } = listen(broker);
+  const handler = updateHandler(buildMockRepository(), broker);
+
+  const response = await handler({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+    body: JSON.stringify({ is_checked: true }),
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual(changes[0].type, 'UPDATE');
+  assert.strictEqual(changes[0].item.is_checked, true);
+  assert.deepStrictEqual(changes[0].actor, { user_id: OWNER_ID });
+});
+
+test('add and remove should broadcast INSERT and DELETE changes', async () => {
+  const broker = realtimeService.createInProcessBroker();
+  const { changes } = listen(broker);
+  const repo = buildMockRepository();
+
+  await addHandler(
+    repo,
+    broker
+  )({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    queryStringParameters: { listId: LIST_ID },
+    body: JSON.stringify({ product_name: 'Leite', category: 'Laticínios', quantity: 2, unit: 'l' }),
+  });
+  await removeHandler(
+    repo,
+    broker
+  )({
+    httpMethod: 'DELETE',
+    headers: authHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+  });
+
+  assert.deepStrictEqual(
+    changes.map((change) => change.type),
+    ['INSERT', 'DELETE']
+  );
+  assert.strictEqual(changes[0].item.product_name, 'Leite');
+  assert.strictEqual(changes[1].item.id, ITEM_ID);
+});
+
+test('rejected changes should not be broadcast', async () => {
+  const broker = realtimeService.createInProcessBroker();
+  const { changes } = listen(broker);
+  const otherUserHeaders = {
+    authorization: `Bearer ${signToken({ sub: '2f1b7c3e-1d7a-4c55-9a0e-6f3f3c1b2a10' })}`,
+  };
+
+  const response = await updateHandler(
+    buildMockRepository(),
+    broker
+  )({
+    httpMethod: 'PUT',
+    headers: otherUserHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+    body: JSON.stringify({ is_checked: true }),
+  });
+
+  assert.strictEqual(response.statusCode, 403);
+  assert.deepStrictEqual(changes, []);
+});
+
+test('a broadcast failure should not fail the item update', async () => {
+  const failingBroker = {
+    channel: () => ({
+      send: async () => {
+        throw new Error('realtime unavailable');
+      },
+    }),
+    removeChannel: async () => 'ok',
+  };
+
+  const response = await updateHandler(
+    buildMockRepository(),
+    failingBroker
+  )({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+    body: JSON.stringify({ is_checked: true }),
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+});
+
+test('joinList should report who is viewing the list', async () => {
+  const broker = realtimeService.createInProcessBroker();
+  let viewers = [];
+
+  RealtimeUtils.joinList(broker, realtimeService.listChannelName(LIST_ID), {
+    presenceKey: 'tab-ana',
+    presenceMeta: { name: 'Ana' },
+    onPresenceChange: (current) => {
+      viewers = current;
+    },
+  });
+  const bruno = RealtimeUtils.joinList(broker, realtimeService.listChannelName(LIST_ID), {
+    presenceKey: 'tab-bruno',
+    presenceMeta: { name: 'Bruno' },
+  });
+
+  assert.deepStrictEqual(
+    viewers.map((viewer) => viewer.name),
+    ['Ana', 'Bruno']
+  );
+
+  await bruno.leave();
+
+  assert.deepStrictEqual(
+    viewers.map((viewer) => viewer.name),
+    ['Ana']
+  );
+});
+
+test('applyItemChange should add, merge and remove items by ID', () => {
+  const items = [
+    { id: '1', name: 'Arroz', checked: false },
+    { id: '2', name: 'Feijão', checked: false },
+  ];
+
+  const inserted = RealtimeUtils.applyItemChange(items, {
+    type: 'INSERT',
+    item: { id: '3', name: 'Leite' },
+  });
+  const updated = RealtimeUtils.applyItemChange(inserted, {
+    type: 'UPDATE',
+    item: { id: '1', checked: true },
+  });
+  const removed = RealtimeUtils.applyItemChange(updated, { type: 'DELETE', item: { id: '2' } });
+  const duplicate = RealtimeUtils.applyItemChange(removed, {
+    type: 'INSERT',
+    item: { id: '3', name: 'Leite' },
+  });
+
+  assert.deepStrictEqual(duplicate, [
+    { id: '1', name: 'Arroz', checked: true },
+    { id: '3', name: 'Leite' },
+  ]);
+  assert.strictEqual(items.length, 2, 'should not mutate the original array');
+});
@@ -0,0 +1,418 @@
+// tests/recurrence.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  validateRecurrence,
+  getNextOccurrence,
+  getNextOccurrenceFrom,
+} = require('../src/utils/recurrence');
+const recurrenceService = require('../src/services/recurrenceService');
+const shoppingListService = require('../src/services/shoppingListService');
+const { ShoppingList } = require('../src/models/ShoppingList');
+
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const HOUSEHOLD_ID = '550e8400-e29b-41d4-a716-446655440000';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+// A Wednesday
+const NOW = new Date('2025-03-12T12:00:00.000Z');
+
+/**
+ * Tests for recurring shopping lists
+ */
+
+const recurringList = {
+  id: LIST_ID,
+  user_id: USER_ID,
+  household_id: HOUSEHOLD_ID,
+  title: 'Compras da Semana',
+  description: 'Feira de quarta',
+  shopping_date: '2025-03-12',
+  market_id: null,
+  payment_id: null,
+  recurrence_rule: 'weekly',
+  recurrence_weekdays: null,
+  items: [
+    {
+      product_name: 'Leite',
+      category: 'Laticínios',
+      quantity: 2,
+      unit: 'l',
+      unit_price: 4.5,
+      notes: null,
+    },
+  ],
+};
+
+function buildRepository(dueLists = [recurringList]) {
+  const claims = new Map();
+  const created = [];
+  return {
+    claims,
+    created,
+    getListsDueForRecurrence: async (userId, until) =>
+      dueLists.filter((list) => list.shopping_date <= until),
+    claimNextOccurrence: async (listId, nextId) => {
+      if (claims.has(listId)) {
+        return false;
+      }
+      claims.set(listId, nextId);
+      return true;
+    },
+    releaseNextOccurrence: async (listId, nextId) => {
+      if (claims.get(listId) === nextId) {
+        claims.delete(listId);
+      }
+    },
+    createShoppingList: async (listData, items) => {
+      const list = { ...listData, items };
+      created.push(list);
+      return list;
+    },
+  };
+}
+
+// Shopping list service creating lists in the repository, without the
+// household and price history services
+function buildListService(recorded = []) {
+  const households = { authorizeHousehold: async () => {} };
+  const prices = {
+    recordItemPrices: async (items, list, source) => {
+      recorded.push([list.id, source]);
+    },
+  };
+  return {
+    createShoppingListWithShareCode: (listData, items, repo) =>
+      shoppingListService.createShoppingListWithShareCode(
+        listData,
+        items,
+        repo,
+        households,
+        prices
+      ),
+  };
+}
+
+test('getNextOccurrence should follow weekly, biweekly, monthly and custom rules', () => {
+  assert.strictEqual(getNextOccurrence('2025-03-12', 'weekly'), '2025-03-19');
+  assert.strictEqual(getNextOccurrence('2025-03-26', 'biweekly'), '2025-04-09');
+  assert.strictEqual(getNextOccurrence('2025-03-12', 'monthly'), '2025-04-12');
+  assert.strictEqual(getNextOccurrence('2025-12-15', 'monthly'), '2026-01-15');
+  // Shorter months move the occurrence back to their last day
+  assert.strictEqual(getNextOccurrence('2025-01-31', 'monthly'), '2025-02-28');
+  assert.strictEqual(getNextOccurrence('2024-01-31', 'monthly'), '2024-02-29');
+  // ...and the series goes back to its own day after them
+  assert.strictEqual(getNextOccurrence('2025-02-28', 'monthly', null, 31), '2025-03-31');
+  assert.strictEqual(getNextOccurrence('2025-03-31', 'monthly', null, 31), '2025-04-30');
+  // Wednesday → Saturday → Monday
+  assert.strictEqual(getNextOccurrence('2025-03-12', 'custom', [1, 6]), '2025-03-15');
+  assert.strictEqual(getNextOccurrence('2025-03-15', 'custom', [1, 6]), '2025-03-17');
+  assert.strictEqual(getNextOccurrence('2025-03-12', 'custom', [3]), '2025-03-19');
+  // Missed occurrences are skipped
+  assert.strictEqual(
+    getNextOccurrenceFrom('2025-02-05', 'weekly', null, '2025-03-12'),
+    '2025-03-12'
+  );
+  assert.strictEqual(
+    getNextOccurrenceFrom('2025-02-05', 'weekly', null, '2025-03-13'),
+    '2025-03-19'
+  );
+});
+
+test('validateRecurrence should normalize rules and reject invalid ones', () => {
+  assert.deepStrictEqual(validateRecurrence(null), {
+    recurrence_rule: null,
+    recurrence_weekdays: null,
+  });
+  assert.deepStrictEqual(validateRecurrence('weekly', [1, 2]), {
+    recurrence_rule: 'weekly',
+    recurrence_weekdays: null,
+  });
+  assert.deepStrictEqual(validateRecurrence('custom', [6, 1, 6]), {
+    recurrence_rule: 'custom',
+    recurrence_weekdays: [1, 6],
+  });
+  assert.throws(() => validateRecurrence('daily'), /Invalid recurrence rule/);
+  assert.throws(() => validateRecurrence('custom', []), /Custom recurrence must include weekdays/);
+  assert.throws(() => validateRecurrence('custom', [7]), /Custom recurrence must include weekdays/);
+
+  const list = new ShoppingList({
+    user_id: USER_ID,
+    title: 'Feira',
+    shopping_date: '2025-03-12',
+    recurrence_rule: 'yearly',
+  });
+  assert.match(list.validate().errors.join(', '), /Invalid recurrence rule/);
+  list.recurrence_rule = 'monthly';
+  assert.strictEqual(list.toDbFormat().recurrence_rule, 'monthly');
+});
+
+test('generateNextOccurrence should copy the items unchecked to the next date', async () => {
+  const repo = buildRepository();
+  const recorded = [];
+
+  const occurrence = await recurrenceService.generateNextOccurrence(
+    recurringList,
+    repo,
+    NOW,
+    buildListService(recorded)
+  );
+
+  assert.strictEqual(occurrence.id, repo.claims.get(LIST_ID));
+  assert.strictEqual(occurrence.shopping_date, '2025-03-19');
+  assert.strictEqual(occurrence.recurrence_source_id, LIST_ID);
+  assert.strictEqual(occurrence.recurrence_rule, 'weekly');
+  assert.strictEqual(occurrence.household_id, HOUSEHOLD_ID);
+  assert.strictEqual(occurrence.title, 'Compras da Semana');
+  assert.deepStrictEqual(occurrence.items, [
+    {
+      product_name: 'Leite',
+      category: 'Laticínios',
+      quantity: 2,
+      unit: 'l',
+      unit_price: 4.5,
+      notes: null,
+      is_checked: false,
+    },
+  ]);
+
+  // Created like any new list: own share code and price history
+  assert.match(occurrence.share_code, /^[A-Za-z0-9]{12}$/);
+  assert.deepStrictEqual(recorded, [[occurrence.id, 'created']]);
+});
+
+test('generateNextOccurrence should validate the occurrence like any new list', async () => {
+  const repo = buildRepository();
+  const invalid = {
+    ...recurringList,
+    items: [{ ...recurringList.items[0], unit: 'caixa' }],
+  };
+
+  await assert.rejects(
+    recurrenceService.generateNextOccurrence(invalid, repo, NOW, buildListService()),
+    /Item 1: Unit must be one of/
+  );
+  assert.strictEqual(repo.created.length, 0);
+  assert.strictEqual(repo.claims.size, 0);
+});
+
+test('generateNextOccurrence should keep a monthly series on its day of the month', async () => {
+  const repo = buildRepository();
+  const monthly = {
+    ...recurringList,
+    shopping_date: '2025-01-31',
+    recurrence_rule: 'monthly',
+  };
+  const now = new Date('2025-01-31T12:00:00.000Z');
+
+  const february = await recurrenceService.generateNextOccurrence(
+    monthly,
+    repo,
+    now,
+    buildListService()
+  );
+  assert.strictEqual(february.shopping_date, '2025-02-28');
+  assert.strictEqual(february.recurrence_day, 31);
+
+  const march = await recurrenceService.generateNextOccurrence(
+    { ...february, id: 'list-february' },
+    repo,
+    new Date('2025-02-28T12:00:00.000Z'),
+    buildListService()
+  );
+  assert.strictEqual(march.shopping_date, '2025-03-31');
+  assert.strictEqual(march.recurrence_day, 31);
+
+  const weekly = await recurrenceService.generateNextOccurrence(
+    { ...recurringList, id: 'list-weekly' },
+    repo,
+    NOW,
+    buildListService()
+  );
+  assert.strictEqual(weekly.recurrence_day, null);
+});
+
+test('updateShoppingList should restart the monthly series from a new date', async () => {
+  let saved;
+  const repo = {
+    updateShoppingList: async (id, userId, updates) => {
+      saved = updates;
+      return { id, ...updates };
+    },
+  };
+
+  await shoppingListService.updateShoppingList(
+    LIST_ID,
+    USER_ID,
+    { shopping_date: '2025-04-10' },
+    repo
+  );
+  assert.strictEqual(saved.recurrence_day, null);
+
+  await shoppingListService.updateShoppingList(LIST_ID, USER_ID, { title: 'Feira' }, repo);
+  assert.strictEqual('recurrence_day' in saved, false);
+});
+
+test('generateDueOccurrences should only generate due lists, once', async () => {
+  const upcoming = { ...recurringList, id: 'list-upcoming', shopping_date: '2025-03-20' };
+  const repo = buildRepository([recurringList, upcoming]);
+
+  const [first, second] = await Promise.all([
+    recurrenceService.generateDueOccurrences(USER_ID, repo, NOW, buildListService()),
+    recurrenceService.generateDueOccurrences(USER_ID, repo, NOW, buildListService()),
+  ]);
+
+  assert.strictEqual(first.length + second.length, 1);
+  assert.strictEqual(repo.created.length, 1);
+  assert.strictEqual(repo.created[0].recurrence_source_id, LIST_ID);
+
+  // A week later the generated occurrence is due in turn
+  const later = await recurrenceService.generateDueOccurrences(
+    USER_ID,
+    buildRepository(repo.created),
+    new Date('2025-03-19T08:00:00.000Z'),
+    buildListService()
+  );
+  assert.strictEqual(later[0].shopping_date, '2025-03-26');
+});
+
+test('generateDueOccurrences should release the claim when the occurrence cannot be created', async () => {
+  const repo = buildRepository();
+  repo.createShoppingList = async () => {
+    throw new Error('connection refused');
+  };
+
+  const created = await recurrenceService.generateDueOccurrences(
+    USER_ID,
+    repo,
+    NOW,
+    buildListService()
+  );
+
+  assert.deepStrictEqual(created, []);
+  assert.strictEqual(repo.claims.size, 0);
+});
+
+test('getShoppingLists should generate due occurrences before listing', async () => {
+  const calls = [];
+  const repo = {
+    getShoppingLists: async () => {
+      calls.push('list');
+      return [];
+    },
+  };
+  const budgets = { annotateLists: async (lists) => lists };
+  const recurrence = {
+    generateDueOccurrences: async (userId) => {
+      calls.push(`generate ${userId}`);
+      return [];
+    },
+  };
+
+  await shoppingListService.getShoppingLists(USER_ID, {}, repo, budgets, recurrence);
+  assert.deepStrictEqual(calls, [`generate ${USER_ID}`, 'list']);
+
+  // The next pages do not generate them again
+  calls.length = 0;
+  await shoppingListService.getShoppingLists(
+    USER_ID,
+    { after: { values: ['2025-03-12'], id: LIST_ID } },
+    repo,
+    budgets,
+    recurrence
+  );
+  assert.deepStrictEqual(calls, ['list']);
+});
+
+test('deleteShoppingList should skip an occurrence instead of ending the series', async () => {
+  const upcoming = { ...recurringList, shopping_date: '2025-03-19', recurrence_next_id: null };
+  const repo = buildRepository();
+  repo.getShoppingListById = async () => upcoming;
+  repo.deleteShoppingList = async (id) => ({ id, deleted_at: NOW.toISOString() });
+  const recurrence = {
+    skipOccurrence: (list) => recurrenceService.skipOccurrence(list, repo, NOW, buildListService()),
+  };
+
+  const deleted = await shoppingListService.deleteShoppingList(LIST_ID, USER_ID, repo, recurrence);
+
+  assert.strictEqual(deleted.id, LIST_ID);
+  assert.deepStrictEqual(
+    repo.created.map((list) => [list.shopping_date, list.recurrence_source_id]),
+    [['2025-03-26', LIST_ID]]
+  );
+
+  // Occurrences that already have a next one, and lists that do not repeat, are left alone
+  assert.strictEqual(
+    await recurrenceService.skipOccurrence(
+      { ...upcoming, recurrence_next_id: 'next' },
+      repo,
+      NOW,
+      buildListService()
+    ),
+    null
+  );
+  assert.strictEqual(
+    await recurrenceService.skipOccurrence(
+      { ...upcoming, recurrence_rule: null },
+      repo,
+      NOW,
+      buildListService()
+    ),
+    null
+  );
+  assert.strictEqual(repo.created.length, 1);
+});
+
+test('deleteShoppingList should only let the owner delete a list', async () => {
+  const repo = {
+    getShoppingListById: async (id) =>
+      id === LIST_ID ? { ...recurringList, user_id: 'someone-else' } : null,
+    deleteShoppingList: async () => {
+      throw new Error('deleteShoppingList should not be called');
+    },
+  };
+  const recurrence = { skipOccurrence: async () => null };
+
+  await assert.rejects(
+    shoppingListService.deleteShoppingList(LIST_ID, USER_ID, repo, recurrence),
+    /User not authorized to delete this shopping list/
+  );
+  await assert.rejects(
+    shoppingListService.deleteShoppingList('list-missing', USER_ID, repo, recurrence),
+    /Shopping list not found/
+  );
+});
+
+test('restoreShoppingList should move the occurrence generated in its place to the trash', async () => {
+  const repo = buildRepository();
+  const skipped = { ...recurringList, recurrence_next_id: 'list-generated' };
+  const lists = {
+    'list-generated': { id: 'list-generated', user_id: USER_ID, recurrence_next_id: null },
+  };
+  repo.claims.set(LIST_ID, 'list-generated');
+  repo.purgeShoppingLists = async () => [];
+  repo.restoreShoppingList = async () => ({ ...skipped, deleted_at: null });
+  repo.getShoppingListById = async (id) => lists[id] || null;
+  repo.deleteShoppingList = async (id) => {
+    const deleted = { ...lists[id], deleted_at: NOW.toISOString() };
+    delete lists[id];
+    return deleted;
+  };
+
+  const restored = await shoppingListService.restoreShoppingList(
+    LIST_ID,
+    USER_ID,
+    repo,
+    NOW,
+    recurrenceService
+  );
+
+  assert.strictEqual(restored.id, LIST_ID);
+  assert.deepStrictEqual(lists, {});
+  // The restored occurrence generates its next one again once it is due
+  assert.strictEqual(repo.claims.has(LIST_ID), false);
+
+  // Once the series moved past the generated occurrence, it is left alone
+  lists['list-generated'] = { id: 'list-generated', user_id: USER_ID, recurrence_next_id: 'later' };
+  assert.strictEqual(await recurrenceService.unskipOccurrence(skipped, repo), null);
+  assert.ok(lists['list-generated']);
+});
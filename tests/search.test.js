@@ -0,0 +1,211 @@
+// tests/search.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const searchService = require('../src/services/searchService');
+const controller = require('../src/controllers/searchController');
+const { buildHandler } = require('../src/api/search-shopping-lists');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: USER_ID })}` };
+
+/**
+ * Tests for searching lists and their items
+ */
+
+// What the database returns for a search: most recent lists first, with their matching items
+const candidates = [
+  {
+    id: 'list-recent',
+    title: 'Compras da semana',
+    description: null,
+    shopping_date: '2025-03-10',
+    is_completed: false,
+    household_id: null,
+    items: [
+      {
+        id: 'item-2',
+        product_name: 'Esponja',
+        category: 'Limpeza',
+        notes: 'a que vem com detergente de brinde',
+      },
+    ],
+  },
+  {
+    id: 'list-old',
+    title: 'Detergente e limpeza',
+    description: 'Reposição do mês',
+    shopping_date: '2025-02-01',
+    is_completed: true,
+    household_id: 'household-1',
+    items: [{ id: 'item-3', product_name: 'Detergente Ypê', category: 'Limpeza', notes: null }],
+  },
+];
+
+function buildRepository(rows = candidates) {
+  const searches = [];
+  return {
+    searches,
+    searchShoppingLists: async (userId, terms, limit) => {
+      searches.push({ userId, terms, limit });
+      return rows;
+    },
+  };
+}
+
+test('parseSearchTerms should fold case and accents and drop one-letter words', () => {
+  assert.deepStrictEqual(searchService.parseSearchTerms('  AÇÚCAR e Café  '), ['acucar', 'cafe']);
+  assert.deepStrictEqual(searchService.parseSearchTerms('pão, pão; leite!'), ['pao', 'leite']);
+
+  assert.throws(() => searchService.parseSearchTerms(''), /Search query is required/);
+  assert.throws(() => searchService.parseSearchTerms('a e'), /word of at least 2 characters/);
+  assert.throws(() => searchService.parseSearchTerms('x'.repeat(101)), /100 characters or less/);
+  assert.throws(
+    () => searchService.parseSearchTerms('um dois tres quatro cinco seis'),
+    /5 words or less/
+  );
+});
+
+test('findMatches should match either spelling and point into the original text', () => {
+  const [accented] = searchService.findMatches('Açúcar refinado', ['acucar']);
+  const [plain] = searchService.findMatches('acucar cristal', ['acucar']);
+  const inside = searchService.findMatches('Pão de açúcar', ['car', 'pao']);
+
+  assert.deepStrictEqual(accented, {
+    term: 'acucar',
+    start: 0,
+    end: 6,
+    word_start: true,
+    whole_word: true,
+  });
+  assert.strictEqual(plain.end, 6);
+  assert.deepStrictEqual(
+    inside.map((match) => ['Pão de açúcar'.slice(match.start, match.end), match.word_start]),
+    [
+      ['Pão', true],
+      ['car', false],
+    ]
+  );
+});
+
+test('searchShoppingLists should rank title matches above item notes and highlight them', async () => {
+  const repo = buildRepository();
+
+  const { query, terms, results } = await searchService.searchShoppingLists(
+    USER_ID,
+    ' Detergênte ',
+    {},
+    repo
+  );
+
+  assert.deepStrictEqual(repo.searches, [{ userId: USER_ID, terms: ['detergente'], limit: 100 }]);
+  assert.strictEqual(query, 'Detergênte');
+  assert.deepStrictEqual(terms, ['detergente']);
+
+  // The older list matches by title and by an item name; the recent one only by a note
+  assert.deepStrictEqual(
+    results.map((result) => result.list.id),
+    ['list-old', 'list-recent']
+  );
+  const [old, recent] = results;
+  assert.deepStrictEqual(old.highlights, [
+    { field: 'title', text: 'Detergente e limpeza', ranges: [[0, 10]] },
+  ]);
+  assert.deepStrictEqual(old.items[0].highlights, [
+    { field: 'product_name', text: 'Detergente Ypê', ranges: [[0, 10]] },
+  ]);
+  assert.ok(old.score > recent.score);
+
+  assert.deepStrictEqual(
+    recent.items.map((item) => [item.id, item.highlights.map((h) => h.field)]),
+    [['item-2', ['notes']]]
+  );
+  const [note] = recent.items[0].highlights;
+  assert.strictEqual(note.text.slice(...note.ranges[0]), 'detergente');
+});
+
+test('searchShoppingLists should cut long texts around the match and honor the limit', async () => {
+  const notes = `${'Levar sacola retornável. '.repeat(4)}Comprar o açúcar mascavo orgânico da feira, ${'sem falta. '.repeat(4)}`;
+  const repo = buildRepository([
+    {
+      id: 'list-1',
+      title: 'Feira',
+      shopping_date: '2025-03-01',
+      items: [{ id: 'item-1', product_name: 'Açúcar', category: null, notes }],
+    },
+    { id: 'list-2', title: 'Açúcar e café', shopping_date: '2025-02-01', items: [] },
+  ]);
+
+  const { results } = await searchService.searchShoppingLists(
+    USER_ID,
+    'acucar',
+    { limit: 1 },
+    repo
+  );
+
+  assert.strictEqual(results.length, 1);
+  const highlight = results[0].items[0].highlights.find((h) => h.field === 'notes');
+  assert.ok(highlight.text.startsWith('…') && highlight.text.endsWith('…'));
+  assert.ok(highlight.text.length <= 82);
+  const [[start, end]] = highlight.ranges;
+  assert.strictEqual(highlight.text.slice(start, end), 'açúcar');
+
+  await assert.rejects(
+    () => searchService.searchShoppingLists(USER_ID, 'acucar', { limit: 51 }, repo),
+    /Invalid limit/
+  );
+});
+
+test('searchShoppingLists should highlight terms found in different places of a list', async () => {
+  const repo = buildRepository([
+    {
+      id: 'list-1',
+      title: 'Churrasco de domingo',
+      shopping_date: '2025-03-01',
+      items: [{ id: 'item-2', product_name: 'Carvão', category: 'Outros', notes: null }],
+    },
+  ]);
+
+  const { results } = await searchService.searchShoppingLists(
+    USER_ID,
+    'churrasco carvao',
+    {},
+    repo
+  );
+
+  const [result] = results;
+  assert.deepStrictEqual(
+    result.highlights.map((h) => h.field),
+    ['title']
+  );
+  assert.deepStrictEqual(
+    result.items.map((item) => [item.id, item.highlights.map((h) => h.text)]),
+    [['item-2', ['Carvão']]]
+  );
+});
+
+test('search-shopping-lists should search for the session user and map errors', async () => {
+  const repo = buildRepository();
+  const handler = buildHandler({
+    searchShoppingLists: (params) =>
+      controller.searchShoppingLists(params, {
+        searchShoppingLists: (userId, q, options) =>
+          searchService.searchShoppingLists(userId, q, options, repo),
+      }),
+  });
+  const get = (queryStringParameters) =>
+    handler({ httpMethod: 'GET', headers: authHeaders, queryStringParameters });
+
+  const response = await get({ q: 'detergente', limit: '5', user_id: 'someone-else' });
+  const missing = await get({});
+  const badLimit = await get({ q: 'detergente', limit: 'ten' });
+  const wrongMethod = await handler({ httpMethod: 'POST', headers: authHeaders });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(JSON.parse(response.body).results.length, 2);
+  assert.strictEqual(repo.searches[0].userId, USER_ID);
+  assert.strictEqual(missing.statusCode, 400);
+  assert.strictEqual(badLimit.statusCode, 400);
+  assert.strictEqual(wrongMethod.statusCode, 405);
+});
@@ -0,0 +1,300 @@
+// tests/session-api.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildHandler } = require('../src/api/create-session');
+const { buildHandler: updateUserHandler } = require('../src/api/update-user');
+const sessionService = require('../src/services/sessionService');
+const userService = require('../src/services/userService');
+const { signToken, verifyToken } = require('../src/utils/token');
+const { hashPassword, verifyPassword } = require('../src/utils/password');
+const { createMemoryStore, createRateLimiter } = require('../src/services/rateLimitService');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const MARKET_ID = '650e8400-e29b-41d4-a716-446655440001';
+const PASSWORD = 'correct horse';
+const PASSWORD_HASH = hashPassword(PASSWORD);
+
+function memoryLimiter(limit) {
+  return createRateLimiter({ name: 'test', limit, windowSeconds: 60, store: createMemoryStore() });
+}
+
+/**
+ * Tests for the create-session API endpoint and session service
+ */
+
+test('create-session should reject non-POST methods', async () => {
+  const handler = buildHandler();
+
+  const result = await handler({ httpMethod: 'GET' });
+
+  assert.strictEqual(result.statusCode, 405);
+  assert.strictEqual(JSON.parse(result.body).error, 'Method not allowed');
+});
+
+test('create-session should return 400 when phone is missing', async () => {
+  const handler = buildHandler();
+
+  const result = await handler({
+    httpMethod: 'POST',
+    body: JSON.stringify({ name: 'Maria' }),
+  });
+
+  assert.strictEqual(result.statusCode, 400);
+  assert.strictEqual(JSON.parse(result.body).error, 'Phone is required');
+});
+
+test('create-session should return the session from the controller', async () => {
+  const mockController = {
+    createSession: async (data) => {
+      assert.strictEqual(data.name, 'Maria');
+      assert.strictEqual(data.phone, '11987654321');
+      assert.strictEqual(data.password, PASSWORD);
+      return { token: 'signed-token', expires_at: '2030-01-01T00:00:00.000Z', user: {} };
+    },
+  };
+  const handler = buildHandler(mockController);
+
+  const result = await handler({
+    httpMethod: 'POST',
+    body: JSON.stringify({ name: 'Maria', phone: '11987654321', password: PASSWORD }),
+  });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.strictEqual(JSON.parse(result.body).token, 'signed-token');
+  assert.strictEqual(result.headers['Content-Type'], 'application/json');
+});
+
+test('sessionService.createSession should issue a token for an existing user', async () => {
+  let created = false;
+  const mockRepo = {
+    getUserByPhone: async (phone) => {
+      assert.strictEqual(phone, '11987654321');
+      return { id: TEST_USER_ID, name: 'Maria', phone, is_active: true };
+    },
+    getPasswordHash: async (id) => {
+      assert.strictEqual(id, TEST_USER_ID);
+      return PASSWORD_HASH;
+    },
+    createUser: async () => {
+      created = true;
+    },
+  };
+
+  const session = await sessionService.createSession(
+    { name: 'Maria', phone: '(11) 98765-4321', password: PASSWORD },
+    mockRepo
+  );
+
+  assert.strictEqual(created, false);
+  assert.strictEqual(session.user.id, TEST_USER_ID);
+  assert.strictEqual(verifyToken(session.token).sub, TEST_USER_ID);
+  assert.ok(new Date(session.expires_at) > new Date());
+});
+
+test('sessionService.createSession should create the user on first login', async () => {
+  let storedHash = null;
+  const mockRepo = {
+    getUserByPhone: async () => null,
+    createUser: async (data) => {
+      assert.strictEqual(data.name, 'João');
+      assert.strictEqual(data.phone, '11987654321');
+      assert.strictEqual(data.skipped_onboarding, true);
+      // The hash is part of the account from the start
+      storedHash = data.password_hash;
+      return { id: TEST_USER_ID, name: data.name, phone: data.phone };
+    },
+    setPasswordHash: async () => {
+      throw new Error('setPasswordHash should not be called');
+    },
+  };
+
+  const session = await sessionService.createSession(
+    { name: ' João ', phone: '11987654321', password: PASSWORD, skipped_onboarding: true },
+    mockRepo
+  );
+
+  assert.strictEqual(verifyToken(session.token).sub, TEST_USER_ID);
+  assert.ok(verifyPassword(PASSWORD, storedHash));
+  assert.ok(!storedHash.includes(PASSWORD));
+});
+
+test('sessionService.createSession should not log in by phone alone', async () => {
+  const login = (password, passwordHash) =>
+    sessionService.createSession(
+      { name: 'Maria', phone: '11987654321', password },
+      {
+        getUserByPhone: async () => ({ id: TEST_USER_ID, is_active: true }),
+        getPasswordHash: async () => passwordHash,
+      }
+    );
+
+  await assert.rejects(() => login('wrong password', PASSWORD_HASH), {
+    message: sessionService.WRONG_CREDENTIALS,
+  });
+  // Accounts from before passwords have no hash
+  await assert.rejects(() => login(PASSWORD, null), {
+    message: sessionService.WRONG_CREDENTIALS,
+  });
+  await assert.rejects(() => login(undefined, PASSWORD_HASH), { message: 'Password is required' });
+  await assert.rejects(() => login('short', PASSWORD_HASH), {
+    message: 'Password must have at least 8 characters',
+  });
+});
+
+test('create-session should answer wrong passwords with 401 and throttle them per phone', async () => {
+  const mockController = {
+    createSession: async (data) => {
+      if (data.password !== PASSWORD) {
+        throw new Error(sessionService.WRONG_CREDENTIALS);
+      }
+      return { token: 'signed-token', user: {} };
+    },
+  };
+  const handler = buildHandler(mockController, memoryLimiter(3), memoryLimiter(100));
+  const login = (phone, password, ip) =>
+    handler({
+      httpMethod: 'POST',
+      headers: { 'x-nf-client-connection-ip': ip },
+      body: JSON.stringify({ name: 'Maria', phone, password }),
+    });
+
+  const statuses = [];
+  for (let i = 0; i < 4; i++) {
+    statuses.push((await login('(11) 98765-4321', `guess ${i}`, `203.0.113.${i}`)).statusCode);
+  }
+  const rightPassword = await login('11987654321', PASSWORD, '203.0.113.9');
+  const otherPhone = await login('11900000000', PASSWORD, '203.0.113.9');
+
+  assert.deepStrictEqual(statuses, [401, 401, 401, 429]);
+  assert.strictEqual(rightPassword.statusCode, 429);
+  assert.strictEqual(otherPhone.statusCode, 200);
+});
+
+test('create-session should throttle failed logins per IP across phones', async () => {
+  const mockController = {
+    createSession: async () => {
+      throw new Error(sessionService.WRONG_CREDENTIALS);
+    },
+  };
+  const handler = buildHandler(mockController, memoryLimiter(100), memoryLimiter(2));
+  const login = (phone) =>
+    handler({
+      httpMethod: 'POST',
+      headers: { 'x-nf-client-connection-ip': '198.51.100.7' },
+      body: JSON.stringify({ name: 'Maria', phone, password: PASSWORD }),
+    });
+
+  const statuses = [];
+  for (const phone of ['11911111111', '11922222222', '11933333333']) {
+    statuses.push((await login(phone)).statusCode);
+  }
+
+  assert.deepStrictEqual(statuses, [401, 401, 429]);
+});
+
+test('sessionService.createSession should reject invalid phones', async () => {
+  await assert.rejects(
+    () => sessionService.createSession({ name: 'Maria', phone: '123', password: PASSWORD }, {}),
+    {
+      message: 'Invalid phone format: must have at least 10 digits',
+    }
+  );
+});
+
+test('sessionService.createSession should reject inactive users', async () => {
+  const mockRepo = {
+    getUserByPhone: async () => ({ id: TEST_USER_ID, is_active: false }),
+    getPasswordHash: async () => PASSWORD_HASH,
+  };
+
+  await assert.rejects(
+    () =>
+      sessionService.createSession(
+        { name: 'Maria', phone: '11987654321', password: PASSWORD },
+        mockRepo
+      ),
+    { message: 'User is not authorized' }
+  );
+});
+
+test('update-user should update the profile of the logged-in user', async () => {
+  const mockController = {
+    updateUser: async (data) => {
+      assert.strictEqual(data.user_id, TEST_USER_ID);
+      assert.deepStrictEqual(data.updates, { preferred_market_id: MARKET_ID });
+      return { id: TEST_USER_ID, preferred_market_id: MARKET_ID };
+    },
+  };
+  const handler = updateUserHandler(mockController);
+  const event = {
+    httpMethod: 'PUT',
+    headers: { authorization: `Bearer ${signToken({ sub: TEST_USER_ID })}` },
+    body: JSON.stringify({ preferred_market_id: MARKET_ID }),
+  };
+
+  const result = await handler(event);
+  const unauthenticated = await handler({ ...event, headers: {} });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.strictEqual(JSON.parse(result.body).preferred_market_id, MARKET_ID);
+  assert.strictEqual(unauthenticated.statusCode, 401);
+});
+
+test('userService.updateUser should only set a market the user can see', async () => {
+  const updates = [];
+  const repo = {
+    updateUser: async (id, changes) => {
+      updates.push(changes);
+      return { id, ...changes };
+    },
+  };
+  const markets = {
+    getMarketById: async (id, user_id) =>
+      id === MARKET_ID && user_id === TEST_USER_ID ? { id } : null,
+  };
+
+  await userService.updateUser(
+    TEST_USER_ID,
+    { preferred_market_id: MARKET_ID, phone: '11900000000', name: ' Maria ' },
+    repo,
+    markets
+  );
+
+  assert.deepStrictEqual(updates, [{ name: 'Maria', preferred_market_id: MARKET_ID }]);
+  await assert.rejects(
+    () =>
+      userService.updateUser(
+        TEST_USER_ID,
+        { preferred_market_id: '650e8400-e29b-41d4-a716-446655440002' },
+        repo,
+        markets
+      ),
+    { message: 'Market not found' }
+  );
+  await assert.rejects(() => userService.updateUser(TEST_USER_ID, { phone: '1' }, repo, markets), {
+    message: 'Updates must include one of: name, email, preferred_market_id, password',
+  });
+  assert.strictEqual(updates.length, 1);
+});
+
+test('userService.updateUser should store a hash of a new password', async () => {
+  let storedHash = null;
+  const repo = {
+    setPasswordHash: async (id, hash) => {
+      storedHash = hash;
+    },
+    getUserById: async (id) => ({ id }),
+  };
+
+  const user = await userService.updateUser(TEST_USER_ID, { password: PASSWORD }, repo, {});
+
+  assert.strictEqual(user.id, TEST_USER_ID);
+  assert.ok(verifyPassword(PASSWORD, storedHash));
+  await assert.rejects(
+    () => userService.updateUser(TEST_USER_ID, { password: 'short' }, repo, {}),
+    {
+      message: 'Password must have at least 8 characters',
+    }
+  );
+});
@@ -0,0 +1,236 @@
+// tests/share-codes.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildHandler: shareCodeHandler } = require('../src/api/update-share-code');
+const { buildHandler: byCodeHandler } = require('../src/api/get-shopping-list-by-code');
+const { buildHandler: updateItemHandler } = require('../src/api/update-shopping-list-item');
+const shoppingListService = require('../src/services/shoppingListService');
+const listAccessService = require('../src/services/listAccessService');
+const { createInProcessBroker } = require('../src/services/realtimeService');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM_ID = '650e8400-e29b-41d4-a716-446655440001';
+const NOW = new Date('2025-03-01T12:00:00.000Z');
+
+/**
+ * Tests for regenerating, expiring and revoking share codes
+ */
+
+function buildSharedList(overrides = {}) {
+  return {
+    id: LIST_ID,
+    user_id: OWNER_ID,
+    title: 'Mercado',
+    shopping_date: '2025-03-01',
+    share_code: '1234',
+    share_permission: 'edit',
+    share_code_expires_at: null,
+    share_code_revoked_at: null,
+    items: [],
+    ...overrides,
+  };
+}
+
+test('generateShareCode should create legacy and long codes', () => {
+  const numeric = listAccessService.generateShareCode('numeric');
+  const token = listAccessService.generateShareCode('token');
+
+  assert.match(numeric, /^\d{4}$/);
+  assert.match(token, /^[A-HJ-NP-Z2-9]{12}$/);
+  assert.strictEqual(listAccessService.normalizeShareCode(token.toLowerCase()), token);
+  assert.strictEqual(listAccessService.normalizeShareCode('ABCD-EFGH-JKLM'), 'ABCDEFGHJKLM');
+  assert.strictEqual(listAccessService.normalizeShareCode('ABC'), null);
+});
+
+test('getShoppingListByShareCode should still open lists with legacy 4-digit codes', async () => {
+  const repo = { getShoppingListByShareCode: async () => buildSharedList() };
+
+  const list = await shoppingListService.getShoppingListByShareCode('1234', repo, NOW);
+
+  assert.strictEqual(list.id, LIST_ID);
+});
+
+test('getShoppingListByShareCode should look long codes up normalized', async () => {
+  let lookedUp = null;
+  const repo = {
+    getShoppingListByShareCode: async (code) => {
+      lookedUp = code;
+      return buildSharedList({ share_code: code });
+    },
+  };
+
+  await shoppingListService.getShoppingListByShareCode('abcd-efgh-jkmn', repo, NOW);
+
+  assert.strictEqual(lookedUp, 'ABCDEFGHJKMN');
+});
+
+test('getShoppingListByShareCode should reject revoked and expired codes', async () => {
+  const revoked = {
+    getShoppingListByShareCode: async () =>
+      buildSharedList({ share_code_revoked_at: '2025-02-01T00:00:00.000Z' }),
+  };
+  const expired = {
+    getShoppingListByShareCode: async () =>
+      buildSharedList({ share_code_expires_at: '2025-03-01T11:59:59.000Z' }),
+  };
+  const notYetExpired = {
+    getShoppingListByShareCode: async () =>
+      buildSharedList({ share_code_expires_at: '2025-03-02T00:00:00.000Z' }),
+  };
+
+  await assert.rejects(
+    () => shoppingListService.getShoppingListByShareCode('1234', revoked, NOW),
+    /Share code has been revoked/
+  );
+  await assert.rejects(
+    () => shoppingListService.getShoppingListByShareCode('1234', expired, NOW),
+    /Share code has expired/
+  );
+  assert.ok(await shoppingListService.getShoppingListByShareCode('1234', notYetExpired, NOW));
+});
+
+test('get-shopping-list-by-code should answer 410 for a revoked code', async () => {
+  const handler = byCodeHandler({
+    getShoppingListByShareCode: async () => {
+      throw new Error('Share code has been revoked');
+    },
+  });
+
+  const response = await handler({ httpMethod: 'GET', queryStringParameters: { code: '1234' } });
+
+  assert.strictEqual(response.statusCode, 410);
+});
+
+test('regenerateShareCode should set a new long code and clear the revocation', async () => {
+  let saved = null;
+  const repo = {
+    updateShoppingList: async (id, user_id, updates) => {
+      saved = updates;
+      return { id, user_id, ...updates };
+    },
+  };
+
+  const list = await shoppingListService.regenerateShareCode(
+    LIST_ID,
+    OWNER_ID,
+    { expires_at: '2025-03-08T12:00:00.000Z' },
+    repo,
+    NOW
+  );
+
+  assert.match(list.share_code, /^[A-HJ-NP-Z2-9]{12}$/);
+  assert.strictEqual(saved.share_code_revoked_at, null);
+  assert.strictEqual(saved.share_code_expires_at, '2025-03-08T12:00:00.000Z');
+});
+
+test('regenerateShareCode should retry when the code is already taken', async () => {
+  let attempts = 0;
+  const repo = {
+    updateShoppingList: async (id, user_id, updates) => {
+      attempts++;
+      if (attempts === 1) {
+        throw new Error('Database error: duplicate key value violates unique constraint');
+      }
+      return { id, ...updates };
+    },
+  };
+
+  const list = await shoppingListService.regenerateShareCode(
+    LIST_ID,
+    OWNER_ID,
+    { format: 'numeric' },
+    repo,
+    NOW
+  );
+
+  assert.strictEqual(attempts, 2);
+  assert.match(list.share_code, /^\d{4}$/);
+});
+
+test('regenerateShareCode should reject bad formats and past expiry dates', async () => {
+  await assert.rejects(
+    () => shoppingListService.regenerateShareCode(LIST_ID, OWNER_ID, { format: 'emoji' }, {}, NOW),
+    /Invalid share code format/
+  );
+  await assert.rejects(
+    () =>
+      shoppingListService.updateShareCodeExpiry(
+        LIST_ID,
+        OWNER_ID,
+        '2025-02-01T00:00:00.000Z',
+        {},
+        NOW
+      ),
+    /must be in the future/
+  );
+});
+
+test('update-share-code should revoke the code with DELETE', async () => {
+  const calls = [];
+  const mockController = {
+    revokeShareCode: async (data) => {
+      calls.push(data);
+      return {
+        id: data.id,
+        share_code: '1234',
+        share_code_revoked_at: NOW.toISOString(),
+        share_permission: 'view',
+      };
+    },
+  };
+  const handler = shareCodeHandler(mockController);
+
+  const response = await handler({
+    httpMethod: 'DELETE',
+    headers: { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` },
+    body: JSON.stringify({ id: LIST_ID }),
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(calls, [{ id: LIST_ID, user_id: OWNER_ID }]);
+  assert.strictEqual(JSON.parse(response.body).share_code_revoked_at, NOW.toISOString());
+});
+
+test('update-share-code should map validation errors to 400', async () => {
+  const handler = shareCodeHandler({
+    regenerateShareCode: async () => {
+      throw new Error('Share code expiry must be in the future');
+    },
+  });
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` },
+    body: JSON.stringify({ id: LIST_ID, expires_at: '2000-01-01' }),
+  });
+
+  assert.strictEqual(response.statusCode, 400);
+});
+
+test('share tokens stop working once the code is revoked', async () => {
+  let revokedAt = null;
+  const repo = {
+    getShoppingListOwner: async () => buildSharedList({ share_code_revoked_at: revokedAt }),
+    getShoppingListItemById: async () => ({ id: ITEM_ID, list_id: LIST_ID }),
+    updateShoppingListItem: async (itemId, updates) => ({ id: itemId, ...updates }),
+  };
+  const handler = updateItemHandler(repo, createInProcessBroker());
+  const event = {
+    httpMethod: 'PUT',
+    headers: {
+      'x-share-token': listAccessService.issueShareToken({ id: LIST_ID, share_code: '1234' }),
+    },
+    queryStringParameters: { itemId: ITEM_ID },
+    body: JSON.stringify({ is_checked: true }),
+  };
+
+  const before = await handler(event);
+  revokedAt = '2025-03-01T00:00:00.000Z';
+  const after = await handler(event);
+
+  assert.strictEqual(before.statusCode, 200);
+  assert.strictEqual(after.statusCode, 403);
+});
@@ -0,0 +1,217 @@
+// tests/share-permissions.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildHandler: addHandler } = require('../src/api/add-shopping-list-item');
+const { buildHandler: updateHandler } = require('../src/api/update-shopping-list-item');
+const { buildHandler: sharePermissionHandler } = require('../src/api/update-share-permission');
+const shoppingListService = require('../src/services/shoppingListService');
+const listAccessService = require('../src/services/listAccessService');
+const { signToken, verifyToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM_ID = '650e8400-e29b-41d4-a716-446655440001';
+
+/**
+ * Tests for share code permission levels (view / check / edit)
+ */
+
+function buildMockRepository(share_permission, calls = []) {
+  return {
+    getShoppingListOwner: async (listId) => ({
+      id: listId,
+      user_id: OWNER_ID,
+      share_code: '1234',
+      share_permission,
+    }),
+    getShoppingListItemById: async (itemId) => ({ id: itemId, list_id: LIST_ID }),
+    countItems: async () => 1,
+    addItemToList: async (listId, itemData) => {
+      calls.push('addItemToList');
+      return { id: ITEM_ID, list_id: listId, ...itemData };
+    },
+    updateShoppingListItem: async (itemId, updates) => {
+      calls.push('updateShoppingListItem');
+      return { id: itemId, ...updates };
+    },
+  };
+}
+
+function shareHeaders(share_code = '1234') {
+  return { 'x-share-token': listAccessService.issueShareToken({ id: LIST_ID, share_code }) };
+}
+
+function checkEvent(headers) {
+  return {
+    httpMethod: 'PUT',
+    headers,
+    queryStringParameters: { itemId: ITEM_ID },
+    body: JSON.stringify({ is_checked: true }),
+  };
+}
+
+test('share token holders cannot check items off on a view-only list', async () => {
+  const calls = [];
+  const handler = updateHandler(buildMockRepository('view', calls));
+
+  const response = await handler(checkEvent(shareHeaders()));
+
+  assert.strictEqual(response.statusCode, 403);
+  assert.deepStrictEqual(calls, []);
+});
+
+test('share token holders can check items off with "check" permission', async () => {
+  const calls = [];
+  const handler = updateHandler(buildMockRepository('check', calls));
+
+  const response = await handler(checkEvent(shareHeaders()));
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(calls, ['updateShoppingListItem']);
+});
+
+test('"check" permission does not allow editing other item fields', async () => {
+  const calls = [];
+  const handler = updateHandler(buildMockRepository('check', calls));
+
+  const response = await handler({
+    ...checkEvent(shareHeaders()),
+    body: JSON.stringify({ is_checked: true, quantity: 5 }),
+  });
+
+  assert.strictEqual(response.statusCode, 403);
+  assert.deepStrictEqual(calls, []);
+});
+
+test('"edit" permission allows adding items', async () => {
+  const calls = [];
+  const handler = addHandler(buildMockRepository('edit', calls));
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: shareHeaders(),
+    queryStringParameters: { listId: LIST_ID },
+    body: JSON.stringify({ product_name: 'Leite', category: 'Laticínios', quantity: 2, unit: 'l' }),
+  });
+
+  assert.strictEqual(response.statusCode, 201);
+  assert.deepStrictEqual(calls, ['addItemToList']);
+});
+
+test('"check" permission does not allow adding items', async () => {
+  const calls = [];
+  const handler = addHandler(buildMockRepository('check', calls));
+
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: shareHeaders(),
+    queryStringParameters: { listId: LIST_ID },
+    body: JSON.stringify({ product_name: 'Leite', category: 'Laticínios', quantity: 2, unit: 'l' }),
+  });
+
+  assert.strictEqual(response.statusCode, 403);
+  assert.deepStrictEqual(calls, []);
+});
+
+test('share tokens stop working once the list has a different share code', async () => {
+  const calls = [];
+  const handler = updateHandler(buildMockRepository('edit', calls));
+
+  const response = await handler(checkEvent(shareHeaders('9999')));
+
+  assert.strictEqual(response.statusCode, 403);
+  assert.deepStrictEqual(calls, []);
+});
+
+test('share tokens are only valid for the list they were issued for', async () => {
+  const otherListToken = listAccessService.issueShareToken({
+    id: '00000000-0000-0000-0000-0000000000aa',
+    share_code: '1234',
+  });
+  const handler = updateHandler(buildMockRepository('edit'));
+
+  const response = await handler(checkEvent({ 'x-share-token': otherListToken }));
+
+  assert.strictEqual(response.statusCode, 403);
+});
+
+test('a session token is not accepted as a share token', async () => {
+  const handler = updateHandler(buildMockRepository('edit'));
+
+  const response = await handler(checkEvent({ 'x-share-token': signToken({ sub: OWNER_ID }) }));
+
+  assert.strictEqual(response.statusCode, 401);
+});
+
+test('item endpoints still require a credential', async () => {
+  const handler = updateHandler(buildMockRepository('edit'));
+
+  const response = await handler(checkEvent({}));
+
+  assert.strictEqual(response.statusCode, 401);
+});
+
+test('getShoppingListByShareCode should return the share permission and a share token', async () => {
+  const repo = {
+    getShoppingListByShareCode: async () => ({
+      id: LIST_ID,
+      user_id: OWNER_ID,
+      title: 'Mercado',
+      shopping_date: '2025-01-01',
+      share_code: '1234',
+      share_permission: 'check',
+      items: [],
+    }),
+  };
+
+  const list = await shoppingListService.getShoppingListByShareCode('1234', repo);
+
+  assert.strictEqual(list.is_shared_view, true);
+  assert.strictEqual(list.share_permission, 'check');
+
+  const payload = verifyToken(list.share_token);
+  assert.strictEqual(payload.scope, 'share');
+  assert.strictEqual(payload.list_id, LIST_ID);
+  assert.strictEqual(payload.share_code, '1234');
+});
+
+test('updateSharePermission should reject unknown permission levels', async () => {
+  await assert.rejects(
+    () => shoppingListService.updateSharePermission(LIST_ID, OWNER_ID, 'admin', {}),
+    /Invalid share permission/
+  );
+});
+
+test('update-share-permission should update the level for the owner', async () => {
+  const mockController = {
+    updateSharePermission: async (data) => {
+      assert.strictEqual(data.user_id, OWNER_ID);
+      return { id: data.id, share_code: '1234', share_permission: data.share_permission };
+    },
+  };
+  const handler = sharePermissionHandler(mockController);
+
+  const response = await handler({
+    httpMethod: 'PUT',
+    headers: { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` },
+    body: JSON.stringify({ id: LIST_ID, share_permission: 'edit' }),
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(JSON.parse(response.body).share_permission, 'edit');
+});
+
+test('update-share-permission should not accept share tokens', async () => {
+  const handler = sharePermissionHandler({
+    updateSharePermission: async () => assert.fail('should not be called'),
+  });
+
+  const response = await handler({
+    httpMethod: 'PUT',
+    headers: shareHeaders(),
+    body: JSON.stringify({ id: LIST_ID, share_permission: 'edit' }),
+  });
+
+  assert.strictEqual(response.statusCode, 401);
+});
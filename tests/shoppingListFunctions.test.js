@@ -5,12 +5,17 @@ const { buildHandler } = require('../src/api/create-shopping-list');
 const { buildHandler: getHandler } = require('../src/api/get-shopping-list');
 const { buildHandler: updateHandler } = require('../src/api/update-shopping-list-item');
 const { buildHandler: removeHandler } = require('../src/api/remove-shopping-list-item');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '00000000-0000-0000-0000-000000000001';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: TEST_USER_ID })}` };
 
 // Mock event generator
-function makeEvent(body, user_id = '00000000-0000-0000-0000-000000000001') {
+function makeEvent(body) {
   return {
     httpMethod: 'POST',
-    headers: { cookie: `user_id=${user_id}` },
+    headers: authHeaders,
     body: JSON.stringify(body),
   };
 }
@@ -32,8 +37,8 @@ test('should get a shopping list by id', async () => {
   const handler = getHandler();
   const event = {
     httpMethod: 'GET',
-    queryStringParameters: { id: 'test-list-id', user_id: '00000000-0000-0000-0000-000000000001' },
-    headers: { cookie: 'user_id=00000000-0000-0000-0000-000000000001' },
+    headers: authHeaders,
+    queryStringParameters: { id: 'test-list-id' },
   };
   const res = await handler(event);
   // Aceita 200 (encontrado), 404 (não encontrado), 400 (parâmetro faltando) ou 500 (erro de sintaxe UUID)
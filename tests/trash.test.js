@@ -0,0 +1,183 @@
+// tests/trash.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const shoppingListService = require('../src/services/shoppingListService');
+const shoppingListController = require('../src/controllers/shoppingListController');
+const { buildHandler: getTrashHandler } = require('../src/api/get-trash');
+const { buildHandler: restoreHandler } = require('../src/api/restore-shopping-list');
+const { buildHandler: purgeHandler } = require('../src/api/purge-shopping-list');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const NOW = new Date('2025-03-31T12:00:00.000Z');
+const authHeaders = { authorization: `Bearer ${signToken({ sub: USER_ID })}` };
+
+/**
+ * Tests for the trash of deleted shopping lists
+ */
+
+const deletedList = {
+  id: LIST_ID,
+  user_id: USER_ID,
+  title: 'Compras da Semana',
+  share_code: 'ABCDEFGHJKLM',
+  deleted_at: '2025-03-21T12:00:00.000Z',
+  items_count: 3,
+};
+
+function buildRepository() {
+  const calls = [];
+  return {
+    calls,
+    purgeShoppingLists: async (userId, filter) => {
+      calls.push({ purge: filter });
+      return filter.id === LIST_ID ? [{ id: LIST_ID, title: deletedList.title }] : [];
+    },
+    getDeletedShoppingLists: async () => [deletedList],
+    restoreShoppingList: async (id, userId, updates = {}) => {
+      calls.push({ restore: updates });
+      return id === LIST_ID ? { ...deletedList, deleted_at: null, ...updates } : null;
+    },
+  };
+}
+
+test('getTrash should purge expired lists and tell when the others will be purged', async () => {
+  const repo = buildRepository();
+
+  const lists = await shoppingListService.getTrash(USER_ID, repo, NOW);
+
+  assert.deepStrictEqual(repo.calls, [{ purge: { deleted_before: '2025-03-01T12:00:00.000Z' } }]);
+  assert.strictEqual(lists[0].purge_at, '2025-04-20T12:00:00.000Z');
+  assert.strictEqual(lists[0].days_left, 20);
+  assert.strictEqual(lists[0].items_count, 3);
+});
+
+test('getTrash should still list the trash when purging fails', async () => {
+  const repo = buildRepository();
+  repo.purgeShoppingLists = async () => {
+    throw new Error('connection refused');
+  };
+
+  const lists = await shoppingListService.getTrash(USER_ID, repo, NOW);
+
+  assert.strictEqual(lists.length, 1);
+});
+
+test('restoreShoppingList should keep the share code when it is still free', async () => {
+  const repo = buildRepository();
+
+  const restored = await shoppingListService.restoreShoppingList(LIST_ID, USER_ID, repo, NOW);
+
+  assert.strictEqual(restored.deleted_at, null);
+  assert.strictEqual(restored.share_code, 'ABCDEFGHJKLM');
+  assert.strictEqual(restored.share_code_changed, false);
+  await assert.rejects(
+    () =>
+      shoppingListService.restoreShoppingList(
+        '123e4567-e89b-12d3-a456-426614174999',
+        USER_ID,
+        repo,
+        NOW
+      ),
+    /Shopping list not found in the trash/
+  );
+});
+
+test('restoreShoppingList should give the list a new share code when its code was taken', async () => {
+  const repo = buildRepository();
+  const restoreShoppingList = repo.restoreShoppingList;
+  repo.restoreShoppingList = async (id, userId, updates = {}) => {
+    if (!updates.share_code) {
+      throw new Error(
+        'duplicate key value violates unique constraint "idx_shopping_lists_active_share_code"'
+      );
+    }
+    return restoreShoppingList(id, userId, updates);
+  };
+
+  const restored = await shoppingListService.restoreShoppingList(LIST_ID, USER_ID, repo, NOW);
+
+  assert.strictEqual(restored.share_code_changed, true);
+  assert.match(restored.share_code, /^[A-HJ-NP-Z2-9]{12}$/);
+  assert.notStrictEqual(restored.share_code, deletedList.share_code);
+  assert.strictEqual(restored.share_code_expires_at, null);
+  assert.strictEqual(restored.share_code_revoked_at, null);
+});
+
+test('purgeShoppingList should only delete lists in the trash', async () => {
+  const repo = buildRepository();
+
+  const purged = await shoppingListService.purgeShoppingList(LIST_ID, USER_ID, repo);
+
+  assert.deepStrictEqual(purged, { id: LIST_ID, title: 'Compras da Semana' });
+  await assert.rejects(
+    () =>
+      shoppingListService.purgeShoppingList('123e4567-e89b-12d3-a456-426614174999', USER_ID, repo),
+    /Shopping list not found in the trash/
+  );
+});
+
+test('trash handlers should restore, purge and list deleted lists', async () => {
+  const recorded = [];
+  const activity = {
+    recordActivity: async (action, list, actor, details) => {
+      recorded.push({ action, list_id: list.id, actor, details });
+      return true;
+    },
+  };
+  const srv = {
+    TRASH_RETENTION_DAYS: 30,
+    getTrash: async () => [deletedList],
+    restoreShoppingList: async (id) => ({ id, share_code_changed: true }),
+    purgeShoppingList: async () => {
+      throw new Error('Shopping list not found in the trash');
+    },
+  };
+  const handlerController = {
+    getTrash: (params) => shoppingListController.getTrash(params, srv),
+    restoreShoppingList: (params) =>
+      shoppingListController.restoreShoppingList(params, srv, activity),
+    purgeShoppingList: (params) => shoppingListController.purgeShoppingList(params, srv),
+  };
+
+  const listed = await getTrashHandler(handlerController)({
+    httpMethod: 'GET',
+    headers: authHeaders,
+  });
+  const restored = await restoreHandler(handlerController)({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ id: LIST_ID }),
+  });
+  const missingId = await restoreHandler(handlerController)({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    body: '{}',
+  });
+  const purged = await purgeHandler(handlerController)({
+    httpMethod: 'DELETE',
+    headers: authHeaders,
+    body: JSON.stringify({ id: LIST_ID }),
+  });
+  const wrongMethod = await purgeHandler(handlerController)({
+    httpMethod: 'POST',
+    headers: authHeaders,
+  });
+
+  assert.strictEqual(listed.statusCode, 200);
+  assert.strictEqual(JSON.parse(listed.body).retention_days, 30);
+  assert.strictEqual(restored.statusCode, 200);
+  assert.deepStrictEqual(recorded, [
+    {
+      action: 'list_restored',
+      list_id: LIST_ID,
+      actor: { user_id: USER_ID },
+      details: { share_code_changed: true },
+    },
+  ]);
+  assert.strictEqual(missingId.statusCode, 400);
+  assert.strictEqual(purged.statusCode, 404);
+  assert.strictEqual(wrongMethod.statusCode, 405);
+});
@@ -0,0 +1,316 @@
+// tests/undo.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const undoService = require('../src/services/undoService');
+const itemBatchService = require('../src/services/itemBatchService');
+const realtimeService = require('../src/services/realtimeService');
+const RealtimeUtils = require('../src/utils/realtime');
+const { buildHandler: removeHandler } = require('../src/api/remove-shopping-list-item');
+const { buildHandler: checkAllHandler } = require('../src/api/check-all-items');
+const { buildHandler: undoHandler } = require('../src/api/undo-item-operation');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const OWNER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM_ID = '650e8400-e29b-41d4-a716-446655440001';
+const OTHER_ITEM_ID = '650e8400-e29b-41d4-a716-446655440002';
+const NOW = new Date('2025-03-12T12:00:00.000Z');
+const authHeaders = { authorization: `Bearer ${signToken({ sub: OWNER_ID })}` };
+
+/**
+ * Tests for undoing item removals and check/uncheck-all
+ */
+
+// Lists and items in memory: removed items keep a tombstone, changes bump updated_at
+function buildListRepository() {
+  const items = [
+    { id: ITEM_ID, list_id: LIST_ID, product_name: 'Arroz', is_checked: false, deleted_at: null },
+    {
+      id: OTHER_ITEM_ID,
+      list_id: LIST_ID,
+      product_name: 'Feijão',
+      is_checked: true,
+      deleted_at: null,
+    },
+  ];
+  const live = () => items.filter((item) => !item.deleted_at);
+  let edits = 0;
+  const setChecked = (item, is_checked) => {
+    item.is_checked = is_checked;
+    item.updated_at = new Date(NOW.getTime() + ++edits * 1000).toISOString();
+    return { ...item };
+  };
+
+  return {
+    items,
+    setChecked,
+    getShoppingListOwner: async (listId) => ({ id: listId, user_id: OWNER_ID }),
+    getShoppingListItemById: async (itemId) => live().find((item) => item.id === itemId) || null,
+    deleteShoppingListItem: async (itemId) => {
+      const item = live().find((existing) => existing.id === itemId);
+      item.deleted_at = NOW.toISOString();
+      return { ...item };
+    },
+    restoreShoppingListItems: async (itemIds) =>
+      items
+        .filter((item) => itemIds.includes(item.id) && item.deleted_at)
+        .map((item) => {
+          item.deleted_at = null;
+          return { ...item };
+        }),
+    batchUpdateItems: async (listId, { command }) => {
+      const is_checked = command === 'check_all';
+      const changed = live()
+        .filter((item) => item.is_checked !== is_checked)
+        .map((item) => setChecked(item, is_checked));
+      return { items: changed, total_amount: 0 };
+    },
+    setItemsChecked: async (itemIds, is_checked, versions) =>
+      live()
+        .filter((item) => itemIds.includes(item.id))
+        .filter((item) => !versions || !versions[item.id] || versions[item.id] === item.updated_at)
+        .map((item) => setChecked(item, is_checked)),
+  };
+}
+
+function buildUndoRepository() {
+  const operations = [];
+  return {
+    operations,
+    purgeExpiredUndo: async () => 0,
+    createUndoOperation: async (entry) => {
+      const operation = {
+        id: `650e8400-e29b-41d4-a716-44665544010${operations.length}`,
+        reverted_at: null,
+        ...entry,
+      };
+      operations.push(operation);
+      return operation;
+    },
+    getUndoOperation: async (id) => operations.find((operation) => operation.id === id) || null,
+    getLatestUndoOperation: async () => operations[operations.length - 1] || null,
+    markUndoOperationReverted: async (id) => {
+      const operation = operations.find((existing) => existing.id === id);
+      if (operation.reverted_at) return false;
+      operation.reverted_at = NOW.toISOString();
+      return true;
+    },
+  };
+}
+
+const owner = { user_id: OWNER_ID };
+
+// Check or uncheck all items through the batch service, recording the undo in repo
+function setAllChecked(command, lists, repo) {
+  return itemBatchService.batchUpdateItems(LIST_ID, { command }, owner, lists, {
+    recordUndo: (action, list, items, actor) =>
+      undoService.recordUndo(action, list, items, actor, repo, NOW),
+  });
+}
+
+test('recordUndo should keep the changed items for the undo window', async () => {
+  const repo = buildUndoRepository();
+
+  const token = await undoService.recordUndo(
+    'item_removed',
+    { id: LIST_ID },
+    [{ id: ITEM_ID, product_name: 'Arroz', quantity: 1 }],
+    owner,
+    repo,
+    NOW
+  );
+
+  assert.strictEqual(token, repo.operations[0].id);
+  assert.deepStrictEqual(repo.operations[0].items, [
+    { id: ITEM_ID, product_name: 'Arroz', updated_at: null },
+  ]);
+  assert.strictEqual(repo.operations[0].actor_id, OWNER_ID);
+  assert.strictEqual(repo.operations[0].expires_at, '2025-03-12T12:01:00.000Z');
+
+  // Nothing changed, nothing to undo; failures only lose the token
+  assert.strictEqual(
+    await undoService.recordUndo('items_checked', { id: LIST_ID }, [], owner, repo, NOW),
+    null
+  );
+  repo.createUndoOperation = async () => {
+    throw new Error('connection refused');
+  };
+  assert.strictEqual(
+    await undoService.recordUndo('items_checked', { id: LIST_ID }, [{ id: ITEM_ID }], owner, repo),
+    null
+  );
+});
+
+test('revertOperation should bring a removed item back from its tombstone', async () => {
+  const lists = buildListRepository();
+  const repo = buildUndoRepository();
+  const removed = await lists.deleteShoppingListItem(ITEM_ID);
+  const token = await undoService.recordUndo(
+    'item_removed',
+    { id: LIST_ID },
+    [removed],
+    owner,
+    repo,
+    NOW
+  );
+
+  const result = await undoService.revertOperation(token, owner, lists, repo, NOW);
+
+  assert.strictEqual(result.action, 'item_removed');
+  assert.deepStrictEqual(
+    result.items.map((item) => [item.id, item.deleted_at]),
+    [[ITEM_ID, null]]
+  );
+  assert.ok(await lists.getShoppingListItemById(ITEM_ID));
+  await assert.rejects(
+    () => undoService.revertOperation(token, owner, lists, repo, NOW),
+    /already undone/
+  );
+});
+
+test('revertOperation should restore the states check-all overwrote', async () => {
+  const lists = buildListRepository();
+  const repo = buildUndoRepository();
+
+  const { items, undo_token } = await setAllChecked('check_all', lists, repo);
+  assert.deepStrictEqual(
+    items.map((item) => item.id),
+    [ITEM_ID]
+  );
+
+  await undoService.revertOperation(undo_token, owner, lists, repo, NOW);
+
+  assert.deepStrictEqual(
+    lists.items.map((item) => [item.product_name, item.is_checked]),
+    [
+      ['Arroz', false],
+      ['Feijão', true],
+    ]
+  );
+});
+
+test('revertOperation should leave items changed after the operation as they are', async () => {
+  const lists = buildListRepository();
+  const repo = buildUndoRepository();
+
+  const { undo_token } = await setAllChecked('uncheck_all', lists, repo);
+  assert.strictEqual(repo.operations[0].items[0].updated_at, lists.items[1].updated_at);
+
+  // Someone checks Feijão again, without an undoable operation
+  lists.setChecked(lists.items[1], true);
+  const updatedAt = lists.items[1].updated_at;
+
+  const result = await undoService.revertOperation(undo_token, owner, lists, repo, NOW);
+
+  assert.deepStrictEqual(result.items, []);
+  assert.strictEqual(result.skipped, 1);
+  assert.strictEqual(lists.items[1].updated_at, updatedAt);
+});
+
+test('revertOperation should refuse expired, older and foreign operations', async () => {
+  const lists = buildListRepository();
+  const repo = buildUndoRepository();
+  const { undo_token: first } = await setAllChecked('check_all', lists, repo);
+  const { undo_token: second } = await setAllChecked('uncheck_all', lists, repo);
+
+  await assert.rejects(
+    () => undoService.revertOperation(first, owner, lists, repo, NOW),
+    /Only the last operation can be undone/
+  );
+  await assert.rejects(
+    () =>
+      undoService.revertOperation(second, owner, lists, repo, new Date('2025-03-12T12:01:00.000Z')),
+    /Undo window has expired/
+  );
+  await assert.rejects(
+    () =>
+      undoService.revertOperation(
+        second,
+        { user_id: '2f5d3c1e-8a4b-4c6d-9e0f-1a2b3c4d5e6f' },
+        lists,
+        repo,
+        NOW
+      ),
+    /not authorized/
+  );
+  await assert.rejects(
+    () =>
+      undoService.revertOperation('650e8400-e29b-41d4-a716-446655440999', owner, lists, repo, NOW),
+    /Undo operation not found/
+  );
+  assert.strictEqual(repo.operations[1].reverted_at, null);
+});
+
+test('remove, check-all and undo handlers should return tokens and broadcast the revert', async () => {
+  const lists = buildListRepository();
+  const repo = buildUndoRepository();
+  const undo = {
+    recordUndo: (action, list, items, actor) =>
+      undoService.recordUndo(action, list, items, actor, repo, NOW),
+    revertOperation: (token, auth) => undoService.revertOperation(token, auth, lists, repo, NOW),
+  };
+  const batches = {
+    batchUpdateItems: (listId, batch, auth) =>
+      itemBatchService.batchUpdateItems(listId, batch, auth, lists, undo),
+  };
+  const broker = realtimeService.createInProcessBroker();
+  const changes = [];
+  RealtimeUtils.joinList(broker, realtimeService.listChannelName(LIST_ID), {
+    presenceKey: 'other-tab',
+    onItemChange: (change) => changes.push(change),
+  });
+  const activity = {
+    recordItemActivity: async () => true,
+    recordListCompletion: async () => true,
+  };
+  const prices = { recordItemPrices: async () => 0 };
+  const remove = removeHandler(lists, broker, activity, undo);
+  const revert = undoHandler(undo, broker);
+  const checkAll = checkAllHandler(batches, broker, prices, activity);
+
+  const removed = await remove({
+    httpMethod: 'DELETE',
+    headers: authHeaders,
+    queryStringParameters: { itemId: ITEM_ID },
+  });
+  const { undo_token } = JSON.parse(removed.body);
+  const undone = await revert({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ undo_token }),
+  });
+  const undoneTwice = await revert({
+    httpMethod: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ undo_token }),
+  });
+  const checked = await checkAll({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ list_id: LIST_ID, is_checked: true }),
+  });
+  const invalid = await checkAll({
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ list_id: LIST_ID }),
+  });
+  const wrongMethod = await revert({ httpMethod: 'GET', headers: authHeaders });
+
+  assert.strictEqual(removed.statusCode, 200);
+  assert.strictEqual(undone.statusCode, 200);
+  assert.strictEqual(JSON.parse(undone.body).items[0].id, ITEM_ID);
+  assert.strictEqual(undoneTwice.statusCode, 409);
+  assert.strictEqual(checked.statusCode, 200);
+  assert.ok(JSON.parse(checked.body).undo_token);
+  assert.strictEqual(invalid.statusCode, 400);
+  assert.strictEqual(wrongMethod.statusCode, 405);
+  assert.deepStrictEqual(
+    changes.map((change) => [change.type, change.item.id]),
+    [
+      ['DELETE', ITEM_ID],
+      ['INSERT', ITEM_ID],
+      ['UPDATE', ITEM_ID],
+    ]
+  );
+});
@@ -5,9 +5,23 @@
 const test = require('node:test');
 const assert = require('node:assert');
 const { buildHandler } = require('../src/api/update-shopping-list-item');
+const { signToken } = require('../src/utils/token');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+const TEST_USER_ID = '9eb946b7-7e29-4460-a9cf-81aebac2ea4c';
+const authHeaders = { authorization: `Bearer ${signToken({ sub: TEST_USER_ID })}` };
+
+const TEST_LIST_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+// Lookups used by the ownership check: every item belongs to a list owned by TEST_USER_ID
+const ownedListLookups = {
+  getShoppingListItemById: async (itemId) => ({ id: itemId, list_id: TEST_LIST_ID }),
+  getShoppingListOwner: async (listId) => ({ id: listId, user_id: TEST_USER_ID }),
+};
 
 // Mock repository for testing
 const mockRepository = {
+  ...ownedListLookups,
   updateShoppingListItem: async (itemId, updates) => {
     // Simulate successful update
     return {
@@ -29,6 +43,7 @@ const mockRepository = {
 
 // Mock repository that throws error
 const mockRepositoryError = {
+  ...ownedListLookups,
   updateShoppingListItem: async () => {
     throw new Error('Database error');
   },
@@ -38,6 +53,7 @@ test('update-shopping-list-item API - should return 405 for non-PUT/PATCH method
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'GET',
+    headers: authHeaders,
     queryStringParameters: {},
     body: '',
   };
@@ -53,6 +69,7 @@ test('update-shopping-list-item API - should return 400 when itemId is missing',
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: {},
     body: JSON.stringify({ is_checked: true }),
   };
@@ -68,6 +85,7 @@ test('update-shopping-list-item API - should return 400 when no valid updates pr
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({}),
   };
@@ -83,6 +101,7 @@ test('update-shopping-list-item API - should return 400 for invalid quantity', a
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ quantity: -1 }),
   };
@@ -98,6 +117,7 @@ test('update-shopping-list-item API - should return 400 for negative price', asy
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ unit_price: -10 }),
   };
@@ -113,6 +133,7 @@ test('update-shopping-list-item API - should successfully update is_checked to t
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ is_checked: true }),
   };
@@ -129,6 +150,7 @@ test('update-shopping-list-item API - should successfully update is_checked to f
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ is_checked: false }),
   };
@@ -144,6 +166,7 @@ test('update-shopping-list-item API - should successfully update quantity', asyn
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ quantity: 5 }),
   };
@@ -159,6 +182,7 @@ test('update-shopping-list-item API - should successfully update unit_price', as
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ unit_price: 25.5 }),
   };
@@ -174,6 +198,7 @@ test('update-shopping-list-item API - should successfully update notes', async (
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ notes: 'Test note' }),
   };
@@ -189,6 +214,7 @@ test('update-shopping-list-item API - should successfully update product_name',
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ product_name: 'Updated Product' }),
   };
@@ -204,6 +230,7 @@ test('update-shopping-list-item API - should return 400 for empty product_name',
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ product_name: '' }),
   };
@@ -219,6 +246,7 @@ test('update-shopping-list-item API - should successfully update category', asyn
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ category: 'Frutas' }),
   };
@@ -234,6 +262,7 @@ test('update-shopping-list-item API - should return 400 for empty category', asy
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ category: '' }),
   };
@@ -249,6 +278,7 @@ test('update-shopping-list-item API - should successfully update unit', async ()
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ unit: 'kg' }),
   };
@@ -264,6 +294,7 @@ test('update-shopping-list-item API - should return 400 for empty unit', async (
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ unit: '' }),
   };
@@ -279,6 +310,7 @@ test('update-shopping-list-item API - should successfully update multiple fields
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({
       is_checked: true,
@@ -302,6 +334,7 @@ test('update-shopping-list-item API - should accept PATCH method', async () => {
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PATCH',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ is_checked: true }),
   };
@@ -314,6 +347,7 @@ test('update-shopping-list-item API - should return 500 on repository error', as
   const handler = buildHandler(mockRepositoryError);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ is_checked: true }),
   };
@@ -329,6 +363,7 @@ test('update-shopping-list-item API - should have proper CORS headers', async ()
   const handler = buildHandler(mockRepository);
   const event = {
     httpMethod: 'PUT',
+    headers: authHeaders,
     queryStringParameters: { itemId: 'test-item-id' },
     body: JSON.stringify({ is_checked: true }),
   };
@@ -337,3 +372,55 @@ test('update-shopping-list-item API - should have proper CORS headers', async ()
   assert.strictEqual(response.headers['Access-Control-Allow-Origin'], '*');
   assert.strictEqual(response.headers['Content-Type'], 'application/json');
 });
+
+test('update-shopping-list-item API - should return 404 when the item does not exist', async () => {
+  let updated = false;
+  const handler = buildHandler({
+    ...mockRepository,
+    getShoppingListItemById: async () => null,
+    updateShoppingListItem: async () => {
+      updated = true;
+    },
+  });
+  const event = {
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    queryStringParameters: { itemId: 'test-item-id' },
+    body: JSON.stringify({ is_checked: true }),
+  };
+
+  const response = await handler(event);
+
+  assert.strictEqual(response.statusCode, 404);
+  assert.strictEqual(JSON.parse(response.body).error, 'Shopping list item not found');
+  assert.strictEqual(updated, false);
+});
+
+test('update-shopping-list-item API - should return 403 when the list belongs to another user', async () => {
+  let updated = false;
+  const handler = buildHandler({
+    ...mockRepository,
+    getShoppingListOwner: async (listId) => ({
+      id: listId,
+      user_id: '00000000-0000-0000-0000-000000000002',
+    }),
+    updateShoppingListItem: async () => {
+      updated = true;
+    },
+  });
+  const event = {
+    httpMethod: 'PUT',
+    headers: authHeaders,
+    queryStringParameters: { itemId: 'test-item-id' },
+    body: JSON.stringify({ is_checked: true }),
+  };
+
+  const response = await handler(event);
+
+  assert.strictEqual(response.statusCode, 403);
+  assert.strictEqual(
+    JSON.parse(response.body).error,
+    'User not authorized to modify this shopping list'
+  );
+  assert.strictEqual(updated, false);
+});